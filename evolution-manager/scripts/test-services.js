@@ -58,7 +58,7 @@ class ServiceTester {
 
     // Test 1: Basic port allocation
     const runId1 = ulid();
-    const allocation1 = this.portManager.allocatePortRange(runId1);
+    const allocation1 = await this.portManager.allocatePortRange(runId1);
     const hasAllServices = ['geneVariation', 'geneRendering', 'evaluationFeatures', 'evaluationQuality', 'evaluationProjection']
       .every(service => allocation1.services[service] && allocation1.services[service].length > 0);
 
@@ -66,7 +66,7 @@ class ServiceTester {
 
     // Test 2: Unique port ranges
     const runId2 = ulid();
-    const allocation2 = this.portManager.allocatePortRange(runId2);
+    const allocation2 = await this.portManager.allocatePortRange(runId2);
     const noOverlap = allocation1.rangeEnd < allocation2.rangeStart || allocation2.rangeEnd < allocation1.rangeStart;
 
     this.addTestResult('Port Allocation - No Overlap', noOverlap, `Range1: ${allocation1.rangeStart}-${allocation1.rangeEnd}, Range2: ${allocation2.rangeStart}-${allocation2.rangeEnd}`);
@@ -85,7 +85,7 @@ class ServiceTester {
 
     // Test 5: Re-allocation after release
     const runId3 = ulid();
-    const allocation3 = this.portManager.allocatePortRange(runId3);
+    const allocation3 = await this.portManager.allocatePortRange(runId3);
     const canReuse = allocation3.rangeStart === allocation1.rangeStart; // Should reuse the released range
 
     this.addTestResult('Port Reallocation', canReuse, `Reused range: ${allocation3.rangeStart}-${allocation3.rangeEnd}`);
@@ -153,7 +153,7 @@ class ServiceTester {
 
           // Test 3: Ecosystem config generation
           const runId = ulid();
-          const portAllocation = this.portManager.allocatePortRange(runId);
+          const portAllocation = await this.portManager.allocatePortRange(runId);
           const runConfig = this.serviceDependencyManager.generateRunEcosystemConfig(
             runId, ecosystem, portAllocation
           );
@@ -195,7 +195,7 @@ class ServiceTester {
 
       // Test 1: Port allocation + ecosystem loading integration
       const runId = ulid();
-      const portAllocation = this.portManager.allocatePortRange(runId);
+      const portAllocation = await this.portManager.allocatePortRange(runId);
 
       try {
         const ecosystem = await this.serviceDependencyManager.loadEcosystemTemplate(templateName, 'default');
@@ -0,0 +1,319 @@
+/**
+ * Authentication and role-based access for the REST API and Socket.IO.
+ *
+ * Callers authenticate with an API key (X-API-Key header, or
+ * `Authorization: Bearer <key>`) or an HS256 JWT (`Authorization: Bearer <jwt>`)
+ * whose role claim names one of the roles, each including the ones before it:
+ *
+ *   viewer   - read status, runs, templates, metrics and logs
+ *   operator - start, stop, pause, resume and fork runs; queue and experiments
+ *   admin    - templates, global defaults, scheduler, sync and retention config,
+ *              archiving and purging runs, reading the audit log
+ *
+ * Authentication is enabled once API keys (AUTH_API_KEYS) or a JWT secret
+ * (AUTH_JWT_SECRET) are configured. Without either, every caller acts as an
+ * anonymous admin, as before. Mutating requests are written to the audit log
+ * either way, including refused ones, with secrets in their bodies redacted.
+ */
+
+import crypto from 'crypto';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// First match wins; paths are relative to /api and, like Express routes,
+// matched case-insensitively
+const ACCESS_RULES = [
+  { method: 'GET', path: '/health', role: null },
+  { method: 'GET', path: '/audit', role: 'admin' },
+  { method: 'POST', path: '/templates/:templateName/validate', role: 'viewer' },
+  { method: 'DELETE', path: '/runs/:runId', role: 'admin', when: query => query.purge === 'true' },
+  { method: 'POST', path: '/runs', role: 'operator' },
+  { method: 'DELETE', path: '/runs/:runId', role: 'operator' },
+  { method: 'POST', path: '/runs/:runId/pause', role: 'operator' },
+  { method: 'POST', path: '/runs/:runId/resume', role: 'operator' },
+  { method: 'POST', path: '/runs/:runId/fork', role: 'operator' },
+  { method: 'PUT', path: '/runs/:runId/auto-stop', role: 'operator' },
+  { method: 'POST', path: '/queue', role: 'operator' },
+  { method: 'POST', path: '/queue/batch', role: 'operator' },
+  { method: 'DELETE', path: '/queue/:entryId', role: 'operator' },
+  { method: 'POST', path: '/experiments', role: 'operator' },
+  { method: 'DELETE', path: '/experiments/:experimentId', role: 'operator' },
+  { method: 'POST', path: '/sync/:runId/trigger', role: 'operator' },
+  { method: 'GET', path: '*', role: 'viewer' },
+  { method: '*', path: '*', role: 'admin' }
+].map(rule => ({ ...rule, pattern: pathPattern(rule.path) }));
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Request bodies larger than this are audited by their keys only
+const MAX_AUDITED_BODY_CHARS = 4096;
+
+// Body fields whose values never reach the audit log (e.g. the sync config's apiKey)
+const SECRET_FIELD = /api[-_]?key|token|secret|password|authorization/i;
+
+/**
+ * Role needed for a request, null for public endpoints
+ * @param {string} method
+ * @param {string} path - Relative to /api
+ * @param {Object} [query]
+ */
+export function requiredRole(method, path, query = {}) {
+  const normalizedPath = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  const rule = ACCESS_RULES.find(rule =>
+    (rule.method === '*' || rule.method === method || (rule.method === 'GET' && method === 'HEAD')) &&
+    rule.pattern.test(normalizedPath) &&
+    (!rule.when || rule.when(query)));
+  return rule.role;
+}
+
+export function hasRole(user, role) {
+  return role === null || ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+}
+
+export class Authenticator {
+  /**
+   * @param {Object} [options] - Defaults to the AUTH_* environment variables
+   * @param {Object[]} [options.apiKeys] - [{ name, role, key }] (AUTH_API_KEYS, name:role:key,...)
+   * @param {string} [options.jwtSecret] - HS256 secret (AUTH_JWT_SECRET)
+   * @param {string} [options.jwtIssuer] - Required `iss` (AUTH_JWT_ISSUER)
+   * @param {string} [options.jwtAudience] - Required `aud` (AUTH_JWT_AUDIENCE)
+   * @param {string} [options.jwtRoleClaim='role'] - Claim holding the role or roles (AUTH_JWT_ROLE_CLAIM)
+   */
+  constructor(options = {}) {
+    const apiKeys = options.apiKeys ?? parseApiKeys(process.env.AUTH_API_KEYS);
+    for (const { name, role, key } of apiKeys) {
+      if (!ROLES.includes(role)) {
+        throw new Error(`Invalid role '${role}' for API key '${name}'. Use one of: ${ROLES.join(', ')}`);
+      }
+      if (!key) {
+        throw new Error(`Invalid API key '${name}': the key is empty`);
+      }
+    }
+    // Compared by hash, in constant time
+    this.apiKeys = apiKeys.map(({ name, role, key }) => ({ name, role, hash: sha256(key) }));
+    this.jwtSecret = options.jwtSecret ?? process.env.AUTH_JWT_SECRET ?? null;
+    this.jwtIssuer = options.jwtIssuer ?? process.env.AUTH_JWT_ISSUER ?? null;
+    this.jwtAudience = options.jwtAudience ?? process.env.AUTH_JWT_AUDIENCE ?? null;
+    this.jwtRoleClaim = options.jwtRoleClaim ?? process.env.AUTH_JWT_ROLE_CLAIM ?? 'role';
+  }
+
+  get enabled() {
+    return this.apiKeys.length > 0 || !!this.jwtSecret;
+  }
+
+  /**
+   * Identify a caller
+   * @param {Object} credentials
+   * @param {string} [credentials.authorization] - Authorization header
+   * @param {string} [credentials.apiKey] - X-API-Key header
+   * @param {string} [credentials.token] - An API key or JWT passed otherwise (Socket.IO auth)
+   * @returns {Object} { name, role, via }
+   * @throws {Error} 'Unauthorized: ...' for missing or invalid credentials
+   */
+  authenticate({ authorization, apiKey, token } = {}) {
+    if (!this.enabled) {
+      return { name: 'anonymous', role: 'admin', via: 'none' };
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization || '')?.[1]?.trim();
+    const credential = apiKey || bearer || token;
+    if (!credential) {
+      throw new Error('Unauthorized: send an API key (X-API-Key) or a bearer token');
+    }
+
+    if (credential.split('.').length === 3 && this.jwtSecret) {
+      return this._verifyJwt(credential);
+    }
+
+    const hash = sha256(credential);
+    const match = this.apiKeys.find(entry => crypto.timingSafeEqual(entry.hash, hash));
+    if (!match) {
+      throw new Error('Unauthorized: unknown API key');
+    }
+    return { name: match.name, role: match.role, via: 'api-key' };
+  }
+
+  _verifyJwt(token) {
+    const [header, payload, signature] = token.split('.');
+    let claims;
+    try {
+      const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+      if (alg !== 'HS256') {
+        throw new Error(`unsupported algorithm ${alg}`);
+      }
+      const expected = crypto.createHmac('sha256', this.jwtSecret).update(`${header}.${payload}`).digest();
+      const actual = Buffer.from(signature, 'base64url');
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new Error('bad signature');
+      }
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error(`Unauthorized: invalid token (${error.message})`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && claims.exp <= now) {
+      throw new Error('Unauthorized: token expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf > now) {
+      throw new Error('Unauthorized: token not yet valid');
+    }
+    if (this.jwtIssuer && claims.iss !== this.jwtIssuer) {
+      throw new Error('Unauthorized: token issuer not accepted');
+    }
+    if (this.jwtAudience && ![].concat(claims.aud).includes(this.jwtAudience)) {
+      throw new Error('Unauthorized: token audience not accepted');
+    }
+
+    // The highest of the known roles claimed
+    const role = [].concat(claims[this.jwtRoleClaim])
+      .filter(claimed => ROLES.includes(claimed))
+      .sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0];
+    if (!role) {
+      throw new Error(`Unauthorized: token has no role (claim '${this.jwtRoleClaim}': ${ROLES.join(', ')})`);
+    }
+    return { name: claims.sub || claims.name || 'jwt', role, via: 'jwt' };
+  }
+}
+
+/**
+ * Express middleware authenticating requests, checking their role and
+ * auditing mutating ones. Sets req.user.
+ * @param {Authenticator} authenticator
+ * @param {AuditLog} auditLog
+ * @param {Object} [options]
+ * @param {string} [options.basePath='/api'] - Prefix of audited actions
+ * @param {Function} [options.runState] - runId => state of the run to audit before and after a request
+ */
+export function createAuthMiddleware(authenticator, auditLog, { basePath = '/api', runState = () => undefined } = {}) {
+  return (req, res, next) => {
+    const role = requiredRole(req.method, req.path, req.query);
+
+    if (!READ_METHODS.includes(req.method)) {
+      const pathRunId = /^\/runs\/([^/]+)/i.exec(req.path)?.[1] || null;
+      const before = pathRunId ? runState(pathRunId) : undefined;
+
+      // Runs started by the request are audited by the ID in the response
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (typeof body?.runId === 'string') res.locals.runId = body.runId;
+        return json(body);
+      };
+      res.on('finish', () => {
+        const routePath = req.route ? req.baseUrl + req.route.path : basePath + req.path;
+        // Refused requests never reach their route, so the ID is taken from the path
+        const runId = req.params?.runId || res.locals.runId || pathRunId;
+        auditLog.record({
+          source: 'api',
+          actor: req.user || { name: 'unknown', role: null, via: null },
+          action: `${req.method} ${routePath}`,
+          path: req.originalUrl,
+          runId,
+          before,
+          after: runId ? runState(runId) : undefined,
+          params: req.params && Object.keys(req.params).length > 0 ? req.params : undefined,
+          query: Object.keys(req.query).length > 0 ? req.query : undefined,
+          body: auditedBody(req.body),
+          status: res.statusCode,
+          outcome: res.statusCode === 401 || res.statusCode === 403 ? 'denied' : res.statusCode < 400 ? 'success' : 'failed',
+          ip: req.ip
+        });
+      });
+    }
+
+    if (role === null) {
+      return next();
+    }
+
+    try {
+      req.user = authenticator.authenticate({
+        authorization: req.get('authorization'),
+        apiKey: req.get('x-api-key')
+      });
+    } catch (error) {
+      return res.status(401).json({ error: 'Unauthorized', message: error.message });
+    }
+
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Role '${req.user.role}' cannot ${req.method} ${basePath}${req.path} (requires ${role})`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Socket.IO middleware: handshakes need the viewer role. The credentials go
+ * in the handshake `auth` ({ token } or { apiKey }), or in the Authorization
+ * or X-API-Key headers. Sets socket.data.user.
+ */
+export function createSocketAuthMiddleware(authenticator) {
+  return (socket, next) => {
+    try {
+      const { headers = {}, auth = {} } = socket.handshake;
+      const user = authenticator.authenticate({
+        authorization: headers.authorization,
+        apiKey: auth.apiKey || headers['x-api-key'],
+        token: auth.token
+      });
+      if (!hasRole(user, 'viewer')) {
+        throw new Error(`Forbidden: role '${user.role}' cannot connect`);
+      }
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      const refused = new Error(error.message);
+      refused.data = { status: error.message.startsWith('Forbidden') ? 403 : 401 };
+      next(refused);
+    }
+  };
+}
+
+/**
+ * Sign an HS256 JWT, e.g. for scripts and tests (`node -e` with AUTH_JWT_SECRET)
+ * @param {Object} claims - e.g. { sub, role, exp }
+ * @param {string} secret
+ */
+export function signJwt(claims, secret) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * name:role:key entries, comma-separated
+ */
+function parseApiKeys(value) {
+  if (!value) return [];
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, role, ...key] = entry.split(':');
+    return { name, role, key: key.join(':') };
+  });
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function pathPattern(routePath) {
+  if (routePath === '*') return /^.*$/;
+  const source = routePath.split('/').map(part => part.startsWith(':') ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('/');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function auditedBody(body) {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return undefined;
+  const redacted = redactSecrets(body);
+  const json = JSON.stringify(redacted);
+  return json.length <= MAX_AUDITED_BODY_CHARS ? redacted : { truncated: true, keys: Object.keys(body) };
+}
+
+function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, child]) =>
+    [key, SECRET_FIELD.test(key) ? '[redacted]' : redactSecrets(child)]));
+}
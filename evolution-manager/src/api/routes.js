@@ -1,10 +1,22 @@
 import express from 'express';
 import path from 'path';
 import fs from 'fs-extra';
+import { PrometheusExporter, PROMETHEUS_CONTENT_TYPE } from '../core/prometheus-exporter.js';
+import { Authenticator, createAuthMiddleware } from './auth.js';
 
-export function setupApiRoutes(app, evolutionManager, io) {
+/**
+ * @param {Object} [options]
+ * @param {Authenticator} [options.authenticator] - Defaults to one configured from AUTH_* variables
+ */
+export function setupApiRoutes(app, evolutionManager, io, { authenticator = new Authenticator() } = {}) {
   const router = express.Router();
 
+  // Authentication, roles and auditing of mutating requests (see auth.js)
+  const authenticate = createAuthMiddleware(authenticator, evolutionManager.auditLog, {
+    runState: runId => evolutionManager.auditState(runId)
+  });
+  router.use(authenticate);
+
   // Health check
   router.get('/health', (req, res) => {
     res.json({ 
@@ -30,7 +42,7 @@ export function setupApiRoutes(app, evolutionManager, io) {
   // Get specific template with full configuration
   router.get('/templates/:templateName', async (req, res) => {
     try {
-      const template = await evolutionManager.getTemplate(req.params.templateName);
+      const template = await evolutionManager.getTemplate(req.params.templateName, { view: req.query.view });
       if (!template) {
         return res.status(404).json({
           error: 'Template not found',
@@ -44,6 +56,11 @@ export function setupApiRoutes(app, evolutionManager, io) {
           error: 'Template not found',
           message: error.message
         });
+      } else if (error.message.startsWith('Invalid')) {
+        res.status(400).json({
+          error: 'Invalid template',
+          message: error.message
+        });
       } else {
         res.status(500).json({
           error: 'Failed to get template',
@@ -53,6 +70,96 @@ export function setupApiRoutes(app, evolutionManager, io) {
     }
   });
 
+  // Create, replace or delete templates. The body carries the configs as objects
+  // or JSONC text: { evolutionRunConfig, hyperparameters, evolutionRunsConfig?,
+  // templateInfo, ecosystem?: { variant, config: { apps } } }
+  const sendTemplateError = (res, error, failure) => {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ error: 'Invalid template', message: error.message, validation: error.validation });
+    }
+    if (error.message.includes('already exists') || error.message.includes('in use')) {
+      return res.status(409).json({ error: failure, message: error.message });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Template not found', message: error.message });
+    }
+    console.error(`${failure}:`, error);
+    res.status(500).json({ error: failure, message: error.message });
+  };
+
+  router.post('/templates/:templateName', async (req, res) => {
+    try {
+      const { templateName } = req.params;
+      const validation = await evolutionManager.createTemplate(templateName, req.body);
+      io.emit('template-changed', { action: 'created', templateName, timestamp: new Date().toISOString() });
+      res.status(201).json({ templateName, message: 'Template created', validation });
+    } catch (error) {
+      sendTemplateError(res, error, 'Failed to create template');
+    }
+  });
+
+  router.put('/templates/:templateName', async (req, res) => {
+    try {
+      const { templateName } = req.params;
+      const validation = await evolutionManager.updateTemplate(templateName, req.body);
+      io.emit('template-changed', { action: 'updated', templateName, timestamp: new Date().toISOString() });
+      res.json({ templateName, message: 'Template updated', validation });
+    } catch (error) {
+      sendTemplateError(res, error, 'Failed to update template');
+    }
+  });
+
+  router.delete('/templates/:templateName', async (req, res) => {
+    try {
+      const { templateName } = req.params;
+      await evolutionManager.deleteTemplate(templateName);
+      io.emit('template-changed', { action: 'deleted', templateName, timestamp: new Date().toISOString() });
+      res.json({ templateName, message: 'Template deleted' });
+    } catch (error) {
+      sendTemplateError(res, error, 'Failed to delete template');
+    }
+  });
+
+  // Content-hashed versions of a template that runs were started from
+  router.get('/templates/:templateName/versions', async (req, res) => {
+    try {
+      res.json(await evolutionManager.getTemplateVersions(req.params.templateName));
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          error: 'Template not found',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to get template versions',
+          message: error.message
+        });
+      }
+    }
+  });
+
+  // Validate a template: schemas, required services vs. ecosystem variant, placeholder paths
+  router.post('/templates/:templateName/validate', async (req, res) => {
+    try {
+      const ecosystemVariant = req.body?.ecosystemVariant || req.query.ecosystemVariant || 'default';
+      const validation = await evolutionManager.validateTemplate(req.params.templateName, ecosystemVariant);
+      res.json(validation);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          error: 'Template not found',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to validate template',
+          message: error.message
+        });
+      }
+    }
+  });
+
   // Get all evolution runs
   router.get('/runs', async (req, res) => {
     try {
@@ -89,7 +196,7 @@ export function setupApiRoutes(app, evolutionManager, io) {
   // Start new evolution run
   router.post('/runs', async (req, res) => {
     try {
-      const { templateName, ecosystemVariant, options = {} } = req.body;
+      const { templateName, ecosystemVariant, options = {}, overrides, queue = false, priority, dependsOn } = req.body;
       
       if (!templateName) {
         return res.status(400).json({ 
@@ -97,11 +204,34 @@ export function setupApiRoutes(app, evolutionManager, io) {
         });
       }
 
+      // Queue the run instead of starting it now (started by the scheduler as slots free up)
+      if (queue) {
+        const [entry] = await evolutionManager.enqueueRuns([{ templateName, ecosystemVariant, options, overrides, priority, dependsOn }]);
+        return res.status(202).json({
+          runId: entry.id,
+          templateName,
+          ecosystemVariant: entry.ecosystemVariant,
+          status: 'queued',
+          message: 'Evolution run queued'
+        });
+      }
+
       // Add ecosystem variant to options if specified
       if (ecosystemVariant) {
         options.ecosystemVariant = ecosystemVariant;
       }
 
+      // JSON-path overrides, e.g. { "hyperparameters.mutationRate": 0.2 }
+      if (overrides) {
+        options.overrides = { ...options.overrides, ...overrides };
+      }
+
+      // ?dryRun=true: resolved configs, port plan and PM2 apps, nothing is started
+      if (req.query.dryRun === 'true') {
+        const plan = await evolutionManager.planRun(templateName, options);
+        return res.json(plan);
+      }
+
       const runId = await evolutionManager.startRun(templateName, options);
       
       // Emit websocket event
@@ -115,6 +245,18 @@ export function setupApiRoutes(app, evolutionManager, io) {
       });
     } catch (error) {
       console.error('Error starting evolution run:', error);
+      if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({
+          error: error.message.startsWith('Invalid template') ? 'Invalid template' : 'Invalid run options',
+          message: error.message
+        });
+      }
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: error.message
+        });
+      }
       res.status(500).json({ 
         error: 'Failed to start evolution run', 
         message: error.message 
@@ -122,9 +264,19 @@ export function setupApiRoutes(app, evolutionManager, io) {
     }
   });
 
-  // Stop evolution run
+  // Stop evolution run; with ?purge=true, delete an ended run's data instead
+  // (&force=true deletes data that was not synced since the run ended)
   router.delete('/runs/:runId', async (req, res) => {
     try {
+      if (req.query.purge === 'true') {
+        const bytes = await evolutionManager.retentionManager.purgeRun(req.params.runId, { force: req.query.force === 'true' });
+        return res.json({
+          runId: req.params.runId,
+          freedBytes: bytes.total,
+          message: 'Evolution run purged successfully'
+        });
+      }
+
       await evolutionManager.stopRun(req.params.runId);
       
       // Emit websocket event
@@ -139,6 +291,11 @@ export function setupApiRoutes(app, evolutionManager, io) {
           error: 'Run not found', 
           message: error.message 
         });
+      } else if (error.message.includes('cannot be archived or deleted')) {
+        res.status(409).json({
+          error: 'Run is protected',
+          message: error.message
+        });
       } else {
         res.status(500).json({ 
           error: 'Failed to stop evolution run', 
@@ -148,6 +305,35 @@ export function setupApiRoutes(app, evolutionManager, io) {
     }
   });
 
+  // Pause a running evolution run (its services are stopped too; resume picks it up again)
+  router.post('/runs/:runId/pause', async (req, res) => {
+    try {
+      await evolutionManager.pauseRun(req.params.runId);
+      res.json({
+        runId: req.params.runId,
+        message: 'Evolution run paused successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          error: 'Run not found',
+          message: error.message
+        });
+      } else if (error.message.includes('is not running') || error.message.startsWith('Illegal run transition')) {
+        res.status(409).json({
+          error: 'Run cannot be paused now',
+          message: error.message
+        });
+      } else {
+        console.error('Error pausing evolution run:', error);
+        res.status(500).json({
+          error: 'Failed to pause evolution run',
+          message: error.message
+        });
+      }
+    }
+  });
+
   // Resume a stopped/failed evolution run
   router.post('/runs/:runId/resume', async (req, res) => {
     try {
@@ -171,6 +357,21 @@ export function setupApiRoutes(app, evolutionManager, io) {
           error: 'Run already running',
           message: error.message
         });
+      } else if (error.message.startsWith('Illegal run transition')) {
+        res.status(409).json({
+          error: 'Run cannot be resumed now',
+          message: error.message
+        });
+      } else if (error.message.includes('is archived')) {
+        res.status(409).json({
+          error: 'Run is archived',
+          message: error.message
+        });
+      } else if (error.message.includes('is being forked')) {
+        res.status(409).json({
+          error: 'Run is being forked',
+          message: error.message
+        });
       } else {
         console.error('Error resuming evolution run:', error);
         res.status(500).json({
@@ -181,28 +382,331 @@ export function setupApiRoutes(app, evolutionManager, io) {
     }
   });
 
-  // Get run logs (if we want to serve logs via REST)
-  router.get('/runs/:runId/logs', async (req, res) => {
+  // Fork a new run from a run's evorun directory, at its current state or a committed generation
+  router.post('/runs/:runId/fork', async (req, res) => {
     try {
-      const run = await evolutionManager.getRun(req.params.runId);
-      const logTypes = ['out', 'err', 'combined'];
-      const logs = {};
-      
-      for (const type of logTypes) {
-        const logPath = path.join(process.cwd(), 'logs', `${req.params.runId}.${type}.log`);
-        try {
-          logs[type] = await fs.readFile(logPath, 'utf8');
-        } catch (err) {
-          logs[type] = 'Log file not found or empty';
-        }
+      const { generation, ecosystemVariant, options = {}, overrides } = req.body;
+      const forkOptions = { ...options };
+      if (generation !== undefined) {
+        forkOptions.generation = generation;
       }
-      
+      if (ecosystemVariant) {
+        forkOptions.ecosystemVariant = ecosystemVariant;
+      }
+      if (overrides) {
+        forkOptions.overrides = { ...forkOptions.overrides, ...overrides };
+      }
+
+      const runId = await evolutionManager.forkRun(req.params.runId, forkOptions);
+      const { templateName, forkedFrom } = await evolutionManager.getRun(runId);
+
+      io.emit('run-started', { runId, templateName, parentRunId: req.params.runId, options: forkOptions });
+
+      res.status(201).json({
+        runId,
+        parentRunId: req.params.runId,
+        templateName,
+        generation: forkedFrom.generation,
+        message: 'Evolution run forked successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          error: 'Run not found',
+          message: error.message
+        });
+      } else if (error.message.includes('is running') || error.message.includes('is being started') || error.message.includes('is archived')) {
+        res.status(409).json({
+          error: 'Run cannot be forked',
+          message: error.message
+        });
+      } else if (error.message.startsWith('Invalid')) {
+        res.status(400).json({
+          error: 'Invalid fork options',
+          message: error.message
+        });
+      } else {
+        console.error('Error forking evolution run:', error);
+        res.status(500).json({
+          error: 'Failed to fork evolution run',
+          message: error.message
+        });
+      }
+    }
+  });
+
+  // Get run progress time series
+  router.get('/runs/:runId/metrics', async (req, res) => {
+    try {
+      const { from, to, fields } = req.query;
+      const metrics = await evolutionManager.getRunMetrics(req.params.runId, { from, to, fields });
+      res.json({ metrics });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          error: 'Run not found',
+          message: error.message
+        });
+      } else if (error.message.startsWith('Invalid')) {
+        res.status(400).json({
+          error: 'Invalid metrics query',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to get run metrics',
+          message: error.message
+        });
+      }
+    }
+  });
+
+  // A run's status changes with their time and cause
+  router.get('/runs/:runId/history', async (req, res) => {
+    try {
+      res.json(await evolutionManager.getRunHistory(req.params.runId));
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          error: 'Run not found',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to get run history',
+          message: error.message
+        });
+      }
+    }
+  });
+
+  // Template version a run started from, the run's departures from it and later template changes
+  router.get('/runs/:runId/config-diff', async (req, res) => {
+    try {
+      res.json(await evolutionManager.getRunConfigDiff(req.params.runId));
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          error: 'Run not found',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to get run config diff',
+          message: error.message
+        });
+      }
+    }
+  });
+
+  // Update a run's auto-stop policies (merged into the current ones, null removes a policy)
+  router.put('/runs/:runId/auto-stop', async (req, res) => {
+    try {
+      const autoStop = await evolutionManager.setAutoStopPolicies(req.params.runId, req.body);
+      res.json({ runId: req.params.runId, autoStop });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          error: 'Run not found',
+          message: error.message
+        });
+      } else if (error.message.startsWith('Invalid')) {
+        res.status(400).json({
+          error: 'Invalid auto-stop policy',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to update auto-stop policies',
+          message: error.message
+        });
+      }
+    }
+  });
+
+  // ========================================
+  // Run Queue Endpoints
+  // ========================================
+
+  const sendQueueError = (res, error, action) => {
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: 'Not found', message: error.message });
+    } else if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: 'Invalid queue request', message: error.message });
+    } else if (error.message.includes('is not queued')) {
+      res.status(409).json({ error: 'Queue entry not queued', message: error.message });
+    } else {
+      res.status(500).json({ error: `Failed to ${action}`, message: error.message });
+    }
+  };
+
+  // List queue entries (queued ones in start order first)
+  router.get('/queue', (req, res) => {
+    res.json({ queue: evolutionManager.runQueue.list({ status: req.query.status }) });
+  });
+
+  // Queue a single run
+  router.post('/queue', async (req, res) => {
+    try {
+      const [entry] = await evolutionManager.enqueueRuns([req.body]);
+      res.status(201).json({ entry });
+    } catch (error) {
+      sendQueueError(res, error, 'queue run');
+    }
+  });
+
+  // Queue several runs at once; top-level fields are defaults for every run,
+  // and numeric dependsOn values refer to earlier runs in the batch
+  router.post('/queue/batch', async (req, res) => {
+    try {
+      const { runs, ...defaults } = req.body;
+      if (!Array.isArray(runs)) {
+        return res.status(400).json({ error: 'Invalid queue request', message: 'runs must be an array' });
+      }
+      const requests = runs.map(run => ({
+        ...defaults,
+        ...run,
+        options: { ...defaults.options, ...run?.options }
+      }));
+      const entries = await evolutionManager.enqueueRuns(requests, { batch: true });
+      res.status(201).json({ batchId: entries[0].batchId, entries });
+    } catch (error) {
+      sendQueueError(res, error, 'queue batch');
+    }
+  });
+
+  // Cancel a queued run
+  router.delete('/queue/:entryId', async (req, res) => {
+    try {
+      const entry = await evolutionManager.runQueue.cancel(req.params.entryId);
+      res.json({ entry });
+    } catch (error) {
+      sendQueueError(res, error, 'cancel queued run');
+    }
+  });
+
+  // ========================================
+  // Experiment (Sweep) Endpoints
+  // ========================================
+
+  const experiments = evolutionManager.experimentManager;
+
+  const sendExperimentError = (res, error, action) => {
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: 'Not found', message: error.message });
+    } else if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: 'Invalid experiment request', message: error.message });
+    } else {
+      res.status(500).json({ error: `Failed to ${action}`, message: error.message });
+    }
+  };
+
+  // List experiments with their status
+  router.get('/experiments', (req, res) => {
+    res.json({ experiments: experiments.listExperiments() });
+  });
+
+  // Create a sweep and queue its child runs
+  router.post('/experiments', async (req, res) => {
+    try {
+      const experiment = await experiments.createExperiment(req.body);
+      io.emit('experiment-created', { experimentId: experiment.id, name: experiment.name });
+      res.status(201).json({ experiment: experiments.getExperimentStatus(experiment.id) });
+    } catch (error) {
+      sendExperimentError(res, error, 'create experiment');
+    }
+  });
+
+  // Experiment with configurations and child run status
+  router.get('/experiments/:experimentId', (req, res) => {
+    try {
+      res.json({ experiment: experiments.getExperimentStatus(req.params.experimentId) });
+    } catch (error) {
+      sendExperimentError(res, error, 'get experiment');
+    }
+  });
+
+  // Comparison table of coverage and qdScore per configuration (?format=csv for CSV)
+  router.get('/experiments/:experimentId/comparison', (req, res) => {
+    try {
+      const comparison = experiments.getComparison(req.params.experimentId, { sortBy: req.query.sortBy });
+      if (req.query.format === 'csv') {
+        res.type('text/csv').send(experiments.comparisonToCsv(comparison));
+      } else {
+        res.json({ comparison });
+      }
+    } catch (error) {
+      sendExperimentError(res, error, 'get experiment comparison');
+    }
+  });
+
+  // Cancel queued child runs and stop running ones
+  router.delete('/experiments/:experimentId', async (req, res) => {
+    try {
+      const experiment = await experiments.cancelExperiment(req.params.experimentId);
+      res.json({ experiment });
+    } catch (error) {
+      sendExperimentError(res, error, 'cancel experiment');
+    }
+  });
+
+  // ========================================
+  // Run Log Endpoints
+  // ========================================
+
+  const runLogs = evolutionManager.runLogs;
+
+  const sendLogsError = (res, error, action) => {
+    if (error.message.includes('not found') || error.message.startsWith('No logs found')) {
+      res.status(404).json({ error: 'Not found', message: error.message });
+    } else if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: 'Invalid logs query', message: error.message });
+    } else {
+      res.status(500).json({ error: `Failed to ${action}`, message: error.message });
+    }
+  };
+
+  // Last lines of each run log (?lines=200)
+  router.get('/runs/:runId/logs', async (req, res) => {
+    try {
+      await evolutionManager.getRun(req.params.runId);
+      const logs = await runLogs.tail(req.params.runId, req.query.lines || 200);
       res.json({ logs });
     } catch (error) {
-      res.status(500).json({ 
-        error: 'Failed to get logs', 
-        message: error.message 
-      });
+      sendLogsError(res, error, 'get logs');
+    }
+  });
+
+  // All log files of a run, rotated ones included, as a gzipped tarball
+  router.get('/runs/:runId/logs/download', async (req, res) => {
+    try {
+      await evolutionManager.getRun(req.params.runId);
+      const stream = await runLogs.archiveStream(req.params.runId);
+      res.set('Content-Type', 'application/gzip');
+      res.set('Content-Disposition', `attachment; filename="${req.params.runId}-logs.tar.gz"`);
+      stream.pipe(res);
+    } catch (error) {
+      sendLogsError(res, error, 'download logs');
+    }
+  });
+
+  // A page of a log: ?cursor= pages forward, ?before= backward, neither gives the tail
+  router.get('/runs/:runId/logs/:type', async (req, res) => {
+    try {
+      const { cursor, before, limit } = req.query;
+      res.json(await evolutionManager.getRunLogs(req.params.runId, req.params.type, { cursor, before, limit }));
+    } catch (error) {
+      sendLogsError(res, error, 'get logs');
+    }
+  });
+
+  // Lines of a log matching ?pattern= (a regular expression, &flags=i) and/or &from=&to=
+  router.get('/runs/:runId/logs/:type/search', async (req, res) => {
+    try {
+      const { pattern, flags, from, to, cursor, limit } = req.query;
+      res.json(await evolutionManager.searchRunLogs(req.params.runId, req.params.type, { pattern, flags, from, to, cursor, limit }));
+    } catch (error) {
+      sendLogsError(res, error, 'search logs');
     }
   });
 
@@ -255,7 +759,10 @@ export function setupApiRoutes(app, evolutionManager, io) {
   // Get service status for specific run
   router.get('/runs/:runId/services', async (req, res) => {
     try {
-      const serviceInfo = evolutionManager.serviceDependencyManager.getServiceInfo(req.params.runId);
+      // A start that failed is reported with the readiness results that failed it
+      const { serviceDependencyManager } = evolutionManager;
+      const serviceInfo = serviceDependencyManager.getServiceInfo(req.params.runId) ||
+        serviceDependencyManager.getFailedStart(req.params.runId);
       if (!serviceInfo) {
         return res.status(404).json({
           error: 'No services found for this run'
@@ -270,6 +777,18 @@ export function setupApiRoutes(app, evolutionManager, io) {
     }
   });
 
+  // Port allocations of all runs, their processes and ports claimed twice
+  router.get('/ports', async (req, res) => {
+    try {
+      res.json(await evolutionManager.serviceDependencyManager.getPortReport());
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to get port allocations',
+        message: error.message
+      });
+    }
+  });
+
   // ========================================
   // Auto-Run Scheduler Endpoints
   // ========================================
@@ -585,6 +1104,128 @@ export function setupApiRoutes(app, evolutionManager, io) {
     }
   });
 
+  // ========================================
+  // Process Reconciliation Endpoints
+  // ========================================
+
+  // Evolution processes without a run, and processes outliving their run
+  router.get('/reconcile', async (req, res) => {
+    try {
+      res.json(await evolutionManager.processReconciler.scan());
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to scan processes',
+        message: error.message
+      });
+    }
+  });
+
+  // Adopt unknown runs and kill processes ({ adopt: [runId] | 'all', kill: [processName] | 'all' })
+  router.post('/reconcile', async (req, res) => {
+    try {
+      res.json(await evolutionManager.processReconciler.apply(req.body || {}));
+    } catch (error) {
+      res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+        error: 'Failed to reconcile processes',
+        message: error.message
+      });
+    }
+  });
+
+  // ========================================
+  // Retention Endpoints
+  // ========================================
+
+  const retentionManager = evolutionManager.retentionManager;
+
+  // Disk usage per run and per template
+  router.get('/retention/usage', async (req, res) => {
+    try {
+      res.json(await retentionManager.getDiskUsage());
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to compute disk usage',
+        message: error.message
+      });
+    }
+  });
+
+  // Archive an ended run's data to a tarball with a manifest
+  router.post('/runs/:runId/archive', async (req, res) => {
+    try {
+      const archive = await retentionManager.archiveRun(req.params.runId);
+      res.json({
+        runId: req.params.runId,
+        archive,
+        message: 'Evolution run archived successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          error: 'Run not found',
+          message: error.message
+        });
+      } else if (error.message.includes('cannot be archived') || error.message.includes('already archived')) {
+        res.status(409).json({
+          error: 'Run cannot be archived',
+          message: error.message
+        });
+      } else {
+        console.error('Error archiving evolution run:', error);
+        res.status(500).json({
+          error: 'Failed to archive evolution run',
+          message: error.message
+        });
+      }
+    }
+  });
+
+  router.get('/retention/config', (req, res) => {
+    res.json({ config: retentionManager.getConfig() });
+  });
+
+  router.put('/retention/config', async (req, res) => {
+    try {
+      const config = await retentionManager.updateConfig(req.body);
+      io.emit('retention-config-updated', config);
+      res.json({ config });
+    } catch (error) {
+      res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+        error: 'Failed to update retention config',
+        message: error.message
+      });
+    }
+  });
+
+  // Apply the retention rules now (?dryRun=true reports what they would do)
+  router.post('/retention/apply', async (req, res) => {
+    try {
+      res.json(await retentionManager.applyRules({ dryRun: req.query.dryRun === 'true' }));
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to apply retention rules',
+        message: error.message
+      });
+    }
+  });
+
+  // ========================================
+  // Audit Log Endpoints
+  // ========================================
+
+  // Audit entries, newest first (?runId=&actor=&source=&action=&outcome=&from=&to=&before=&limit=)
+  router.get('/audit', async (req, res) => {
+    try {
+      const { runId, actor, source, action, outcome, from, to, before, limit } = req.query;
+      res.json(await evolutionManager.auditLog.query({ runId, actor, source, action, outcome, from, to, before, limit }));
+    } catch (error) {
+      res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+        error: 'Failed to query audit log',
+        message: error.message
+      });
+    }
+  });
+
   // ========================================
   // Global Configuration Defaults Endpoints
   // ========================================
@@ -628,6 +1269,17 @@ export function setupApiRoutes(app, evolutionManager, io) {
   // Mount router
   app.use('/api', router);
 
+  // Prometheus scrape endpoint
+  const prometheusExporter = new PrometheusExporter(evolutionManager);
+  app.get('/metrics', authenticate, async (req, res) => {
+    try {
+      const metrics = await prometheusExporter.collect();
+      res.set('Content-Type', PROMETHEUS_CONTENT_TYPE).send(metrics);
+    } catch (error) {
+      res.status(500).type('text/plain').send(`# Failed to collect metrics: ${error.message}\n`);
+    }
+  });
+
   // Serve static files (for any web interface later)
   app.use(express.static('public'));
 
@@ -638,10 +1290,34 @@ export function setupApiRoutes(app, evolutionManager, io) {
       version: '1.0.0',
       endpoints: {
         health: '/api/health',
+        metrics: '/metrics',
         templates: '/api/templates',
         runs: '/api/runs',
+        runMetrics: 'GET /api/runs/:runId/metrics?from=&to=&fields=',
+        runHistory: 'GET /api/runs/:runId/history',
+        runLogs: {
+          tail: 'GET /api/runs/:runId/logs?lines=',
+          page: 'GET /api/runs/:runId/logs/:type?cursor=&before=&limit=',
+          search: 'GET /api/runs/:runId/logs/:type/search?pattern=&flags=&from=&to=&cursor=&limit=',
+          download: 'GET /api/runs/:runId/logs/download'
+        },
+        runAutoStop: 'PUT /api/runs/:runId/auto-stop',
+        experiments: {
+          list: 'GET /api/experiments',
+          create: 'POST /api/experiments',
+          get: 'GET /api/experiments/:experimentId',
+          comparison: 'GET /api/experiments/:experimentId/comparison?sortBy=&format=csv',
+          cancel: 'DELETE /api/experiments/:experimentId'
+        },
+        queue: {
+          list: 'GET /api/queue?status=',
+          add: 'POST /api/queue',
+          batch: 'POST /api/queue/batch',
+          cancel: 'DELETE /api/queue/:entryId'
+        },
         status: '/api/status',
         services: '/api/services',
+        ports: '/api/ports',
         config: {
           globalDefaults: {
             get: 'GET /api/config/global-defaults',
@@ -662,6 +1338,18 @@ export function setupApiRoutes(app, evolutionManager, io) {
           runStatus: 'GET /api/sync/:runId/status',
           trigger: 'POST /api/sync/:runId/trigger',
           config: 'PUT /api/sync/config'
+        },
+        reconcile: {
+          scan: 'GET /api/reconcile',
+          apply: 'POST /api/reconcile'
+        },
+        audit: 'GET /api/audit?runId=&actor=&source=&action=&outcome=&from=&to=&before=&limit=',
+        retention: {
+          usage: 'GET /api/retention/usage',
+          config: 'GET|PUT /api/retention/config',
+          apply: 'POST /api/retention/apply?dryRun=true',
+          archive: 'POST /api/runs/:runId/archive',
+          purge: 'DELETE /api/runs/:runId?purge=true&force='
         }
       },
       websocket: 'Available on same port'
@@ -2,6 +2,26 @@ import path from 'path';
 import fs from 'fs-extra';
 import { parse as parseJSONC } from 'jsonc-parser';
 import { ulid } from 'ulid';
+import merge from 'deepmerge';
+import { setJsonPath } from './json-path.js';
+
+// Template config files by the keys used in loaded templates and API requests
+export const TEMPLATE_CONFIG_FILES = {
+  evolutionRunsConfig: 'evolution-runs-config.jsonc',
+  evolutionRunConfig: 'evolution-run-config.jsonc',
+  hyperparameters: 'evolutionary-hyperparameters.jsonc',
+  templateInfo: 'template-info.jsonc'
+};
+
+// Working directories of runs are named by their ULID
+const RUN_ID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+
+// Arrays an extending template replaces instead of appending to
+export const REPLACED_ARRAY_KEYS = ['classifiers', 'classificationDimensions'];
+
+const TEMPLATE_MERGE_OPTIONS = {
+  customMerge: key => (REPLACED_ARRAY_KEYS.includes(key) ? (base, override) => override : undefined)
+};
 
 export class ConfigManager {
   constructor() {
@@ -340,19 +360,29 @@ export class ConfigManager {
    */
   async getTemplateInfo(templateName) {
     const templateDir = path.join(this.templatesDir, templateName);
-    
-    // Look for metadata file
-    const metadataPath = path.join(templateDir, 'template-info.jsonc');
+
+    // Metadata and files may come from the templates this one extends
+    let layers;
+    let extendsError;
+    try {
+      layers = await this.getTemplateChain(templateName, templateDir);
+    } catch (error) {
+      layers = [{ templateName, templateDir, ...await this.readTemplateFiles(templateDir) }];
+      extendsError = error.message;
+    }
+
     let metadata = {
       name: templateName,
       description: 'No description available',
-      version: '1.0.0'
+      version: '1.0.0',
+      ...this.flattenTemplateLayers(layers).templateInfo
     };
-
-    if (await fs.pathExists(metadataPath)) {
-      const metadataContent = await fs.readFile(metadataPath, 'utf8');
-      const parsedMetadata = parseJSONC(metadataContent);
-      metadata = { ...metadata, ...parsedMetadata };
+    const ownInfo = layers[layers.length - 1].templateInfo;
+    if (ownInfo?.extends !== undefined) {
+      metadata = { ...metadata, extends: ownInfo.extends, baseTemplates: layers.slice(0, -1).map(layer => layer.templateName).reverse() };
+    }
+    if (extendsError) {
+      metadata.extendsError = extendsError;
     }
 
     // Check for required files
@@ -364,9 +394,11 @@ export class ConfigManager {
 
     const availableFiles = [];
     for (const file of requiredFiles) {
-      const filePath = path.join(templateDir, file);
-      if (await fs.pathExists(filePath)) {
-        availableFiles.push(file);
+      for (const layer of layers) {
+        if (await fs.pathExists(path.join(layer.templateDir, file))) {
+          availableFiles.push(file);
+          break;
+        }
       }
     }
 
@@ -452,6 +484,111 @@ export class ConfigManager {
     return 'default';
   }
 
+  /**
+   * Check that a template name is usable as a directory name
+   */
+  assertTemplateName(templateName) {
+    if (typeof templateName !== 'string' || !/^[A-Za-z0-9][\w.-]*$/.test(templateName)) {
+      throw new Error(`Invalid template name '${templateName}': use letters, digits, '.', '_' and '-'`);
+    }
+  }
+
+  /**
+   * Write template files to a staging directory (working/template-staging/) so
+   * that they can be validated before they replace anything in templates/.
+   * Absolute paths are converted back to {{PLACEHOLDER}} tokens.
+   * @param {string} templateName
+   * @param {Object} files - Each config as an object or JSONC text:
+   *   { evolutionRunsConfig?, evolutionRunConfig?, hyperparameters?, templateInfo?,
+   *     ecosystem?: { variant?, config: { apps: [...] } } }
+   * @param {Object} [options]
+   * @param {string} [options.base] - Template directory to start from (files not given are kept)
+   * @returns {Promise<string>} The staging directory
+   */
+  async stageTemplate(templateName, files, { base = null } = {}) {
+    // Check the input before anything is written
+    for (const [key, file] of Object.entries(TEMPLATE_CONFIG_FILES)) {
+      const value = files[key];
+      if (value !== undefined && (value === null || (typeof value !== 'string' && typeof value !== 'object') || Array.isArray(value))) {
+        throw new Error(`Invalid template file ${file}: expected an object or JSONC text`);
+      }
+    }
+    const { variant = 'default', config: ecosystemConfig } = files.ecosystem || {};
+    if (files.ecosystem !== undefined) {
+      if (typeof variant !== 'string' || !/^[A-Za-z0-9][\w-]*$/.test(variant)) {
+        throw new Error(`Invalid ecosystem variant '${variant}'`);
+      }
+      if (!ecosystemConfig || typeof ecosystemConfig !== 'object' || Array.isArray(ecosystemConfig)) {
+        throw new Error('Invalid ecosystem: expected { variant, config: { apps: [...] } }');
+      }
+    }
+
+    const stagingDir = path.join(this.workingDir, 'template-staging', `${templateName}-${ulid()}`);
+    if (base) {
+      await fs.copy(base, stagingDir);
+    } else {
+      await fs.ensureDir(stagingDir);
+    }
+
+    for (const [key, file] of Object.entries(TEMPLATE_CONFIG_FILES)) {
+      const value = files[key];
+      if (value === undefined) continue;
+      const content = typeof value === 'string'
+        ? this.convertToPlaceholders(value) // keeps comments
+        : JSON.stringify(this.convertToPlaceholders(value), null, 2);
+      await fs.writeFile(path.join(stagingDir, file), content);
+    }
+
+    // Same wrapper as scripts/create-template-from-config.js writes
+    const evolutionRunsPath = path.join(stagingDir, TEMPLATE_CONFIG_FILES.evolutionRunsConfig);
+    if (!await fs.pathExists(evolutionRunsPath)) {
+      await fs.writeFile(evolutionRunsPath, JSON.stringify({
+        "// Note": "This template file is generated automatically",
+        baseEvolutionRunConfigFile: "./evolution-run-config.jsonc",
+        baseEvolutionaryHyperparametersFile: "./evolutionary-hyperparameters.jsonc",
+        evoRuns: [{ label: `${templateName}_run`, iterations: [] }],
+        currentEvolutionRunIndex: 0,
+        currentEvolutionRunIteration: 0
+      }, null, 2));
+    }
+
+    if (ecosystemConfig) {
+      // Data only (no code) - {{PLACEHOLDER}} tokens are resolved when the config is loaded
+      await fs.writeFile(
+        path.join(stagingDir, `ecosystem_${variant}.config.js`),
+        `// Written through the template API\nexport default ${JSON.stringify(this.convertToPlaceholders(ecosystemConfig), null, 2)};\n`
+      );
+    }
+
+    return stagingDir;
+  }
+
+  /**
+   * Move a staged template into templates/, replacing an existing one
+   */
+  async installTemplate(templateName, stagingDir) {
+    const templateDir = path.join(this.templatesDir, templateName);
+    const previousDir = `${stagingDir}.previous`;
+    if (await fs.pathExists(templateDir)) {
+      await fs.move(templateDir, previousDir);
+    }
+    await fs.move(stagingDir, templateDir);
+    await fs.remove(previousDir);
+    return templateDir;
+  }
+
+  /**
+   * Remove a template directory
+   */
+  async deleteTemplate(templateName) {
+    this.assertTemplateName(templateName);
+    const templateDir = path.join(this.templatesDir, templateName);
+    if (!await fs.pathExists(templateDir)) {
+      throw new Error(`Template '${templateName}' not found`);
+    }
+    await fs.remove(templateDir);
+  }
+
   /**
    * Load a configuration template
    */
@@ -462,38 +599,113 @@ export class ConfigManager {
       throw new Error(`Template '${templateName}' not found`);
     }
 
-    const configFiles = {
-      evolutionRuns: null,
-      evolutionRunConfig: null,
-      hyperparameters: null
+    return this.loadTemplateDirectory(templateDir, templateName);
+  }
+
+  /**
+   * Load template configs from any directory (e.g. a version snapshot),
+   * flattened over the templates it extends
+   */
+  async loadTemplateDirectory(templateDir, templateName) {
+    const layers = await this.getTemplateChain(templateName, templateDir);
+    const flattened = this.flattenTemplateLayers(layers);
+
+    return {
+      templateName,
+      templateDir,
+      evolutionRuns: flattened.evolutionRunsConfig,
+      evolutionRunConfig: flattened.evolutionRunConfig && this.resolvePathPlaceholders(flattened.evolutionRunConfig),
+      hyperparameters: flattened.hyperparameters && this.resolvePathPlaceholders(flattened.hyperparameters),
+      baseTemplates: layers.slice(0, -1).map(layer => layer.templateName).reverse()
     };
+  }
 
-    // Load evolution runs config
-    const evolutionRunsPath = path.join(templateDir, 'evolution-runs-config.jsonc');
-    if (await fs.pathExists(evolutionRunsPath)) {
-      const content = await fs.readFile(evolutionRunsPath, 'utf8');
-      configFiles.evolutionRuns = parseJSONC(content);
+  /**
+   * Read a template and the templates it extends (template-info.jsonc "extends")
+   * @param {string} templateName
+   * @param {string} [templateDir] - Where the template itself is, its bases are always in templates/
+   * @returns {Promise<Object[]>} Layers of raw (unresolved) configs, the root base first
+   */
+  async getTemplateChain(templateName, templateDir = path.join(this.templatesDir, templateName)) {
+    const layers = [];
+    const seen = [];
+    let name = templateName;
+    let dir = templateDir;
+
+    while (name !== undefined) {
+      if (seen.includes(name)) {
+        throw new Error(`Invalid template '${templateName}': extends cycle ${[...seen, name].join(' -> ')}`);
+      }
+      if (!await fs.pathExists(dir)) {
+        throw new Error(seen.length === 0
+          ? `Template '${name}' not found`
+          : `Invalid template '${templateName}': '${seen[seen.length - 1]}' extends '${name}', which does not exist`);
+      }
+      seen.push(name);
+
+      const layer = { templateName: name, templateDir: dir, ...await this.readTemplateFiles(dir) };
+      layers.unshift(layer);
+
+      name = layer.templateInfo?.extends;
+      if (name !== undefined) {
+        if (typeof name !== 'string' || !/^[A-Za-z0-9][\w.-]*$/.test(name)) {
+          throw new Error(`Invalid template '${templateName}': extends must be a template name, got ${JSON.stringify(name)}`);
+        }
+        dir = path.join(this.templatesDir, name);
+      }
     }
 
-    // Load evolution run config
-    const evolutionRunConfigPath = path.join(templateDir, 'evolution-run-config.jsonc');
-    if (await fs.pathExists(evolutionRunConfigPath)) {
-      const content = await fs.readFile(evolutionRunConfigPath, 'utf8');
-      configFiles.evolutionRunConfig = this.resolvePathPlaceholders(parseJSONC(content));
+    return layers;
+  }
+
+  /**
+   * Names of the templates that directly extend a template
+   */
+  async findExtendingTemplates(templateName) {
+    const extending = [];
+    if (!await fs.pathExists(this.templatesDir)) return extending;
+
+    for (const entry of await fs.readdir(this.templatesDir, { withFileTypes: true })) {
+      const infoPath = path.join(this.templatesDir, entry.name, TEMPLATE_CONFIG_FILES.templateInfo);
+      if (entry.isDirectory() && await fs.pathExists(infoPath)) {
+        if (parseJSONC(await fs.readFile(infoPath, 'utf8'))?.extends === templateName) {
+          extending.push(entry.name);
+        }
+      }
     }
+    return extending;
+  }
 
-    // Load hyperparameters
-    const hyperparametersPath = path.join(templateDir, 'evolutionary-hyperparameters.jsonc');
-    if (await fs.pathExists(hyperparametersPath)) {
-      const content = await fs.readFile(hyperparametersPath, 'utf8');
-      configFiles.hyperparameters = this.resolvePathPlaceholders(parseJSONC(content));
+  /**
+   * Parse the config files of one template directory, null for missing files
+   */
+  async readTemplateFiles(templateDir) {
+    const configs = {};
+    for (const [key, file] of Object.entries(TEMPLATE_CONFIG_FILES)) {
+      const filePath = path.join(templateDir, file);
+      configs[key] = await fs.pathExists(filePath) ? parseJSONC(await fs.readFile(filePath, 'utf8')) : null;
     }
+    return configs;
+  }
 
-    return {
-      templateName,
-      templateDir,
-      ...configFiles
-    };
+  /**
+   * Deep-merge template layers, each over the ones before it.
+   * Arrays are concatenated, except those in REPLACED_ARRAY_KEYS, which the
+   * extending template replaces as a whole.
+   * @param {Object[]} layers - From getTemplateChain()
+   * @returns {Object} Configs by TEMPLATE_CONFIG_FILES key, without "extends"
+   */
+  flattenTemplateLayers(layers) {
+    const flattened = {};
+    for (const key of Object.keys(TEMPLATE_CONFIG_FILES)) {
+      const configs = layers.map(layer => layer[key]).filter(config => config !== null && config !== undefined);
+      flattened[key] = configs.length > 1 ? merge.all(configs, TEMPLATE_MERGE_OPTIONS) : configs[0] ?? null;
+    }
+    if (flattened.templateInfo && 'extends' in flattened.templateInfo) {
+      const { extends: _base, ...templateInfo } = flattened.templateInfo;
+      flattened.templateInfo = templateInfo;
+    }
+    return flattened;
   }
 
   /**
@@ -506,7 +718,7 @@ export class ConfigManager {
     // Load global defaults and merge with request-specific options
     // Priority: request options > global defaults
     const globalDefaults = await this.loadGlobalDefaults();
-    const mergedOptions = { ...globalDefaults, ...options };
+    const mergedOptions = { ...globalDefaults, ...options, runId };
 
     // Apply any runtime options to the configuration
     const workingConfig = this.applyRuntimeOptions(templateConfig, mergedOptions);
@@ -649,6 +861,15 @@ export class ConfigManager {
       }
     }
 
+    // Apply JSON-path overrides last so they win over the named options above, e.g.
+    // { "evolutionRunConfig.classifiers[1].classConfigurations[0].qualityEvaluationEndpoint": "/q" }
+    // (validated against the template with validateOverrides before a run starts)
+    if (options.overrides) {
+      for (const [jsonPath, value] of Object.entries(options.overrides)) {
+        setJsonPath(workingConfig, jsonPath, value);
+      }
+    }
+
     return workingConfig;
   }
 
@@ -704,24 +925,67 @@ export class ConfigManager {
   }
 
   /**
-   * Clean up old working configurations
+   * Read a run's working configs back from its evolution-runs-config.jsonc
+   * @param {string} configFilePath - The run's configPath
+   * @returns {Promise<Object>} { evolutionRuns, evolutionRunConfig, hyperparameters,
+   *   iterationId, evorunPath } - evorunPath is where the CLI writes the run's
+   *   genomes and elite maps (evoRunsDirPath/iterationId)
+   */
+  async readWorkingConfigs(configFilePath) {
+    const readConfig = async filePath => (filePath && await fs.pathExists(filePath)
+      ? parseJSONC(await fs.readFile(filePath, 'utf8'))
+      : null);
+
+    const evolutionRuns = await readConfig(configFilePath);
+    if (!evolutionRuns) {
+      throw new Error(`Working config ${configFilePath} not found`);
+    }
+    const evolutionRunConfig = await readConfig(evolutionRuns.baseEvolutionRunConfigFile);
+    const hyperparameters = await readConfig(evolutionRuns.baseEvolutionaryHyperparametersFile);
+    const iterationId = evolutionRuns.evoRuns?.[0]?.iterations?.[0]?.id ?? null;
+    const evoRunsDirPath = evolutionRunConfig?.evoRunsDirPath;
+
+    return {
+      evolutionRuns,
+      evolutionRunConfig,
+      hyperparameters,
+      iterationId,
+      evorunPath: evoRunsDirPath && iterationId ? path.join(evoRunsDirPath, iterationId) : null
+    };
+  }
+
+  /**
+   * Clean up old working configurations of runs that are no longer known.
+   * Only run directories (named by ULID) are considered.
+   * @param {number} [maxAge] - Milliseconds since the directory was last modified
+   * @param {Object} [options]
+   * @param {string[]} [options.keep] - Run IDs whose directories stay
+   * @param {boolean} [options.dryRun] - Only report what would be removed
+   * @returns {Promise<string[]>} Names of the removed directories
    */
-  async cleanupOldConfigs(maxAge = 7 * 24 * 60 * 60 * 1000) { // 7 days default
+  async cleanupOldConfigs(maxAge = 7 * 24 * 60 * 60 * 1000, { keep = [], dryRun = false } = {}) { // 7 days default
+    const removed = [];
     try {
       const workingDirs = await fs.readdir(this.workingDir);
       const now = Date.now();
 
       for (const dirName of workingDirs) {
+        if (!RUN_ID_PATTERN.test(dirName) || keep.includes(dirName)) continue;
+
         const dirPath = path.join(this.workingDir, dirName);
         const stat = await fs.stat(dirPath);
         
         if (stat.isDirectory() && (now - stat.mtime.getTime()) > maxAge) {
-          await fs.remove(dirPath);
-          console.log(`🧹 Cleaned up old working config: ${dirName}`);
+          if (!dryRun) {
+            await fs.remove(dirPath);
+            console.log(`🧹 Cleaned up old working config: ${dirName}`);
+          }
+          removed.push(dirName);
         }
       }
     } catch (error) {
       console.error('Failed to cleanup old configs:', error);
     }
+    return removed;
   }
 }
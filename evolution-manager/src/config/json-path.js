@@ -0,0 +1,133 @@
+/**
+ * JSON paths into run configurations, e.g.
+ *   "hyperparameters.mutationRate"
+ *   "evolutionRunConfig.classifiers[1].classConfigurations[0].qualityEvaluationEndpoint"
+ *
+ * The first segment names the config file: evolutionRunConfig or hyperparameters.
+ */
+
+export const CONFIG_ROOTS = ['evolutionRunConfig', 'hyperparameters'];
+
+/**
+ * Split a path into property names and array indices
+ * @param {string} jsonPath
+ * @returns {(string|number)[]}
+ */
+export function parseJsonPath(jsonPath) {
+  if (typeof jsonPath !== 'string' || !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*|\[\d+\])*$/.test(jsonPath)) {
+    throw new Error(`Invalid JSON path '${jsonPath}'`);
+  }
+  const segments = [];
+  for (const [, key, index] of jsonPath.matchAll(/([A-Za-z_$][\w$]*)|\[(\d+)\]/g)) {
+    segments.push(key !== undefined ? key : parseInt(index));
+  }
+  if (!CONFIG_ROOTS.includes(segments[0])) {
+    throw new Error(`Invalid JSON path '${jsonPath}': must start with ${CONFIG_ROOTS.join(' or ')}`);
+  }
+  if (segments.length < 2) {
+    throw new Error(`Invalid JSON path '${jsonPath}': names a whole config file`);
+  }
+  return segments;
+}
+
+/**
+ * Read the value at a path, undefined if any segment is missing
+ */
+export function getJsonPath(target, jsonPath) {
+  let current = target;
+  for (const segment of parseJsonPath(jsonPath)) {
+    if (current === null || typeof current !== 'object') return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Set the value at a path, creating missing objects along the way
+ */
+export function setJsonPath(target, jsonPath, value) {
+  const segments = parseJsonPath(jsonPath);
+  let current = target;
+  for (const [i, segment] of segments.slice(0, -1).entries()) {
+    if (current[segment] === undefined || current[segment] === null) {
+      current[segment] = typeof segments[i + 1] === 'number' ? [] : {};
+    } else if (typeof current[segment] !== 'object') {
+      throw new Error(`Invalid JSON path '${jsonPath}': '${segment}' is not an object`);
+    }
+    current = current[segment];
+  }
+  current[segments[segments.length - 1]] = value;
+  return target;
+}
+
+/**
+ * Check JSON-path overrides against a loaded template: each path's parent must
+ * exist in the template (array indices within bounds), and a value replacing
+ * an existing one must keep its type. New keys may be added to existing objects.
+ * @param {Object} template - Loaded template with evolutionRunConfig and hyperparameters
+ * @param {Object} [overrides] - { "<path>": value }
+ * @throws {Error} 'Invalid override ...' describing the first offending path
+ */
+export function validateOverrides(template, overrides) {
+  if (overrides === undefined || overrides === null) return;
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Invalid overrides: expected an object mapping JSON paths to values');
+  }
+
+  for (const [jsonPath, value] of Object.entries(overrides)) {
+    const segments = parseJsonPath(jsonPath);
+    let current = template;
+    for (const [i, segment] of segments.entries()) {
+      if (Array.isArray(current) && segment >= current.length) {
+        throw new Error(`Invalid override '${jsonPath}': index ${segment} is out of range (${formatJsonPath(segments.slice(0, i))} has ${current.length} entries)`);
+      }
+      if (i === segments.length - 1) break;
+
+      current = current?.[segment];
+      const expectArray = typeof segments[i + 1] === 'number';
+      if (current === null || typeof current !== 'object' || Array.isArray(current) !== expectArray) {
+        throw new Error(`Invalid override '${jsonPath}': ${formatJsonPath(segments.slice(0, i + 1))} is not ${expectArray ? 'an array' : 'an object'} in the template`);
+      }
+    }
+
+    const existing = current[segments[segments.length - 1]];
+    if (existing !== undefined && existing !== null && value !== null && valueType(existing) !== valueType(value)) {
+      throw new Error(`Invalid override '${jsonPath}': expected ${valueType(existing)} like the template, got ${valueType(value)}`);
+    }
+  }
+}
+
+/**
+ * Structural differences between two configs, as JSON paths
+ * @param {*} before
+ * @param {*} after
+ * @param {(string|number)[]} [segments] - Path of before/after, e.g. ['evolutionRunConfig']
+ * @returns {{ path: string, change: 'added'|'removed'|'changed', before?: *, after?: * }[]}
+ */
+export function diffConfigs(before, after, segments = []) {
+  const bothObjects = isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after);
+  if (!bothObjects) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    const at = formatJsonPath(segments);
+    if (before === undefined) return [{ path: at, change: 'added', after }];
+    if (after === undefined) return [{ path: at, change: 'removed', before }];
+    return [{ path: at, change: 'changed', before, after }];
+  }
+
+  const keys = Array.isArray(before)
+    ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index)
+    : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys.flatMap(key => diffConfigs(before[key], after[key], [...segments, key]));
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function formatJsonPath(segments) {
+  return segments.map((segment, i) => typeof segment === 'number' ? `[${segment}]` : (i > 0 ? '.' : '') + segment).join('');
+}
+
+function valueType(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
@@ -0,0 +1,198 @@
+/**
+ * JSON schemas for template files and a small validator for them.
+ *
+ * The validator covers the subset of JSON Schema the schemas below use:
+ * type (incl. "integer"), enum, minimum, maximum, minItems, required,
+ * properties, patternProperties, additionalProperties and items.
+ * Templates carry many CLI settings that are not described here; unknown
+ * keys are allowed unless a schema says otherwise.
+ */
+
+const PROBABILITY = { type: 'number', minimum: 0, maximum: 1 };
+const POSITIVE_INTEGER = { type: 'integer', minimum: 1 };
+const SERVER_LIST = { type: 'array', items: { type: 'string' } };
+
+export const EVOLUTION_RUNS_CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['evoRuns'],
+  properties: {
+    baseEvolutionRunConfigFile: { type: 'string' },
+    baseEvolutionaryHyperparametersFile: { type: 'string' },
+    evoRuns: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['label'],
+        properties: {
+          label: { type: 'string' },
+          iterations: { type: 'array' }
+        }
+      }
+    },
+    currentEvolutionRunIndex: { type: 'integer', minimum: 0 },
+    currentEvolutionRunIteration: { type: 'integer', minimum: 0 }
+  }
+};
+
+export const EVOLUTION_RUN_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    algorithm: { type: 'string' },
+    batchSize: POSITIVE_INTEGER,
+    maxNumberOfParents: POSITIVE_INTEGER,
+    populationSize: POSITIVE_INTEGER,
+    gridDepth: POSITIVE_INTEGER,
+    seedEvals: { type: 'integer', minimum: 0 },
+    terminationCondition: { type: 'object' },
+    evoRunsDirPath: { type: 'string' },
+    evoRendersDirPath: { type: 'string' },
+    classifiers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          classificationDimensions: { type: 'array' },
+          classConfigurations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                refSetName: { type: 'string' },
+                featureExtractionType: { type: 'string' },
+                featureExtractionEndpoint: { type: 'string' },
+                qualityEvaluationEndpoint: { type: 'string' },
+                projectionEndpoint: { type: 'string' },
+                zScoreNormalisationReferenceFeaturesPaths: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          }
+        }
+      }
+    },
+    geneVariationServers: SERVER_LIST,
+    geneRenderingServers: SERVER_LIST,
+    geneEvaluationServers: SERVER_LIST,
+    evaluationFeatureServers: SERVER_LIST,
+    evaluationQualityServers: SERVER_LIST,
+    evaluationProjectionServers: SERVER_LIST,
+    cmaMAEConfig: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        pyribsEndpoint: { type: 'string' }
+      }
+    }
+  }
+};
+
+export const HYPERPARAMETERS_SCHEMA = {
+  type: 'object',
+  properties: {
+    populationSize: POSITIVE_INTEGER,
+    maxGenerations: POSITIVE_INTEGER,
+    mutationRate: PROBABILITY,
+    crossoverRate: PROBABILITY,
+    elitismRate: PROBABILITY,
+    waveNetwork: {
+      type: 'object',
+      properties: {
+        neatParameters: {
+          type: 'object',
+          patternProperties: { '^p[A-Z]': PROBABILITY }
+        },
+        activationFunctionProbabilities: {
+          type: 'object',
+          additionalProperties: PROBABILITY
+        }
+      }
+    },
+    audioGraph: { type: 'object' }
+  }
+};
+
+export const TEMPLATE_INFO_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    version: { type: 'string' },
+    author: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    estimatedRunTime: { type: 'string' },
+    resourceRequirements: { type: 'object' },
+    extends: { type: 'string' },
+    autoStop: { type: 'object' }, // checked in detail by auto-stop-policy.js
+    originalConfig: { type: 'object' }
+  }
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [at] - Path of the value, used in messages
+ * @returns {{ path: string, message: string }[]} Empty when valid
+ */
+export function validateSchema(value, schema, at = '') {
+  const errors = [];
+  const fail = message => errors.push({ path: at || '(root)', message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`expected ${schema.type}, got ${typeOf(value)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+    }
+  } else if (value !== null && typeof value === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail(`missing required property '${key}'`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = at ? `${at}.${key}` : key;
+      const propertySchema = schema.properties?.[key];
+      const patternSchemas = Object.entries(schema.patternProperties || {})
+        .filter(([pattern]) => new RegExp(pattern).test(key))
+        .map(([, patternSchema]) => patternSchema);
+
+      if (propertySchema) errors.push(...validateSchema(child, propertySchema, childPath));
+      for (const patternSchema of patternSchemas) {
+        errors.push(...validateSchema(child, patternSchema, childPath));
+      }
+      if (!propertySchema && patternSchemas.length === 0 && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail(`unknown property '${key}'`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...validateSchema(child, schema.additionalProperties, childPath));
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
@@ -0,0 +1,279 @@
+/**
+ * TemplateValidator - checks a template before anything is started for it.
+ *
+ * On top of the schemas in template-schema.js it cross-checks:
+ *   - the services the run config needs (detectRequiredServices) against the
+ *     apps of the ecosystem variant
+ *   - that {{PLACEHOLDER}} paths resolve to existing files; missing output
+ *     directories only warn, since the CLI creates them
+ *   - the readiness probes the apps declare (readiness-probe.js)
+ *
+ * Problems are reported as { file, path, message }: errors make a template
+ * invalid, warnings do not.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { parse as parseJSONC, printParseErrorCode } from 'jsonc-parser';
+import {
+  EVOLUTION_RUNS_CONFIG_SCHEMA,
+  EVOLUTION_RUN_CONFIG_SCHEMA,
+  HYPERPARAMETERS_SCHEMA,
+  TEMPLATE_INFO_SCHEMA,
+  validateSchema
+} from './template-schema.js';
+import { normalizeAutoStopPolicies } from '../core/auto-stop-policy.js';
+import { validateReadinessProbe } from '../core/readiness-probe.js';
+import { detectRequiredServices } from '../../scripts/generate-ecosystem-config.js';
+
+export const TEMPLATE_FILES = [
+  { file: 'evolution-runs-config.jsonc', key: 'evolutionRunsConfig', schema: EVOLUTION_RUNS_CONFIG_SCHEMA },
+  { file: 'evolution-run-config.jsonc', key: 'evolutionRunConfig', schema: EVOLUTION_RUN_CONFIG_SCHEMA },
+  { file: 'evolutionary-hyperparameters.jsonc', key: 'hyperparameters', schema: HYPERPARAMETERS_SCHEMA },
+  { file: 'template-info.jsonc', key: 'templateInfo', schema: TEMPLATE_INFO_SCHEMA, optional: true }
+];
+
+// detectRequiredServices() keys -> service types of ServiceDependencyManager.mapAppToServiceType()
+const REQUIRED_SERVICE_TYPES = {
+  variation: 'geneVariation',
+  render: 'geneRendering',
+  clapService: 'clapFeatures',
+  genericFeatures: 'evaluationFeatures',
+  refFeatures: 'evaluationQuality',
+  qdhfProjection: 'qdhfProjection',
+  umapProjection: 'evaluationProjection',
+  qualityMusicality: 'qualityMusicality',
+  pyribs: 'pyribs'
+};
+
+// Services whose endpoints replace those of another service type
+// (see PortManager.generateServiceUrls), e.g. CLAP features stand in for evaluationFeatures
+const SUBSTITUTE_SERVICE_TYPES = {
+  evaluationFeatures: 'clapFeatures',
+  evaluationQuality: 'qualityMusicality',
+  evaluationProjection: 'qdhfProjection'
+};
+
+// Directories the CLI writes to (and creates when missing)
+const OUTPUT_DIRECTORY_KEYS = ['evoRunsDirPath', 'evoRendersDirPath', 'evaluationCandidateWavFilesDirPath', 'favoritesDirPath', 'ckptDir'];
+
+export class TemplateValidator {
+  /**
+   * @param {ConfigManager} configManager
+   * @param {ServiceDependencyManager} serviceDependencyManager
+   */
+  constructor(configManager, serviceDependencyManager) {
+    this.configManager = configManager;
+    this.serviceDependencyManager = serviceDependencyManager;
+  }
+
+  /**
+   * Validate a template on disk
+   * @param {string} templateName
+   * @param {string} [ecosystemVariant='default']
+   * @returns {Promise<Object>} { templateName, ecosystemVariant, valid, errors, warnings, services }
+   */
+  async validate(templateName, ecosystemVariant = 'default') {
+    const templateDir = path.join(this.configManager.templatesDir, templateName);
+    if (!await fs.pathExists(templateDir)) {
+      throw new Error(`Template '${templateName}' not found`);
+    }
+    return this.validateDirectory(templateDir, templateName, ecosystemVariant);
+  }
+
+  /**
+   * Validate template files in any directory (e.g. staged by ConfigManager.stageTemplate)
+   * @param {string} templateDir
+   * @param {string} templateName - Used to find ecosystem configs outside the directory
+   * @param {string} [ecosystemVariant='default']
+   */
+  async validateDirectory(templateDir, templateName, ecosystemVariant = 'default') {
+    const errors = [];
+    const warnings = [];
+    const parsed = {};
+    const unparsable = new Set();
+
+    for (const { file, key } of TEMPLATE_FILES) {
+      const filePath = path.join(templateDir, file);
+      if (!await fs.pathExists(filePath)) continue;
+
+      const content = await fs.readFile(filePath, 'utf8');
+      const parseErrors = [];
+      parsed[key] = parseJSONC(content, parseErrors, { allowTrailingComma: true });
+      for (const parseError of parseErrors) {
+        const line = content.slice(0, parseError.offset).split('\n').length;
+        errors.push({ file, path: null, message: `${printParseErrorCode(parseError.error)} at line ${line}` });
+      }
+      if (parseErrors.length > 0) unparsable.add(key);
+    }
+
+    // A template that extends another is checked as flattened over its bases
+    let layerDirs = [templateDir];
+    const extended = parsed.templateInfo?.extends !== undefined && unparsable.size === 0;
+    if (extended) {
+      try {
+        const layers = await this.configManager.getTemplateChain(templateName, templateDir);
+        Object.assign(parsed, this.configManager.flattenTemplateLayers(layers));
+        layerDirs = layers.map(layer => layer.templateDir).reverse();
+      } catch (error) {
+        errors.push({ file: 'template-info.jsonc', path: 'extends', message: error.message });
+      }
+    }
+
+    for (const { file, key, schema, optional } of TEMPLATE_FILES) {
+      if (unparsable.has(key)) continue;
+      if (parsed[key] === undefined || parsed[key] === null) {
+        const message = optional ? 'file is missing, defaults apply' : 'file is missing';
+        (optional ? warnings : errors).push({ file, path: null, message: extended ? `${message} (also in the templates it extends)` : message });
+        continue;
+      }
+      for (const issue of validateSchema(parsed[key], schema)) {
+        errors.push({ file, ...issue });
+      }
+    }
+
+    if (parsed.templateInfo?.autoStop !== undefined) {
+      try {
+        normalizeAutoStopPolicies(parsed.templateInfo.autoStop);
+      } catch (error) {
+        errors.push({ file: 'template-info.jsonc', path: 'autoStop', message: error.message });
+      }
+    }
+
+    await this._checkPlaceholderPaths(parsed, errors, warnings);
+    const services = await this._checkServices(layerDirs, templateName, ecosystemVariant, parsed.evolutionRunConfig, errors, warnings);
+
+    return {
+      templateName,
+      ecosystemVariant,
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      services
+    };
+  }
+
+  /**
+   * Every {{PLACEHOLDER}} must be known, and the path it starts must exist
+   */
+  async _checkPlaceholderPaths(parsed, errors, warnings) {
+    const files = [
+      ['evolution-run-config.jsonc', parsed.evolutionRunConfig],
+      ['evolutionary-hyperparameters.jsonc', parsed.hyperparameters]
+    ];
+
+    for (const [file, config] of files) {
+      for (const { path: at, key, value } of stringLeaves(config)) {
+        for (const [, rawPath, placeholder] of value.matchAll(/(\{\{(\w+)\}\}[^\s&"]*)/g)) {
+          if (!(placeholder in this.configManager.pathPlaceholders)) {
+            errors.push({ file, path: at, message: `unknown placeholder {{${placeholder}}}` });
+            continue;
+          }
+
+          const resolved = this.configManager.resolvePathPlaceholders(rawPath);
+          if (await fs.pathExists(resolved)) continue;
+          if (OUTPUT_DIRECTORY_KEYS.includes(key)) {
+            warnings.push({ file, path: at, message: `output directory ${resolved} does not exist yet` });
+          } else {
+            errors.push({ file, path: at, message: `${resolved} does not exist` });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Compare the services the run config needs with the ecosystem variant's apps
+   * @returns {Promise<Object>} { required, provided } service types
+   */
+  async _checkServices(layerDirs, templateName, ecosystemVariant, runConfig, errors, warnings) {
+    const sdm = this.serviceDependencyManager;
+    const requirements = runConfig && typeof runConfig === 'object'
+      ? detectRequiredServices(this.configManager.resolvePathPlaceholders(runConfig))
+      : {};
+    const required = Object.entries(REQUIRED_SERVICE_TYPES)
+      .filter(([requirement]) => requirements[requirement])
+      .map(([, serviceType]) => serviceType);
+
+    // The directory's own ecosystem configs first, then those of the
+    // templates it extends, then those of the CLI
+    let ecosystemTemplate;
+    try {
+      const localPath = layerDirs
+        .flatMap(dir => [`ecosystem_${ecosystemVariant}.config.js`, 'ecosystem.config.js'].map(file => path.join(dir, file)))
+        .find(file => fs.pathExistsSync(file));
+      ecosystemTemplate = localPath
+        ? { config: await sdm.importEcosystemConfig(localPath), path: localPath }
+        : await sdm.loadEcosystemTemplate(templateName, ecosystemVariant);
+    } catch (error) {
+      errors.push({ file: `ecosystem_${ecosystemVariant}.config.js`, path: null, message: `failed to load: ${error.message}` });
+      return { required, provided: [] };
+    }
+
+    if (!ecosystemTemplate) {
+      const issue = { file: `ecosystem_${ecosystemVariant}.config.js`, path: null, message: 'no ecosystem config found, the run starts without services' };
+      (ecosystemVariant === 'default' ? warnings : errors).push(issue);
+      return { required, provided: [] };
+    }
+
+    const file = path.basename(ecosystemTemplate.path);
+    const apps = ecosystemTemplate.config?.apps;
+    if (!Array.isArray(apps)) {
+      errors.push({ file, path: 'apps', message: 'expected an array of PM2 apps' });
+      return { required, provided: [] };
+    }
+
+    const provided = [];
+    apps.forEach((app, index) => {
+      for (const field of ['name', 'script']) {
+        if (typeof app?.[field] !== 'string' || !app[field]) {
+          errors.push({ file, path: `apps[${index}].${field}`, message: 'must be a non-empty string' });
+        }
+      }
+      const serviceType = sdm.mapAppToServiceType(app?.name);
+      if (serviceType) {
+        provided.push(serviceType);
+      } else if (app?.name) {
+        warnings.push({ file, path: `apps[${index}].name`, message: `'${app.name}' is not a known service, it gets no allocated port` });
+      }
+      const readinessProblem = validateReadinessProbe(app?.readiness);
+      if (readinessProblem) {
+        errors.push({ file, path: `apps[${index}].readiness`, message: readinessProblem });
+      } else if (app?.readiness && !serviceType) {
+        errors.push({ file, path: `apps[${index}].readiness`, message: 'a readiness probe needs an allocated port to probe' });
+      }
+    });
+
+    for (const serviceType of required) {
+      if (!provided.includes(serviceType) && !provided.includes(SUBSTITUTE_SERVICE_TYPES[serviceType])) {
+        errors.push({ file, path: null, message: `the run config needs the ${serviceType} service, which this ecosystem variant does not start` });
+      }
+    }
+    for (const serviceType of new Set(provided)) {
+      if (!required.includes(serviceType)) {
+        warnings.push({ file, path: null, message: `starts the ${serviceType} service, which the run config does not appear to use` });
+      }
+    }
+
+    return { required, provided: [...new Set(provided)] };
+  }
+}
+
+/**
+ * Format validation problems for an error message
+ */
+export function formatTemplateIssues(issues) {
+  return issues.map(({ file, path: at, message }) => `${file}${at ? ` ${at}` : ''}: ${message}`).join('; ');
+}
+
+function* stringLeaves(value, at = '', key = null) {
+  if (typeof value === 'string') {
+    yield { path: at, key, value };
+  } else if (Array.isArray(value)) {
+    for (const [index, item] of value.entries()) yield* stringLeaves(item, `${at}[${index}]`, key);
+  } else if (value !== null && typeof value === 'object') {
+    for (const [childKey, child] of Object.entries(value)) {
+      yield* stringLeaves(child, at ? `${at}.${childKey}` : childKey, childKey);
+    }
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * AuditLog - append-only record of who or what changed runs and the scheduler.
+ *
+ * Entries are appended as JSON lines to working/audit.jsonl and never
+ * rewritten. Each has a sequence number, a source and an actor:
+ *
+ *   source 'api'         - mutating API requests (actor: the authenticated caller,
+ *                          action: 'POST /api/runs/:runId/resume')
+ *   source 'scheduler'   - auto-run scheduler decisions (action: 'time-slice-started', ...)
+ *   source 'auto-resume' - recovery of crashed runs (action: 'scheduled', 'attempt', 'gave-up')
+ *
+ *   {"seq":12,"timestamp":"...","source":"api","actor":{"name":"ci","role":"operator","via":"api-key"},
+ *    "action":"POST /api/runs/:runId/resume","runId":"...","before":{"status":"stopped",...},
+ *    "after":{"status":"running",...},"status":200,"outcome":"success"}
+ *
+ * Every entry is also emitted as an 'entry' event, which the socket handler
+ * streams to subscribers.
+ */
+
+import { EventEmitter } from 'events';
+import readline from 'readline';
+import path from 'path';
+import fs from 'fs-extra';
+
+// Actor of entries the manager records on its own behalf
+export const SYSTEM_ACTOR = { name: 'evolution-manager', role: null, via: 'system' };
+
+const MAX_QUERY_LIMIT = 1000;
+const TAIL_READ_BYTES = 64 * 1024;
+
+export class AuditLog extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.logPath] - Defaults to working/audit.jsonl
+   */
+  constructor(options = {}) {
+    super();
+    this.logPath = options.logPath || path.join(process.cwd(), 'working', 'audit.jsonl');
+    this.seq = 0;
+    this._append = Promise.resolve(); // serializes appends, so lines never interleave
+  }
+
+  /**
+   * Continue the sequence numbers of an existing log
+   */
+  async load() {
+    try {
+      if (!await fs.pathExists(this.logPath)) return;
+      const { size } = await fs.stat(this.logPath);
+      const length = Math.min(size, TAIL_READ_BYTES);
+      const buffer = Buffer.alloc(length);
+      const handle = await fs.promises.open(this.logPath, 'r');
+      try {
+        await handle.read(buffer, 0, length, size - length);
+      } finally {
+        await handle.close();
+      }
+      const lastLine = buffer.toString('utf8').trim().split('\n').pop();
+      this.seq = lastLine ? JSON.parse(lastLine).seq || 0 : 0;
+    } catch (error) {
+      console.warn('⚠️ Failed to read the end of the audit log:', error.message);
+    }
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - { source, actor, action, runId, before, after, ... }
+   * @returns {Promise<Object>} The entry as written, with seq and timestamp
+   */
+  record(entry) {
+    const recorded = { seq: ++this.seq, timestamp: new Date().toISOString(), actor: SYSTEM_ACTOR, runId: null, ...entry };
+    this._append = this._append.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.logPath));
+        await fs.appendFile(this.logPath, JSON.stringify(recorded) + '\n');
+      } catch (error) {
+        console.warn('⚠️ Failed to write audit log:', error.message);
+      }
+    });
+    this.emit('entry', recorded);
+    return this._append.then(() => recorded);
+  }
+
+  /**
+   * Entries matching all given filters, newest first
+   * @param {Object} [query]
+   * @param {string} [query.runId]
+   * @param {string} [query.actor] - Actor name
+   * @param {string} [query.source] - api, scheduler or auto-resume
+   * @param {string} [query.action] - Part of the action, e.g. 'resume' or 'time-slice'
+   * @param {string} [query.outcome] - success, denied or failed
+   * @param {number|string} [query.from] - Start time (epoch ms or ISO date), inclusive
+   * @param {number|string} [query.to] - End time, inclusive
+   * @param {number} [query.before] - Only entries with a lower seq (the nextBefore of a page)
+   * @param {number} [query.limit=100]
+   * @returns {Promise<Object>} { entries, nextBefore (null on the last page) }
+   */
+  async query(query = {}) {
+    const from = parseTime(query.from, 'from');
+    const to = parseTime(query.to, 'to');
+    const before = query.before === undefined || query.before === '' ? null : Number(query.before);
+    const limit = Math.min(Number(query.limit ?? 100), MAX_QUERY_LIMIT);
+    if (before !== null && !Number.isInteger(before)) {
+      throw new Error(`Invalid audit cursor 'before': ${query.before}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid audit limit: ${query.limit}`);
+    }
+
+    await this._append;
+    if (!await fs.pathExists(this.logPath)) {
+      return { entries: [], nextBefore: null };
+    }
+
+    // One pass over the log, keeping the last limit + 1 matches
+    const matches = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(this.logPath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (before !== null && entry.seq >= before) break;
+      const time = Date.parse(entry.timestamp);
+      if ((from !== null && time < from) || (to !== null && time > to)) continue;
+      if (query.runId && entry.runId !== query.runId) continue;
+      if (query.actor && entry.actor?.name !== query.actor) continue;
+      if (query.source && entry.source !== query.source) continue;
+      if (query.outcome && entry.outcome !== query.outcome) continue;
+      if (query.action && !String(entry.action).includes(query.action)) continue;
+
+      matches.push(entry);
+      if (matches.length > limit + 1) matches.shift();
+    }
+
+    const hasMore = matches.length > limit;
+    const entries = matches.slice(-limit).reverse();
+    return { entries, nextBefore: hasMore ? entries[entries.length - 1].seq : null };
+  }
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid '${name}' time: ${value}`);
+  }
+  return time;
+}
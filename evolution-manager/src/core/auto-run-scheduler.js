@@ -6,25 +6,29 @@
  * - Time-sliced scheduling: runs are paused/resumed based on time allocation
  * - Round-robin and priority-based scheduling modes
  * - Automatic run start when existing runs complete or time slice expires
+ * - Starts queued run requests (see run-queue.js) ahead of template rotation
+ * - Records its decisions in the audit log (source 'scheduler')
  */
 
-import fs from 'fs-extra';
-import path from 'path';
 import { EventEmitter } from 'events';
 
+// Actor of the scheduler's audit log entries
+const SCHEDULER_ACTOR = { name: 'auto-run-scheduler', role: null, via: 'system' };
+
 export class AutoRunScheduler extends EventEmitter {
   constructor(evolutionManager) {
     super();
     this.evolutionManager = evolutionManager;
-    this.config = null;
-    this.configPath = path.join(process.cwd(), 'working', 'auto-run-config.json');
+    this.config = null; // persisted in the state store as scheduler/config
 
     // Time slice management
     this.timeSliceTimers = new Map(); // runId -> { warningTimer, expiryTimer, startedAt }
     this.activeTimeSlices = new Map(); // runId -> templateKey
+    this._sliceSave = Promise.resolve(); // see _persistSlice
 
     // Scheduling state
     this.isScheduling = false;
+    this.lastSlotSource = null; // 'queue' or 'rotation', whichever got the last free slot
     this.schedulerPaused = false;
     this.pauseReason = null;
 
@@ -41,12 +45,17 @@ export class AutoRunScheduler extends EventEmitter {
     // Clean up any invalid templates from the config
     await this.cleanupInvalidTemplates();
 
+    // Runs that kept running through a manager restart continue their slices
+    await this.restoreTimeSlices();
+
     console.log('📅 AutoRunScheduler initialized');
 
     // If scheduler was enabled before restart, resume scheduling
     if (this.config.enabled && !this.schedulerPaused) {
       console.log('📅 Resuming auto-run scheduling...');
       await this.resumeScheduling();
+    } else if (!this.schedulerPaused) {
+      await this.startScheduling(); // queued runs start either way
     }
   }
 
@@ -82,12 +91,13 @@ export class AutoRunScheduler extends EventEmitter {
   }
 
   /**
-   * Load configuration from disk
+   * Load configuration from the state store
    */
   async loadConfig() {
     try {
-      if (await fs.pathExists(this.configPath)) {
-        this.config = await fs.readJson(this.configPath);
+      const config = this.evolutionManager.stateStore.get('scheduler', 'config');
+      if (config) {
+        this.config = config;
         console.log(`📅 Loaded auto-run config: ${this.config.enabledTemplates?.length || 0} templates`);
       } else {
         this.config = this.getDefaultConfig();
@@ -101,12 +111,11 @@ export class AutoRunScheduler extends EventEmitter {
   }
 
   /**
-   * Save configuration to disk
+   * Save configuration to the state store
    */
   async saveConfig() {
     try {
-      await fs.ensureDir(path.dirname(this.configPath));
-      await fs.writeJson(this.configPath, this.config, { spaces: 2 });
+      await this.evolutionManager.stateStore.put('scheduler', 'config', this.config);
     } catch (error) {
       console.error('Failed to save auto-run config:', error);
     }
@@ -171,9 +180,11 @@ export class AutoRunScheduler extends EventEmitter {
    * Pause scheduling (e.g., due to failures)
    */
   pause(reason) {
+    const before = this._auditState();
     this.schedulerPaused = true;
     this.pauseReason = reason;
     this.clearAllTimers();
+    this._audit('scheduler-paused', { before, after: this._auditState(), details: { reason } });
 
     console.log(`📅 Auto-run scheduling paused: ${reason}`);
     this.emit('auto-run-status-change', this.getStatus());
@@ -205,7 +216,7 @@ export class AutoRunScheduler extends EventEmitter {
     this.emit('auto-run-status-change', this.getStatus());
 
     // Trigger scheduling check in case we can now start more runs
-    if (this.config.enabled && !this.schedulerPaused) {
+    if (!this.schedulerPaused) {
       await this.scheduleNextRun();
     }
   }
@@ -374,14 +385,15 @@ export class AutoRunScheduler extends EventEmitter {
   // ========================================
 
   /**
-   * Start the scheduling process
+   * Start the scheduling process. Queued runs are started even while template
+   * rotation is disabled; only a paused scheduler holds them back.
    */
   async startScheduling() {
-    if (!this.config.enabled || this.schedulerPaused) return;
+    if (this.schedulerPaused) return;
 
-    const enabledTemplates = this.getEnabledTemplates();
-    if (enabledTemplates.length === 0) {
-      console.log('📅 No enabled templates for auto-scheduling');
+    const enabledTemplates = this.config.enabled ? this.getEnabledTemplates() : [];
+    if (enabledTemplates.length === 0 && !this.evolutionManager.runQueue.hasQueued()) {
+      console.log('📅 No enabled templates or queued runs for auto-scheduling');
       return;
     }
 
@@ -398,10 +410,12 @@ export class AutoRunScheduler extends EventEmitter {
   }
 
   /**
-   * Schedule the next run based on scheduling mode
+   * Fill a free slot: with the next ready queued run or the next template of the
+   * rotation (per scheduling mode), taking turns when both are waiting. With
+   * rotation disabled, only queued runs are started.
    */
   async scheduleNextRun() {
-    if (!this.config.enabled || this.schedulerPaused || this.isScheduling) return;
+    if (this.schedulerPaused || this.isScheduling) return;
 
     this.isScheduling = true;
     try {
@@ -412,12 +426,23 @@ export class AutoRunScheduler extends EventEmitter {
         return;
       }
 
-      const template = this.selectNextTemplate();
+      // Queued run requests run to completion without time slices
+      const queueEntry = await this.evolutionManager.runQueue.nextReady(
+        id => this.evolutionManager.getRunStatus(id)
+      );
+      const template = this.config.enabled ? this.selectNextTemplate() : null;
+
+      if (queueEntry && (!template || this.lastSlotSource !== 'queue')) {
+        this.lastSlotSource = 'queue';
+        await this.startQueuedRun(queueEntry);
+        return;
+      }
       if (!template) {
         console.log('📅 No available templates to schedule');
         return;
       }
 
+      this.lastSlotSource = 'rotation';
       await this.resumeOrStartRun(template);
     } catch (error) {
       console.error('📅 Error scheduling next run:', error);
@@ -436,9 +461,13 @@ export class AutoRunScheduler extends EventEmitter {
     // Filter out templates that already have an active run
     const availableTemplates = enabledTemplates.filter(t => {
       if (!t.currentRunId) return true;
-      // Check if the current run is actually running or paused (not stopped/terminated)
+      // Runs that ended free the template; runs paused by the scheduler wait for
+      // their next turn (resumeOrStartRun picks them up again) unless a fork
+      // is copying their evorun
       const run = this.evolutionManager.runs.get(t.currentRunId);
-      return !run || ['stopped', 'terminated', 'failed'].includes(run.status);
+      return !run
+        || ['stopped', 'terminated', 'failed'].includes(run.status)
+        || (run.status === 'paused' && run.pausedByScheduler === true && !this.evolutionManager.forkingRuns.has(run.id));
     });
 
     if (availableTemplates.length === 0) return null;
@@ -469,8 +498,10 @@ export class AutoRunScheduler extends EventEmitter {
     if (pausedRun) {
       // Resume existing paused run
       console.log(`📅 Resuming paused run ${pausedRun.id} for ${key}`);
-      await this.evolutionManager.resumeRun(pausedRun.id);
+      const before = this.evolutionManager.auditState(pausedRun.id);
+      await this.evolutionManager.resumeRun(pausedRun.id, { cause: 'scheduler' });
       runId = pausedRun.id;
+      this._audit('run-resumed', { runId, before, after: this.evolutionManager.auditState(runId), details: { templateName: templateConfig.templateName, ecosystemVariant: templateConfig.ecosystemVariant } });
 
       this.emit('run-resumed', { runId, templateName: templateConfig.templateName, ecosystemVariant: templateConfig.ecosystemVariant });
     } else {
@@ -486,6 +517,7 @@ export class AutoRunScheduler extends EventEmitter {
       );
 
       // The autoScheduled flag is now set in startRun via options
+      this._audit('run-started', { runId, before: null, after: this.evolutionManager.auditState(runId), details: { templateName: templateConfig.templateName, ecosystemVariant: templateConfig.ecosystemVariant } });
     }
 
     // Update template tracking
@@ -496,6 +528,7 @@ export class AutoRunScheduler extends EventEmitter {
     // Start time slice timer
     const durationMs = templateConfig.timeSliceMinutes * 60 * 1000;
     this.startTimeSliceTimer(runId, durationMs, templateConfig);
+    this._audit('time-slice-started', { runId, details: { templateName: templateConfig.templateName, ecosystemVariant: templateConfig.ecosystemVariant, durationMinutes: templateConfig.timeSliceMinutes } });
 
     this.emit('time-slice-started', {
       runId,
@@ -507,6 +540,32 @@ export class AutoRunScheduler extends EventEmitter {
     return runId;
   }
 
+  /**
+   * Start the run for a queue entry (the entry ID becomes the run ID)
+   */
+  async startQueuedRun(entry) {
+    const runQueue = this.evolutionManager.runQueue;
+    const key = this.getTemplateKey(entry.templateName, entry.ecosystemVariant);
+    console.log(`📅 Starting queued run ${entry.id} for ${key}`);
+
+    await runQueue.markStarted(entry.id);
+    try {
+      await this.evolutionManager.startRun(
+        entry.templateName,
+        { ...entry.options, ecosystemVariant: entry.ecosystemVariant, autoScheduled: true },
+        entry.id
+      );
+    } catch (error) {
+      await runQueue.markFailed(entry.id, error.message);
+      this._audit('queued-run-started', { runId: entry.id, outcome: 'failed', details: { templateName: entry.templateName, error: error.message } });
+      throw error;
+    }
+    this._audit('queued-run-started', { runId: entry.id, before: { status: 'queued' }, after: this.evolutionManager.auditState(entry.id), details: { templateName: entry.templateName, ecosystemVariant: entry.ecosystemVariant, batchId: entry.batchId } });
+
+    this.emit('queued-run-started', { runId: entry.id, templateName: entry.templateName, ecosystemVariant: entry.ecosystemVariant, batchId: entry.batchId });
+    return entry.id;
+  }
+
   /**
    * Find a paused run for a template
    */
@@ -516,7 +575,8 @@ export class AutoRunScheduler extends EventEmitter {
       r.templateName === templateName &&
       r.ecosystemVariant === ecosystemVariant &&
       r.status === 'paused' &&
-      r.pausedByScheduler === true
+      r.pausedByScheduler === true &&
+      !this.evolutionManager.forkingRuns.has(r.id)
     );
   }
 
@@ -526,12 +586,16 @@ export class AutoRunScheduler extends EventEmitter {
 
   /**
    * Start a time slice timer for a run
+   * @param {string} runId
+   * @param {number} durationMs - Length of the whole slice
+   * @param {Object} templateConfig
+   * @param {number} [startedAt] - When the slice started (earlier for restored slices)
    */
-  startTimeSliceTimer(runId, durationMs, templateConfig) {
+  startTimeSliceTimer(runId, durationMs, templateConfig, startedAt = Date.now()) {
     // Clear existing timer if any
-    this.clearTimeSliceTimer(runId);
+    this._stopTimeSliceTimer(runId);
 
-    const startedAt = Date.now();
+    const remainingMs = Math.max(0, durationMs - (Date.now() - startedAt));
 
     // Warning timer (5 minutes before expiry, or half the duration if less than 10 min)
     const warningTime = Math.min(5 * 60 * 1000, durationMs / 2);
@@ -541,21 +605,83 @@ export class AutoRunScheduler extends EventEmitter {
         remainingMs: durationMs - (Date.now() - startedAt),
         templateName: templateConfig.templateName
       });
-    }, durationMs - warningTime);
+    }, Math.max(0, remainingMs - warningTime));
 
     // Expiry timer
     const expiryTimer = setTimeout(() => {
       this.onTimeSliceExpired(runId, templateConfig);
-    }, durationMs);
+    }, remainingMs);
 
     this.timeSliceTimers.set(runId, { warningTimer, expiryTimer, startedAt, durationMs });
     this.activeTimeSlices.set(runId, this.getTemplateKey(templateConfig.templateName, templateConfig.ecosystemVariant));
+    this._persistSlice(runId, {
+      templateName: templateConfig.templateName,
+      ecosystemVariant: templateConfig.ecosystemVariant,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs
+    });
+  }
+
+  /**
+   * Continue the slices that were in flight when the previous manager stopped,
+   * with the time they have left. They come from the state store; for state
+   * saved before slices were kept there, from run.timeSliceStartedAt of the
+   * templates' current runs. A slice that ran out while the manager was down
+   * expires on the spot.
+   */
+  async restoreTimeSlices() {
+    const store = this.evolutionManager.stateStore;
+    const slices = store.all('timeSlices');
+    for (const templateConfig of this.config.enabledTemplates) {
+      const run = templateConfig.currentRunId && this.evolutionManager.runs.get(templateConfig.currentRunId);
+      if (run?.timeSliceStartedAt && !slices[run.id]) {
+        slices[run.id] = {
+          templateName: templateConfig.templateName,
+          ecosystemVariant: templateConfig.ecosystemVariant,
+          startedAt: run.timeSliceStartedAt,
+          durationMs: templateConfig.timeSliceMinutes * 60 * 1000
+        };
+      }
+    }
+
+    for (const [runId, slice] of Object.entries(slices)) {
+      if (this.timeSliceTimers.has(runId)) continue;
+      const run = this.evolutionManager.runs.get(runId);
+      const templateConfig = this.findTemplateConfig(slice.templateName, slice.ecosystemVariant);
+      if (!run || run.status !== 'running' || !templateConfig) {
+        // The run ended, or its template was removed, while the manager was down
+        if (store.get('timeSlices', runId)) await store.delete('timeSlices', runId);
+        continue;
+      }
+
+      const startedAt = new Date(slice.startedAt).getTime();
+      const remainingMs = slice.durationMs - (Date.now() - startedAt);
+      const details = { templateName: slice.templateName, ecosystemVariant: slice.ecosystemVariant, remainingMs: Math.max(0, remainingMs) };
+      if (remainingMs <= 0) {
+        console.log(`📅 Time slice of run ${runId} ran out while the manager was down (${Math.round(-remainingMs / 1000)}s ago)`);
+        this._audit('time-slice-restored', { runId, details: { ...details, overdueMs: -remainingMs } });
+        await this.onTimeSliceExpired(runId, templateConfig);
+      } else {
+        console.log(`📅 Restored time slice of run ${runId} (${Math.round(remainingMs / 1000)}s left)`);
+        this._audit('time-slice-restored', { runId, details });
+        this.startTimeSliceTimer(runId, slice.durationMs, templateConfig, startedAt);
+      }
+    }
   }
 
   /**
    * Clear time slice timer for a run
    */
   clearTimeSliceTimer(runId) {
+    const persisted = this.timeSliceTimers.has(runId) || this.evolutionManager.stateStore.get('timeSlices', runId);
+    this._stopTimeSliceTimer(runId);
+    if (persisted) {
+      this._persistSlice(runId, null);
+    }
+  }
+
+  // Clear the timers only; the slice stays in the state store
+  _stopTimeSliceTimer(runId) {
     const timers = this.timeSliceTimers.get(runId);
     if (timers) {
       clearTimeout(timers.warningTimer);
@@ -565,6 +691,14 @@ export class AutoRunScheduler extends EventEmitter {
     this.activeTimeSlices.delete(runId);
   }
 
+  // Slices in flight are kept in the state store (collection 'timeSlices') for
+  // restoreTimeSlices; writes are queued behind each other
+  _persistSlice(runId, slice) {
+    const store = this.evolutionManager.stateStore;
+    this._sliceSave = store.transaction(tx => slice ? tx.put('timeSlices', runId, slice) : tx.delete('timeSlices', runId))
+      .catch(error => console.warn(`⚠️ Failed to save the time slice of run ${runId}: ${error.message}`));
+  }
+
   /**
    * Clear all time slice timers
    */
@@ -585,6 +719,7 @@ export class AutoRunScheduler extends EventEmitter {
 
     // Get the run
     const run = this.evolutionManager.runs.get(runId);
+    this._audit('time-slice-expired', { runId, before: this.evolutionManager.auditState(runId), details: { templateName: templateConfig.templateName, durationMinutes: templateConfig.timeSliceMinutes } });
     if (!run || run.status !== 'running') {
       // Run already stopped/terminated, just schedule next
       await this.scheduleNextRun();
@@ -617,9 +752,10 @@ export class AutoRunScheduler extends EventEmitter {
    */
   async pauseRunForScheduling(runId) {
     console.log(`📅 Pausing run ${runId} for scheduling rotation`);
+    const before = this.evolutionManager.auditState(runId);
 
     // Use the evolution manager's pause method
-    await this.evolutionManager.pauseRun(runId);
+    await this.evolutionManager.pauseRun(runId, { cause: 'scheduler' });
 
     // Mark as paused by scheduler
     const run = this.evolutionManager.runs.get(runId);
@@ -627,6 +763,7 @@ export class AutoRunScheduler extends EventEmitter {
       run.pausedByScheduler = true;
       run.pauseCount = (run.pauseCount || 0) + 1;
     }
+    this._audit('run-paused', { runId, before, after: this.evolutionManager.auditState(runId) });
 
     this.emit('run-paused', { runId, pausedByScheduler: true });
   }
@@ -668,8 +805,8 @@ export class AutoRunScheduler extends EventEmitter {
 
     this.emit('run-ended', { runId, reason });
 
-    // Schedule next run if auto-run is active
-    if (this.config.enabled && !this.schedulerPaused) {
+    // Schedule the next run (a queued one, with auto-run disabled)
+    if (!this.schedulerPaused) {
       this.scheduleNextRun();
     }
   }
@@ -711,6 +848,7 @@ export class AutoRunScheduler extends EventEmitter {
         totalTemplatesCount: 0,
         consecutiveFailures: 0,
         activeTimeSlices: 0,
+        queuedRuns: 0,
         initialized: false
       };
     }
@@ -726,6 +864,7 @@ export class AutoRunScheduler extends EventEmitter {
       totalTemplatesCount: this.config.enabledTemplates.length,
       consecutiveFailures: this.config.consecutiveFailures,
       activeTimeSlices: this.activeTimeSlices.size,
+      queuedRuns: this.evolutionManager.runQueue.getQueued().length,
       initialized: true
     };
   }
@@ -839,12 +978,31 @@ export class AutoRunScheduler extends EventEmitter {
     return this.config;
   }
 
+  /**
+   * Record a scheduler decision in the audit log
+   */
+  _audit(action, { runId = null, ...fields } = {}) {
+    this.evolutionManager.auditLog?.record({ source: 'scheduler', actor: SCHEDULER_ACTOR, action, runId, ...fields });
+  }
+
+  _auditState() {
+    return {
+      paused: this.schedulerPaused,
+      pauseReason: this.pauseReason,
+      consecutiveFailures: this.config?.consecutiveFailures ?? 0
+    };
+  }
+
   /**
    * Shutdown the scheduler
    */
   async shutdown() {
     console.log('📅 Shutting down AutoRunScheduler');
-    this.clearAllTimers();
+    // Slices in flight stay persisted for the next manager (restoreTimeSlices)
+    for (const runId of Array.from(this.timeSliceTimers.keys())) {
+      this._stopTimeSliceTimer(runId);
+    }
+    await this._sliceSave;
     await this.saveConfig();
   }
 }
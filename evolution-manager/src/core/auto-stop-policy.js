@@ -0,0 +1,161 @@
+/**
+ * Auto-stop policies - end a run early from its progress instead of waiting
+ * for the CLI to exit.
+ *
+ * Policies are configured per template (`autoStop` in template-info.jsonc)
+ * and/or per run (`options.autoStop` when starting a run); run values replace
+ * template values policy by policy, and `null` disables a template policy:
+ *
+ *   "autoStop": {
+ *     "stagnation": { "metric": "coverage", "minImprovement": 0.01, "generations": 500 },
+ *     "wallClockMinutes": 2880,   // since the run was first started, pauses included
+ *     "activeTimeMinutes": 600,   // totalActiveTime across time slices
+ *     "target": { "metric": "qdScore", "value": 1000 }
+ *   }
+ *
+ * A triggered policy yields one of the termination reasons below.
+ */
+
+export const AUTO_STOP_METRICS = ['coverage', 'qdScore', 'eliteCount'];
+
+export const AUTO_STOP_REASONS = {
+  stagnation: 'stagnation',
+  wallClockMinutes: 'wall-clock-budget',
+  activeTimeMinutes: 'active-time-budget',
+  target: 'target-reached'
+};
+
+/**
+ * Validate and normalize an autoStop object
+ * @param {Object|null|undefined} policies
+ * @returns {Object|null} Normalized policies, null when none are configured
+ */
+export function normalizeAutoStopPolicies(policies) {
+  if (policies === undefined || policies === null) return null;
+  if (typeof policies !== 'object' || Array.isArray(policies)) {
+    throw new Error('Invalid autoStop policy: expected an object');
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(policies)) {
+    if (!(key in AUTO_STOP_REASONS)) {
+      throw new Error(`Invalid autoStop policy: unknown policy '${key}'. Use one of: ${Object.keys(AUTO_STOP_REASONS).join(', ')}`);
+    }
+    if (value === null) {
+      normalized[key] = null; // explicitly disabled
+      continue;
+    }
+
+    switch (key) {
+      case 'stagnation': {
+        const metric = value.metric ?? 'coverage';
+        assertMetric(metric, key);
+        if (!Number.isInteger(value.generations) || value.generations < 1) {
+          throw new Error('Invalid autoStop policy: stagnation.generations must be a positive integer');
+        }
+        const minImprovement = value.minImprovement ?? 0;
+        if (typeof minImprovement !== 'number' || minImprovement < 0) {
+          throw new Error('Invalid autoStop policy: stagnation.minImprovement must be a non-negative number');
+        }
+        normalized.stagnation = { metric, minImprovement, generations: value.generations };
+        break;
+      }
+      case 'wallClockMinutes':
+      case 'activeTimeMinutes':
+        if (typeof value !== 'number' || !(value > 0)) {
+          throw new Error(`Invalid autoStop policy: ${key} must be a positive number`);
+        }
+        normalized[key] = value;
+        break;
+      case 'target': {
+        const metric = value.metric ?? 'qdScore';
+        assertMetric(metric, key);
+        if (typeof value.value !== 'number') {
+          throw new Error('Invalid autoStop policy: target.value must be a number');
+        }
+        normalized.target = { metric, value: value.value };
+        break;
+      }
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Combine template and run policies (run values win, null disables)
+ * @returns {Object|null}
+ */
+export function mergeAutoStopPolicies(templatePolicies, runPolicies) {
+  const merged = {
+    ...normalizeAutoStopPolicies(templatePolicies),
+    ...normalizeAutoStopPolicies(runPolicies)
+  };
+  for (const key of Object.keys(merged)) {
+    if (merged[key] === null) delete merged[key];
+  }
+  return Object.keys(merged).length > 0 ? merged : null;
+}
+
+/**
+ * Evaluate a run's policies against its current progress.
+ * Updates run.autoStopState (stagnation tracking) in place.
+ * @param {Object} run - Run with autoStop, progress, startedAt, totalActiveTime, timeSliceStartedAt
+ * @param {number} [now]
+ * @returns {{ policy: string, reason: string, detail: string }|null}
+ */
+export function evaluateAutoStop(run, now = Date.now()) {
+  const policies = run.autoStop;
+  if (!policies) return null;
+  const progress = run.progress || {};
+  run.autoStopState = run.autoStopState || {};
+
+  if (policies.target) {
+    const { metric, value } = policies.target;
+    if (typeof progress[metric] === 'number' && progress[metric] >= value) {
+      return triggered('target', `${metric} ${progress[metric]} reached target ${value}`);
+    }
+  }
+
+  if (policies.stagnation && typeof progress.generation === 'number') {
+    const { metric, minImprovement, generations } = policies.stagnation;
+    const value = progress[metric];
+    if (typeof value === 'number') {
+      const state = run.autoStopState.stagnation;
+      if (!state || state.metric !== metric || (value > state.best && value - state.best >= minImprovement)) {
+        run.autoStopState.stagnation = { metric, best: value, bestGeneration: progress.generation };
+      } else if (progress.generation - state.bestGeneration >= generations) {
+        return triggered('stagnation',
+          `${metric} has not improved by ${minImprovement} since generation ${state.bestGeneration} (best ${state.best})`);
+      }
+    }
+  }
+
+  if (policies.wallClockMinutes && run.startedAt) {
+    const elapsedMinutes = (now - new Date(run.startedAt).getTime()) / 60000;
+    if (elapsedMinutes >= policies.wallClockMinutes) {
+      return triggered('wallClockMinutes', `wall-clock time ${elapsedMinutes.toFixed(1)} min reached budget ${policies.wallClockMinutes} min`);
+    }
+  }
+
+  if (policies.activeTimeMinutes) {
+    const currentSlice = run.status === 'running' && run.timeSliceStartedAt
+      ? now - new Date(run.timeSliceStartedAt).getTime()
+      : 0;
+    const activeMinutes = ((run.totalActiveTime || 0) + currentSlice) / 60000;
+    if (activeMinutes >= policies.activeTimeMinutes) {
+      return triggered('activeTimeMinutes', `active time ${activeMinutes.toFixed(1)} min reached budget ${policies.activeTimeMinutes} min`);
+    }
+  }
+
+  return null;
+}
+
+function triggered(policy, detail) {
+  return { policy, reason: AUTO_STOP_REASONS[policy], detail };
+}
+
+function assertMetric(metric, policy) {
+  if (!AUTO_STOP_METRICS.includes(metric)) {
+    throw new Error(`Invalid autoStop policy: ${policy}.metric must be one of: ${AUTO_STOP_METRICS.join(', ')}`);
+  }
+}
@@ -1,5 +1,3 @@
-import PM2 from 'pm2';
-import { promisify } from 'util';
 import path from 'path';
 import fs from 'fs-extra';
 import { parse as parseJSONC } from 'jsonc-parser';
@@ -8,38 +6,109 @@ import { ConfigManager } from '../config/config-manager.js';
 import { ServiceDependencyManager } from './service-dependency-manager.js';
 import { AutoRunScheduler } from './auto-run-scheduler.js';
 import { SyncManager } from './sync-manager.js';
+import { createProcessRunner } from './process-runner.js';
+import { MetricsHistory } from './metrics-history.js';
+import { RunQueue } from './run-queue.js';
+import { ExperimentManager } from './experiment-manager.js';
+import { RetentionManager } from './retention-manager.js';
+import { RunLogs } from './run-logs.js';
+import { AuditLog } from './audit-log.js';
+import { StateStore } from './state-store.js';
+import { ProcessReconciler } from './process-reconciler.js';
+import { assertTransition, transitionRun } from './run-state-machine.js';
+import { mergeAutoStopPolicies, evaluateAutoStop } from './auto-stop-policy.js';
+import { validateOverrides, diffConfigs } from '../config/json-path.js';
+import { TemplateValidator, formatTemplateIssues } from '../config/template-validator.js';
+import { TemplateVersionStore } from './template-version-store.js';
+import { copyEvorun, currentEvorunGeneration, findGenerationCommit } from './evorun-fork.js';
+import {
+  PROGRESS_SOURCES,
+  parseProgressMessage,
+  parseProgressLine,
+  parseLegacyLogLine,
+  applyProgressMessage
+} from './progress-protocol.js';
 
 export class EvolutionManager {
-  constructor() {
-    this.pm2 = null;
+  /**
+   * @param {Object} [options]
+   * @param {ProcessRunner|string} [options.processRunner] - Runner instance or runner type
+   *   ('pm2' | 'child-process'). Defaults to the PROCESS_RUNNER environment variable, then PM2.
+   * @param {number} [options.autoResumeBaseDelayMs=15000] - Delay before the first auto-resume
+   *   attempt after a crash; later attempts wait a multiple of it
+   */
+  constructor(options = {}) {
     this.runs = new Map(); // runId -> run metadata
+    this.launchingRuns = new Set(); // runIds whose processes are being started
+    this.forkingRuns = new Map(); // runId -> number of forks copying its evorun (see forkRun)
+
+    // Runs, scheduler config and time slices, port allocations and sync state (working/state/)
+    this.stateStore = StateStore.shared();
     this.configManager = new ConfigManager();
-    this.serviceDependencyManager = new ServiceDependencyManager();
+
+    // Process runner (PM2 or plain child processes), shared with the service dependency manager
+    this.processRunner = typeof options.processRunner === 'object'
+      ? options.processRunner
+      : createProcessRunner(options.processRunner);
+    this.serviceDependencyManager = new ServiceDependencyManager(this.processRunner, {
+      stateStore: this.stateStore,
+      resolvePathPlaceholders: value => this.configManager.resolvePathPlaceholders(value),
+      templateChain: async templateName => {
+        try {
+          return (await this.configManager.getTemplateChain(templateName)).map(layer => layer.templateName).reverse();
+        } catch {
+          return [templateName];
+        }
+      }
+    });
     this.isConnected = false;
 
+    // Schema and cross-checks for templates, run before anything is started
+    this.templateValidator = new TemplateValidator(this.configManager, this.serviceDependencyManager);
+
+    // Content-hashed template snapshots, taken when runs start
+    this.templateVersions = new TemplateVersionStore(this.configManager);
+
+    // Pending run requests, started by the auto-run scheduler
+    this.runQueue = new RunQueue();
+
+    // Parameter sweeps, queued as batches of child runs
+    this.experimentManager = new ExperimentManager(this);
+
     // Auto-run scheduler
     this.autoRunScheduler = new AutoRunScheduler(this);
 
     // Data sync manager
     this.syncManager = new SyncManager(this);
 
-    // Path for persisting run state across restarts
-    this.runStatePath = path.join(process.cwd(), 'working', 'run-state.json');
+    // Per-run progress time series (working/<runId>/metrics.jsonl)
+    this.metricsHistory = new MetricsHistory();
+
+    // Rotated run logs (logs/<runId>.<type>.log), paged and searched by offset
+    this.runLogs = new RunLogs();
+
+    // Append-only record of API, scheduler and auto-resume actions (working/audit.jsonl)
+    this.auditLog = new AuditLog();
+
+    // Disk usage, archiving and retention rules for ended runs
+    this.retentionManager = new RetentionManager(this);
+
+    // Runner processes without a run, or outliving theirs
+    this.processReconciler = new ProcessReconciler(this);
+
     this._lastProgressSave = 0; // throttle progress persistence
+    this._runStateSave = Promise.resolve(); // serializes saveRunState writes
+
+    // Auto-recovery backoff for crashed runs (15s, 30s, 45s by default)
+    this.autoResumeBaseDelayMs = options.autoResumeBaseDelayMs ?? 15000;
+    this.autoResumeTimers = new Map(); // runId -> pending auto-resume timeout
+    this._exitedWhileDetached = []; // exit events of restored runs, see loadRunState
 
     // Configure CLI script path - can be overridden via environment variable
     this.cliScriptPath = this.getCliScriptPath();
 
-    // PM2 promisified methods
-    this.pm2Connect = promisify(PM2.connect.bind(PM2));
-    this.pm2Start = promisify(PM2.start.bind(PM2));
-    this.pm2Stop = promisify(PM2.stop.bind(PM2));
-    this.pm2Delete = promisify(PM2.delete.bind(PM2));
-    this.pm2List = promisify(PM2.list.bind(PM2));
-    this.pm2Describe = promisify(PM2.describe.bind(PM2));
-    this.pm2Disconnect = PM2.disconnect.bind(PM2);
-
-    this.init();
+    // Resolves once the runner is connected and persisted state is restored
+    this.ready = this.init();
   }
 
   /**
@@ -98,54 +167,120 @@ export class EvolutionManager {
       // Validate CLI script path first
       await this.validateCliScript();
 
-      await this.pm2Connect();
+      await this.processRunner.connect();
       this.isConnected = true;
-      console.log('✅ Connected to PM2');
+      console.log(`✅ Connected to process runner (${this.processRunner.type})`);
 
       // Restore persisted run state
+      await this.stateStore.open();
       await this.loadRunState();
+      await this.runQueue.load();
+      await this.experimentManager.load();
+      await this.templateVersions.load();
+      await this.auditLog.load();
+
+      // Set up process event listeners (removed again on shutdown)
+      this._runnerListeners = {
+        message: (event) => this.handleProcessMessage(event),
+        log: (event) => this.handleProcessLog(event, event.type),
+        // Handle process exit events for scheduler notification
+        exit: (event) => this.handleProcessExit(event)
+      };
+      for (const [eventName, listener] of Object.entries(this._runnerListeners)) {
+        this.processRunner.on(eventName, listener);
+      }
 
-      // Set up PM2 event listeners
-      PM2.launchBus((err, bus) => {
-        if (err) {
-          console.error('❌ Failed to launch PM2 bus:', err);
-          return;
-        }
+      try {
+        await this.processRunner.launchBus();
+      } catch (err) {
+        console.error('❌ Failed to launch process event bus:', err);
+      }
 
-        bus.on('process:msg', (packet) => {
-          this.handleProcessMessage(packet);
-        });
+      // Initialize sync manager
+      await this.syncManager.initialize();
 
-        bus.on('log:out', (packet) => {
-          this.handleProcessLog(packet, 'stdout');
-        });
+      // Port ranges of services that survived a restart stay taken, and runs
+      // left running by a detached shutdown get their services and sync back
+      await this.serviceDependencyManager.restorePortAllocations(await this.processRunner.list());
+      await this._reattachRuns();
 
-        bus.on('log:err', (packet) => {
-          this.handleProcessLog(packet, 'stderr');
-        });
+      // Initialize auto-run scheduler after the process runner is connected
+      // (it restarts the time slices of re-attached runs)
+      await this.autoRunScheduler.initialize();
 
-        // Handle process exit events for scheduler notification
-        bus.on('process:event', (packet) => {
-          this.handleProcessEvent(packet);
-        });
-      });
+      // Runs whose processes exited while no manager was attached end the
+      // way a live exit would have ended them
+      for (const event of this._exitedWhileDetached.splice(0)) {
+        this.handleProcessExit(event);
+      }
 
-      // Initialize auto-run scheduler after PM2 is connected
-      await this.autoRunScheduler.initialize();
+      await this.retentionManager.initialize();
 
-      // Initialize sync manager
-      await this.syncManager.initialize();
+      // Adopt evolution processes whose run records were lost
+      await this.processReconciler.reconcileOnStartup();
+
+      // Rotate the logs of runs with live processes
+      this.runLogs.startRotation(() => Array.from(this.runs.values())
+        .filter(run => ['running', 'recovering'].includes(run.status))
+        .map(run => run.id));
 
     } catch (error) {
-      console.error('❌ Failed to connect to PM2:', error);
+      console.error(`❌ Failed to connect to process runner (${this.processRunner.type}):`, error);
       throw error;
     }
   }
 
   /**
-   * Save run state to disk for persistence across restarts
+   * Pick up the runs whose evolution processes outlived the previous manager
+   * (loadRunState restored them as running): rebuild their service tracking
+   * and port allocations and register them for sync again
+   */
+  async _reattachRuns() {
+    const runningRuns = Array.from(this.runs.values()).filter(run => run.status === 'running');
+    if (runningRuns.length === 0) return;
+
+    const processes = await this.processRunner.list();
+    for (const run of runningRuns) {
+      try {
+        const serviceInfo = await this.serviceDependencyManager.reattachServicesForRun(run.id, run, processes);
+        if (serviceInfo) {
+          run.serviceInfo = this._runServiceInfo(serviceInfo);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Failed to re-attach services of run ${run.id}: ${error.message}`);
+      }
+
+      this.syncManager.registerRun(run.id, run, {}).catch(err => {
+        console.warn(`⚠️ Failed to register sync for run ${run.id}: ${err.message}`);
+      });
+    }
+
+    await this.saveRunState();
+    console.log(`🔗 Re-attached ${runningRuns.length} running evolution runs`);
+  }
+
+  /**
+   * The part of a run's service info kept on the run (and persisted with it)
+   */
+  _runServiceInfo(serviceInfo) {
+    return {
+      portAllocation: serviceInfo.portAllocation,
+      serviceUrls: serviceInfo.serviceUrls,
+      services: serviceInfo.services.map(s => ({ name: s.name, status: s.status, readiness: s.readiness || null }))
+    };
+  }
+
+  /**
+   * Persist run state across restarts: the runs that changed since the last
+   * save are written to the state store in one transaction.
+   * Saves are queued so that an earlier snapshot never overwrites a later one.
    */
-  async saveRunState() {
+  saveRunState() {
+    this._runStateSave = this._runStateSave.then(() => this._writeRunState());
+    return this._runStateSave;
+  }
+
+  async _writeRunState() {
     try {
       const state = {};
       for (const [runId, run] of this.runs) {
@@ -158,60 +293,84 @@ export class EvolutionManager {
           stoppedAt: run.stoppedAt,
           pausedAt: run.pausedAt,
           terminatedAt: run.terminatedAt,
+          failedAt: run.failedAt,
           resumedAt: run.resumedAt,
+          adoptedAt: run.adoptedAt || null,
           pm2Name: run.pm2Name,
           configPath: run.configPath,
           outputDir: run.outputDir,
           progress: run.progress,
+          progressSource: run.progressSource || null,
+          overrides: run.overrides || {},
+          templateVersion: run.templateVersion || null,
+          configDiff: run.configDiff || null,
+          // Forks (see forkRun)
+          parentRunId: run.parentRunId || null,
+          forkedFrom: run.forkedFrom || null,
+          archive: run.archive || null,
           serviceInfo: run.serviceInfo,
           // Auto-recovery
           autoResumeCount: run.autoResumeCount || 0,
+          autoResumeGeneration: run.autoResumeGeneration ?? null,
+          // Auto-stop policies
+          autoStop: run.autoStop || null,
+          autoStopState: run.autoStopState || null,
+          autoStopTriggered: run.autoStopTriggered || null,
           // Auto-scheduling related fields
           autoScheduled: run.autoScheduled,
           pausedByScheduler: run.pausedByScheduler,
           pauseCount: run.pauseCount,
           totalActiveTime: run.totalActiveTime,
           timeSliceStartedAt: run.timeSliceStartedAt,
+          timeSliceIndex: run.timeSliceIndex || 0,
+          // Status changes (see run-state-machine.js)
+          history: run.history || [],
         };
       }
-      await fs.ensureDir(path.dirname(this.runStatePath));
-      await fs.writeJson(this.runStatePath, state, { spaces: 2 });
+      await this.stateStore.replaceCollection('runs', state);
     } catch (error) {
       console.warn('⚠️ Failed to save run state:', error.message);
     }
   }
 
   /**
-   * Load persisted run state and reconcile with PM2 process list
+   * Load persisted run state and reconcile with the runner's process list
    */
   async loadRunState() {
     try {
-      if (!await fs.pathExists(this.runStatePath)) return;
-
-      const state = await fs.readJson(this.runStatePath);
-      const pm2Processes = await this.pm2List();
-      const pm2ByName = new Map(pm2Processes.map(p => [p.name, p]));
+      const state = this.stateStore.all('runs');
+      const processes = await this.processRunner.list();
+      const processesByName = new Map(processes.map(p => [p.name, p]));
 
       for (const [runId, run] of Object.entries(state)) {
-        // Check if the PM2 evolution process still exists
-        const pm2Proc = pm2ByName.get(run.pm2Name);
-
-        if (pm2Proc) {
+        // Check if the evolution process still exists
+        const proc = processesByName.get(run.pm2Name);
+
+        if (proc && proc.status !== 'online' && run.status === 'running') {
+          // Exited on its own while detached (PM2 lists finished processes as
+          // stopped): the run stays running until init hands the exit to
+          // handleProcessExit
+          this._exitedWhileDetached.push({
+            name: proc.name,
+            exitCode: proc.exitCode ?? (proc.status === 'errored' ? 1 : 0),
+            stopRequested: false
+          });
+        } else if (proc) {
           // Process still alive — restore with live status
-          run.status = pm2Proc.pm2_env.status === 'online' ? 'running'
-            : pm2Proc.pm2_env.status === 'errored' ? 'failed'
-            : 'stopped';
-          run.pid = pm2Proc.pid;
-          run.cpu = pm2Proc.monit?.cpu;
-          run.memory = pm2Proc.monit?.memory;
+          this._restoreStatus(run, proc.status === 'online' ? 'running'
+            : proc.status === 'errored' ? 'failed'
+            : 'stopped', { processStatus: proc.status });
+          run.pid = proc.pid;
+          run.cpu = proc.cpu;
+          run.memory = proc.memory;
         } else if (run.status === 'running' || run.status === 'recovering') {
           // Was running/recovering but process is gone — mark as stopped
           // (unless it was paused, in which case keep paused status)
           if (!run.pausedByScheduler) {
-            run.status = 'stopped';
+            this._restoreStatus(run, 'stopped', { processStatus: null });
             run.stoppedAt = run.stoppedAt || new Date().toISOString();
           } else {
-            run.status = 'paused';
+            this._restoreStatus(run, 'paused', { processStatus: null });
           }
         }
 
@@ -248,172 +407,488 @@ export class EvolutionManager {
     }
   }
 
+  /**
+   * Move a run to a status through the run state machine, recording the
+   * change in its history and telling connected clients
+   * @param {Object} run
+   * @param {string} status
+   * @param {string} cause
+   * @param {Object} [details]
+   * @returns {Object|null} The history entry, null if the status did not change
+   */
+  _transition(run, status, cause, details = null) {
+    const entry = transitionRun(run, status, cause, details);
+    if (entry) {
+      this.socketHandler?.emitRunStatusChange?.(run.id, status, { from: entry.from, cause });
+    }
+    return entry;
+  }
+
+  /**
+   * Restored runs take the status of their process; a change the state
+   * machine does not allow is logged and the persisted status kept
+   */
+  _restoreStatus(run, status, details) {
+    try {
+      this._transition(run, status, 'restore', details);
+    } catch (error) {
+      console.warn(`⚠️ Keeping status '${run.status}' of restored run ${run.id}: ${error.message}`);
+    }
+  }
+
   /**
    * Start a new evolution run
    * @param {string} templateName - Name of the configuration template to use
    * @param {Object} options - Additional options for the run
+   * @param {string} [runId] - ID reserved for the run (queued runs), generated by default
    * @returns {Promise<string>} - Run ID
    */
-  async startRun(templateName, options = {}) {
+  async startRun(templateName, options = {}, runId = ulid()) {
     if (!this.isConnected) {
-      throw new Error('PM2 not connected');
+      throw new Error('Process runner not connected');
     }
 
-    const runId = ulid();
-    const timestamp = new Date().toISOString();
-    
     try {
       console.log(`🧬 Starting evolution run ${runId} with template ${templateName}`);
       
       // Load and prepare configuration
       const config = await this.configManager.loadTemplate(templateName);
-      
+
       // Extract ecosystem variant from options (default to 'default')
       const ecosystemVariant = options.ecosystemVariant || 'default';
+
+      // Broken templates are rejected before any service is started
+      await this._assertValidTemplate(templateName, ecosystemVariant);
+
+      // JSON-path overrides must fit the template before anything is started
+      validateOverrides(config, options.overrides);
+
+      // Auto-stop policies: template defaults, overridden per run
+      const templateInfo = await this.configManager.getTemplateInfo(templateName);
+      const autoStop = mergeAutoStopPolicies(templateInfo.autoStop, options.autoStop);
+
+      // Provenance: the exact template version this run starts from
+      const templateVersion = await this.templateVersions.snapshot(templateName, runId);
+
+      return await this._launchRun(runId, { templateName, ecosystemVariant, config, options, autoStop, templateVersion });
+
+    } catch (error) {
+      console.error(`❌ Failed to start evolution run ${runId}:`, error);
       
-      // Step 1: Start service dependencies
-      console.log(`🔧 Starting service dependencies for run ${runId}...`);
-      let serviceInfo;
+      // Cleanup on failure
       try {
-        serviceInfo = await this.serviceDependencyManager.startServicesForRun(
-          runId, 
-          templateName, 
-          ecosystemVariant
-        );
-        console.log(`✅ Service dependencies started for run ${runId}`);
-      } catch (error) {
-        console.error(`❌ Failed to start service dependencies for run ${runId}:`, error);
-        // If no services are needed, continue without them
-        if (error.message.includes('No ecosystem template found')) {
-          console.log(`ℹ️ No service dependencies found for ${templateName}, continuing without services`);
-          serviceInfo = null;
-        } else {
-          throw error;
-        }
+        await this.stopRun(runId);
+      } catch (cleanupError) {
+        console.error(`❌ Failed to cleanup after failed start:`, cleanupError);
       }
       
-      // Step 2: Prepare working configuration with service endpoints
-      const workingConfig = await this.configManager.prepareRunConfig(config, runId, options);
-      
-      // Update evolution config with service endpoints if services were started
-      if (serviceInfo) {
-        const updatedEvolutionConfig = this.serviceDependencyManager.updateEvolutionConfigWithServices(
-          config.evolutionRunConfig,
-          serviceInfo
-        );
-        
-        // Write updated evolution config
-        await fs.writeFile(
-          workingConfig.evolutionRunConfigPath,
-          JSON.stringify(updatedEvolutionConfig, null, 2)
-        );
-        
-        console.log(`🔗 Updated evolution config with service endpoints for run ${runId}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Start services and the evolution process for a run configuration, the
+   * steps startRun and forkRun share. The caller cleans up when this throws.
+   * @param {string} runId
+   * @param {Object} launch
+   * @param {Object} launch.config - Template-shaped configs the working configs are prepared from
+   * @param {Object|null} [launch.diffBase] - Configs configDiff is taken against, defaults to config
+   * @param {Function} [launch.beforeStart] - Called with the prepared working config before the process starts
+   * @param {Object} [launch.runFields] - Extra run metadata
+   * @returns {Promise<string>} - Run ID
+   */
+  async _launchRun(runId, launch) {
+    this.launchingRuns.add(runId);
+    try {
+      return await this._startRunProcesses(runId, launch);
+    } finally {
+      this.launchingRuns.delete(runId);
+    }
+  }
+
+  async _startRunProcesses(runId, { templateName, ecosystemVariant, config, options, autoStop, templateVersion, diffBase = config, beforeStart = null, runFields = {} }) {
+    const timestamp = new Date().toISOString();
+
+    // Step 1: Start service dependencies
+    console.log(`🔧 Starting service dependencies for run ${runId}...`);
+    let serviceInfo;
+    try {
+      serviceInfo = await this.serviceDependencyManager.startServicesForRun(
+        runId, 
+        templateName, 
+        ecosystemVariant
+      );
+      console.log(`✅ Service dependencies started for run ${runId}`);
+    } catch (error) {
+      console.error(`❌ Failed to start service dependencies for run ${runId}:`, error);
+      // If no services are needed, continue without them
+      if (error.message.includes('No ecosystem template found')) {
+        console.log(`ℹ️ No service dependencies found for ${templateName}, continuing without services`);
+        serviceInfo = null;
+      } else {
+        throw error;
       }
+    }
+    
+    // Step 2: Prepare working configuration with service endpoints
+    const workingConfig = await this.configManager.prepareRunConfig(config, runId, options);
+    
+    // Update evolution config with service endpoints if services were started
+    // (on top of the working config, which carries the runtime options)
+    if (serviceInfo) {
+      const updatedEvolutionConfig = this.serviceDependencyManager.updateEvolutionConfigWithServices(
+        await fs.readJson(workingConfig.evolutionRunConfigPath),
+        serviceInfo
+      );
       
-      // Step 3: Create PM2 process configuration for evolution run
-      const pm2Config = {
-        name: `kromosynth-evolution-${runId}`,
-        script: this.cliScriptPath,
-        args: [
-          'evolution-runs',
-          '--evolution-runs-config-json-file',
-          workingConfig.configFilePath
-        ],
-        cwd: path.dirname(this.cliScriptPath),
-        env: {
-          NODE_ENV: 'production',
-          EVOLUTION_RUN_ID: runId
-        },
-        output: path.join(process.cwd(), 'logs', `${runId}.out.log`),
-        error: path.join(process.cwd(), 'logs', `${runId}.err.log`),
-        log: path.join(process.cwd(), 'logs', `${runId}.combined.log`),
-        time: true,
-        autorestart: false, // Evolution runs shouldn't auto-restart
-        max_memory_restart: '2G'
-      };
-
-      // Step 4: Start the evolution process with PM2
-      console.log(`🚀 Starting evolution process for run ${runId}...`);
-      await this.pm2Start(pm2Config);
+      // Write updated evolution config
+      await fs.writeFile(
+        workingConfig.evolutionRunConfigPath,
+        JSON.stringify(updatedEvolutionConfig, null, 2)
+      );
       
-      // Step 5: Store run metadata
-      const runData = {
-        id: runId,
+      console.log(`🔗 Updated evolution config with service endpoints for run ${runId}`);
+    }
+
+    // How the run's configuration departs from its template (options, overrides, service endpoints)
+    const configDiff = diffBase ? [
+      ...diffConfigs(diffBase.evolutionRunConfig, await fs.readJson(workingConfig.evolutionRunConfigPath), ['evolutionRunConfig']),
+      ...diffConfigs(diffBase.hyperparameters, await fs.readJson(workingConfig.hyperparametersPath), ['hyperparameters'])
+    ] : null;
+
+    if (beforeStart) {
+      await beforeStart(workingConfig);
+    }
+    
+    // Step 3: Create process configuration for evolution run (PM2 app format)
+    const pm2Config = this._evolutionProcessConfig(runId, workingConfig.configFilePath);
+
+    // Step 4: Start the evolution process
+    console.log(`🚀 Starting evolution process for run ${runId}...`);
+    await this.processRunner.start(pm2Config);
+    
+    // Step 5: Store run metadata
+    const runData = {
+      id: runId,
+      templateName,
+      ecosystemVariant,
+      status: null, // see the transition below
+      startedAt: timestamp,
+      timeSliceStartedAt: timestamp, // Track when current time slice started
+      timeSliceIndex: 0, // Incremented on every resume, recorded with metrics samples
+      pm2Name: pm2Config.name,
+      configPath: workingConfig.configFilePath,
+      outputDir: workingConfig.outputDir,
+      options,
+      autoScheduled: options.autoScheduled || false,
+      progressSource: null, // set by the first progress message (see progress-protocol.js)
+      overrides: options.overrides || {}, // JSON-path overrides applied to the working config
+      templateVersion, // see template-version-store.js
+      configDiff,
+      autoStop, // see auto-stop-policy.js
+      autoStopState: null,
+      autoStopTriggered: null,
+      serviceInfo: serviceInfo ? this._runServiceInfo(serviceInfo) : null,
+      progress: {
+        generation: 0,
+        totalGenerations: this._estimateTotalGenerations(config),
+        bestFitness: null,
+        coverage: null
+      },
+      ...runFields
+    };
+    this._transition(runData, 'running', runData.parentRunId ? 'fork' : 'start');
+    
+    this.runs.set(runId, runData);
+    await this.saveRunState();
+
+    console.log(`✅ Evolution run ${runId} started successfully`);
+    console.log(`📊 Services: ${serviceInfo ? serviceInfo.services.length + ' dependencies' : 'none'}`);
+    console.log(`🎯 Template: ${templateName} (variant: ${ecosystemVariant})`);
+
+    // Emit run-started event to connected clients
+    if (this.socketHandler) {
+      this.socketHandler.emit('run-started', {
+        runId,
         templateName,
         ecosystemVariant,
-        status: 'running',
-        startedAt: timestamp,
-        timeSliceStartedAt: timestamp, // Track when current time slice started
-        pm2Name: pm2Config.name,
-        configPath: workingConfig.configFilePath,
-        outputDir: workingConfig.outputDir,
-        options,
-        autoScheduled: options.autoScheduled || false,
-        serviceInfo: serviceInfo ? {
-          portAllocation: serviceInfo.portAllocation,
-          serviceUrls: serviceInfo.serviceUrls,
-          services: serviceInfo.services.map(s => ({ name: s.name, status: s.status }))
-        } : null,
-        progress: {
-          generation: 0,
-          totalGenerations: this._estimateTotalGenerations(config),
-          bestFitness: null,
-          coverage: null
-        }
-      };
-      
-      this.runs.set(runId, runData);
-      await this.saveRunState();
+        ...(runData.parentRunId ? { parentRunId: runData.parentRunId } : {}),
+        timestamp
+      });
+    }
 
-      console.log(`✅ Evolution run ${runId} started successfully`);
-      console.log(`📊 Services: ${serviceInfo ? serviceInfo.services.length + ' dependencies' : 'none'}`);
-      console.log(`🎯 Template: ${templateName} (variant: ${ecosystemVariant})`);
+    // Register run for data sync (non-blocking)
+    this.syncManager.registerRun(runId, runData, options.sync || {}).catch(err => {
+      console.warn(`⚠️ Failed to register sync for run ${runId}: ${err.message}`);
+    });
 
-      // Emit run-started event to connected clients
-      if (this.socketHandler) {
-        this.socketHandler.emit('run-started', { runId, templateName, ecosystemVariant, timestamp });
+    return runId;
+  }
+
+  /**
+   * Start a new run from another run's evorun directory: its genomes and elite
+   * maps as they are now, or at a generation whose elite map was committed
+   * (see evorun-fork.js). The new run takes the parent's working configs.
+   * @param {string} parentRunId
+   * @param {Object} [options] - Run options as for startRun (overrides apply to the parent's configs)
+   * @param {number} [options.generation] - Committed generation to fork at, the latest state by default
+   * @param {string} [runId] - ID for the new run, generated by default
+   * @returns {Promise<string>} - Run ID
+   */
+  async forkRun(parentRunId, options = {}, runId = ulid()) {
+    if (!this.isConnected) {
+      throw new Error('Process runner not connected');
+    }
+
+    const parent = this.runs.get(parentRunId);
+    if (!parent) {
+      throw new Error(`Run ${parentRunId} not found`);
+    }
+    // The CLI keeps writing to a live run's databases
+    if (['running', 'recovering'].includes(parent.status)) {
+      throw new Error(`Run ${parentRunId} is running; pause or stop it before forking`);
+    }
+    if (this.launchingRuns.has(parentRunId)) {
+      throw new Error(`Run ${parentRunId} is being started; pause or stop it before forking`);
+    }
+    if (parent.archive) {
+      throw new Error(`Run ${parentRunId} is archived at ${parent.archive.path}; it cannot be forked`);
+    }
+
+    const { generation = null, ...runOptions } = options;
+    if (generation !== null && !(Number.isInteger(generation) && generation >= 0)) {
+      throw new Error(`Invalid fork generation ${JSON.stringify(generation)}: expected a generation number`);
+    }
+
+    // The parent is not resumed (by hand or by the scheduler) until its evorun is copied
+    this.forkingRuns.set(parentRunId, (this.forkingRuns.get(parentRunId) || 0) + 1);
+    try {
+      console.log(`🍴 Forking run ${parentRunId}${generation !== null ? ` at generation ${generation}` : ''} as ${runId}`);
+
+      const source = await this.configManager.readWorkingConfigs(parent.configPath);
+      if (!source.evorunPath || !await fs.pathExists(source.evorunPath)) {
+        throw new Error(`Evorun directory of run ${parentRunId} not found${source.evorunPath ? ` at ${source.evorunPath}` : ''}`);
       }
+      const commit = generation !== null ? await findGenerationCommit(source.evorunPath, generation) : null;
+      const forkGeneration = generation ?? await currentEvorunGeneration(source.evorunPath) ?? parent.progress?.generation ?? null;
 
-      // Register run for data sync (non-blocking)
-      this.syncManager.registerRun(runId, runData, options.sync || {}).catch(err => {
-        console.warn(`⚠️ Failed to register sync for run ${runId}: ${err.message}`);
-      });
+      const templateName = parent.templateName;
+      const config = {
+        templateName,
+        evolutionRuns: source.evolutionRuns,
+        evolutionRunConfig: source.evolutionRunConfig,
+        hyperparameters: source.hyperparameters
+      };
+      validateOverrides(config, runOptions.overrides);
+
+      // The fork descends from the template version its parent started from
+      const templateVersion = parent.templateVersion || null;
+      let diffBase = null;
+      if (templateVersion) {
+        await this.templateVersions.recordRun(templateName, templateVersion, runId);
+        diffBase = await this.configManager
+          .loadTemplateDirectory(this.templateVersions.snapshotDir(templateName, templateVersion), templateName)
+          .catch(() => null);
+      }
 
-      return runId;
+      return await this._launchRun(runId, {
+        templateName,
+        ecosystemVariant: runOptions.ecosystemVariant || parent.ecosystemVariant || 'default',
+        config,
+        options: runOptions,
+        autoStop: mergeAutoStopPolicies(parent.autoStop, runOptions.autoStop),
+        templateVersion,
+        diffBase,
+        beforeStart: async workingConfig => {
+          const { evorunPath } = await this.configManager.readWorkingConfigs(workingConfig.configFilePath);
+          await copyEvorun(source.evorunPath, evorunPath, {
+            fromIterationId: source.iterationId,
+            toIterationId: workingConfig.iterationId,
+            commit,
+            generation
+          });
+          console.log(`📂 Copied evorun ${source.iterationId} to ${workingConfig.iterationId}`);
+        },
+        runFields: {
+          parentRunId,
+          forkedFrom: { runId: parentRunId, iterationId: source.iterationId, generation: forkGeneration, commit }
+        }
+      });
 
     } catch (error) {
-      console.error(`❌ Failed to start evolution run ${runId}:`, error);
-      
-      // Cleanup on failure
+      console.error(`❌ Failed to fork run ${parentRunId}:`, error);
+
       try {
         await this.stopRun(runId);
       } catch (cleanupError) {
-        console.error(`❌ Failed to cleanup after failed start:`, cleanupError);
+        console.error(`❌ Failed to cleanup after failed fork:`, cleanupError);
       }
-      
+
       throw error;
+    } finally {
+      const forks = this.forkingRuns.get(parentRunId) - 1;
+      if (forks > 0) {
+        this.forkingRuns.set(parentRunId, forks);
+      } else {
+        this.forkingRuns.delete(parentRunId);
+        // A parent paused by the scheduler may take its turn again
+        if (parent.status === 'paused' && parent.pausedByScheduler) {
+          this.autoRunScheduler.startScheduling().catch(error => {
+            console.error('📅 Error scheduling after a fork:', error.message);
+          });
+        }
+      }
     }
   }
 
+  /**
+   * Where a run came from and what was forked from it
+   * @returns {Object} { parentRunId, forkedFrom, ancestors (nearest first), children }
+   */
+  getRunLineage(runId) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      throw new Error(`Run ${runId} not found`);
+    }
+
+    const ancestors = [];
+    for (let ancestorId = run.parentRunId; ancestorId && !ancestors.includes(ancestorId); ancestorId = this.runs.get(ancestorId)?.parentRunId) {
+      ancestors.push(ancestorId);
+    }
+
+    return {
+      parentRunId: run.parentRunId || null,
+      forkedFrom: run.forkedFrom || null,
+      ancestors,
+      children: Array.from(this.runs.values())
+        .filter(other => other.parentRunId === runId)
+        .map(other => other.id)
+    };
+  }
+
+  /**
+   * Dry run: everything startRun would do for a template, without starting,
+   * writing or allocating anything
+   * @param {string} templateName
+   * @param {Object} [options] - Run options as for startRun
+   * @returns {Promise<Object>} Validation, resolved configs, port plan and the PM2 apps
+   */
+  async planRun(templateName, options = {}) {
+    const ecosystemVariant = options.ecosystemVariant || 'default';
+    const validation = await this.templateValidator.validate(templateName, ecosystemVariant);
+
+    const runId = ulid(); // not reserved; a real start gets its own ID
+    const config = await this.configManager.loadTemplate(templateName);
+    validateOverrides(config, options.overrides);
+    const templateInfo = await this.configManager.getTemplateInfo(templateName);
+    const autoStop = mergeAutoStopPolicies(templateInfo.autoStop, options.autoStop);
+
+    const globalDefaults = await this.configManager.loadGlobalDefaults();
+    const workingConfig = this.configManager.applyRuntimeOptions(config, { ...globalDefaults, ...options, runId });
+
+    // Without an ecosystem config the run starts without services; one that
+    // fails to load is already among the validation errors
+    let services = null;
+    try {
+      services = await this.serviceDependencyManager.planServicesForRun(runId, templateName, ecosystemVariant);
+    } catch (error) {
+      console.warn(`⚠️ Could not plan services for template ${templateName}: ${error.message}`);
+    }
+    if (services && workingConfig.evolutionRunConfig) {
+      workingConfig.evolutionRunConfig = this.serviceDependencyManager.updateEvolutionConfigWithServices(
+        workingConfig.evolutionRunConfig,
+        services
+      );
+    }
+
+    const configFilePath = path.join(this.configManager.workingDir, runId, 'evolution-runs-config.jsonc');
+    return {
+      dryRun: true,
+      runId,
+      templateName,
+      ecosystemVariant,
+      valid: validation.valid,
+      validation,
+      autoStop,
+      configs: {
+        evolutionRunConfig: workingConfig.evolutionRunConfig,
+        hyperparameters: workingConfig.hyperparameters
+      },
+      portPlan: services?.portAllocation ?? null,
+      serviceUrls: services?.serviceUrls ?? null,
+      apps: [
+        ...(services?.apps ?? []),
+        this._evolutionProcessConfig(runId, configFilePath)
+      ]
+    };
+  }
+
+  /**
+   * Validate a template, throwing 'Invalid template ...' with its errors
+   */
+  async _assertValidTemplate(templateName, ecosystemVariant) {
+    const validation = await this.templateValidator.validate(templateName, ecosystemVariant);
+    for (const warning of validation.warnings) {
+      console.warn(`⚠️ Template ${templateName}: ${formatTemplateIssues([warning])}`);
+    }
+    if (!validation.valid) {
+      throw new Error(`Invalid template '${templateName}': ${formatTemplateIssues(validation.errors)}`);
+    }
+    return validation;
+  }
+
+  /**
+   * Process config (PM2 app format) for a run's CLI process
+   */
+  _evolutionProcessConfig(runId, configFilePath, name = `kromosynth-evolution-${runId}`) {
+    return {
+      name,
+      script: this.cliScriptPath,
+      args: [
+        'evolution-runs',
+        '--evolution-runs-config-json-file',
+        configFilePath
+      ],
+      cwd: path.dirname(this.cliScriptPath),
+      env: {
+        NODE_ENV: 'production',
+        EVOLUTION_RUN_ID: runId
+      },
+      output: this.runLogs.logPath(runId, 'out'),
+      error: this.runLogs.logPath(runId, 'err'),
+      log: this.runLogs.logPath(runId, 'combined'),
+      time: true,
+      autorestart: false, // Evolution runs shouldn't auto-restart
+      max_memory_restart: '2G'
+    };
+  }
+
   /**
    * Stop an evolution run
    * @param {string} runId - Run ID to stop
+   * @param {Object} [options]
+   * @param {string} [options.cause='stop'] - Recorded in the run's history
    */
-  async stopRun(runId) {
+  async stopRun(runId, { cause = 'stop' } = {}) {
     const run = this.runs.get(runId);
     if (!run) {
+      // A run that has not left the queue yet is simply cancelled
+      if (this.runQueue.get(runId)?.status === 'queued') {
+        await this.runQueue.cancel(runId);
+        return;
+      }
       throw new Error(`Run ${runId} not found`);
     }
 
     try {
       console.log(`🛑 Stopping evolution run ${runId}...`);
+      this._cancelAutoResume(runId);
       
       // Step 1: Stop the evolution process
       if (run.pm2Name) {
         try {
-          await this.pm2Stop(run.pm2Name);
-          await this.pm2Delete(run.pm2Name);
+          await this.processRunner.stop(run.pm2Name);
+          await this.processRunner.delete(run.pm2Name);
           console.log(`✅ Stopped evolution process for run ${runId}`);
         } catch (error) {
           console.warn(`⚠️ Failed to stop evolution process for run ${runId}:`, error.message);
@@ -428,9 +903,12 @@ export class EvolutionManager {
         console.warn(`⚠️ Failed to stop service dependencies for run ${runId}:`, error.message);
       }
       
-      // Step 3: Update run metadata
-      run.status = 'stopped';
-      run.stoppedAt = new Date().toISOString();
+      // Step 3: Update run metadata (a terminated run keeps its status; only
+      // leftover processes were cleaned up)
+      if (run.status !== 'terminated') {
+        this._transition(run, 'stopped', cause);
+        run.stoppedAt = new Date().toISOString();
+      }
 
       // Emit run-stopped event to connected clients
       if (this.socketHandler) {
@@ -451,9 +929,7 @@ export class EvolutionManager {
       await this.saveRunState();
 
       // Notify scheduler that run ended (user-initiated stop)
-      if (this.autoRunScheduler && run.autoScheduled) {
-        this.autoRunScheduler.onRunEnded(runId, 'stopped');
-      }
+      this._notifyScheduler(run, 'stopped');
 
     } catch (error) {
       console.error(`❌ Failed to stop evolution run ${runId}:`, error);
@@ -461,13 +937,71 @@ export class EvolutionManager {
     }
   }
 
+  /**
+   * End a running evolution run as terminated, as if it had finished on its own.
+   * Used when an auto-stop policy triggers (see auto-stop-policy.js).
+   * @param {string} runId - Run ID to terminate
+   * @param {string} terminationReason - Recorded in run.progress.terminationReason
+   */
+  async terminateRun(runId, terminationReason) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      throw new Error(`Run ${runId} not found`);
+    }
+
+    assertTransition(run, 'terminated', 'auto-stop');
+    console.log(`🏁 Terminating evolution run ${runId}: ${terminationReason}${run.autoStopTriggered ? ` (${run.autoStopTriggered.detail})` : ''}`);
+    this._cancelAutoResume(runId);
+
+    if (run.pm2Name) {
+      try {
+        await this.processRunner.stop(run.pm2Name);
+        await this.processRunner.delete(run.pm2Name);
+      } catch (error) {
+        console.warn(`⚠️ Failed to stop evolution process for run ${runId}:`, error.message);
+      }
+    }
+
+    try {
+      await this.serviceDependencyManager.stopServicesForRun(runId);
+    } catch (error) {
+      console.warn(`⚠️ Failed to stop service dependencies for run ${runId}:`, error.message);
+    }
+
+    if (run.status === 'running' && run.timeSliceStartedAt) {
+      run.totalActiveTime = (run.totalActiveTime || 0) + (Date.now() - new Date(run.timeSliceStartedAt).getTime());
+    }
+    this._transition(run, 'terminated', 'auto-stop', { terminationReason, ...(run.autoStopTriggered ? { policy: run.autoStopTriggered.policy } : {}) });
+    run.terminatedAt = new Date().toISOString();
+    run.progress = { ...run.progress, terminationReason };
+    await this.saveRunState();
+
+    if (this.syncManager) {
+      try {
+        await this.syncManager.triggerSync(runId, 'terminated');
+      } catch (err) {
+        console.warn(`⚠️ Final sync failed for run ${runId}: ${err.message}`);
+      }
+      this.syncManager.unregisterRun(runId);
+    }
+
+    if (this.socketHandler) {
+      this.socketHandler.emit('run-ended', { runId, reason: 'terminated', exitCode: null, terminationReason, autoStop: run.autoStopTriggered || null });
+    }
+
+    // The scheduler treats the run like one that finished on its own
+    this._notifyScheduler(run, 'terminated');
+  }
+
   /**
    * Pause an evolution run (used by scheduler for time-slice rotation)
    * Unlike stopRun(), this marks the run as 'paused' so it can be resumed later.
    * Service dependencies are stopped but the run state is preserved.
    * @param {string} runId - Run ID to pause
+   * @param {Object} [options]
+   * @param {string} [options.cause='pause'] - Recorded in the run's history
    */
-  async pauseRun(runId) {
+  async pauseRun(runId, { cause = 'pause' } = {}) {
     const run = this.runs.get(runId);
     if (!run) {
       throw new Error(`Run ${runId} not found`);
@@ -480,11 +1014,11 @@ export class EvolutionManager {
     try {
       console.log(`⏸️ Pausing evolution run ${runId}...`);
 
-      // Step 1: Stop the evolution process (but don't delete from PM2 tracking)
+      // Step 1: Stop the evolution process (the run itself stays tracked)
       if (run.pm2Name) {
         try {
-          await this.pm2Stop(run.pm2Name);
-          await this.pm2Delete(run.pm2Name);
+          await this.processRunner.stop(run.pm2Name);
+          await this.processRunner.delete(run.pm2Name);
           console.log(`✅ Stopped evolution process for run ${runId}`);
         } catch (error) {
           console.warn(`⚠️ Failed to stop evolution process for run ${runId}:`, error.message);
@@ -500,7 +1034,7 @@ export class EvolutionManager {
       }
 
       // Step 3: Update run metadata - mark as PAUSED (not stopped)
-      run.status = 'paused';
+      this._transition(run, 'paused', cause);
       run.pausedAt = new Date().toISOString();
       // Track time spent running in this time slice
       if (run.timeSliceStartedAt) {
@@ -533,12 +1067,16 @@ export class EvolutionManager {
    * Resume a stopped or failed evolution run.
    * Re-starts service dependencies (with new port allocations),
    * updates the working config with the new service endpoints,
-   * and re-launches the PM2 evolution process.
+   * and re-launches the evolution process through the process runner.
    * The CLI automatically detects existing elite maps on disk and continues from where it left off.
+   * @param {string} runId
+   * @param {Object} [options]
+   * @param {boolean} [options.autoResume] - Retry of a crashed run (keeps its retry count)
+   * @param {string} [options.cause] - Recorded in the run's history; 'auto-resume' or 'resume' by default
    */
-  async resumeRun(runId) {
+  async resumeRun(runId, options = {}) {
     if (!this.isConnected) {
-      throw new Error('PM2 not connected');
+      throw new Error('Process runner not connected');
     }
 
     const run = this.runs.get(runId);
@@ -549,7 +1087,16 @@ export class EvolutionManager {
     if (run.status === 'running') {
       throw new Error(`Run ${runId} is already running`);
     }
+    if (run.archive) {
+      throw new Error(`Run ${runId} is archived at ${run.archive.path}; it cannot be resumed`);
+    }
+    if (this.forkingRuns.has(runId)) {
+      throw new Error(`Run ${runId} is being forked; resume it once its evorun is copied`);
+    }
+    const cause = options.cause || (options.autoResume ? 'auto-resume' : 'resume');
+    assertTransition(run, 'running', cause);
 
+    this.launchingRuns.add(runId);
     try {
       console.log(`▶️ Resuming evolution run ${runId} (template: ${run.templateName})...`);
 
@@ -598,65 +1145,59 @@ export class EvolutionManager {
         }
 
         // Re-apply global overrides (env vars / global-defaults.json) so that
-        // configuration changes made since the run was first prepared take effect.
+        // configuration changes made since the run was first prepared take effect,
+        // then the run's own JSON-path overrides so that they keep precedence.
         const globalDefaults = await this.configManager.loadGlobalDefaults();
-        const wrappedConfig = { evolutionRunConfig };
-        const updatedWrapped = this.configManager.applyRuntimeOptions(wrappedConfig, globalDefaults);
+        const hyperparametersPath = path.join(runDir, 'evolutionary-hyperparameters.jsonc');
+        const hyperparameters = await fs.pathExists(hyperparametersPath) ? await fs.readJson(hyperparametersPath) : null;
+        const updatedWrapped = this.configManager.applyRuntimeOptions(
+          { evolutionRunConfig, hyperparameters },
+          { ...globalDefaults, runId, overrides: run.overrides }
+        );
         evolutionRunConfig = updatedWrapped.evolutionRunConfig;
-        console.log(`🔄 Re-applied global overrides for run ${runId}`);
+        console.log(`🔄 Re-applied global overrides${Object.keys(run.overrides || {}).length ? ' and run overrides' : ''} for run ${runId}`);
 
         await fs.writeFile(evolutionRunConfigPath, JSON.stringify(evolutionRunConfig, null, 2));
+        if (hyperparameters) {
+          await fs.writeFile(hyperparametersPath, JSON.stringify(updatedWrapped.hyperparameters, null, 2));
+        }
       }
 
-      // Step 3: Clean up any stale PM2 process from the previous run
+      // Step 3: Clean up any stale process from the previous run
       const pm2Name = `kromosynth-evolution-${runId}`;
       try {
-        await this.pm2Delete(pm2Name);
-        console.log(`🧹 Cleaned up stale PM2 process ${pm2Name}`);
+        await this.processRunner.delete(pm2Name);
+        console.log(`🧹 Cleaned up stale process ${pm2Name}`);
       } catch {
-        // Process doesn't exist in PM2, which is expected
+        // Process doesn't exist in the runner, which is expected
       }
 
-      // Step 4: Re-create PM2 process with same config
+      // Step 4: Re-create process with same config
       const configFilePath = run.configPath || path.join(runDir, 'evolution-runs-config.jsonc');
 
-      const pm2Config = {
-        name: pm2Name,
-        script: this.cliScriptPath,
-        args: [
-          'evolution-runs',
-          '--evolution-runs-config-json-file',
-          configFilePath
-        ],
-        cwd: path.dirname(this.cliScriptPath),
-        env: {
-          NODE_ENV: 'production',
-          EVOLUTION_RUN_ID: runId
-        },
-        output: path.join(process.cwd(), 'logs', `${runId}.out.log`),
-        error: path.join(process.cwd(), 'logs', `${runId}.err.log`),
-        log: path.join(process.cwd(), 'logs', `${runId}.combined.log`),
-        time: true,
-        autorestart: false,
-        max_memory_restart: '2G'
-      };
+      const pm2Config = this._evolutionProcessConfig(runId, configFilePath, pm2Name);
 
       console.log(`🚀 Re-starting evolution process for run ${runId}...`);
-      await this.pm2Start(pm2Config);
+      await this.processRunner.start(pm2Config);
 
       // Step 5: Update run metadata
-      run.status = 'running';
+      this._transition(run, 'running', cause);
       run.resumedAt = new Date().toISOString();
       run.stoppedAt = null;
       run.pausedAt = null;
-      run.autoResumeCount = 0; // Reset retry counter on successful resume
+      if (!options.autoResume) {
+        run.autoResumeCount = 0; // Manual resume starts a fresh retry budget
+      }
       run.pm2Name = pm2Name;
+      run.progressSource = null; // re-detected for the new process
+      if (run.autoStopTriggered) {
+        // Resuming a run ended by an auto-stop policy starts a fresh stagnation window
+        run.autoStopTriggered = null;
+        run.autoStopState = null;
+      }
       run.timeSliceStartedAt = run.resumedAt; // Track when this time slice started
-      run.serviceInfo = serviceInfo ? {
-        portAllocation: serviceInfo.portAllocation,
-        serviceUrls: serviceInfo.serviceUrls,
-        services: serviceInfo.services.map(s => ({ name: s.name, status: s.status }))
-      } : null;
+      run.timeSliceIndex = (run.timeSliceIndex || 0) + 1;
+      run.serviceInfo = serviceInfo ? this._runServiceInfo(serviceInfo) : null;
 
       await this.saveRunState();
 
@@ -683,46 +1224,136 @@ export class EvolutionManager {
     } catch (error) {
       console.error(`❌ Failed to resume evolution run ${runId}:`, error);
       throw error;
+    } finally {
+      this.launchingRuns.delete(runId);
+    }
+  }
+
+  /**
+   * Track a running evolution process the manager has no run for, e.g. one
+   * whose run record was lost (see process-reconciler.js). The run's working
+   * configs in working/<runId>/ must still exist.
+   * @param {string} runId
+   * @returns {Promise<Object>} The adopted run
+   */
+  async adoptRun(runId) {
+    if (this.runs.has(runId)) {
+      throw new Error(`Run ${runId} is already tracked`);
+    }
+
+    const pm2Name = `kromosynth-evolution-${runId}`;
+    const [proc] = await this.processRunner.describe(pm2Name);
+    if (!proc) {
+      throw new Error(`Process ${pm2Name} not found`);
     }
+    if (proc.status !== 'online') {
+      throw new Error(`Process ${pm2Name} is ${proc.status}; only running processes can be adopted`);
+    }
+    const runDir = path.join(process.cwd(), 'working', runId);
+    const configPath = path.join(runDir, 'evolution-runs-config.jsonc');
+    if (!await fs.pathExists(configPath)) {
+      throw new Error(`Run ${runId} cannot be adopted: its working config ${configPath} is gone`);
+    }
+
+    // The template is known if the run was started by this manager
+    const version = this.templateVersions.findRun(runId);
+    const timestamp = new Date().toISOString();
+    const run = {
+      id: runId,
+      templateName: version?.templateName || null,
+      ecosystemVariant: 'default',
+      status: null,
+      startedAt: proc.startedAt || timestamp,
+      timeSliceStartedAt: timestamp,
+      timeSliceIndex: 0,
+      pm2Name,
+      configPath,
+      outputDir: path.join(runDir, 'output'),
+      options: {},
+      autoScheduled: false,
+      progressSource: null,
+      overrides: {},
+      templateVersion: version?.hash || null,
+      configDiff: null,
+      autoStop: null,
+      autoStopState: null,
+      autoStopTriggered: null,
+      serviceInfo: null,
+      progress: {
+        generation: 0,
+        totalGenerations: await this._recalcTotalGenerationsFromDisk(runId),
+        bestFitness: null,
+        coverage: null
+      },
+      pid: proc.pid,
+      adoptedAt: timestamp
+    };
+
+    // Its services and ports, as for runs re-attached after a restart (see _reattachRuns)
+    try {
+      const serviceInfo = await this.serviceDependencyManager.reattachServicesForRun(runId, run, await this.processRunner.list());
+      if (serviceInfo) {
+        run.serviceInfo = this._runServiceInfo(serviceInfo);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Failed to re-attach services of run ${runId}: ${error.message}`);
+    }
+
+    this._transition(run, 'running', 'adopt', { processName: pm2Name, pid: proc.pid });
+    this.runs.set(runId, run);
+    await this.saveRunState();
+    console.log(`🧲 Adopted evolution process ${pm2Name} as run ${runId}${run.templateName ? ` (template: ${run.templateName})` : ''}`);
+
+    if (this.socketHandler) {
+      this.socketHandler.emit('run-started', { runId, templateName: run.templateName, ecosystemVariant: run.ecosystemVariant, adopted: true, timestamp });
+    }
+
+    this.syncManager.registerRun(runId, run, {}).catch(err => {
+      console.warn(`⚠️ Failed to register sync for run ${runId}: ${err.message}`);
+    });
+
+    return run;
   }
 
   /**
    * Get status of all runs
    */
   async getAllRuns() {
-    const pm2Processes = await this.pm2List();
+    const processes = await this.processRunner.list();
 
     // Only use evolution processes (not service dependencies) for status updates.
     // Service processes like kromosynth-gRPC-variation_{runId} can remain online
     // after the evolution process has stopped/terminated, and would incorrectly
     // flip the run status back to 'running'.
-    const evolutionProcesses = pm2Processes.filter(proc =>
+    const evolutionProcesses = processes.filter(proc =>
       proc.name && proc.name.startsWith('kromosynth-evolution-')
     );
 
-    // Update run statuses based on PM2 evolution process data
+    // Update run statuses based on evolution process data
     for (const proc of evolutionProcesses) {
       const runId = this.extractRunId(proc.name);
       const run = runId ? this.runs.get(runId) : null;
       
       if (run) {
-        run.pm2Status = proc.pm2_env.status;
+        run.pm2Status = proc.status;
         run.pid = proc.pid;
-        run.cpu = proc.monit.cpu;
-        run.memory = proc.monit.memory;
+        run.cpu = proc.cpu;
+        run.memory = proc.memory;
         
-        // Update run status based on PM2 status
-        if (proc.pm2_env.status === 'online') {
-          run.status = 'running';
-        } else if (proc.pm2_env.status === 'stopped') {
-          run.status = 'stopped';
-        } else if (proc.pm2_env.status === 'errored') {
-          run.status = 'failed';
+        // A finished process only ends a run still believed to be running
+        // (missed exit event). An online process never changes the status:
+        // it may be one a pause or stop is still shutting down.
+        if (run.status === 'running' && proc.status === 'stopped') {
+          this._transition(run, 'stopped', 'process-status', { processStatus: proc.status });
+        } else if (run.status === 'running' && proc.status === 'errored') {
+          this._transition(run, 'failed', 'process-status', { processStatus: proc.status });
         }
       }
     }
 
-    return Array.from(this.runs.values());
+    // Queued runs are listed after the runs that exist
+    const queued = this.runQueue.getQueued().map((entry, position) => this._queuedRunView(entry, position));
+    return [...this.runs.values(), ...queued];
   }
 
   /**
@@ -731,24 +1362,187 @@ export class EvolutionManager {
   async getRun(runId) {
     const run = this.runs.get(runId);
     if (!run) {
+      const position = this.runQueue.getQueued().findIndex(entry => entry.id === runId);
+      if (position !== -1) {
+        return this._queuedRunView(this.runQueue.getQueued()[position], position);
+      }
       throw new Error(`Run ${runId} not found`);
     }
 
-    // Get fresh PM2 data
+    // Get fresh process data
     try {
-      const [pm2Data] = await this.pm2Describe(run.pm2Name);
-      if (pm2Data) {
-        run.pm2Status = pm2Data.pm2_env.status;
-        run.pid = pm2Data.pid;
-        run.cpu = pm2Data.monit.cpu;
-        run.memory = pm2Data.monit.memory;
+      const [proc] = await this.processRunner.describe(run.pm2Name);
+      if (proc) {
+        run.pm2Status = proc.status;
+        run.pid = proc.pid;
+        run.cpu = proc.cpu;
+        run.memory = proc.memory;
       }
     } catch (error) {
-      // Process might not exist in PM2 anymore
-      console.warn(`⚠️ Could not get PM2 data for run ${runId}`);
+      // Process might not exist in the runner anymore
+      console.warn(`⚠️ Could not get process data for run ${runId}`);
     }
 
-    return run;
+    return { ...run, lineage: this.getRunLineage(runId) };
+  }
+
+  /**
+   * Add run requests to the queue. They are started by the auto-run scheduler
+   * as slots free up (see run-queue.js).
+   * @param {Object[]} requests - { templateName, ecosystemVariant, options, priority, dependsOn }
+   *   dependsOn lists run or queue entry IDs; numbers refer to earlier requests in the same call
+   * @param {Object} [params]
+   * @param {boolean} [params.batch=false] - Tag the entries with a common batchId
+   * @returns {Promise<Object[]>} The queue entries
+   */
+  async enqueueRuns(requests, { batch = false } = {}) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+      throw new Error('Invalid queue request: no runs given');
+    }
+
+    const batchId = batch ? ulid() : null;
+    const entries = [];
+    for (const [index, request] of requests.entries()) {
+      const { templateName, ecosystemVariant = 'default', priority = 1, dependsOn = [] } = request || {};
+      let { options = {} } = request || {};
+      if (!templateName) {
+        throw new Error(`Invalid queue request #${index}: templateName is required`);
+      }
+      if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+        throw new Error(`Invalid queue request #${index}: priority must be a number`);
+      }
+      if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error(`Invalid queue request #${index}: options must be an object`);
+      }
+      if (request.overrides) {
+        options = { ...options, overrides: { ...options.overrides, ...request.overrides } };
+      }
+
+      // Reject what would make the run fail to start now, not when it leaves the queue
+      const template = await this.getTemplate(templateName); // throws if the template does not exist
+      validateOverrides(template, options.overrides);
+      mergeAutoStopPolicies(null, options.autoStop);
+
+      const dependencies = (Array.isArray(dependsOn) ? dependsOn : [dependsOn]).map(dependency => {
+        if (Number.isInteger(dependency)) {
+          if (dependency < 0 || dependency >= index) {
+            throw new Error(`Invalid queue request #${index}: dependsOn ${dependency} must refer to an earlier run in the same request`);
+          }
+          return entries[dependency].id;
+        }
+        if (!this.runs.has(dependency) && !this.runQueue.get(dependency)) {
+          throw new Error(`Invalid queue request #${index}: unknown dependency ${dependency}`);
+        }
+        return dependency;
+      });
+
+      entries.push({ id: ulid(), templateName, ecosystemVariant, options, priority, dependsOn: dependencies, batchId });
+    }
+
+    const added = await this.runQueue.add(entries);
+    console.log(`📥 Queued ${added.length} run(s)${batchId ? ` in batch ${batchId}` : ''}`);
+
+    // Start right away if the scheduler has free slots
+    this.autoRunScheduler.startScheduling().catch(error => {
+      console.error('📅 Error scheduling queued runs:', error.message);
+    });
+
+    return added;
+  }
+
+  /**
+   * Status of a run or, before it has started, of its queue entry
+   * @returns {string|null}
+   */
+  getRunStatus(runId) {
+    return this.runs.get(runId)?.status ?? this.runQueue.get(runId)?.status ?? null;
+  }
+
+  _queuedRunView(entry, position) {
+    return {
+      id: entry.id,
+      templateName: entry.templateName,
+      ecosystemVariant: entry.ecosystemVariant,
+      status: 'queued',
+      queuedAt: entry.enqueuedAt,
+      queuePosition: position,
+      priority: entry.priority,
+      dependsOn: entry.dependsOn,
+      batchId: entry.batchId,
+      options: entry.options
+    };
+  }
+
+  /**
+   * Update a run's auto-stop policies. Given policies replace the current ones
+   * policy by policy; null removes a policy.
+   * @param {string} runId
+   * @param {Object} policies - See auto-stop-policy.js
+   * @returns {Promise<Object|null>} The run's effective policies
+   */
+  async setAutoStopPolicies(runId, policies) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      throw new Error(`Run ${runId} not found`);
+    }
+
+    run.autoStop = mergeAutoStopPolicies(run.autoStop, policies);
+    await this.saveRunState();
+    return run.autoStop;
+  }
+
+  /**
+   * Get a run's progress time series
+   * @param {string} runId
+   * @param {{ from?: string|number, to?: string|number, fields?: string|string[] }} [query]
+   */
+  async getRunMetrics(runId, query = {}) {
+    if (!this.runs.has(runId)) {
+      throw new Error(`Run ${runId} not found`);
+    }
+    return this.metricsHistory.query(runId, query);
+  }
+
+  /**
+   * The parts of a run's state recorded in the audit log before and after an
+   * action, null for unknown runs
+   */
+  auditState(runId) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      const entry = this.runQueue.get(runId);
+      return entry ? { status: entry.status } : null;
+    }
+    return {
+      status: run.status,
+      generation: run.progress?.generation ?? null,
+      pausedByScheduler: !!run.pausedByScheduler,
+      autoResumeCount: run.autoResumeCount || 0,
+      archived: !!run.archive
+    };
+  }
+
+  /**
+   * A page of a run's log (see RunLogs.read)
+   * @param {string} runId
+   * @param {string} type - out, err or combined
+   * @param {Object} [query] - { cursor, before, limit }
+   */
+  async getRunLogs(runId, type, query = {}) {
+    if (!this.runs.has(runId)) {
+      throw new Error(`Run ${runId} not found`);
+    }
+    return this.runLogs.read(runId, type, query);
+  }
+
+  /**
+   * Lines of a run's log matching a pattern and/or time range (see RunLogs.search)
+   */
+  async searchRunLogs(runId, type, query = {}) {
+    if (!this.runs.has(runId)) {
+      throw new Error(`Run ${runId} not found`);
+    }
+    return this.runLogs.search(runId, type, query);
   }
 
   /**
@@ -759,10 +1553,161 @@ export class EvolutionManager {
   }
 
   /**
-   * Get a specific template with full configuration
+   * Get a template's configs
+   * @param {string} templateName
+   * @param {Object} [options]
+   * @param {string} [options.view='flattened'] - 'flattened' (merged over the templates
+   *   it extends, placeholders resolved), 'layered' (each template's own files, as
+   *   written) or 'both'
+   */
+  async getTemplate(templateName, { view = 'flattened' } = {}) {
+    if (!['flattened', 'layered', 'both'].includes(view)) {
+      throw new Error(`Invalid template view '${view}': use flattened, layered or both`);
+    }
+    if (view === 'flattened') {
+      return await this.configManager.loadTemplate(templateName);
+    }
+
+    const layers = (await this.configManager.getTemplateChain(templateName))
+      .map(({ templateDir, ...layer }) => layer);
+    if (view === 'layered') {
+      return { templateName, layers };
+    }
+    return { ...await this.configManager.loadTemplate(templateName), layers };
+  }
+
+  /**
+   * Validate a template against the schemas and its ecosystem variant
+   * (see template-validator.js)
+   */
+  async validateTemplate(templateName, ecosystemVariant = 'default') {
+    return await this.templateValidator.validate(templateName, ecosystemVariant);
+  }
+
+  /**
+   * Versions of a template that runs were started from (see template-version-store.js)
+   */
+  async getTemplateVersions(templateName) {
+    return await this.templateVersions.listVersions(templateName);
+  }
+
+  /**
+   * A run's status changes, oldest first (see run-state-machine.js)
+   * @param {string} runId
+   * @returns {Promise<Object>} { runId, status, history: [{ at, from, to, cause, details }] }
+   */
+  async getRunHistory(runId) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      if (this.runQueue.get(runId)?.status === 'queued') {
+        return { runId, status: 'queued', history: [] };
+      }
+      throw new Error(`Run ${runId} not found`);
+    }
+    return { runId, status: run.status, history: run.history || [] };
+  }
+
+  /**
+   * Trace a run to its configuration: the template version it started from, how
+   * the run's config differed from that version, and how the template changed since
+   */
+  async getRunConfigDiff(runId) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      throw new Error(`Run ${runId} not found`);
+    }
+    if (!run.templateVersion) {
+      throw new Error(`Template snapshot for run ${runId} not found (started before template versioning)`);
+    }
+
+    const currentTemplateVersion = await this.templateVersions.currentHash(run.templateName);
+    return {
+      runId,
+      templateName: run.templateName,
+      templateVersion: run.templateVersion,
+      currentTemplateVersion,
+      templateChanged: currentTemplateVersion !== run.templateVersion,
+      runChanges: run.configDiff || [],
+      templateChanges: await this.templateVersions.diffAgainstCurrent(run.templateName, run.templateVersion)
+    };
+  }
+
+  /**
+   * Create a template from config objects or JSONC text (see ConfigManager.stageTemplate)
+   * @returns {Promise<Object>} The validation of the written template
+   */
+  async createTemplate(templateName, files) {
+    this.configManager.assertTemplateName(templateName);
+    if (await fs.pathExists(path.join(this.configManager.templatesDir, templateName))) {
+      throw new Error(`Template '${templateName}' already exists`);
+    }
+    return this._writeTemplate(templateName, files, null);
+  }
+
+  /**
+   * Replace files of an existing template; files not given are kept
+   * @returns {Promise<Object>} The validation of the written template
+   */
+  async updateTemplate(templateName, files) {
+    this.configManager.assertTemplateName(templateName);
+    const templateDir = path.join(this.configManager.templatesDir, templateName);
+    if (!await fs.pathExists(templateDir)) {
+      throw new Error(`Template '${templateName}' not found`);
+    }
+    return this._writeTemplate(templateName, files, templateDir);
+  }
+
+  /**
+   * Delete a template no active or queued run uses
+   */
+  async deleteTemplate(templateName) {
+    const users = [
+      ...Array.from(this.runs.values())
+        .filter(run => run.templateName === templateName && ['running', 'paused', 'recovering'].includes(run.status))
+        .map(run => run.id),
+      ...this.runQueue.getQueued()
+        .filter(entry => entry.templateName === templateName)
+        .map(entry => entry.id)
+    ];
+    if (users.length > 0) {
+      throw new Error(`Template '${templateName}' is in use by run(s) ${users.join(', ')}`);
+    }
+    const extending = await this.configManager.findExtendingTemplates(templateName);
+    if (extending.length > 0) {
+      throw new Error(`Template '${templateName}' is in use by template(s) ${extending.join(', ')}, which extend it`);
+    }
+
+    await this.configManager.deleteTemplate(templateName);
+    this.serviceDependencyManager.forgetEcosystemTemplates(templateName);
+    console.log(`🗑️ Deleted template ${templateName}`);
+  }
+
+  /**
+   * Stage, validate and install template files; nothing in templates/ changes
+   * unless the result is valid
    */
-  async getTemplate(templateName) {
-    return await this.configManager.loadTemplate(templateName);
+  async _writeTemplate(templateName, files, base) {
+    if (!files || typeof files !== 'object') {
+      throw new Error('Invalid template: expected an object of template files');
+    }
+
+    const stagingDir = await this.configManager.stageTemplate(templateName, files, { base });
+    try {
+      const ecosystemVariant = files.ecosystem?.variant || 'default';
+      const validation = await this.templateValidator.validateDirectory(stagingDir, templateName, ecosystemVariant);
+      if (!validation.valid) {
+        const error = new Error(`Invalid template '${templateName}': ${formatTemplateIssues(validation.errors)}`);
+        error.validation = validation;
+        throw error;
+      }
+
+      await this.configManager.installTemplate(templateName, stagingDir);
+      this.serviceDependencyManager.forgetEcosystemTemplates(templateName);
+      console.log(`📝 ${base ? 'Updated' : 'Created'} template ${templateName}`);
+      return validation;
+    } finally {
+      await fs.remove(stagingDir);
+    }
   }
 
   /**
@@ -815,7 +1760,7 @@ export class EvolutionManager {
   }
 
   /**
-   * Extract run ID from a PM2 process name.
+   * Extract run ID from a process name.
    * Evolution processes are named `kromosynth-evolution-{runId}`.
    * Service processes are named `{serviceName}_{runId}`.
    */
@@ -838,113 +1783,119 @@ export class EvolutionManager {
   }
 
   /**
-   * Handle messages from PM2 processes
+   * Handle IPC messages from runner processes
+   * @param {{ name: string, data: any }} event
    */
-  handleProcessMessage(packet) {
-    const runId = this.extractRunId(packet.process.name);
+  handleProcessMessage(event) {
+    const runId = this.extractRunId(event.name);
     if (!runId || !this.runs.has(runId)) return;
 
-    const run = this.runs.get(runId);
-
-    // Parse evolution progress messages
-    if (packet.data && packet.data.type === 'evolution-progress') {
-      run.progress = { ...run.progress, ...packet.data.progress };
-
-      // Emit websocket update
-      if (this.socketHandler) {
-        this.socketHandler.emit('run-progress', {
-          runId,
-          progress: run.progress
-        });
-      }
+    const message = parseProgressMessage(event.data);
+    if (!message) return;
+    if (message.error) {
+      console.warn(`⚠️ Ignoring progress message from run ${runId}: ${message.error}`);
+      return;
     }
+
+    this.applyProgress(this.runs.get(runId), message, PROGRESS_SOURCES.IPC);
   }
 
   /**
-   * Handle log output from PM2 processes
+   * Handle log output from runner processes
+   * @param {{ name: string, data: string }} event
+   * @param {'stdout'|'stderr'} type
    */
-  handleProcessLog(packet, type) {
-    const runId = this.extractRunId(packet.process.name);
+  handleProcessLog(event, type) {
+    const runId = this.extractRunId(event.name);
     if (!runId || !this.runs.has(runId)) return;
 
-    // Parse logs for progress information
-    const logLine = packet.data;
+    const logLine = event.data;
     if (typeof logLine !== 'string') return;
 
     const run = this.runs.get(runId);
-    let progressUpdated = false;
 
-    // CLI logs: "generation <N> eliteCountAtGeneration: <N> coverageSize <N> coveragePercentage <N> evo run ID: <id>"
-    const generationMatch = logLine.match(/\bgeneration\s+(\d+)\b/);
-    if (generationMatch) {
-      run.progress.generation = parseInt(generationMatch[1]);
-      progressUpdated = true;
+    // Structured JSON-lines progress on stdout
+    const message = type === 'stdout' ? parseProgressLine(logLine) : null;
+    if (message && !message.error) {
+      this.applyProgress(run, message, PROGRESS_SOURCES.STDOUT);
+      return; // protocol lines are kept in the log files but not streamed
     }
-
-    // CLI coveragePercentage is already a percentage (e.g. 10.8 = 10.8%)
-    // Normalize to 0-1 fraction for consistent display
-    const coveragePercentMatch = logLine.match(/coveragePercentage\s+([\d.]+)/);
-    if (coveragePercentMatch) {
-      run.progress.coverage = parseFloat(coveragePercentMatch[1]) / 100;
-      progressUpdated = true;
+    if (message?.error) {
+      console.warn(`⚠️ Ignoring progress line from run ${runId}: ${message.error}`);
     }
 
-    // CMA-MAE logs: "[CMA-MAE] Told N results - QD Score: X.X, Coverage: X.X%"
-    const qdScoreMatch = logLine.match(/QD Score:\s*([\d.]+)/);
-    if (qdScoreMatch) {
-      run.progress.qdScore = parseFloat(qdScoreMatch[1]);
-      progressUpdated = true;
+    // Legacy fallback: scrape the human readable log lines, unless the
+    // process has already shown that it speaks the protocol
+    if (!run.progressSource || run.progressSource === PROGRESS_SOURCES.LEGACY_LOG) {
+      const legacyData = parseLegacyLogLine(logLine);
+      if (legacyData) {
+        this.applyProgress(run, { event: 'generation', version: 0, timestamp: null, data: legacyData }, PROGRESS_SOURCES.LEGACY_LOG);
+      }
     }
 
-    // CMA-MAE Coverage: X.X% - normalize to 0-1 fraction
-    const cmaCoverageMatch = logLine.match(/Coverage:\s*([\d.]+)%/);
-    if (cmaCoverageMatch) {
-      run.progress.coverage = parseFloat(cmaCoverageMatch[1]) / 100;
-      progressUpdated = true;
+    // Emit websocket log update
+    if (this.socketHandler) {
+      this.socketHandler.emit('run-log', {
+        runId,
+        type,
+        message: logLine,
+        timestamp: new Date().toISOString()
+      });
     }
+  }
 
-    // Batch completion percentage: "% completed: X"
-    const completionMatch = logLine.match(/%\s*completed:\s*([\d.]+)/);
-    if (completionMatch) {
-      run.progress.completionPercent = parseFloat(completionMatch[1]);
-      progressUpdated = true;
+  /**
+   * Apply a progress message to a run and notify clients
+   * @param {Object} run
+   * @param {{ event: string, version: number, timestamp: string|null, data: Object }} message
+   * @param {string} source - One of PROGRESS_SOURCES
+   */
+  applyProgress(run, message, source) {
+    const runId = run.id;
+
+    // Structured sources take over from the legacy regexes for the rest of the process lifetime
+    if (run.progressSource !== source && (!run.progressSource || run.progressSource === PROGRESS_SOURCES.LEGACY_LOG)) {
+      console.log(`📈 Run ${runId} progress source: ${source}`);
+      run.progressSource = source;
     }
 
-    // Emit websocket progress update when progress changed
-    if (progressUpdated && this.socketHandler) {
+    run.progress = applyProgressMessage(run.progress, message);
+    this._checkAutoResumeRecovered(run);
+    this.metricsHistory.record(run);
+    this._checkAutoStop(run);
+
+    if (this.socketHandler) {
       this.socketHandler.emit('run-progress', {
         runId,
-        progress: run.progress
+        progress: run.progress,
+        progressSource: run.progressSource
       });
-    }
 
-    // Throttled persistence of progress (at most every 30 seconds)
-    if (progressUpdated) {
-      const now = Date.now();
-      if (now - this._lastProgressSave > 30000) {
-        this._lastProgressSave = now;
-        this.saveRunState().catch(() => {});
+      if (message.event !== 'generation') {
+        this.socketHandler.emit('run-progress-event', {
+          runId,
+          event: message.event,
+          data: message.data,
+          timestamp: message.timestamp || new Date().toISOString()
+        });
       }
     }
 
-    // Emit websocket log update
-    if (this.socketHandler) {
-      this.socketHandler.emit('run-log', {
-        runId,
-        type,
-        message: logLine,
-        timestamp: new Date().toISOString()
-      });
+    // Throttled persistence of progress (at most every 30 seconds)
+    const now = Date.now();
+    if (now - this._lastProgressSave > 30000) {
+      this._lastProgressSave = now;
+      this.saveRunState().catch(() => {});
     }
   }
 
   /**
-   * Handle PM2 process events (exit, error, etc.)
+   * Handle process exit events from the runner
    * Used to detect when evolution runs terminate or fail
+   * @param {{ name: string, exitCode: number|null, stopRequested: boolean }} event
    */
-  handleProcessEvent(packet) {
-    const processName = packet.process?.name;
-    const event = packet.event;
+  handleProcessExit(event) {
+    const processName = event.name;
 
     // Only handle evolution process events
     if (!processName || !processName.startsWith('kromosynth-evolution-')) return;
@@ -954,96 +1905,177 @@ export class EvolutionManager {
 
     const run = this.runs.get(runId);
 
-    // Handle process exit events
-    if (event === 'exit') {
-      const exitCode = packet.process?.exit_code;
-      console.log(`📋 Evolution process exited: ${runId}, code: ${exitCode}`);
-
-      // Determine the reason for exit
-      let reason;
-      if (run.status === 'paused') {
-        // Process was paused by scheduler, not a real termination
-        return;
-      } else if (run.status === 'stopped') {
-        // User-initiated stop — already handled by stopRun()
-        return;
-      } else if (exitCode === 0) {
-        // Normal termination - check if elite map indicates completion
-        reason = 'terminated';
-        run.status = 'terminated';
-        run.terminatedAt = new Date().toISOString();
-      } else {
-        // Non-zero exit code indicates unexpected failure
-        // Attempt auto-resume if within retry limit
-        const MAX_AUTO_RESUME_RETRIES = 3;
-        run.autoResumeCount = (run.autoResumeCount || 0) + 1;
-
-        if (run.autoResumeCount <= MAX_AUTO_RESUME_RETRIES) {
-          const retryDelaySec = run.autoResumeCount * 15; // 15s, 30s, 45s
-          console.log(`🔄 Evolution run ${runId} failed (exit code ${exitCode}), auto-resuming in ${retryDelaySec}s (attempt ${run.autoResumeCount}/${MAX_AUTO_RESUME_RETRIES})`);
-          run.status = 'recovering';
-          this.saveRunState();
-
-          // Emit recovery event
-          if (this.socketHandler) {
-            this.socketHandler.emit('run-recovering', { runId, attempt: run.autoResumeCount, maxRetries: MAX_AUTO_RESUME_RETRIES, retryDelaySec });
-          }
+    const exitCode = event.exitCode;
+    console.log(`📋 Evolution process exited: ${runId}, code: ${exitCode}`);
+
+    // Determine the reason for exit
+    let reason;
+    if (event.stopRequested) {
+      // Exit caused by stopRun()/pauseRun() — handled there
+      return;
+    } else if (run.status === 'paused') {
+      // Process was paused by scheduler, not a real termination
+      return;
+    } else if (run.status === 'stopped') {
+      // User-initiated stop — already handled by stopRun()
+      return;
+    } else if (run.autoStopTriggered && run.status === 'running') {
+      // Exited while an auto-stop policy was ending it — handled by terminateRun()
+      return;
+    } else if (run.status !== 'running') {
+      // Already ended or recovering (e.g. getAllRuns saw the process stop first)
+      return;
+    } else if (exitCode === 0) {
+      // Normal termination - check if elite map indicates completion
+      reason = 'terminated';
+      this._transition(run, 'terminated', 'exit', { exitCode });
+      run.terminatedAt = new Date().toISOString();
+    } else {
+      // Non-zero exit code indicates unexpected failure
+      // Attempt auto-resume if within retry limit
+      const MAX_AUTO_RESUME_RETRIES = 3;
+      run.autoResumeCount = (run.autoResumeCount || 0) + 1;
+
+      if (run.autoResumeCount <= MAX_AUTO_RESUME_RETRIES) {
+        const retryDelayMs = run.autoResumeCount * this.autoResumeBaseDelayMs;
+        const retryDelaySec = retryDelayMs / 1000;
+        console.log(`🔄 Evolution run ${runId} failed (exit code ${exitCode}), auto-resuming in ${retryDelaySec}s (attempt ${run.autoResumeCount}/${MAX_AUTO_RESUME_RETRIES})`);
+        const before = this.auditState(runId);
+        this._transition(run, 'recovering', 'crash', { exitCode, attempt: run.autoResumeCount });
+        run.autoResumeGeneration = run.progress?.generation || 0;
+        this.saveRunState();
+        this.auditLog.record({
+          source: 'auto-resume',
+          action: 'scheduled',
+          runId,
+          before,
+          after: this.auditState(runId),
+          details: { exitCode, attempt: run.autoResumeCount, maxRetries: MAX_AUTO_RESUME_RETRIES, delayMs: retryDelayMs }
+        });
 
-          // Clean up services then resume after delay
-          this.serviceDependencyManager.stopServicesForRun(runId).catch(() => {}).then(() => {
-            setTimeout(async () => {
-              try {
-                console.log(`🔄 Auto-resuming evolution run ${runId} (attempt ${run.autoResumeCount})`);
-                await this.resumeRun(runId);
-                console.log(`✅ Auto-resumed evolution run ${runId} successfully`);
-              } catch (resumeError) {
-                console.error(`❌ Auto-resume failed for run ${runId}:`, resumeError.message);
-                run.status = 'failed';
-                run.failedAt = new Date().toISOString();
-                run.exitCode = exitCode;
-                this.saveRunState();
-                if (this.socketHandler) {
-                  this.socketHandler.emit('run-ended', { runId, reason: 'failed', exitCode });
-                }
-              }
-            }, retryDelaySec * 1000);
-          });
-          return; // Don't fall through to normal failure handling
+        // Emit recovery event
+        if (this.socketHandler) {
+          this.socketHandler.emit('run-recovering', { runId, attempt: run.autoResumeCount, maxRetries: MAX_AUTO_RESUME_RETRIES, retryDelaySec });
         }
 
-        // Exceeded retry limit
-        console.error(`❌ Evolution run ${runId} failed ${run.autoResumeCount} times, giving up`);
-        reason = 'failed';
-        run.status = 'failed';
-        run.failedAt = new Date().toISOString();
-        run.exitCode = exitCode;
+        // Clean up services then resume after delay
+        this.serviceDependencyManager.stopServicesForRun(runId).catch(() => {}).then(() => {
+          if (run.status !== 'recovering') return; // stopped or shut down meanwhile
+          this.autoResumeTimers.set(runId, setTimeout(async () => {
+            this.autoResumeTimers.delete(runId);
+            const attempt = { source: 'auto-resume', action: 'attempt', runId, before: this.auditState(runId) };
+            try {
+              console.log(`🔄 Auto-resuming evolution run ${runId} (attempt ${run.autoResumeCount})`);
+              await this.resumeRun(runId, { autoResume: true });
+              console.log(`✅ Auto-resumed evolution run ${runId} successfully`);
+              this.auditLog.record({ ...attempt, after: this.auditState(runId), outcome: 'success', details: { attempt: run.autoResumeCount } });
+            } catch (resumeError) {
+              console.error(`❌ Auto-resume failed for run ${runId}:`, resumeError.message);
+              this._transition(run, 'failed', 'auto-resume', { error: resumeError.message });
+              run.failedAt = new Date().toISOString();
+              run.exitCode = exitCode;
+              this.saveRunState();
+              this.auditLog.record({ ...attempt, after: this.auditState(runId), outcome: 'failed', details: { attempt: run.autoResumeCount, error: resumeError.message } });
+              if (this.socketHandler) {
+                this.socketHandler.emit('run-ended', { runId, reason: 'failed', exitCode });
+              }
+            }
+          }, retryDelayMs));
+        });
+        return; // Don't fall through to normal failure handling
       }
 
-      // Clean up service dependencies (non-blocking)
-      this.serviceDependencyManager.stopServicesForRun(runId).catch(err => {
-        console.warn(`⚠️ Failed to stop services on ${reason} for run ${runId}: ${err.message}`);
+      // Exceeded retry limit
+      console.error(`❌ Evolution run ${runId} failed ${run.autoResumeCount} times, giving up`);
+      const before = this.auditState(runId);
+      reason = 'failed';
+      this._transition(run, 'failed', 'crash', { exitCode, attempts: run.autoResumeCount - 1 });
+      run.failedAt = new Date().toISOString();
+      run.exitCode = exitCode;
+      this.auditLog.record({
+        source: 'auto-resume',
+        action: 'gave-up',
+        runId,
+        before,
+        after: this.auditState(runId),
+        details: { exitCode, attempts: run.autoResumeCount - 1, maxRetries: MAX_AUTO_RESUME_RETRIES }
       });
+    }
 
-      this.saveRunState();
+    // Clean up service dependencies (non-blocking)
+    this.serviceDependencyManager.stopServicesForRun(runId).catch(err => {
+      console.warn(`⚠️ Failed to stop services on ${reason} for run ${runId}: ${err.message}`);
+    });
 
-      // Final sync on completion/failure
-      if (this.syncManager) {
-        this.syncManager.triggerSync(runId, reason).catch(err => {
-          console.warn(`⚠️ Final sync on ${reason} failed for run ${runId}: ${err.message}`);
-        }).finally(() => {
-          this.syncManager.unregisterRun(runId);
-        });
-      }
+    this.saveRunState();
 
-      // Emit WebSocket event
-      if (this.socketHandler) {
-        this.socketHandler.emit('run-ended', { runId, reason, exitCode });
-      }
+    // Final sync on completion/failure
+    if (this.syncManager) {
+      this.syncManager.triggerSync(runId, reason).catch(err => {
+        console.warn(`⚠️ Final sync on ${reason} failed for run ${runId}: ${err.message}`);
+      }).finally(() => {
+        this.syncManager.unregisterRun(runId);
+      });
+    }
 
-      // Notify scheduler
-      if (this.autoRunScheduler && run.autoScheduled) {
-        this.autoRunScheduler.onRunEnded(runId, reason);
-      }
+    // Emit WebSocket event
+    if (this.socketHandler) {
+      this.socketHandler.emit('run-ended', { runId, reason, exitCode, terminationReason: run.progress?.terminationReason || null });
+    }
+
+    // Notify scheduler
+    this._notifyScheduler(run, reason);
+  }
+
+  /**
+   * Tell the scheduler a run ended. Runs it did not start may still unblock
+   * queued runs that depend on them.
+   */
+  _notifyScheduler(run, reason) {
+    if (!this.autoRunScheduler) return;
+    if (run.autoScheduled) {
+      this.autoRunScheduler.onRunEnded(run.id, reason);
+    } else if (this.runQueue.hasQueued()) {
+      this.autoRunScheduler.scheduleNextRun();
+    }
+  }
+
+  /**
+   * Reset the auto-resume retry counter once a recovered run makes progress
+   * beyond the generation it crashed at
+   */
+  _checkAutoResumeRecovered(run) {
+    if (run.autoResumeCount > 0 && run.status === 'running'
+        && (run.progress.generation || 0) > (run.autoResumeGeneration || 0)) {
+      console.log(`✅ Run ${run.id} recovered at generation ${run.progress.generation}, resetting retry counter`);
+      run.autoResumeCount = 0;
+      run.autoResumeGeneration = null;
+    }
+  }
+
+  /**
+   * Evaluate the run's auto-stop policies and terminate it when one triggers
+   */
+  _checkAutoStop(run) {
+    if (!run.autoStop || run.autoStopTriggered || run.status !== 'running') return;
+
+    const result = evaluateAutoStop(run);
+    if (!result) return;
+
+    run.autoStopTriggered = { ...result, at: new Date().toISOString() };
+    this.terminateRun(run.id, result.reason).catch(error => {
+      console.error(`❌ Auto-stop failed for run ${run.id}:`, error.message);
+    });
+  }
+
+  /**
+   * Cancel a pending auto-resume for a run
+   */
+  _cancelAutoResume(runId) {
+    const timer = this.autoResumeTimers.get(runId);
+    if (timer) {
+      clearTimeout(timer);
+      this.autoResumeTimers.delete(runId);
     }
   }
 
@@ -1055,10 +2087,20 @@ export class EvolutionManager {
   }
 
   /**
-   * Shutdown the evolution manager
+   * Shut the manager down
+   * @param {Object} [options]
+   * @param {boolean} [options.detach=false] - Persist state and leave running
+   *   runs and their services alone, for the next manager to re-attach to
+   *   (see _reattachRuns). With the child-process runner they still end with
+   *   the manager's process.
    */
-  async shutdown() {
-    console.log('🛑 Shutting down evolution manager...');
+  async shutdown({ detach = false } = {}) {
+    console.log(`🛑 Shutting down evolution manager${detach ? ' (detaching from running runs)' : ''}...`);
+
+    // Pending auto-resumes must not start processes after shutdown
+    for (const runId of Array.from(this.autoResumeTimers.keys())) {
+      this._cancelAutoResume(runId);
+    }
 
     // Shutdown auto-run scheduler first
     if (this.autoRunScheduler) {
@@ -1070,31 +2112,49 @@ export class EvolutionManager {
       await this.syncManager.shutdown();
     }
 
+    if (this.retentionManager) {
+      this.retentionManager.shutdown();
+    }
+    this.runLogs.stopRotation();
+
     if (this.isConnected) {
-      // Stop all running evolution processes
-      const runs = Array.from(this.runs.values());
-      const runningRuns = runs.filter(run => run.status === 'running');
+      for (const [eventName, listener] of Object.entries(this._runnerListeners || {})) {
+        this.processRunner.off(eventName, listener);
+      }
 
-      console.log(`🛑 Stopping ${runningRuns.length} active evolution runs...`);
-      for (const run of runningRuns) {
-        try {
-          await this.stopRun(run.id);
-        } catch (error) {
-          console.error(`Failed to stop run ${run.id}:`, error);
+      const runningRuns = Array.from(this.runs.values()).filter(run => run.status === 'running');
+      if (detach) {
+        console.log(`🔗 Leaving ${runningRuns.length} active evolution runs and their services running`);
+      } else {
+        // Stop all running evolution processes
+        console.log(`🛑 Stopping ${runningRuns.length} active evolution runs...`);
+        for (const run of runningRuns) {
+          try {
+            await this.stopRun(run.id, { cause: 'shutdown' });
+          } catch (error) {
+            console.error(`Failed to stop run ${run.id}:`, error);
+          }
         }
-      }
 
-      // Cleanup all service dependencies
-      await this.serviceDependencyManager.cleanup();
+        // Cleanup all service dependencies
+        await this.serviceDependencyManager.cleanup();
+      }
 
       // Persist final run state before disconnecting
       await this.saveRunState();
 
-      this.pm2Disconnect();
+      // Child processes are stopped on disconnect; detached ones are left to
+      // end with this process
+      if (!detach || this.processRunner.type !== 'child-process') {
+        await this.processRunner.disconnect();
+      }
       this.isConnected = false;
-      console.log('✅ Disconnected from PM2');
+      console.log('✅ Disconnected from process runner');
     }
 
+    await this._runStateSave;
+    await this.stateStore.close();
+
     console.log('✅ Evolution manager shutdown complete');
   }
 }
@@ -0,0 +1,142 @@
+/**
+ * Evorun forking - copies the directory the CLI writes a run to, so that a
+ * new run continues from the copy.
+ *
+ * An evorun directory (evoRunsDirPath/<iterationId>/) holds the genome and
+ * feature databases and the elite maps, named after the iteration ID
+ * (elites_<iterationId>.json, elites_<iterationId>_<terrain>.json). With
+ * commitEliteMapToGitEveryNIterations the CLI also commits the elite maps to
+ * a git repository in the directory, which is what makes earlier generations
+ * reachable: a fork at generation N resets the copy to the commit of that
+ * generation. The databases are not versioned; genomes added after the
+ * generation stay in the copy, unreferenced by its elite maps.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import fs from 'fs-extra';
+
+const execFileAsync = promisify(execFile);
+
+// Elite maps can be large; git show writes them to stdout
+const GIT_MAX_BUFFER = 512 * 1024 * 1024;
+
+const ELITE_MAP_PATTERN = /^elites_.*\.json$/;
+
+/**
+ * Generation of the elite maps in an evorun directory as they are now
+ * @returns {Promise<number|null>} null without a readable elite map
+ */
+export async function currentEvorunGeneration(evorunPath) {
+  const files = (await fs.readdir(evorunPath)).filter(file => ELITE_MAP_PATTERN.test(file)).sort();
+  if (files.length === 0) return null;
+  try {
+    const eliteMap = await fs.readJson(path.join(evorunPath, files[0]));
+    return Number.isInteger(eliteMap.generationNumber) ? eliteMap.generationNumber : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the commit of an evorun's elite maps at a generation
+ * @param {string} evorunPath
+ * @param {number} generation
+ * @returns {Promise<string>} Commit hash
+ */
+export async function findGenerationCommit(evorunPath, generation) {
+  if (!await fs.pathExists(path.join(evorunPath, '.git'))) {
+    throw new Error(`Invalid fork generation ${generation}: the run has no committed elite maps (commitEliteMapToGitEveryNIterations is not set)`);
+  }
+
+  const { stdout } = await git(evorunPath, ['rev-list', '--reverse', 'HEAD']);
+  const commits = stdout.split('\n').filter(Boolean);
+
+  // Commits follow the run, so their generations only increase
+  let low = 0;
+  let high = commits.length - 1;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    const committed = await committedGeneration(evorunPath, commits[middle]);
+    if (committed === generation) return commits[middle];
+    if (committed === null || committed < generation) {
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  const range = commits.length > 0
+    ? ` (committed: ${await committedGeneration(evorunPath, commits[0])} to ${await committedGeneration(evorunPath, commits[commits.length - 1])})`
+    : '';
+  throw new Error(`Invalid fork generation ${generation}: no elite map was committed at that generation${range}`);
+}
+
+/**
+ * Copy an evorun directory for a new iteration ID
+ * @param {string} sourcePath - The parent's evorun directory
+ * @param {string} targetPath - Must not exist yet
+ * @param {Object} options
+ * @param {string} options.fromIterationId
+ * @param {string} options.toIterationId
+ * @param {string} [options.commit] - Reset the copy to this commit (see findGenerationCommit)
+ * @param {number} [options.generation] - Recorded in the fork commit message
+ */
+export async function copyEvorun(sourcePath, targetPath, { fromIterationId, toIterationId, commit = null, generation = null }) {
+  if (await fs.pathExists(targetPath)) {
+    throw new Error(`Evorun directory ${targetPath} already exists`);
+  }
+  await fs.copy(sourcePath, targetPath);
+
+  const versioned = await fs.pathExists(path.join(targetPath, '.git'));
+  if (commit) {
+    await git(targetPath, ['reset', '--hard', '--quiet', commit]);
+  }
+
+  // The CLI finds elite maps by iteration ID, in their names and _id fields
+  const renamedEliteMaps = [];
+  for (const file of await fs.readdir(targetPath)) {
+    if (!file.includes(fromIterationId)) continue;
+    const renamed = file.split(fromIterationId).join(toIterationId);
+    if (ELITE_MAP_PATTERN.test(file)) {
+      const content = await fs.readFile(path.join(targetPath, file), 'utf8');
+      await fs.writeFile(path.join(targetPath, renamed), content.split(fromIterationId).join(toIterationId));
+      await fs.remove(path.join(targetPath, file));
+      renamedEliteMaps.push(renamed);
+    } else {
+      await fs.move(path.join(targetPath, file), path.join(targetPath, renamed));
+    }
+  }
+
+  // Commit the renamed elite maps only; the databases stay out of git
+  if (versioned) {
+    await git(targetPath, ['add', '--update']);
+    if (renamedEliteMaps.length > 0) {
+      await git(targetPath, ['add', '--', ...renamedEliteMaps]);
+    }
+    await git(targetPath, [
+      '-c', 'user.name=kromosynth-evolution-manager',
+      '-c', 'user.email=evolution-manager@localhost',
+      'commit', '--quiet', '--allow-empty',
+      '-m', `Fork of ${fromIterationId}${generation !== null ? ` at generation ${generation}` : ''}`
+    ]);
+  }
+}
+
+async function committedGeneration(evorunPath, commit) {
+  const { stdout: files } = await git(evorunPath, ['ls-tree', '--name-only', commit]);
+  const eliteMapFile = files.split('\n').filter(file => ELITE_MAP_PATTERN.test(file)).sort()[0];
+  if (!eliteMapFile) return null;
+  try {
+    const { stdout } = await git(evorunPath, ['show', `${commit}:${eliteMapFile}`]);
+    const { generationNumber } = JSON.parse(stdout);
+    return Number.isInteger(generationNumber) ? generationNumber : null;
+  } catch {
+    return null;
+  }
+}
+
+function git(cwd, args) {
+  return execFileAsync('git', ['-C', cwd, ...args], { maxBuffer: GIT_MAX_BUFFER });
+}
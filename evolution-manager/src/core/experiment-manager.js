@@ -0,0 +1,314 @@
+/**
+ * ExperimentManager - hyperparameter sweeps over a template.
+ *
+ * An experiment expands a parameter space into configurations, each a set of
+ * JSON-path overrides (see config/json-path.js), and queues one child run per
+ * configuration (see run-queue.js). Experiments are kept in
+ * working/experiments.json.
+ *
+ * Parameter spaces:
+ *   grid    { "parameters": { "<path>": [v1, v2, ...], ... } }
+ *           - every combination of the listed values
+ *   random  { "parameters": { "<path>": [v1, v2, ...] | { "min", "max", "integer"? } }, "samples": N, "seed"? }
+ *           - N configurations, values drawn uniformly (seeded, so reproducible)
+ *   list    { "configurations": [ { "<path>": value, ... }, ... ] }
+ *           - exactly the given configurations
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ulid } from 'ulid';
+import { parseJsonPath } from '../config/json-path.js';
+
+export const SWEEP_STRATEGIES = ['grid', 'random', 'list'];
+export const MAX_SWEEP_CONFIGURATIONS = 500;
+
+const ACTIVE_STATUSES = ['queued', 'started', 'running', 'paused', 'recovering'];
+const COMPARISON_FIELDS = ['generation', 'coverage', 'qdScore', 'eliteCount'];
+
+export class ExperimentManager {
+  constructor(evolutionManager, options = {}) {
+    this.evolutionManager = evolutionManager;
+    this.experimentsPath = options.experimentsPath || path.join(process.cwd(), 'working', 'experiments.json');
+    this.experiments = new Map(); // experimentId -> experiment
+    this._save = Promise.resolve(); // serializes writes
+  }
+
+  async load() {
+    try {
+      if (!await fs.pathExists(this.experimentsPath)) return;
+      for (const experiment of await fs.readJson(this.experimentsPath)) {
+        this.experiments.set(experiment.id, experiment);
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load experiments:', error.message);
+    }
+  }
+
+  save() {
+    this._save = this._save.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.experimentsPath));
+        const tmpPath = `${this.experimentsPath}.tmp`;
+        await fs.writeJson(tmpPath, Array.from(this.experiments.values()), { spaces: 2 });
+        await fs.move(tmpPath, this.experimentsPath, { overwrite: true });
+      } catch (error) {
+        console.warn('⚠️ Failed to save experiments:', error.message);
+      }
+    });
+    return this._save;
+  }
+
+  /**
+   * Create an experiment and queue its child runs
+   * @param {Object} spec
+   * @param {string} spec.name
+   * @param {string} spec.templateName
+   * @param {string} [spec.ecosystemVariant='default']
+   * @param {'grid'|'random'|'list'} spec.strategy
+   * @param {Object} [spec.parameters] - grid/random parameter space
+   * @param {Object[]} [spec.configurations] - list strategy
+   * @param {number} [spec.samples] - random strategy
+   * @param {number} [spec.seed] - random strategy
+   * @param {Object} [spec.options] - Run options shared by every child run
+   * @param {number} [spec.priority] - Queue priority of the child runs
+   * @returns {Promise<Object>} The experiment
+   */
+  async createExperiment(spec = {}) {
+    const { name, templateName, ecosystemVariant = 'default', strategy, options = {}, priority = 1 } = spec;
+    if (!name || typeof name !== 'string') {
+      throw new Error('Invalid experiment: name is required');
+    }
+    if (!templateName) {
+      throw new Error('Invalid experiment: templateName is required');
+    }
+
+    // Random sweeps always record their seed so they can be reproduced
+    const seed = strategy === 'random'
+      ? (Number.isInteger(spec.seed) ? spec.seed : Math.floor(Math.random() * 2 ** 31))
+      : null;
+    const configurations = expandParameterSpace({ ...spec, seed });
+    const id = ulid();
+
+    const entries = await this.evolutionManager.enqueueRuns(configurations.map(overrides => ({
+      templateName,
+      ecosystemVariant,
+      priority,
+      options: {
+        ...options,
+        overrides: { ...options.overrides, ...overrides },
+        experimentId: id
+      }
+    })), { batch: true });
+
+    const experiment = {
+      id,
+      name,
+      templateName,
+      ecosystemVariant,
+      strategy,
+      parameters: spec.parameters || null,
+      samples: spec.samples ?? null,
+      seed,
+      options,
+      batchId: entries[0].batchId,
+      createdAt: new Date().toISOString(),
+      configurations: configurations.map((overrides, index) => ({ index, overrides, runId: entries[index].id }))
+    };
+    this.experiments.set(id, experiment);
+    await this.save();
+
+    console.log(`🧪 Experiment ${name} (${id}): queued ${configurations.length} ${strategy} configurations of ${templateName}`);
+    return experiment;
+  }
+
+  getExperiment(experimentId) {
+    const experiment = this.experiments.get(experimentId);
+    if (!experiment) {
+      throw new Error(`Experiment ${experimentId} not found`);
+    }
+    return experiment;
+  }
+
+  /**
+   * Experiment with child run counts by status and an overall status:
+   * queued (nothing started yet), running, or completed (every child run ended)
+   */
+  getExperimentStatus(experimentId) {
+    const experiment = this.getExperiment(experimentId);
+    const runs = {};
+    for (const { runId } of experiment.configurations) {
+      const status = this.evolutionManager.getRunStatus(runId) || 'unknown';
+      runs[status] = (runs[status] || 0) + 1;
+    }
+
+    const total = experiment.configurations.length;
+    const status = (runs.queued || 0) === total ? 'queued'
+      : ACTIVE_STATUSES.some(active => runs[active]) ? 'running'
+      : 'completed';
+
+    return { ...experiment, status, runs, totalRuns: total };
+  }
+
+  listExperiments() {
+    return Array.from(this.experiments.keys()).map(id => {
+      const { configurations, ...summary } = this.getExperimentStatus(id);
+      return summary;
+    });
+  }
+
+  /**
+   * One row per configuration with the run's latest (final, once ended) progress
+   * @param {string} experimentId
+   * @param {Object} [query]
+   * @param {string} [query.sortBy='qdScore'] - coverage, qdScore, eliteCount, generation or index
+   */
+  getComparison(experimentId, query = {}) {
+    const experiment = this.getExperiment(experimentId);
+    const sortBy = query.sortBy || 'qdScore';
+    if (sortBy !== 'index' && !COMPARISON_FIELDS.includes(sortBy)) {
+      throw new Error(`Invalid sortBy '${sortBy}'. Use one of: index, ${COMPARISON_FIELDS.join(', ')}`);
+    }
+
+    const parameters = [...new Set(experiment.configurations.flatMap(configuration => Object.keys(configuration.overrides)))];
+    const rows = experiment.configurations.map(({ index, overrides, runId }) => {
+      const run = this.evolutionManager.runs.get(runId);
+      const row = { index, runId, status: this.evolutionManager.getRunStatus(runId) || 'unknown', overrides };
+      for (const field of COMPARISON_FIELDS) {
+        row[field] = typeof run?.progress?.[field] === 'number' ? run.progress[field] : null;
+      }
+      row.terminationReason = run?.progress?.terminationReason || null;
+      return row;
+    });
+
+    // Best first; configurations without a value go last
+    rows.sort((a, b) => sortBy === 'index' ? a.index - b.index
+      : (b[sortBy] ?? -Infinity) - (a[sortBy] ?? -Infinity) || a.index - b.index);
+
+    return { experimentId, name: experiment.name, parameters, sortBy, rows };
+  }
+
+  /**
+   * Render a comparison table as CSV (one column per swept parameter)
+   */
+  comparisonToCsv(comparison) {
+    const header = ['index', 'runId', 'status', ...comparison.parameters, ...COMPARISON_FIELDS, 'terminationReason'];
+    const lines = comparison.rows.map(row => [
+      row.index,
+      row.runId,
+      row.status,
+      ...comparison.parameters.map(parameter => row.overrides[parameter]),
+      ...COMPARISON_FIELDS.map(field => row[field]),
+      row.terminationReason
+    ].map(csvValue).join(','));
+    return [header.map(csvValue).join(','), ...lines].join('\n') + '\n';
+  }
+
+  /**
+   * Cancel queued child runs and stop running ones
+   */
+  async cancelExperiment(experimentId) {
+    const experiment = this.getExperiment(experimentId);
+    for (const { runId } of experiment.configurations) {
+      const status = this.evolutionManager.getRunStatus(runId);
+      if (['queued', 'running', 'paused', 'recovering'].includes(status)) {
+        try {
+          await this.evolutionManager.stopRun(runId);
+        } catch (error) {
+          console.warn(`⚠️ Failed to stop run ${runId} of experiment ${experimentId}: ${error.message}`);
+        }
+      }
+    }
+    return this.getExperimentStatus(experimentId);
+  }
+}
+
+/**
+ * Expand an experiment spec into a list of override sets
+ * @returns {Object[]} One { "<path>": value } object per configuration
+ */
+export function expandParameterSpace({ strategy, parameters, configurations, samples, seed }) {
+  if (!SWEEP_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid experiment: strategy must be one of: ${SWEEP_STRATEGIES.join(', ')}`);
+  }
+
+  let expanded;
+  if (strategy === 'list') {
+    if (!Array.isArray(configurations) || configurations.length === 0) {
+      throw new Error('Invalid experiment: list strategy needs a non-empty configurations array');
+    }
+    expanded = configurations.map(configuration => {
+      if (!configuration || typeof configuration !== 'object' || Array.isArray(configuration)) {
+        throw new Error('Invalid experiment: every configuration must be an object of JSON path overrides');
+      }
+      return { ...configuration };
+    });
+  } else {
+    if (!parameters || typeof parameters !== 'object' || Object.keys(parameters).length === 0) {
+      throw new Error(`Invalid experiment: ${strategy} strategy needs a parameters object`);
+    }
+    expanded = strategy === 'grid' ? expandGrid(parameters) : sampleRandom(parameters, samples, seed);
+  }
+
+  if (expanded.length > MAX_SWEEP_CONFIGURATIONS) {
+    throw new Error(`Invalid experiment: ${expanded.length} configurations exceed the limit of ${MAX_SWEEP_CONFIGURATIONS}`);
+  }
+  for (const jsonPath of new Set(expanded.flatMap(Object.keys))) {
+    parseJsonPath(jsonPath);
+  }
+  return expanded;
+}
+
+function expandGrid(parameters) {
+  let combinations = [{}];
+  for (const [jsonPath, values] of Object.entries(parameters)) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`Invalid experiment: grid values for '${jsonPath}' must be a non-empty array`);
+    }
+    combinations = combinations.flatMap(combination => values.map(value => ({ ...combination, [jsonPath]: value })));
+    if (combinations.length > MAX_SWEEP_CONFIGURATIONS) break; // reported by the caller
+  }
+  return combinations;
+}
+
+function sampleRandom(parameters, samples, seed) {
+  if (!Number.isInteger(samples) || samples < 1) {
+    throw new Error('Invalid experiment: random strategy needs a positive integer samples');
+  }
+  if (samples > MAX_SWEEP_CONFIGURATIONS) {
+    return new Array(samples); // reported by the caller
+  }
+
+  const random = mulberry32(Number.isInteger(seed) ? seed : Date.now());
+  const draws = Object.entries(parameters).map(([jsonPath, space]) => {
+    if (Array.isArray(space) && space.length > 0) {
+      return () => [jsonPath, space[Math.floor(random() * space.length)]];
+    }
+    if (space && typeof space.min === 'number' && typeof space.max === 'number' && space.min <= space.max) {
+      return space.integer
+        ? () => [jsonPath, space.min + Math.floor(random() * (space.max - space.min + 1))]
+        : () => [jsonPath, space.min + random() * (space.max - space.min)];
+    }
+    throw new Error(`Invalid experiment: random space for '${jsonPath}' must be a non-empty array or { min, max }`);
+  });
+
+  return Array.from({ length: samples }, () => Object.fromEntries(draws.map(draw => draw())));
+}
+
+// Small seeded PRNG so that random sweeps can be reproduced from their seed
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
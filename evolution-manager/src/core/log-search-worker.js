@@ -0,0 +1,16 @@
+/**
+ * Runs a RunLogs pattern search off the main thread (see RunLogs.search), so
+ * that a pattern that backtracks catastrophically only ties up this worker,
+ * which the manager terminates once the search time limit has passed.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { RunLogs } from './run-logs.js';
+
+const { logsDir, runId, type, query } = workerData;
+
+try {
+  parentPort.postMessage({ result: await new RunLogs({ logsDir })._search(runId, type, query) });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
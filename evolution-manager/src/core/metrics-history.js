@@ -0,0 +1,200 @@
+/**
+ * MetricsHistory - per-run time series of progress samples.
+ *
+ * Every progress update is appended as one JSON line to
+ * working/<runId>/metrics.jsonl:
+ *
+ *   {"t":1735689600000,"slice":0,"generation":42,"coverage":0.12,"qdScore":310.5}
+ *
+ * t is the sample time in epoch ms and slice the run's time slice index
+ * (0 for the first start, +1 for every resume). Only numeric progress fields
+ * are stored. When a run exceeds maxSamples, the older half of the series is
+ * thinned to every other sample, so long runs keep full resolution for recent
+ * progress and progressively coarser history.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+
+export const METRIC_FIELDS = [
+  'generation',
+  'coverage',
+  'qdScore',
+  'eliteCount',
+  'completionPercent',
+  'mapSwitches',
+  'projectionRetrainings'
+];
+
+export class MetricsHistory {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.workingDir] - Directory holding per-run working directories
+   * @param {number} [options.maxSamples=5000] - Samples kept per run before downsampling
+   */
+  constructor(options = {}) {
+    this.workingDir = options.workingDir || path.join(process.cwd(), 'working');
+    this.maxSamples = options.maxSamples ?? (parseInt(process.env.METRICS_MAX_SAMPLES) || 5000);
+
+    this.series = new Map(); // runId -> { count, last, queue }
+  }
+
+  getMetricsPath(runId) {
+    return path.join(this.workingDir, runId, 'metrics.jsonl');
+  }
+
+  /**
+   * Append a sample for a run's current progress.
+   * Identical consecutive samples are skipped.
+   * @param {Object} run - Run record with id, progress and timeSliceIndex
+   * @returns {Promise<void>}
+   */
+  record(run) {
+    const sample = { t: Date.now(), slice: run.timeSliceIndex || 0 };
+    for (const field of METRIC_FIELDS) {
+      const value = run.progress?.[field];
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        sample[field] = value;
+      }
+    }
+
+    const entry = this._getEntry(run.id);
+    entry.queue = entry.queue.then(async () => {
+      await this._loadEntry(run.id, entry);
+      if (entry.last && this._sameValues(entry.last, sample)) return;
+
+      const metricsPath = this.getMetricsPath(run.id);
+      await fs.ensureDir(path.dirname(metricsPath));
+      await fs.appendFile(metricsPath, JSON.stringify(sample) + '\n');
+      entry.count++;
+      entry.last = sample;
+
+      if (entry.count > this.maxSamples) {
+        await this._compact(run.id, entry);
+      }
+    }).catch(error => {
+      console.warn(`⚠️ Failed to record metrics for run ${run.id}: ${error.message}`);
+    });
+    return entry.queue;
+  }
+
+  /**
+   * Query a run's time series
+   * @param {string} runId
+   * @param {Object} [query]
+   * @param {number|string} [query.from] - Start time (epoch ms or ISO date), inclusive
+   * @param {number|string} [query.to] - End time (epoch ms or ISO date), inclusive
+   * @param {string[]|string} [query.fields] - Metric fields to return (default: all)
+   */
+  async query(runId, query = {}) {
+    const from = this._parseTime(query.from, 'from');
+    const to = this._parseTime(query.to, 'to');
+    const fields = this._parseFields(query.fields);
+
+    // Wait for pending appends so the result includes every recorded sample
+    await this.series.get(runId)?.queue;
+
+    const samples = (await this._readSamples(runId))
+      .filter(sample => (from === null || sample.t >= from) && (to === null || sample.t <= to))
+      .map(sample => {
+        const picked = { t: sample.t, slice: sample.slice };
+        for (const field of fields) {
+          if (sample[field] !== undefined) picked[field] = sample[field];
+        }
+        return picked;
+      });
+
+    const timeSlices = [];
+    for (const sample of samples) {
+      const current = timeSlices[timeSlices.length - 1];
+      if (current && current.slice === sample.slice) {
+        current.to = sample.t;
+        current.samples++;
+      } else {
+        timeSlices.push({ slice: sample.slice, from: sample.t, to: sample.t, samples: 1 });
+      }
+    }
+
+    return { runId, fields, samples, timeSlices };
+  }
+
+  /**
+   * Forget in-memory state for a run (the file is left on disk)
+   */
+  forget(runId) {
+    this.series.delete(runId);
+  }
+
+  _getEntry(runId) {
+    if (!this.series.has(runId)) {
+      this.series.set(runId, { count: null, last: null, queue: Promise.resolve() });
+    }
+    return this.series.get(runId);
+  }
+
+  // Continue an existing series after a manager restart
+  async _loadEntry(runId, entry) {
+    if (entry.count !== null) return;
+    const samples = await this._readSamples(runId);
+    entry.count = samples.length;
+    entry.last = samples[samples.length - 1] || null;
+  }
+
+  async _readSamples(runId) {
+    const metricsPath = this.getMetricsPath(runId);
+    if (!await fs.pathExists(metricsPath)) return [];
+
+    const content = await fs.readFile(metricsPath, 'utf8');
+    const samples = [];
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        samples.push(JSON.parse(line));
+      } catch {
+        // Skip a line truncated by a crash mid-write
+      }
+    }
+    return samples;
+  }
+
+  async _compact(runId, entry) {
+    const samples = await this._readSamples(runId);
+    const keepRecent = Math.floor(this.maxSamples / 2);
+    const older = samples.slice(0, samples.length - keepRecent);
+    const recent = samples.slice(samples.length - keepRecent);
+
+    // Keep every other older sample, plus the first sample of each time slice
+    const thinned = older.filter((sample, i) => i % 2 === 0 || sample.slice !== older[i - 1].slice);
+    const compacted = [...thinned, ...recent];
+
+    const metricsPath = this.getMetricsPath(runId);
+    const tmpPath = `${metricsPath}.tmp`;
+    await fs.writeFile(tmpPath, compacted.map(sample => JSON.stringify(sample)).join('\n') + '\n');
+    await fs.move(tmpPath, metricsPath, { overwrite: true });
+    entry.count = compacted.length;
+  }
+
+  _sameValues(a, b) {
+    if (a.slice !== b.slice) return false;
+    return METRIC_FIELDS.every(field => a[field] === b[field]);
+  }
+
+  _parseTime(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid '${name}' time: ${value}`);
+    }
+    return time;
+  }
+
+  _parseFields(value) {
+    if (value === undefined || value === null || value === '') return METRIC_FIELDS;
+    const fields = Array.isArray(value) ? value : String(value).split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !METRIC_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid metric field(s): ${unknown.join(', ')}. Available: ${METRIC_FIELDS.join(', ')}`);
+    }
+    return fields;
+  }
+}
@@ -1,73 +1,148 @@
 /**
- * Port allocation manager for ensuring unique port ranges across concurrent runs
+ * Port allocation manager for ensuring unique port ranges across concurrent runs.
+ *
+ * Each run gets a block of `rangeSize` ports from the pool (PORT_RANGE_POOL,
+ * e.g. "50000-59999,61000-65535"; PORT_RANGE_SIZE). Its services get fixed
+ * offsets within the block, 10 ports apart from x051 (see serviceInstances):
+ * geneVariation x051-x053, geneRendering x061-x063, ... pyribs x131.
+ * Before a block is handed out, each port assigned in it is bound once to make
+ * sure no other software holds it (PORT_PROBE=false skips this).
  */
+
+import net from 'net';
+
+const DEFAULT_POOL = '50000-65535';
+
 export class PortManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.pool] - Port ranges to allocate from (default: PORT_RANGE_POOL or 50000-65535)
+   * @param {number} [options.rangeSize] - Ports per run (default: PORT_RANGE_SIZE or 1000)
+   * @param {boolean} [options.probe] - Check that assigned ports can be bound (default: PORT_PROBE !== 'false')
+   */
+  constructor(options = {}) {
     this.allocatedRanges = new Map(); // runId -> allocated ports
     this.usedPorts = new Set();
-    
-    // Base port ranges for different services
-    this.servicePortBases = {
-      geneVariation: 50000,          // 50051, 50052, 50053
-      geneRendering: 60000,          // 60051, 60052, 60053
-      evaluationFeatures: 61000,     // 61051, 61052, 61053
-      evaluationQuality: 32000,      // 32051, 32052, 32053
-      evaluationProjection: 33000,   // 33051
-      clapFeatures: 32000,           // 32051, 32052, 32053 (CLAP feature extraction)
-      qdhfProjection: 33000,         // 33053 (QDHF projection)
-      qualityMusicality: 32050,      // 32060 (quality musicality evaluation)
-      pyribs: 34000,                 // 34052 (CMA-MAE pyribs)
-    };
+    this._allocating = Promise.resolve(); // allocations wait for each other's probes
 
-    // Number of instances per service type
+    // Number of instances per service type; the order sets the port offsets
     this.serviceInstances = {
       geneVariation: 3,
       geneRendering: 3,
       evaluationFeatures: 3,
       evaluationQuality: 3,
       evaluationProjection: 1,
-      clapFeatures: 3,
-      qdhfProjection: 1,
-      qualityMusicality: 1,
-      pyribs: 1,
+      clapFeatures: 3,          // CLAP feature extraction
+      qdhfProjection: 1,        // QDHF projection
+      qualityMusicality: 1,     // quality musicality evaluation
+      pyribs: 1,                // CMA-MAE pyribs
     };
-    
-    // Port range size per run (enough space for all services)
-    this.portRangeSize = 1000; // Each run gets 1000 ports
+
+    this.pool = parsePortPool(options.pool ?? process.env.PORT_RANGE_POOL ?? DEFAULT_POOL);
+    this.portRangeSize = Number(options.rangeSize ?? process.env.PORT_RANGE_SIZE ?? 1000);
+    this.probe = options.probe ?? process.env.PORT_PROBE !== 'false';
+
+    // A run's block must hold all of its service ports
+    this.servicePortSpan = Math.max(...Object.values(this.generateServicePorts(0)).flat()) + 1;
+    if (!Number.isInteger(this.portRangeSize) || this.portRangeSize < this.servicePortSpan) {
+      throw new Error(`Invalid port range size ${this.portRangeSize}: the services of a run need ${this.servicePortSpan} ports`);
+    }
   }
 
   /**
    * Allocate a unique port range for a run
    * @param {string} runId - Unique run identifier
-   * @returns {Object} Allocated port configuration
+   * @returns {Promise<Object>} Allocated port configuration
    */
   allocatePortRange(runId) {
-    if (this.allocatedRanges.has(runId)) {
-      return this.allocatedRanges.get(runId);
+    const allocate = async () => {
+      if (this.allocatedRanges.has(runId)) {
+        return this.allocatedRanges.get(runId);
+      }
+
+      // A range restored while the ports were probed is taken after all
+      let plan;
+      do {
+        plan = await this.planPortRange(runId);
+      } while (this.isRangeInUse(plan.rangeStart, plan.rangeEnd));
+
+      const allocation = this._reserve({ ...plan, allocatedAt: new Date().toISOString() });
+      console.log(`🔌 Allocated port range ${allocation.rangeStart}-${allocation.rangeEnd} for run ${runId}`);
+      return allocation;
+    };
+    const result = this._allocating.then(allocate);
+    this._allocating = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Reserve the range a run was given before (re-attaching to its services
+   * after a manager restart)
+   * @param {string} runId - Unique run identifier
+   * @param {number} rangeStart - First port of the run's range
+   * @param {string} [allocatedAt] - When the range was first allocated
+   * @returns {Object} Allocated port configuration
+   */
+  restorePortRange(runId, rangeStart, allocatedAt = new Date().toISOString()) {
+    const existing = this.allocatedRanges.get(runId);
+    if (existing) {
+      if (existing.rangeStart !== rangeStart) {
+        throw new Error(`Run ${runId} already has port range ${existing.rangeStart}-${existing.rangeEnd}`);
+      }
+      return existing;
     }
 
-    // Find the next available range
-    let rangeStart = this.findAvailableRange();
-    
-    const allocation = {
+    const rangeEnd = rangeStart + this.portRangeSize - 1;
+    if (this.isRangeInUse(rangeStart, rangeEnd)) {
+      throw new Error(`Port range ${rangeStart}-${rangeEnd} of run ${runId} overlaps another allocation`);
+    }
+    const allocation = this._reserve({
       runId,
       rangeStart,
-      rangeEnd: rangeStart + this.portRangeSize - 1,
+      rangeEnd,
       services: this.generateServicePorts(rangeStart),
-      allocatedAt: new Date().toISOString()
-    };
+      allocatedAt
+    });
+    console.log(`🔌 Restored port range ${rangeStart}-${rangeEnd} for run ${runId}`);
+    return allocation;
+  }
 
-    // Mark ports as used
-    for (let port = rangeStart; port <= allocation.rangeEnd; port++) {
+  _reserve(allocation) {
+    for (let port = allocation.rangeStart; port <= allocation.rangeEnd; port++) {
       this.usedPorts.add(port);
     }
-
-    this.allocatedRanges.set(runId, allocation);
-    
-    console.log(`🔌 Allocated port range ${rangeStart}-${allocation.rangeEnd} for run ${runId}`);
+    this.allocatedRanges.set(allocation.runId, allocation);
     return allocation;
   }
 
+  /**
+   * The first port of the range a service port was assigned from
+   * (the inverse of generateServicePorts)
+   * @param {string} serviceName - Service type, e.g. 'geneVariation'
+   * @param {number} port - The service's first port
+   * @returns {number|null} null for unknown service types
+   */
+  rangeStartForServicePort(serviceName, port) {
+    const offset = this.generateServicePorts(0)[serviceName]?.[0];
+    return offset === undefined ? null : port - offset;
+  }
+
+  /**
+   * The allocation allocatePortRange would make next, without reserving it
+   * @param {string} runId - Unique run identifier
+   * @returns {Promise<Object>} Port configuration (allocatedAt is null)
+   */
+  async planPortRange(runId) {
+    const rangeStart = await this.findAvailableRange();
+    return {
+      runId,
+      rangeStart,
+      rangeEnd: rangeStart + this.portRangeSize - 1,
+      services: this.generateServicePorts(rangeStart),
+      allocatedAt: null
+    };
+  }
+
   /**
    * Generate specific service port mappings within a range
    */
@@ -87,21 +162,39 @@ export class PortManager {
   }
 
   /**
-   * Find the next available port range
+   * Find the next available port range: the first block of the pool that is
+   * not allocated and whose assigned ports are free on the host (the service
+   * ports of a block must lie in the pool, its unused tail may not)
    */
-  findAvailableRange() {
-    let candidate = 50000; // Start from base
-    
-    while (this.isRangeInUse(candidate, candidate + this.portRangeSize - 1)) {
-      candidate += this.portRangeSize;
-      
-      // Safety check to avoid infinite loop
-      if (candidate > 65000) {
-        throw new Error('Unable to allocate port range - too many concurrent runs');
+  async findAvailableRange() {
+    for (const [poolStart, poolEnd] of this.pool) {
+      for (let candidate = poolStart; candidate + this.servicePortSpan - 1 <= poolEnd; candidate += this.portRangeSize) {
+        if (this.isRangeInUse(candidate, candidate + this.portRangeSize - 1)) continue;
+
+        const takenPort = await this.findBoundPort(Object.values(this.generateServicePorts(candidate)).flat());
+        if (takenPort === null) {
+          return candidate;
+        }
+        console.log(`🔌 Skipping port range ${candidate}-${candidate + this.portRangeSize - 1}: port ${takenPort} is in use by other software`);
       }
     }
-    
-    return candidate;
+
+    throw new Error('Unable to allocate port range - too many concurrent runs or the port pool is taken');
+  }
+
+  /**
+   * The first of the ports that cannot be bound on this host
+   * @param {number[]} ports
+   * @returns {Promise<number|null>} null when all are free (or probing is off)
+   */
+  async findBoundPort(ports) {
+    if (!this.probe) return null;
+    for (const port of ports) {
+      if (!await canBind(port)) {
+        return port;
+      }
+    }
+    return null;
   }
 
   /**
@@ -150,6 +243,35 @@ export class PortManager {
     return Array.from(this.allocatedRanges.values());
   }
 
+  /**
+   * Ports claimed more than once: by the services of different allocations, or
+   * by a process (with a PORT in its environment) that does not belong to the
+   * run the port is assigned to
+   * @param {Object[]} [processes] - The runner's process list
+   * @returns {Object[]} [{ port, owners: [{ runId, service } | { processName }] }]
+   */
+  findOverlaps(processes = []) {
+    const owners = new Map(); // port -> owners
+    for (const allocation of this.allocatedRanges.values()) {
+      for (const [service, ports] of Object.entries(allocation.services)) {
+        for (const port of ports) {
+          owners.set(port, [...(owners.get(port) || []), { runId: allocation.runId, service }]);
+        }
+      }
+    }
+    for (const proc of processes) {
+      const claims = proc.port ? owners.get(proc.port) : null;
+      if (claims && !claims.some(owner => owner.runId && proc.name?.endsWith(`_${owner.runId}`))) {
+        claims.push({ processName: proc.name });
+      }
+    }
+
+    return Array.from(owners.entries())
+      .filter(([, claims]) => claims.length > 1)
+      .map(([port, claims]) => ({ port, owners: claims }))
+      .sort((a, b) => a.port - b.port);
+  }
+
   /**
    * Generate WebSocket URLs for services based on which services are actually used
    * @param {string} runId - Run identifier
@@ -160,7 +282,15 @@ export class PortManager {
     if (!allocation) {
       throw new Error(`No port allocation found for run ${runId}`);
     }
+    return this.serviceUrlsForAllocation(allocation, usedServiceTypes);
+  }
 
+  /**
+   * WebSocket URLs for the services of an allocation (see generateServiceUrls)
+   * @param {Object} allocation - From allocatePortRange or planPortRange
+   * @param {Set<string>} usedServiceTypes
+   */
+  serviceUrlsForAllocation(allocation, usedServiceTypes = null) {
     const urls = {
       geneVariationServers: allocation.services.geneVariation?.map(port => `ws://127.0.0.1:${port}`) || [],
       geneRenderingServers: allocation.services.geneRendering?.map(port => `ws://127.0.0.1:${port}`) || [],
@@ -188,3 +318,28 @@ export class PortManager {
     return urls;
   }
 }
+
+/**
+ * Parse a port pool such as "50000-59999,61000-65999"
+ * @returns {number[][]} [[start, end], ...]
+ */
+export function parsePortPool(spec) {
+  return String(spec).split(',').map(part => {
+    const match = part.trim().match(/^(\d+)-(\d+)$/);
+    const [start, end] = match ? [Number(match[1]), Number(match[2])] : [];
+    if (!match || start < 1 || end > 65535 || start > end) {
+      throw new Error(`Invalid port pool '${spec}': expected ranges such as 50000-59999, comma-separated`);
+    }
+    return [start, end];
+  });
+}
+
+// Whether a port can be bound on all interfaces right now
+function canBind(port) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', () => resolve(false));
+    server.listen({ port, exclusive: true }, () => server.close(() => resolve(true)));
+  });
+}
@@ -0,0 +1,166 @@
+/**
+ * ProcessReconciler - finds runner processes the manager does not account for.
+ *
+ * Runs are only known from the state store, so an evolution process whose run
+ * record was lost (or that was started by hand) keeps running unseen, and
+ * service processes can outlive their run. A scan lists every
+ * kromosynth-evolution-<runId> and <service>_<runId> process (runId a ULID;
+ * other processes, and those of runs being started, are left alone) and reports:
+ *
+ *   unknownRuns      - evolution processes of runs the manager has no record of;
+ *                      adoptable when online with working/<runId>/ configs on disk
+ *   strayProcesses   - evolution processes still online for runs that are not
+ *                      running or recovering
+ *   orphanedServices - service processes of unknown runs or of runs that are not
+ *                      running or recovering
+ *
+ * Unknown runs are adopted (EvolutionManager.adoptRun), the rest can be killed.
+ * At startup, adoptable runs are adopted and everything else is only logged.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+
+const RUN_ID = '[0-9A-HJKMNP-TV-Z]{26}';
+const EVOLUTION_PROCESS = new RegExp(`^kromosynth-evolution-(${RUN_ID})$`);
+const SERVICE_PROCESS = new RegExp(`^(.+)_(${RUN_ID})$`);
+
+// Run statuses whose processes are expected to be alive
+const LIVE_STATUSES = ['running', 'recovering'];
+
+export class ProcessReconciler {
+  constructor(evolutionManager) {
+    this.evolutionManager = evolutionManager;
+  }
+
+  /**
+   * Compare the runner's processes with the known runs
+   * @returns {Promise<Object>} { scannedAt, unknownRuns, strayProcesses, orphanedServices }
+   */
+  async scan() {
+    const { runs, launchingRuns, processRunner } = this.evolutionManager;
+    const processes = await processRunner.list();
+    const report = { scannedAt: new Date().toISOString(), unknownRuns: [], strayProcesses: [], orphanedServices: [] };
+
+    for (const proc of processes) {
+      const evolution = proc.name?.match(EVOLUTION_PROCESS);
+      const service = !evolution && proc.name?.match(SERVICE_PROCESS);
+      if (!evolution && !service) continue;
+
+      const runId = evolution ? evolution[1] : service[2];
+      if (launchingRuns.has(runId)) continue; // services start before the run is tracked
+      const run = runs.get(runId);
+      const entry = { runId, processName: proc.name, processStatus: proc.status, pid: proc.pid ?? null };
+
+      if (evolution && !run) {
+        report.unknownRuns.push({ ...entry, startedAt: proc.startedAt || null, ...await this._adoptability(runId, proc) });
+      } else if (evolution && proc.status === 'online' && !LIVE_STATUSES.includes(run.status)) {
+        report.strayProcesses.push({ ...entry, runStatus: run.status });
+      } else if (service && !run) {
+        report.orphanedServices.push({ ...entry, reason: 'unknown run' });
+      } else if (service && !LIVE_STATUSES.includes(run.status)) {
+        report.orphanedServices.push({ ...entry, reason: `run is ${run.status}` });
+      }
+    }
+    return report;
+  }
+
+  async _adoptability(runId, proc) {
+    const templateName = this.evolutionManager.templateVersions.findRun(runId)?.templateName || null;
+    if (proc.status !== 'online') {
+      return { adoptable: false, templateName, reason: `process is ${proc.status}` };
+    }
+    const configPath = path.join(process.cwd(), 'working', runId, 'evolution-runs-config.jsonc');
+    if (!await fs.pathExists(configPath)) {
+      return { adoptable: false, templateName, reason: 'working config is gone' };
+    }
+    return { adoptable: true, templateName };
+  }
+
+  /**
+   * Stop and delete a process that belongs to no live run
+   * @param {string} processName
+   */
+  async kill(processName) {
+    const { runs, launchingRuns, processRunner } = this.evolutionManager;
+    const runId = processName.match(EVOLUTION_PROCESS)?.[1] || processName.match(SERVICE_PROCESS)?.[2];
+    if (!runId) {
+      throw new Error(`Invalid process name '${processName}': not an evolution or service process of a run`);
+    }
+    const [proc] = await processRunner.describe(processName);
+    if (!proc) {
+      throw new Error(`Process ${processName} not found`);
+    }
+    const run = runs.get(runId);
+    if (launchingRuns.has(runId)) {
+      throw new Error(`Process ${processName} belongs to run ${runId}, which is being started`);
+    }
+    if (run && LIVE_STATUSES.includes(run.status)) {
+      throw new Error(`Process ${processName} belongs to run ${runId}, which is ${run.status}; stop the run instead`);
+    }
+
+    await processRunner.stop(processName).catch(() => {}); // may have exited already
+    await processRunner.delete(processName);
+    console.log(`🔪 Killed ${processName} (${run ? `run ${runId} is ${run.status}` : `unknown run ${runId}`})`);
+  }
+
+  /**
+   * Adopt unknown runs and kill processes
+   * @param {Object} actions
+   * @param {string[]|'all'} [actions.adopt] - Run IDs, or 'all' adoptable unknown runs
+   * @param {string[]|'all'} [actions.kill] - Process names, or 'all' stray and orphaned processes
+   * @returns {Promise<Object>} { adopted, killed, errors: [{ target, message }], report }
+   */
+  async apply({ adopt = [], kill = [] } = {}) {
+    for (const [name, value] of [['adopt', adopt], ['kill', kill]]) {
+      if (value !== 'all' && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+        throw new Error(`Invalid reconcile action '${name}': expected 'all' or a list of ${name === 'adopt' ? 'run IDs' : 'process names'}`);
+      }
+    }
+
+    const before = adopt === 'all' || kill === 'all' ? await this.scan() : null;
+    const runIds = adopt === 'all' ? before.unknownRuns.filter(entry => entry.adoptable).map(entry => entry.runId) : adopt;
+    const processNames = kill === 'all'
+      ? [...before.strayProcesses, ...before.orphanedServices].map(entry => entry.processName)
+      : kill;
+
+    const result = { adopted: [], killed: [], errors: [] };
+    for (const runId of runIds) {
+      try {
+        await this.evolutionManager.adoptRun(runId);
+        result.adopted.push(runId);
+      } catch (error) {
+        result.errors.push({ target: runId, message: error.message });
+      }
+    }
+    for (const processName of processNames) {
+      try {
+        await this.kill(processName);
+        result.killed.push(processName);
+      } catch (error) {
+        result.errors.push({ target: processName, message: error.message });
+      }
+    }
+
+    return { ...result, report: await this.scan() };
+  }
+
+  /**
+   * Startup pass: adopt what can be adopted, log what is left
+   */
+  async reconcileOnStartup() {
+    try {
+      const { adopted, errors, report } = await this.apply({ adopt: 'all' });
+      for (const { target, message } of errors) {
+        console.warn(`⚠️ Could not adopt run ${target}: ${message}`);
+      }
+      const leftovers = report.unknownRuns.length + report.strayProcesses.length + report.orphanedServices.length;
+      if (adopted.length > 0 || leftovers > 0) {
+        console.log(`🧲 Reconciled processes: ${adopted.length} adopted, ${report.unknownRuns.length} unknown, ` +
+          `${report.strayProcesses.length} stray, ${report.orphanedServices.length} orphaned services (see GET /api/reconcile)`);
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to reconcile runner processes:', error.message);
+    }
+  }
+}
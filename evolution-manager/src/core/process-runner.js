@@ -0,0 +1,393 @@
+/**
+ * Process runners - pluggable backends for launching and supervising the
+ * evolution CLI and its service dependencies.
+ *
+ * Every runner exposes the same small interface so that EvolutionManager and
+ * ServiceDependencyManager never talk to PM2 directly:
+ *
+ *   connect() / disconnect()
+ *   start(appConfig)            - PM2-style app config (name, script, args, cwd, env, ...)
+ *   stop(name) / delete(name)
+ *   list() / describe(name)     - normalized process records (see _normalize); `port`
+ *                                 is the PORT of the process environment, if any
+ *   launchBus()                 - start emitting 'log', 'message' and 'exit' events
+ *
+ * Events:
+ *   'log'     { name, type: 'stdout'|'stderr', data }
+ *   'message' { name, data }                       - IPC message sent by the process
+ *   'exit'    { name, exitCode, stopRequested }    - stopRequested is true when the
+ *                                                    exit was caused by stop()/delete()
+ *
+ * Backends:
+ *   - pm2:           the default, processes live in the PM2 daemon
+ *   - child-process: plain child_process spawns owned by this Node process
+ *                    (containers, CI, machines without PM2)
+ */
+
+import PM2 from 'pm2';
+import { promisify } from 'util';
+import { spawn, fork } from 'child_process';
+import { EventEmitter } from 'events';
+import path from 'path';
+import fs from 'fs-extra';
+
+export const RUNNER_TYPES = ['pm2', 'child-process'];
+
+/**
+ * Base class documenting the runner interface
+ */
+export class ProcessRunner extends EventEmitter {
+  constructor(type) {
+    super();
+    this.type = type;
+    this.connected = false;
+  }
+
+  async connect() { throw new Error(`${this.type} runner does not implement connect()`); }
+  async disconnect() {}
+  async start(appConfig) { throw new Error(`${this.type} runner does not implement start()`); }
+  async stop(name) { throw new Error(`${this.type} runner does not implement stop()`); }
+  async delete(name) { throw new Error(`${this.type} runner does not implement delete()`); }
+  async list() { throw new Error(`${this.type} runner does not implement list()`); }
+  async launchBus() {}
+
+  /**
+   * Get normalized records for a process name (empty array if unknown)
+   */
+  async describe(name) {
+    const processes = await this.list();
+    return processes.filter(proc => proc.name === name);
+  }
+}
+
+/**
+ * PM2 backend
+ */
+export class PM2Runner extends ProcessRunner {
+  constructor() {
+    super('pm2');
+    this.busLaunched = false;
+
+    // PM2 promisified methods
+    this.pm2Connect = promisify(PM2.connect.bind(PM2));
+    this.pm2Start = promisify(PM2.start.bind(PM2));
+    this.pm2Stop = promisify(PM2.stop.bind(PM2));
+    this.pm2Delete = promisify(PM2.delete.bind(PM2));
+    this.pm2List = promisify(PM2.list.bind(PM2));
+    this.pm2Describe = promisify(PM2.describe.bind(PM2));
+    this.pm2LaunchBus = promisify(PM2.launchBus.bind(PM2));
+    this.pm2Disconnect = PM2.disconnect.bind(PM2);
+  }
+
+  async connect() {
+    if (this.connected) return;
+    await this.pm2Connect();
+    this.connected = true;
+  }
+
+  async disconnect() {
+    if (!this.connected) return;
+    this.pm2Disconnect();
+    this.connected = false;
+    this.busLaunched = false;
+  }
+
+  async start(appConfig) {
+    await this.pm2Start(appConfig);
+  }
+
+  async stop(name) {
+    await this.pm2Stop(name);
+  }
+
+  async delete(name) {
+    await this.pm2Delete(name);
+  }
+
+  async list() {
+    const processes = await this.pm2List();
+    return processes.map(proc => this._normalize(proc));
+  }
+
+  async describe(name) {
+    const processes = await this.pm2Describe(name);
+    return processes.map(proc => this._normalize(proc));
+  }
+
+  async launchBus() {
+    if (this.busLaunched) return;
+    const bus = await this.pm2LaunchBus();
+    this.busLaunched = true;
+
+    bus.on('process:msg', (packet) => {
+      this.emit('message', { name: packet.process?.name, data: packet.data });
+    });
+
+    bus.on('log:out', (packet) => {
+      this.emit('log', { name: packet.process?.name, type: 'stdout', data: packet.data });
+    });
+
+    bus.on('log:err', (packet) => {
+      this.emit('log', { name: packet.process?.name, type: 'stderr', data: packet.data });
+    });
+
+    bus.on('process:event', (packet) => {
+      if (packet.event !== 'exit') return;
+      // PM2 flags processes it is stopping itself with a 'stopping'/'stopped' status
+      const status = packet.process?.status;
+      this.emit('exit', {
+        name: packet.process?.name,
+        exitCode: packet.process?.exit_code,
+        stopRequested: status === 'stopping' || status === 'stopped'
+      });
+    });
+  }
+
+  /**
+   * Convert a PM2 process description to the runner-neutral record shape
+   */
+  _normalize(proc) {
+    return {
+      name: proc.name,
+      pid: proc.pid,
+      status: proc.pm2_env?.status,
+      cpu: proc.monit?.cpu,
+      memory: proc.monit?.memory,
+      exitCode: proc.pm2_env?.exit_code,
+      startedAt: proc.pm2_env?.pm_uptime ? new Date(proc.pm2_env.pm_uptime).toISOString() : null,
+      restarts: proc.pm2_env?.restart_time || 0,
+      port: toPort(proc.pm2_env?.env?.PORT ?? proc.pm2_env?.PORT)
+    };
+  }
+}
+
+/**
+ * Plain child_process backend.
+ * Processes are children of the manager and end with it (they are stopped on
+ * disconnect and killed if the manager exits abruptly); there is no
+ * daemon, no clustering and no autorestart. Node scripts are forked so that
+ * process.send() messages arrive as 'message' events, like PM2's process:msg.
+ */
+export class ChildProcessRunner extends ProcessRunner {
+  constructor(options = {}) {
+    super('child-process');
+    this.processes = new Map(); // name -> { child, status, pid, exitCode, ... }
+    this.killTimeoutMs = options.killTimeoutMs ?? 1600; // PM2's default kill_timeout
+  }
+
+  async connect() {
+    if (this.connected) return;
+    // Children would outlive an abruptly exiting manager otherwise
+    this._killOnExit = () => {
+      for (const entry of this.processes.values()) {
+        if (entry.status === 'online') entry.child.kill('SIGKILL');
+      }
+    };
+    process.on('exit', this._killOnExit);
+    this.connected = true;
+  }
+
+  async disconnect() {
+    if (!this.connected) return;
+    for (const entry of this.processes.values()) {
+      if (entry.status === 'online') {
+        await this.stop(entry.name).catch(() => {});
+      }
+    }
+    process.removeListener('exit', this._killOnExit);
+    this.connected = false;
+  }
+
+  async start(appConfig) {
+    const { name } = appConfig;
+    const existing = this.processes.get(name);
+    if (existing && existing.status === 'online') {
+      throw new Error(`Process ${name} is already running`);
+    }
+
+    if (appConfig.instances && appConfig.instances > 1) {
+      console.warn(`⚠️ child-process runner starts a single instance of ${name} (requested ${appConfig.instances})`);
+    }
+
+    const args = this._parseArgs(appConfig.args);
+    const env = { ...process.env, ...this._stringifyEnv(appConfig.env) };
+    const cwd = appConfig.cwd || process.cwd();
+    const script = path.isAbsolute(appConfig.script) ? appConfig.script : path.resolve(cwd, appConfig.script);
+    const interpreter = appConfig.interpreter;
+
+    const logStreams = await this._openLogStreams(appConfig);
+
+    let child;
+    if (!interpreter || interpreter === 'node') {
+      child = fork(script, args, { cwd, env, stdio: ['ignore', 'pipe', 'pipe', 'ipc'] });
+    } else {
+      child = spawn(interpreter, [script, ...args], { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    }
+
+    const entry = {
+      name,
+      child,
+      pid: child.pid,
+      status: 'online',
+      exitCode: null,
+      stopRequested: false,
+      startedAt: new Date().toISOString(),
+      port: toPort(appConfig.env?.PORT),
+      logStreams,
+      timestamps: !!appConfig.time
+    };
+    this.processes.set(name, entry);
+
+    this._pipeLines(child.stdout, (line) => this._onLine(entry, 'stdout', line));
+    this._pipeLines(child.stderr, (line) => this._onLine(entry, 'stderr', line));
+
+    child.on('message', (data) => {
+      this.emit('message', { name, data });
+    });
+
+    entry.exited = new Promise((resolve) => {
+      child.on('exit', (code) => {
+        entry.exitCode = code;
+        entry.status = entry.stopRequested ? 'stopped' : (code === 0 ? 'stopped' : 'errored');
+        entry.pid = null;
+        this._closeLogStreams(entry);
+        this.emit('exit', { name, exitCode: code, stopRequested: entry.stopRequested });
+        resolve();
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      child.once('spawn', resolve);
+      child.once('error', (error) => {
+        entry.status = 'errored';
+        this._closeLogStreams(entry);
+        reject(error);
+      });
+    });
+  }
+
+  async stop(name) {
+    const entry = this.processes.get(name);
+    if (!entry) {
+      throw new Error(`Process or Namespace ${name} not found`);
+    }
+    if (entry.status !== 'online') return;
+
+    entry.stopRequested = true;
+    entry.child.kill('SIGINT');
+
+    const timedOut = await Promise.race([
+      entry.exited.then(() => false),
+      new Promise(resolve => setTimeout(() => resolve(true), this.killTimeoutMs))
+    ]);
+    if (timedOut) {
+      entry.child.kill('SIGKILL');
+      await entry.exited;
+    }
+  }
+
+  async delete(name) {
+    const entry = this.processes.get(name);
+    if (!entry) {
+      throw new Error(`Process or Namespace ${name} not found`);
+    }
+    await this.stop(name);
+    this.processes.delete(name);
+  }
+
+  async list() {
+    return Array.from(this.processes.values()).map(entry => ({
+      name: entry.name,
+      pid: entry.pid,
+      status: entry.status,
+      cpu: 0,
+      memory: 0,
+      exitCode: entry.exitCode,
+      startedAt: entry.startedAt,
+      restarts: 0,
+      port: entry.port
+    }));
+  }
+
+  /**
+   * PM2 accepts args either as an array or as a single string
+   */
+  _parseArgs(args) {
+    if (!args) return [];
+    if (Array.isArray(args)) return args.map(String);
+    const tokens = String(args).match(/"[^"]*"|'[^']*'|\S+/g) || [];
+    return tokens.map(token => token.replace(/^(["'])(.*)\1$/, '$2'));
+  }
+
+  _stringifyEnv(env = {}) {
+    const result = {};
+    for (const [key, value] of Object.entries(env)) {
+      if (value !== undefined && value !== null) {
+        result[key] = String(value);
+      }
+    }
+    return result;
+  }
+
+  async _openLogStreams(appConfig) {
+    const streams = {};
+    const targets = { stdout: appConfig.output, stderr: appConfig.error, combined: appConfig.log };
+    for (const [key, filePath] of Object.entries(targets)) {
+      if (filePath) {
+        await fs.ensureDir(path.dirname(filePath));
+        streams[key] = fs.createWriteStream(filePath, { flags: 'a' });
+      }
+    }
+    return streams;
+  }
+
+  _closeLogStreams(entry) {
+    for (const stream of Object.values(entry.logStreams)) {
+      stream.end();
+    }
+    entry.logStreams = {};
+  }
+
+  _pipeLines(stream, onLine) {
+    let buffer = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) onLine(line);
+    });
+    stream.on('end', () => {
+      if (buffer) onLine(buffer);
+      buffer = '';
+    });
+  }
+
+  _onLine(entry, type, line) {
+    const prefixed = entry.timestamps ? `${new Date().toISOString()}: ${line}` : line;
+    entry.logStreams[type]?.write(prefixed + '\n');
+    entry.logStreams.combined?.write(prefixed + '\n');
+    this.emit('log', { name: entry.name, type, data: line });
+  }
+}
+
+/**
+ * Create a process runner by type.
+ * Defaults to the PROCESS_RUNNER environment variable, then PM2.
+ */
+export function createProcessRunner(type = process.env.PROCESS_RUNNER || 'pm2', options = {}) {
+  switch (type) {
+    case 'pm2':
+      return new PM2Runner();
+    case 'child-process':
+      return new ChildProcessRunner(options);
+    default:
+      throw new Error(`Unknown process runner '${type}'. Use one of: ${RUNNER_TYPES.join(', ')}`);
+  }
+}
+
+// PORT of a process environment as a number (null when unset)
+function toPort(value) {
+  const port = Number(value);
+  return Number.isInteger(port) && port > 0 ? port : null;
+}
@@ -0,0 +1,212 @@
+/**
+ * Progress protocol - structured progress and event messages from kromosynth-cli.
+ *
+ * Messages are plain objects, sent either over IPC (process.send) or as one
+ * JSON object per line on stdout:
+ *
+ *   {
+ *     "protocol": "kromosynth-progress",
+ *     "version": 1,
+ *     "event": "generation" | "map-switch" | "projection-retrained" | "terminated",
+ *     "timestamp": "2025-01-01T00:00:00.000Z",   // optional
+ *     "data": { ... }                             // event specific, see below
+ *   }
+ *
+ *   generation            { generation, coverage (0-1), qdScore, eliteCount, completionPercent }
+ *   map-switch            { generation, fromMap, toMap }
+ *   projection-retrained  { generation, retrainCount }
+ *   terminated            { generation, reason }
+ *
+ * Only generation.generation, map-switch.toMap and terminated.reason are
+ * required; unknown fields are ignored so that additions stay compatible.
+ * Incompatible changes bump the version; messages with a version newer than
+ * PROGRESS_PROTOCOL_VERSION are rejected and the run falls back to the
+ * legacy log regexes (see parseLegacyLogLine).
+ *
+ * The unversioned IPC message { type: 'evolution-progress', progress } is
+ * still accepted as version 0 of the generation event.
+ */
+
+export const PROGRESS_PROTOCOL = 'kromosynth-progress';
+export const PROGRESS_PROTOCOL_VERSION = 1;
+export const PROGRESS_EVENTS = ['generation', 'map-switch', 'projection-retrained', 'terminated'];
+
+// Where a run's progress is coming from (run.progressSource)
+export const PROGRESS_SOURCES = {
+  IPC: 'ipc',
+  STDOUT: 'stdout-json',
+  LEGACY_LOG: 'legacy-log'
+};
+
+// Typed fields per event: name -> 'number' | 'integer' | 'string'
+const EVENT_FIELDS = {
+  'generation': { generation: 'integer', coverage: 'number', qdScore: 'number', eliteCount: 'integer', completionPercent: 'number' },
+  'map-switch': { generation: 'integer', fromMap: 'string', toMap: 'string' },
+  'projection-retrained': { generation: 'integer', retrainCount: 'integer' },
+  'terminated': { generation: 'integer', reason: 'string' }
+};
+
+const REQUIRED_FIELDS = {
+  'generation': ['generation'],
+  'map-switch': ['toMap'],
+  'terminated': ['reason']
+};
+
+/**
+ * Validate a raw protocol message.
+ * @param {*} raw - Message as received over IPC or parsed from stdout
+ * @returns {{ event: string, version: number, timestamp: string|null, data: Object }|{ error: string }|null}
+ *   null when the value is not a progress message at all
+ */
+export function parseProgressMessage(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  // Unversioned IPC message accepted before the protocol existed
+  if (raw.type === 'evolution-progress') {
+    return buildMessage('generation', 0, null, raw.progress || {}, false);
+  }
+
+  if (raw.protocol !== PROGRESS_PROTOCOL) return null;
+
+  if (!Number.isInteger(raw.version) || raw.version < 1) {
+    return { error: `Invalid protocol version '${raw.version}'` };
+  }
+  if (raw.version > PROGRESS_PROTOCOL_VERSION) {
+    return { error: `Unsupported protocol version ${raw.version} (supported: ${PROGRESS_PROTOCOL_VERSION})` };
+  }
+  if (!PROGRESS_EVENTS.includes(raw.event)) {
+    return { error: `Unknown progress event '${raw.event}'` };
+  }
+
+  const message = buildMessage(raw.event, raw.version, raw.timestamp, raw.data || {}, true);
+  const missing = (REQUIRED_FIELDS[raw.event] || []).filter(field => message.data[field] === undefined);
+  if (missing.length > 0) {
+    return { error: `Missing required field(s) for '${raw.event}': ${missing.join(', ')}` };
+  }
+  return message;
+}
+
+/**
+ * Parse a stdout line as a JSON-lines protocol message.
+ * @returns {Object|null} Same result as parseProgressMessage, null for ordinary log lines
+ */
+export function parseProgressLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('{') || !trimmed.includes(PROGRESS_PROTOCOL)) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(trimmed);
+  } catch {
+    return null;
+  }
+  // Only versioned messages are accepted on stdout
+  return raw?.protocol === PROGRESS_PROTOCOL ? parseProgressMessage(raw) : null;
+}
+
+/**
+ * Legacy fallback: scrape progress from the CLI's human readable log lines.
+ * @returns {Object|null} Partial generation data, null if nothing matched
+ */
+export function parseLegacyLogLine(line) {
+  const data = {};
+
+  // CLI logs: "generation <N> eliteCountAtGeneration: <N> coverageSize <N> coveragePercentage <N> evo run ID: <id>"
+  const generationMatch = line.match(/\bgeneration\s+(\d+)\b/);
+  if (generationMatch) {
+    data.generation = parseInt(generationMatch[1]);
+  }
+
+  const eliteCountMatch = line.match(/eliteCountAtGeneration:\s*(\d+)/);
+  if (eliteCountMatch) {
+    data.eliteCount = parseInt(eliteCountMatch[1]);
+  }
+
+  // CLI coveragePercentage is already a percentage (e.g. 10.8 = 10.8%)
+  // Normalize to 0-1 fraction for consistent display
+  const coveragePercentMatch = line.match(/coveragePercentage\s+([\d.]+)/);
+  if (coveragePercentMatch) {
+    data.coverage = parseFloat(coveragePercentMatch[1]) / 100;
+  }
+
+  // CMA-MAE logs: "[CMA-MAE] Told N results - QD Score: X.X, Coverage: X.X%"
+  const qdScoreMatch = line.match(/QD Score:\s*([\d.]+)/);
+  if (qdScoreMatch) {
+    data.qdScore = parseFloat(qdScoreMatch[1]);
+  }
+
+  // CMA-MAE Coverage: X.X% - normalize to 0-1 fraction
+  const cmaCoverageMatch = line.match(/Coverage:\s*([\d.]+)%/);
+  if (cmaCoverageMatch) {
+    data.coverage = parseFloat(cmaCoverageMatch[1]) / 100;
+  }
+
+  // Batch completion percentage: "% completed: X"
+  const completionMatch = line.match(/%\s*completed:\s*([\d.]+)/);
+  if (completionMatch) {
+    data.completionPercent = parseFloat(completionMatch[1]);
+  }
+
+  return Object.keys(data).length > 0 ? data : null;
+}
+
+/**
+ * Apply a parsed message to a run's progress object
+ * @param {Object} progress - Current run.progress
+ * @param {{ event: string, timestamp: string|null, data: Object }} message
+ * @returns {Object} Updated progress (a new object)
+ */
+export function applyProgressMessage(progress = {}, message) {
+  const { event, data } = message;
+  const at = message.timestamp || new Date().toISOString();
+  const updated = { ...progress };
+
+  if (data.generation !== undefined) {
+    updated.generation = data.generation;
+  }
+
+  switch (event) {
+    case 'generation':
+      for (const field of ['coverage', 'qdScore', 'eliteCount', 'completionPercent']) {
+        if (data[field] !== undefined) updated[field] = data[field];
+      }
+      // Version 0 messages may carry arbitrary progress fields
+      if (message.version === 0) Object.assign(updated, data);
+      break;
+    case 'map-switch':
+      updated.mapSwitches = (progress.mapSwitches || 0) + 1;
+      updated.currentMap = data.toMap;
+      updated.lastMapSwitch = { generation: data.generation ?? null, fromMap: data.fromMap ?? null, toMap: data.toMap, at };
+      break;
+    case 'projection-retrained':
+      updated.projectionRetrainings = data.retrainCount ?? (progress.projectionRetrainings || 0) + 1;
+      updated.lastProjectionRetrain = { generation: data.generation ?? null, at };
+      break;
+    case 'terminated':
+      updated.terminationReason = data.reason;
+      break;
+  }
+
+  return updated;
+}
+
+function buildMessage(event, version, timestamp, rawData, typed) {
+  const fields = EVENT_FIELDS[event];
+  const data = {};
+
+  if (!typed) {
+    Object.assign(data, rawData);
+  } else {
+    for (const [field, type] of Object.entries(fields)) {
+      const value = rawData[field];
+      if (value === undefined || value === null) continue;
+      if (type === 'string' ? typeof value === 'string'
+        : type === 'integer' ? Number.isInteger(value)
+        : typeof value === 'number' && Number.isFinite(value)) {
+        data[field] = value;
+      }
+    }
+  }
+
+  return { event, version, timestamp: typeof timestamp === 'string' ? timestamp : null, data };
+}
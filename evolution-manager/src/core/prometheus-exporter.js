@@ -0,0 +1,206 @@
+/**
+ * PrometheusExporter - renders manager state in the Prometheus text
+ * exposition format (served at GET /metrics).
+ *
+ * Every metric carries a `worker` label (WORKER_NAME, default: hostname) so
+ * that several worker machines can share one dashboard. Per-run progress
+ * gauges and sync series are only exported for active runs (running, paused,
+ * recovering) to keep label cardinality bounded as finished runs accumulate;
+ * the sync counters of the other runs are summed into one series without a
+ * `run_id` label. Run statuses are read as they are, so a scrape never
+ * changes them.
+ */
+
+import os from 'os';
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const RUN_STATUSES = ['queued', 'running', 'paused', 'recovering', 'stopped', 'terminated', 'failed'];
+const ACTIVE_STATUSES = new Set(['running', 'paused', 'recovering']);
+
+export class PrometheusExporter {
+  constructor(evolutionManager, options = {}) {
+    this.evolutionManager = evolutionManager;
+    this.worker = options.worker || process.env.WORKER_NAME || os.hostname();
+  }
+
+  /**
+   * Collect current metrics
+   * @returns {Promise<string>} Prometheus text format
+   */
+  async collect() {
+    const writer = new MetricsWriter({ worker: this.worker });
+    const manager = this.evolutionManager;
+
+    writer.gauge('kromosynth_manager_info', 'Evolution manager instance', [
+      { labels: { runner: manager.processRunner.type, version: '1.0.0' }, value: 1 }
+    ]);
+    writer.gauge('kromosynth_manager_uptime_seconds', 'Evolution manager process uptime', [{ value: process.uptime() }]);
+    writer.gauge('kromosynth_manager_memory_bytes', 'Evolution manager resident memory', [{ value: process.memoryUsage().rss }]);
+
+    const runs = this._listRuns();
+    this._collectRuns(writer, runs);
+    await this._collectProcesses(writer, runs);
+    this._collectScheduler(writer);
+    this._collectSync(writer, runs);
+
+    return writer.toString();
+  }
+
+  /**
+   * Runs and queued runs, without the process status refresh getAllRuns does
+   */
+  _listRuns() {
+    const manager = this.evolutionManager;
+    const queued = (manager.runQueue?.getQueued() || []).map(entry => ({ id: entry.id, status: 'queued' }));
+    return [...manager.runs.values(), ...queued];
+  }
+
+  _collectRuns(writer, runs) {
+    const counts = Object.fromEntries(RUN_STATUSES.map(status => [status, 0]));
+    for (const run of runs) {
+      counts[run.status] = (counts[run.status] || 0) + 1;
+    }
+    writer.gauge('kromosynth_runs', 'Evolution runs by status',
+      Object.entries(counts).map(([status, value]) => ({ labels: { status }, value })));
+
+    const activeRuns = runs.filter(run => ACTIVE_STATUSES.has(run.status));
+    const progressGauges = [
+      ['kromosynth_run_generation', 'Current generation of an active run', 'generation'],
+      ['kromosynth_run_total_generations', 'Estimated total generations of an active run', 'totalGenerations'],
+      ['kromosynth_run_coverage_ratio', 'Elite map coverage (0-1) of an active run', 'coverage'],
+      ['kromosynth_run_qd_score', 'QD score of an active run', 'qdScore'],
+      ['kromosynth_run_elite_count', 'Elite count of an active run', 'eliteCount']
+    ];
+    for (const [name, help, field] of progressGauges) {
+      writer.gauge(name, help, activeRuns
+        .filter(run => typeof run.progress?.[field] === 'number')
+        .map(run => ({ labels: this._runLabels(run), value: run.progress[field] })));
+    }
+
+    writer.gauge('kromosynth_run_auto_resume_count', 'Auto-resume attempts since the run last made progress',
+      activeRuns.map(run => ({ labels: this._runLabels(run), value: run.autoResumeCount || 0 })));
+  }
+
+  async _collectProcesses(writer, runs) {
+    const manager = this.evolutionManager;
+    const runsById = new Map(runs.map(run => [run.id, run]));
+    const cpu = [];
+    const memory = [];
+    const online = [];
+
+    for (const proc of await manager.processRunner.list()) {
+      const runId = manager.extractRunId(proc.name);
+      if (!runId || !runsById.has(runId)) continue;
+
+      const kind = proc.name.startsWith('kromosynth-evolution-') ? 'evolution' : 'service';
+      const labels = { process: proc.name, run_id: runId, kind };
+      cpu.push({ labels, value: proc.cpu || 0 });
+      memory.push({ labels, value: proc.memory || 0 });
+      online.push({ labels, value: proc.status === 'online' ? 1 : 0 });
+    }
+
+    writer.gauge('kromosynth_process_cpu_percent', 'CPU usage of evolution and service processes', cpu);
+    writer.gauge('kromosynth_process_memory_bytes', 'Memory usage of evolution and service processes', memory);
+    writer.gauge('kromosynth_process_up', 'Whether an evolution or service process is online', online);
+  }
+
+  _collectScheduler(writer) {
+    const status = this.evolutionManager.autoRunScheduler?.getStatus();
+    if (!status) return;
+
+    writer.gauge('kromosynth_scheduler_enabled', 'Whether auto-run scheduling is enabled', [{ value: status.enabled ? 1 : 0 }]);
+    writer.gauge('kromosynth_scheduler_paused', 'Whether auto-run scheduling is paused', [{ value: status.paused ? 1 : 0 }]);
+    writer.gauge('kromosynth_scheduler_active_time_slices', 'Time slices currently running', [{ value: status.activeTimeSlices }]);
+    writer.gauge('kromosynth_scheduler_consecutive_failures', 'Consecutive failed scheduled runs', [{ value: status.consecutiveFailures }]);
+    writer.gauge('kromosynth_scheduler_max_concurrent_runs', 'Maximum concurrent scheduled runs', [{ value: status.maxConcurrentRuns }]);
+    writer.gauge('kromosynth_scheduler_enabled_templates', 'Templates enabled for auto-scheduling', [{ value: status.enabledTemplatesCount }]);
+  }
+
+  _collectSync(writer, allRuns) {
+    const syncManager = this.evolutionManager.syncManager;
+    if (!syncManager) return;
+
+    const { globalConfig, runs: syncRuns } = syncManager.getStatus();
+    const activeRunIds = new Set(allRuns.filter(run => ACTIVE_STATUSES.has(run.status)).map(run => run.id));
+    const runs = syncRuns.filter(run => run.active || activeRunIds.has(run.runId));
+    const rest = syncRuns.filter(run => !runs.includes(run));
+    const restTotal = (field) => rest.reduce((sum, run) => sum + (run[field] || 0), 0);
+    const counterSamples = (field, labels = {}) => [
+      ...runs.map(run => ({ labels: { run_id: run.runId, ...labels }, value: run[field] })),
+      ...(rest.length ? [{ labels, value: restTotal(field) }] : [])
+    ];
+    const now = Date.now();
+    const age = (timestamp) => (now - new Date(timestamp).getTime()) / 1000;
+
+    writer.gauge('kromosynth_sync_enabled', 'Whether data sync is enabled globally', [{ value: globalConfig.enabled ? 1 : 0 }]);
+    writer.gauge('kromosynth_sync_active', 'Whether periodic sync is registered for a run',
+      runs.map(run => ({ labels: { run_id: run.runId }, value: run.active ? 1 : 0 })));
+    writer.gauge('kromosynth_sync_last_db_sync_age_seconds', 'Seconds since the last database sync',
+      runs.filter(run => run.lastDbSync).map(run => ({ labels: { run_id: run.runId }, value: age(run.lastDbSync) })));
+    writer.gauge('kromosynth_sync_last_analysis_sync_age_seconds', 'Seconds since the last analysis file sync',
+      runs.filter(run => run.lastAnalysisSync).map(run => ({ labels: { run_id: run.runId }, value: age(run.lastAnalysisSync) })));
+    writer.gauge('kromosynth_sync_consecutive_errors', 'Consecutive failed sync cycles',
+      runs.map(run => ({ labels: { run_id: run.runId }, value: run.consecutiveErrors })));
+
+    writer.counter('kromosynth_sync_total', 'Completed sync cycles', [
+      ...counterSamples('totalDbSyncs', { type: 'db' }),
+      ...counterSamples('totalAnalysisSyncs', { type: 'analysis' })
+    ]);
+    writer.counter('kromosynth_sync_errors_total', 'Sync errors: failed cycles and failed file uploads', [
+      ...counterSamples('totalErrors', { kind: 'sync' }),
+      ...counterSamples('uploadErrors', { kind: 'upload' })
+    ]);
+    writer.counter('kromosynth_sync_uploaded_files_total', 'Analysis files uploaded', counterSamples('filesUploaded'));
+    writer.counter('kromosynth_sync_uploaded_bytes_total', 'Analysis file bytes uploaded', counterSamples('bytesUploaded'));
+  }
+
+  _runLabels(run) {
+    return { run_id: run.id, template: run.templateName, variant: run.ecosystemVariant || 'default' };
+  }
+}
+
+/**
+ * Minimal writer for the Prometheus text exposition format
+ */
+class MetricsWriter {
+  constructor(commonLabels = {}) {
+    this.commonLabels = commonLabels;
+    this.lines = [];
+  }
+
+  gauge(name, help, samples) {
+    this._metric(name, 'gauge', help, samples);
+  }
+
+  counter(name, help, samples) {
+    this._metric(name, 'counter', help, samples);
+  }
+
+  _metric(name, type, help, samples) {
+    this.lines.push(`# HELP ${name} ${help}`);
+    this.lines.push(`# TYPE ${name} ${type}`);
+    for (const { labels = {}, value } of samples) {
+      const allLabels = { ...this.commonLabels, ...labels };
+      const labelText = Object.entries(allLabels)
+        .map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`)
+        .join(',');
+      this.lines.push(`${name}{${labelText}} ${formatValue(value)}`);
+    }
+  }
+
+  toString() {
+    return this.lines.join('\n') + '\n';
+  }
+}
+
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
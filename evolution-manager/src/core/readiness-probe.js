@@ -0,0 +1,158 @@
+/**
+ * Readiness probes for service dependencies.
+ *
+ * A running process is not necessarily a service that accepts work: Python
+ * services loading CLAP or YAMNet models can take minutes before they answer.
+ * An app of an ecosystem config declares how to tell that it is ready:
+ *
+ *   {
+ *     name: "kromosynth-pyribs-service",
+ *     script: "...",
+ *     readiness: { type: "http", path: "/health", timeoutMs: 300000 }
+ *   }
+ *
+ *   type       - 'tcp' (a connection is accepted), 'websocket' (a handshake is
+ *                answered with 101 Switching Protocols) or 'http' (a GET is
+ *                answered with 2xx)
+ *   path       - request path of websocket and http probes (default '/')
+ *   timeoutMs  - how long the service may take to become ready (default 30000)
+ *   intervalMs - pause between attempts (default 1000)
+ *
+ * Probes go to 127.0.0.1 on the app's PORT. Apps without a probe are ready
+ * once their process is online.
+ */
+
+import net from 'net';
+import crypto from 'crypto';
+
+export const PROBE_TYPES = ['tcp', 'websocket', 'http'];
+export const DEFAULT_READINESS_TIMEOUT_MS = 30000;
+const DEFAULT_INTERVAL_MS = 1000;
+const ATTEMPT_TIMEOUT_MS = 5000;
+
+/**
+ * Check the readiness declaration of an app
+ * @param {*} readiness - app.readiness
+ * @returns {string|null} What is wrong with it, null when valid or absent
+ */
+export function validateReadinessProbe(readiness) {
+  if (readiness === undefined || readiness === null) return null;
+  if (typeof readiness !== 'object' || Array.isArray(readiness)) {
+    return 'must be an object with a type';
+  }
+  if (!PROBE_TYPES.includes(readiness.type)) {
+    return `type must be one of ${PROBE_TYPES.join(', ')}`;
+  }
+  if (readiness.path !== undefined && (typeof readiness.path !== 'string' || !readiness.path.startsWith('/'))) {
+    return 'path must start with /';
+  }
+  for (const field of ['timeoutMs', 'intervalMs']) {
+    if (readiness[field] !== undefined && !(Number.isInteger(readiness[field]) && readiness[field] > 0)) {
+      return `${field} must be a positive integer`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The probe of a run ecosystem app (with its allocated PORT)
+ * @param {Object} app
+ * @returns {Object|null} { type, url, timeoutMs, intervalMs }, null when the app declares none
+ */
+export function resolveReadinessProbe(app) {
+  const problem = validateReadinessProbe(app.readiness);
+  if (problem) {
+    throw new Error(`Invalid readiness probe of ${app.name}: ${problem}`);
+  }
+  if (!app.readiness) return null;
+
+  const port = Number(app.env?.PORT);
+  if (!Number.isInteger(port) || port <= 0) {
+    throw new Error(`Invalid readiness probe of ${app.name}: the app has no PORT to probe`);
+  }
+  const { type, path = '/', timeoutMs = DEFAULT_READINESS_TIMEOUT_MS, intervalMs = DEFAULT_INTERVAL_MS } = app.readiness;
+  const scheme = { tcp: 'tcp', websocket: 'ws', http: 'http' }[type];
+  return { type, url: `${scheme}://127.0.0.1:${port}${type === 'tcp' ? '' : path}`, timeoutMs, intervalMs };
+}
+
+/**
+ * Probe a service once
+ * @param {Object} probe - From resolveReadinessProbe
+ * @param {number} [timeoutMs] - For this attempt
+ * @returns {Promise<void>} Rejects with the reason the service is not ready
+ */
+export function checkReadiness(probe, timeoutMs = ATTEMPT_TIMEOUT_MS) {
+  const attemptTimeout = Math.min(timeoutMs, ATTEMPT_TIMEOUT_MS);
+  switch (probe.type) {
+    case 'tcp':
+      return connect(probe.url, attemptTimeout, socket => socket.destroy());
+    case 'websocket':
+      return websocketHandshake(probe.url, attemptTimeout);
+    case 'http':
+      return httpGet(probe.url, attemptTimeout);
+    default:
+      return Promise.reject(new Error(`Unknown readiness probe type '${probe.type}'`));
+  }
+}
+
+// Open a connection; onConnect gets the socket and returns a promise (or nothing)
+function connect(url, timeoutMs, onConnect) {
+  const { hostname, port } = new URL(url);
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(Number(port), hostname);
+    const fail = (error) => {
+      clearTimeout(timer);
+      socket.destroy();
+      reject(error);
+    };
+    const timer = setTimeout(() => fail(new Error(`no answer within ${timeoutMs}ms`)), timeoutMs);
+    socket.once('error', error => fail(new Error(error.code || error.message)));
+    socket.once('connect', async () => {
+      try {
+        await onConnect(socket);
+        clearTimeout(timer);
+        socket.destroy();
+        resolve();
+      } catch (error) {
+        fail(error);
+      }
+    });
+  });
+}
+
+function websocketHandshake(url, timeoutMs) {
+  const { host, pathname } = new URL(url);
+  return connect(url, timeoutMs, socket => new Promise((resolve, reject) => {
+    socket.once('data', (data) => {
+      const statusLine = data.toString().split('\r\n')[0];
+      if (/^HTTP\/1\.[01] 101\b/.test(statusLine)) {
+        resolve();
+      } else {
+        reject(new Error(`handshake answered with '${statusLine}'`));
+      }
+    });
+    socket.once('end', () => reject(new Error('connection closed during the handshake')));
+    socket.write(
+      `GET ${pathname} HTTP/1.1\r\n` +
+      `Host: ${host}\r\n` +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\n` +
+      'Sec-WebSocket-Version: 13\r\n' +
+      '\r\n'
+    );
+  }));
+}
+
+async function httpGet(url, timeoutMs) {
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    throw new Error(error.name === 'TimeoutError' ? `no answer within ${timeoutMs}ms` : (error.cause?.code || error.message));
+  }
+  await response.body?.cancel();
+  if (!response.ok) {
+    throw new Error(`GET answered with ${response.status}`);
+  }
+}
@@ -0,0 +1,445 @@
+/**
+ * RetentionManager - disk usage, archiving and deletion of ended runs.
+ *
+ * A run's data lives in three places: its working directory (working/<runId>,
+ * configs and metrics), its logs (logs/<runId>.*) and its evorun directory
+ * (evoRunsDirPath/<iterationId>, with genomes.sqlite and features.sqlite).
+ *
+ * Archiving packs all three into working/archives/<runId>.tar.gz with a
+ * manifest.json, then removes them; the run stays listed with its `archive`.
+ * Purging removes a run's data, archive and record altogether.
+ *
+ * Retention rules (working/retention-config.json) archive or purge ended runs
+ * by age and archive the oldest ones while live data exceeds a size. Neither
+ * rules nor requests touch runs that are running, paused or recovering, or
+ * whose data has not been synced since they ended (see SyncManager).
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import fs from 'fs-extra';
+
+const execFileAsync = promisify(execFile);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Runs whose processes may still write to their data
+const ACTIVE_STATUSES = ['running', 'paused', 'recovering'];
+
+const DEFAULT_CONFIG = {
+  enabled: false,                // apply the rules periodically
+  intervalMinutes: 60,
+  archiveAfterDays: null,        // archive runs that ended longer ago
+  purgeAfterDays: null,          // delete runs (and their archives) that ended longer ago
+  keepLatestPerTemplate: 0,      // the newest ended runs of each template the rules leave alone
+  maxLiveBytes: null,            // archive the oldest ended runs while live data exceeds this
+  orphanedWorkingDirDays: 7      // working/<runId> directories of unknown runs (ConfigManager.cleanupOldConfigs)
+};
+
+export class RetentionManager {
+  /**
+   * @param {EvolutionManager} evolutionManager
+   * @param {Object} [options]
+   * @param {string} [options.workingDir] - Defaults to working/
+   * @param {string} [options.logsDir] - Defaults to logs/
+   */
+  constructor(evolutionManager, options = {}) {
+    this.evolutionManager = evolutionManager;
+    this.workingDir = options.workingDir || path.join(process.cwd(), 'working');
+    this.logsDir = options.logsDir || path.join(process.cwd(), 'logs');
+    this.archiveDir = path.join(this.workingDir, 'archives');
+    this.configPath = path.join(this.workingDir, 'retention-config.json');
+    this.config = { ...DEFAULT_CONFIG };
+    this.timer = null;
+  }
+
+  async initialize() {
+    try {
+      if (await fs.pathExists(this.configPath)) {
+        this.config = { ...DEFAULT_CONFIG, ...await fs.readJson(this.configPath) };
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load retention config:', error.message);
+    }
+    this._schedule();
+    console.log(`🗄️ RetentionManager initialized (rules ${this.config.enabled ? 'enabled' : 'disabled'})`);
+  }
+
+  getConfig() {
+    return { ...this.config };
+  }
+
+  /**
+   * Change retention rules; null clears a limit
+   * @throws {Error} 'Invalid retention config ...' for unknown keys or bad values
+   */
+  async updateConfig(updates) {
+    const config = { ...this.config };
+    for (const [key, value] of Object.entries(updates || {})) {
+      if (!(key in DEFAULT_CONFIG)) {
+        throw new Error(`Invalid retention config: unknown setting '${key}'`);
+      }
+      if (key === 'enabled') {
+        if (typeof value !== 'boolean') throw new Error('Invalid retention config: enabled must be true or false');
+      } else if (value !== null && !(typeof value === 'number' && value >= 0)) {
+        throw new Error(`Invalid retention config: ${key} must be a non-negative number or null`);
+      }
+      config[key] = value;
+    }
+    if (!(config.intervalMinutes > 0)) {
+      throw new Error('Invalid retention config: intervalMinutes must be positive');
+    }
+
+    this.config = config;
+    await fs.ensureDir(path.dirname(this.configPath));
+    const tmpPath = `${this.configPath}.tmp`;
+    await fs.writeJson(tmpPath, this.config, { spaces: 2 });
+    await fs.move(tmpPath, this.configPath, { overwrite: true });
+    this._schedule();
+    return this.getConfig();
+  }
+
+  /**
+   * Bytes used per run, per template and in total
+   */
+  async getDiskUsage() {
+    const runs = [];
+    for (const run of this.evolutionManager.runs.values()) {
+      runs.push({
+        runId: run.id,
+        templateName: run.templateName,
+        status: run.status,
+        archived: !!run.archive,
+        bytes: await this._runUsage(run)
+      });
+    }
+    runs.sort((a, b) => b.bytes.total - a.bytes.total);
+
+    const templates = new Map();
+    const totals = { working: 0, logs: 0, evorun: 0, archive: 0, total: 0 };
+    for (const { templateName, bytes } of runs) {
+      const template = templates.get(templateName) || { templateName, runs: 0, bytes: 0 };
+      template.runs++;
+      template.bytes += bytes.total;
+      templates.set(templateName, template);
+      for (const key of Object.keys(totals)) totals[key] += bytes[key];
+    }
+
+    return {
+      totals,
+      templates: Array.from(templates.values()).sort((a, b) => b.bytes - a.bytes),
+      runs
+    };
+  }
+
+  /**
+   * Why a run's data may not be archived or deleted, null when it may
+   * @param {Object} run
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Ignore unsynced data
+   */
+  protectionReason(run, { force = false } = {}) {
+    if (ACTIVE_STATUSES.includes(run.status)) {
+      return `run is ${run.status}`;
+    }
+    // Resumed runs keep their old status while their services start
+    if (this.evolutionManager.launchingRuns.has(run.id)) {
+      return 'run is being started';
+    }
+    if (!force && !this.evolutionManager.syncManager.isRunSynced(run.id, endedAt(run))) {
+      return 'run data is not yet synced';
+    }
+    return null;
+  }
+
+  /**
+   * Pack a run's working directory, logs and evorun into a tarball with a
+   * manifest, then remove them
+   * @returns {Promise<Object>} The run's archive record
+   */
+  async archiveRun(runId) {
+    const run = this._getRun(runId);
+    if (run.archive) {
+      throw new Error(`Run ${runId} is already archived at ${run.archive.path}`);
+    }
+    this._assertUnprotected(run);
+
+    const parts = await this._runParts(run);
+    const archivePath = path.join(this.archiveDir, `${runId}.tar.gz`);
+    const stagingDir = path.join(this.archiveDir, `.staging-${runId}`);
+    const tmpPath = `${archivePath}.tmp`;
+
+    const manifest = {
+      format: 1,
+      runId,
+      templateName: run.templateName,
+      status: run.status,
+      startedAt: run.startedAt,
+      endedAt: endedAt(run),
+      archivedAt: new Date().toISOString(),
+      templateVersion: run.templateVersion || null,
+      parentRunId: run.parentRunId || null,
+      contents: {
+        working: parts.working ? `${runId}/` : null,
+        logs: parts.logs,
+        evorun: parts.evorun ? `${path.basename(parts.evorun)}/` : null
+      },
+      files: await this._listFiles(parts),
+      run
+    };
+
+    try {
+      await fs.ensureDir(stagingDir);
+      await fs.writeJson(path.join(stagingDir, 'manifest.json'), manifest, { spaces: 2 });
+
+      const args = ['-czf', tmpPath, '-C', stagingDir, 'manifest.json'];
+      if (parts.working) args.push('-C', this.workingDir, runId);
+      if (parts.logs.length > 0) args.push('-C', this.logsDir, ...parts.logs);
+      if (parts.evorun) args.push('-C', path.dirname(parts.evorun), path.basename(parts.evorun));
+      await execFileAsync('tar', args);
+      await fs.move(tmpPath, archivePath, { overwrite: true });
+    } finally {
+      await fs.remove(stagingDir);
+      await fs.remove(tmpPath);
+    }
+
+    await this._removeParts(parts);
+    this.evolutionManager.metricsHistory.forget(runId);
+
+    const { size } = await fs.stat(archivePath);
+    run.archive = { path: archivePath, bytes: size, archivedAt: manifest.archivedAt };
+    await this.evolutionManager.saveRunState();
+
+    console.log(`🗄️ Archived run ${runId} to ${archivePath} (${size} bytes)`);
+    this._emit('run-archived', { runId, archive: run.archive });
+    return run.archive;
+  }
+
+  /**
+   * Delete a run's data, archive and record
+   * @param {string} runId
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Delete even if the data was not synced
+   * @returns {Promise<Object>} Bytes freed
+   */
+  async purgeRun(runId, { force = false } = {}) {
+    const run = this._getRun(runId);
+    this._assertUnprotected(run, { force });
+
+    const bytes = await this._runUsage(run);
+    await this._removeParts(await this._runParts(run));
+    if (run.archive) {
+      await fs.remove(run.archive.path);
+    }
+
+    this.evolutionManager.runs.delete(runId);
+    this.evolutionManager.metricsHistory.forget(runId);
+    await this.evolutionManager.syncManager.forgetRun(runId);
+    await this.evolutionManager.saveRunState();
+
+    console.log(`🗑️ Purged run ${runId} (${bytes.total} bytes)`);
+    this._emit('run-purged', { runId, bytes: bytes.total });
+    return bytes;
+  }
+
+  /**
+   * Apply the retention rules once
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would be done
+   * @returns {Promise<Object>} { dryRun, archived, purged, skipped, orphanedWorkingDirs, errors }
+   */
+  async applyRules({ dryRun = false } = {}) {
+    const { archiveAfterDays, purgeAfterDays, keepLatestPerTemplate, maxLiveBytes, orphanedWorkingDirDays } = this.config;
+    const result = { dryRun, archived: [], purged: [], skipped: [], orphanedWorkingDirs: [], errors: [] };
+    const now = Date.now();
+
+    // Ended runs, oldest first, without the newest ones of each template
+    const ended = Array.from(this.evolutionManager.runs.values())
+      .filter(run => !ACTIVE_STATUSES.includes(run.status))
+      .sort((a, b) => (endedAt(a) || '').localeCompare(endedAt(b) || ''));
+    const kept = new Set();
+    const perTemplate = new Map();
+    for (const run of [...ended].reverse()) {
+      const count = perTemplate.get(run.templateName) || 0;
+      if (count < keepLatestPerTemplate) kept.add(run.id);
+      perTemplate.set(run.templateName, count + 1);
+    }
+
+    const candidates = [];
+    for (const run of ended) {
+      if (kept.has(run.id)) continue;
+      const reason = this.protectionReason(run);
+      if (reason) {
+        result.skipped.push({ runId: run.id, reason });
+      } else {
+        candidates.push(run);
+      }
+    }
+
+    const act = async (list, runId, action) => {
+      try {
+        if (!dryRun) await action();
+        list.push(runId);
+      } catch (error) {
+        result.errors.push({ runId, message: error.message });
+      }
+    };
+    const ageDays = run => (now - new Date(endedAt(run) || run.startedAt).getTime()) / DAY_MS;
+
+    const remaining = [];
+    for (const run of candidates) {
+      if (purgeAfterDays !== null && ageDays(run) > purgeAfterDays) {
+        await act(result.purged, run.id, () => this.purgeRun(run.id));
+      } else if (archiveAfterDays !== null && !run.archive && ageDays(run) > archiveAfterDays) {
+        await act(result.archived, run.id, () => this.archiveRun(run.id));
+      } else {
+        remaining.push(run);
+      }
+    }
+
+    if (maxLiveBytes !== null) {
+      let { totals } = await this.getDiskUsage();
+      let liveBytes = totals.total - totals.archive;
+      for (const run of remaining) {
+        if (liveBytes <= maxLiveBytes) break;
+        if (run.archive) continue;
+        const bytes = await this._runUsage(run);
+        await act(result.archived, run.id, () => this.archiveRun(run.id));
+        liveBytes -= bytes.working + bytes.logs + bytes.evorun;
+      }
+    }
+
+    if (orphanedWorkingDirDays !== null) {
+      const keep = [
+        ...this.evolutionManager.runs.keys(),
+        ...this.evolutionManager.runQueue.getQueued().map(entry => entry.id)
+      ];
+      result.orphanedWorkingDirs = await this.evolutionManager.configManager.cleanupOldConfigs(orphanedWorkingDirDays * DAY_MS, { keep, dryRun });
+    }
+
+    if (!dryRun && (result.archived.length || result.purged.length || result.orphanedWorkingDirs.length)) {
+      console.log(`🗄️ Retention: archived ${result.archived.length}, purged ${result.purged.length}, removed ${result.orphanedWorkingDirs.length} orphaned working dirs`);
+    }
+    return result;
+  }
+
+  shutdown() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _schedule() {
+    this.shutdown();
+    if (!this.config.enabled) return;
+    this.timer = setInterval(() => {
+      this.applyRules().catch(error => console.error('❌ Failed to apply retention rules:', error));
+    }, this.config.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+  }
+
+  _getRun(runId) {
+    const run = this.evolutionManager.runs.get(runId);
+    if (!run) {
+      throw new Error(`Run ${runId} not found`);
+    }
+    return run;
+  }
+
+  _assertUnprotected(run, options) {
+    const reason = this.protectionReason(run, options);
+    if (reason) {
+      throw new Error(`Run ${run.id} cannot be archived or deleted: ${reason}`);
+    }
+  }
+
+  /**
+   * Paths of a run's data that exist: { working, logs (file names), evorun }
+   */
+  async _runParts(run) {
+    const workingPath = path.join(this.workingDir, run.id);
+    const logs = await fs.pathExists(this.logsDir)
+      ? (await fs.readdir(this.logsDir)).filter(file => file.startsWith(`${run.id}.`)).sort()
+      : [];
+
+    let evorun = null;
+    if (run.configPath && await fs.pathExists(run.configPath)) {
+      try {
+        const { evorunPath } = await this.evolutionManager.configManager.readWorkingConfigs(run.configPath);
+        if (evorunPath && await fs.pathExists(evorunPath)) evorun = evorunPath;
+      } catch (error) {
+        console.warn(`⚠️ Could not resolve evorun directory of run ${run.id}: ${error.message}`);
+      }
+    }
+
+    return {
+      working: await fs.pathExists(workingPath) ? workingPath : null,
+      logs,
+      evorun
+    };
+  }
+
+  async _removeParts(parts) {
+    if (parts.evorun) await fs.remove(parts.evorun);
+    for (const file of parts.logs) await fs.remove(path.join(this.logsDir, file));
+    if (parts.working) await fs.remove(parts.working);
+  }
+
+  async _runUsage(run) {
+    const parts = await this._runParts(run);
+    const bytes = {
+      working: parts.working ? await directorySize(parts.working) : 0,
+      logs: 0,
+      evorun: parts.evorun ? await directorySize(parts.evorun) : 0,
+      archive: run.archive && await fs.pathExists(run.archive.path) ? (await fs.stat(run.archive.path)).size : 0
+    };
+    for (const file of parts.logs) {
+      bytes.logs += (await fs.stat(path.join(this.logsDir, file))).size;
+    }
+    bytes.total = bytes.working + bytes.logs + bytes.evorun + bytes.archive;
+    return bytes;
+  }
+
+  async _listFiles(parts) {
+    const files = [];
+    const walk = async (dir, prefix) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath, `${prefix}${entry.name}/`);
+        } else if (entry.isFile()) {
+          files.push({ path: `${prefix}${entry.name}`, bytes: (await fs.stat(entryPath)).size });
+        }
+      }
+    };
+    if (parts.working) await walk(parts.working, `${path.basename(parts.working)}/`);
+    for (const file of parts.logs) {
+      files.push({ path: file, bytes: (await fs.stat(path.join(this.logsDir, file))).size });
+    }
+    if (parts.evorun) await walk(parts.evorun, `${path.basename(parts.evorun)}/`);
+    return files;
+  }
+
+  _emit(event, data) {
+    this.evolutionManager.socketHandler?.emit(event, { ...data, timestamp: new Date().toISOString() });
+  }
+}
+
+function endedAt(run) {
+  return run.terminatedAt || run.stoppedAt || run.failedAt || null;
+}
+
+async function directorySize(dir) {
+  let bytes = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      bytes += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      bytes += (await fs.stat(entryPath)).size;
+    }
+  }
+  return bytes;
+}
@@ -0,0 +1,467 @@
+/**
+ * RunLogs - rotated, size-capped run logs with cursor paging, search and tailing.
+ *
+ * The process runner appends to logs/<runId>.<type>.log (type out, err or
+ * combined). Once a file grows past maxBytes it is rotated by copy and
+ * truncate, which works whether PM2 or this process holds the file open: its
+ * content moves to logs/<runId>.<type>.log.<start>, where <start> is the
+ * offset of its first byte in the run's whole log, and the file starts over.
+ * Only the newest maxFiles rotated segments are kept.
+ *
+ * Offsets are therefore positions in everything a run ever logged, and serve
+ * as cursors that stay valid across rotations: a page read from cursor N
+ * returns nextCursor, and a tail follows from it. A cursor into a segment
+ * that was since dropped continues at the oldest data left (truncated: true).
+ *
+ * With `time: true` in the process config, lines start with a timestamp;
+ * search uses it for time ranges, lines without one take the time of the
+ * line before. Pattern searches run in a worker thread (log-search-worker.js)
+ * that is terminated after searchTimeoutMs, so that no pattern can stall the
+ * manager.
+ */
+
+import { spawn } from 'child_process';
+import { Worker } from 'worker_threads';
+import path from 'path';
+import fs from 'fs-extra';
+
+export const LOG_TYPES = ['out', 'err', 'combined'];
+
+const MB = 1024 * 1024;
+const READ_CHUNK_BYTES = 64 * 1024;
+const MAX_PAGE_BYTES = 1 * MB;       // longest page read backwards
+const MAX_PAGE_LINES = 5000;
+const MAX_SEARCH_MATCHES = 1000;
+const MAX_PATTERN_LENGTH = 500;
+
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)/;
+
+export class RunLogs {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.logsDir] - Defaults to logs/
+   * @param {number} [options.maxBytes] - Rotate a log past this size (LOG_MAX_BYTES, 50 MB)
+   * @param {number} [options.maxFiles] - Rotated segments kept per log (LOG_MAX_FILES, 5)
+   * @param {number} [options.followIntervalMs=500] - How often followed logs are polled
+   * @param {number} [options.searchTimeoutMs] - Time limit of a pattern search (LOG_SEARCH_TIMEOUT_MS, 5 s)
+   */
+  constructor(options = {}) {
+    this.logsDir = options.logsDir || path.join(process.cwd(), 'logs');
+    this.maxBytes = options.maxBytes ?? (parseInt(process.env.LOG_MAX_BYTES, 10) || 50 * MB);
+    this.maxFiles = options.maxFiles ?? (parseInt(process.env.LOG_MAX_FILES, 10) || 5);
+    this.followIntervalMs = options.followIntervalMs ?? 500;
+    this.searchTimeoutMs = options.searchTimeoutMs ?? (parseInt(process.env.LOG_SEARCH_TIMEOUT_MS, 10) || 5000);
+    this.rotationTimer = null;
+    this._rotations = new Map(); // runId -> pending rotation, so two never overlap
+  }
+
+  logPath(runId, type) {
+    return path.join(this.logsDir, `${runId}.${type}.log`);
+  }
+
+  /**
+   * A log's files, oldest first: { path, start, bytes, current }
+   */
+  async segments(runId, type) {
+    this._checkType(type);
+    const prefix = `${runId}.${type}.log.`;
+    const files = await fs.pathExists(this.logsDir) ? await fs.readdir(this.logsDir) : [];
+
+    const segments = [];
+    for (const file of files) {
+      if (!file.startsWith(prefix) || !/^\d+$/.test(file.slice(prefix.length))) continue;
+      const filePath = path.join(this.logsDir, file);
+      segments.push({ path: filePath, start: Number(file.slice(prefix.length)), bytes: (await fs.stat(filePath)).size, current: false });
+    }
+    segments.sort((a, b) => a.start - b.start);
+
+    const last = segments[segments.length - 1];
+    const currentPath = this.logPath(runId, type);
+    segments.push({
+      path: currentPath,
+      start: last ? last.start + last.bytes : 0,
+      bytes: await fs.pathExists(currentPath) ? (await fs.stat(currentPath)).size : 0,
+      current: true
+    });
+    return segments;
+  }
+
+  /**
+   * Names of all log files of a run, rotated ones included
+   */
+  async files(runId) {
+    if (!await fs.pathExists(this.logsDir)) return [];
+    return (await fs.readdir(this.logsDir))
+      .filter(file => LOG_TYPES.some(type => file === `${runId}.${type}.log` || file.startsWith(`${runId}.${type}.log.`)))
+      .sort();
+  }
+
+  /**
+   * Rotate a run's logs that outgrew maxBytes, dropping the oldest segments
+   * @returns {Promise<string[]>} The types rotated
+   */
+  rotate(runId) {
+    const previous = this._rotations.get(runId) || Promise.resolve();
+    const rotation = previous.then(() => this._rotate(runId));
+    this._rotations.set(runId, rotation.catch(() => {}));
+    return rotation;
+  }
+
+  async _rotate(runId) {
+    const rotated = [];
+    for (const type of LOG_TYPES) {
+      const segments = await this.segments(runId, type);
+      const current = segments[segments.length - 1];
+      if (current.bytes > this.maxBytes) {
+        // Lines written between the copy and the truncate are lost, as with pm2-logrotate
+        const rotatedPath = `${current.path}.${current.start}`;
+        await fs.copyFile(current.path, rotatedPath);
+        await fs.truncate(current.path, 0);
+        rotated.push(type);
+        segments.splice(-1, 0, { path: rotatedPath });
+      }
+      for (const segment of segments.slice(0, -1).slice(0, Math.max(0, segments.length - 1 - this.maxFiles))) {
+        await fs.remove(segment.path);
+      }
+    }
+    return rotated;
+  }
+
+  /**
+   * Check the logs of some runs for rotation periodically
+   * @param {Function} getRunIds - Returns the IDs of the runs to check
+   * @param {number} [intervalMs] - LOG_ROTATE_INTERVAL_MS, 60 s by default
+   */
+  startRotation(getRunIds, intervalMs = parseInt(process.env.LOG_ROTATE_INTERVAL_MS, 10) || 60 * 1000) {
+    this.stopRotation();
+    this.rotationTimer = setInterval(async () => {
+      for (const runId of getRunIds()) {
+        try {
+          const rotated = await this.rotate(runId);
+          if (rotated.length > 0) {
+            console.log(`🔄 Rotated ${rotated.join(', ')} log(s) of run ${runId}`);
+          }
+        } catch (error) {
+          console.warn(`⚠️ Failed to rotate logs of run ${runId}:`, error.message);
+        }
+      }
+    }, intervalMs);
+    this.rotationTimer.unref();
+  }
+
+  stopRotation() {
+    if (this.rotationTimer) {
+      clearInterval(this.rotationTimer);
+      this.rotationTimer = null;
+    }
+  }
+
+  /**
+   * A page of complete lines
+   * @param {string} runId
+   * @param {string} type - out, err or combined
+   * @param {Object} [options]
+   * @param {number} [options.cursor] - Lines from this offset on
+   * @param {number} [options.before] - Lines ending at this offset; the last lines without either
+   * @param {number} [options.limit=200] - Lines per page
+   * @returns {Promise<Object>} { lines, cursor (offset of the first line), nextCursor,
+   *   start and end (of the data kept), truncated }
+   */
+  async read(runId, type, { cursor, before, limit = 200 } = {}) {
+    const segments = await this.segments(runId, type);
+    const start = segments[0].start;
+    const end = segments[segments.length - 1].start + segments[segments.length - 1].bytes;
+    limit = parseLimit(limit, MAX_PAGE_LINES);
+    cursor = parseOffset(cursor, 'cursor');
+    before = parseOffset(before, 'before');
+
+    if (cursor !== null) {
+      const from = Math.min(Math.max(cursor, start), end);
+      const lines = [];
+      let nextCursor = from;
+      for await (const line of this._lines(segments, from)) {
+        lines.push(line.text);
+        nextCursor = line.offset + line.bytes;
+        if (lines.length >= limit) break;
+      }
+      return { runId, type, lines, cursor: from, nextCursor, start, end, truncated: cursor < start };
+    }
+
+    // Backwards from `before`, reading one byte more to know whether the first line is whole
+    const to = Math.min(Math.max(before ?? end, start), end);
+    const from = Math.max(start, to - MAX_PAGE_BYTES);
+    const readFrom = from > start ? from - 1 : from;
+    const buffer = await this._readBytes(segments, readFrom, to);
+    let lines = splitLines(buffer, readFrom);
+    if (readFrom < from) lines = lines.slice(1);
+    lines = lines.slice(-limit);
+
+    return {
+      runId,
+      type,
+      lines: lines.map(line => line.text),
+      cursor: lines.length > 0 ? lines[0].offset : to,
+      nextCursor: lines.length > 0 ? lines[lines.length - 1].offset + lines[lines.length - 1].bytes : to,
+      start,
+      end,
+      truncated: before !== null && before < start
+    };
+  }
+
+  /**
+   * The last lines of every log type, as text
+   */
+  async tail(runId, lines = 50) {
+    const logs = {};
+    for (const type of LOG_TYPES) {
+      logs[type] = (await this.read(runId, type, { limit: lines })).lines.join('\n');
+    }
+    return logs;
+  }
+
+  /**
+   * Lines matching a regular expression and/or a time range
+   * @param {Object} [query]
+   * @param {string} [query.pattern] - Regular expression
+   * @param {string} [query.flags] - Regular expression flags, e.g. 'i'
+   * @param {number|string} [query.from] - Start time (epoch ms or ISO date), inclusive
+   * @param {number|string} [query.to] - End time, inclusive
+   * @param {number} [query.cursor] - Search from this offset on
+   * @param {number} [query.limit=100] - Matches per page
+   * @returns {Promise<Object>} { matches: [{ offset, time, line }], nextCursor, complete }
+   */
+  async search(runId, type, query = {}) {
+    this._checkType(type);
+    if (!parsePattern(query.pattern, query.flags)) {
+      return this._search(runId, type, query);
+    }
+
+    const worker = new Worker(new URL('./log-search-worker.js', import.meta.url), {
+      workerData: { logsDir: this.logsDir, runId, type, query }
+    });
+    try {
+      return await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(
+          `Invalid log pattern: the search took longer than ${this.searchTimeoutMs}ms, use a simpler pattern or a time range`
+        )), this.searchTimeoutMs);
+        worker.once('message', ({ result, error }) => {
+          clearTimeout(timer);
+          error ? reject(new Error(error)) : resolve(result);
+        });
+        worker.once('error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+      });
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  // The search itself; in a worker thread when there is a pattern
+  async _search(runId, type, query) {
+    const segments = await this.segments(runId, type);
+    const regex = parsePattern(query.pattern, query.flags);
+    const from = parseTime(query.from, 'from');
+    const to = parseTime(query.to, 'to');
+    const limit = parseLimit(query.limit ?? 100, MAX_SEARCH_MATCHES);
+    const cursor = Math.max(parseOffset(query.cursor, 'cursor') ?? 0, segments[0].start);
+
+    const matches = [];
+    let nextCursor = cursor;
+    let lastTime = null;
+    let complete = true;
+    for await (const line of this._lines(segments, cursor)) {
+      const timestamp = TIMESTAMP_PATTERN.exec(line.text);
+      if (timestamp) {
+        const time = Date.parse(timestamp[1].replace(' ', 'T'));
+        if (!Number.isNaN(time)) lastTime = time;
+      }
+      nextCursor = line.offset + line.bytes;
+
+      if (from !== null && (lastTime === null || lastTime < from)) continue;
+      if (to !== null && lastTime !== null && lastTime > to) {
+        break; // timestamps only increase
+      }
+      if (regex && !regex.test(line.text)) continue;
+
+      matches.push({ offset: line.offset, time: lastTime !== null ? new Date(lastTime).toISOString() : null, line: line.text });
+      if (matches.length >= limit) {
+        complete = false;
+        break;
+      }
+    }
+    return { runId, type, matches, nextCursor, complete };
+  }
+
+  /**
+   * Follow a log from a cursor, like tail -f
+   * @param {Function} onLines - Called with read() pages that have lines
+   * @returns {Function} Stops following
+   */
+  follow(runId, type, cursor, onLines) {
+    this._checkType(type);
+    let next = cursor;
+    let stopped = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        if (next === null || next === undefined) {
+          next = (await this.read(runId, type, { limit: 1 })).end;
+        }
+        let page;
+        do {
+          page = await this.read(runId, type, { cursor: next, limit: 500 });
+          next = page.nextCursor;
+          if (!stopped && page.lines.length > 0) onLines(page);
+        } while (!stopped && page.lines.length === 500);
+      } catch (error) {
+        console.warn(`⚠️ Failed to follow ${type} log of run ${runId}:`, error.message);
+      }
+      if (!stopped) timer = setTimeout(poll, this.followIntervalMs);
+    };
+    poll();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  /**
+   * Stream all log files of a run as a gzipped tarball
+   * @returns {Promise<Readable>}
+   */
+  async archiveStream(runId) {
+    const files = await this.files(runId);
+    if (files.length === 0) {
+      throw new Error(`No logs found for run ${runId}`);
+    }
+    const tar = spawn('tar', ['-czf', '-', '-C', this.logsDir, ...files], { stdio: ['ignore', 'pipe', 'ignore'] });
+    return tar.stdout;
+  }
+
+  /**
+   * Complete lines from an offset on: { offset, bytes (with the newline), text }
+   */
+  async *_lines(segments, from) {
+    let pending = Buffer.alloc(0);
+    let pendingOffset = from;
+    for (const segment of segments) {
+      const segmentEnd = segment.start + segment.bytes;
+      if (segmentEnd <= from) continue;
+
+      const handle = await fs.promises.open(segment.path, 'r').catch(() => null);
+      if (!handle) continue;
+      try {
+        let position = Math.max(from, segment.start);
+        while (position < segmentEnd) {
+          const length = Math.min(READ_CHUNK_BYTES, segmentEnd - position);
+          const chunk = Buffer.alloc(length);
+          const { bytesRead } = await handle.read(chunk, 0, length, position - segment.start);
+          if (bytesRead === 0) break;
+          position += bytesRead;
+
+          pending = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+          const lines = splitLines(pending, pendingOffset);
+          for (const line of lines) yield line;
+          const consumed = lines.length > 0 ? lines[lines.length - 1].offset + lines[lines.length - 1].bytes - pendingOffset : 0;
+          pending = pending.subarray(consumed);
+          pendingOffset += consumed;
+
+          // A line longer than a page is cut rather than read whole
+          if (pending.length >= MAX_PAGE_BYTES) {
+            yield { offset: pendingOffset, bytes: pending.length, text: pending.toString('utf8') };
+            pendingOffset += pending.length;
+            pending = Buffer.alloc(0);
+          }
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+  }
+
+  async _readBytes(segments, from, to) {
+    const buffers = [];
+    for (const segment of segments) {
+      const readFrom = Math.max(from, segment.start);
+      const readTo = Math.min(to, segment.start + segment.bytes);
+      if (readFrom >= readTo) continue;
+
+      const buffer = Buffer.alloc(readTo - readFrom);
+      const handle = await fs.promises.open(segment.path, 'r');
+      try {
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, readFrom - segment.start);
+        buffers.push(buffer.subarray(0, bytesRead));
+      } finally {
+        await handle.close();
+      }
+    }
+    return Buffer.concat(buffers);
+  }
+
+  _checkType(type) {
+    if (!LOG_TYPES.includes(type)) {
+      throw new Error(`Invalid log type '${type}'. Available: ${LOG_TYPES.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Newline-terminated lines of a buffer that starts at an offset; a trailing
+ * partial line is left out
+ */
+function splitLines(buffer, offset) {
+  const lines = [];
+  let lineStart = 0;
+  let newline;
+  while ((newline = buffer.indexOf(10, lineStart)) !== -1) {
+    let textEnd = newline;
+    if (textEnd > lineStart && buffer[textEnd - 1] === 13) textEnd--;
+    lines.push({ offset: offset + lineStart, bytes: newline + 1 - lineStart, text: buffer.toString('utf8', lineStart, textEnd) });
+    lineStart = newline + 1;
+  }
+  return lines;
+}
+
+function parseOffset(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`Invalid log ${name} '${value}': expected a byte offset`);
+  }
+  return Number(value);
+}
+
+function parseLimit(value, max) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid log limit '${value}': expected a positive integer`);
+  }
+  return Math.min(limit, max);
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid '${name}' time: ${value}`);
+  }
+  return time;
+}
+
+function parsePattern(pattern, flags = '') {
+  if (pattern === undefined || pattern === null || pattern === '') return null;
+  if (String(pattern).length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Invalid log pattern: longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (!/^[imsu]*$/.test(flags)) {
+    throw new Error(`Invalid log pattern flags '${flags}': use i, m, s or u`);
+  }
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    throw new Error(`Invalid log pattern: ${error.message}`);
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * RunQueue - persistent queue of pending run requests.
+ *
+ * Entries are kept in working/run-queue.json and started by the
+ * AutoRunScheduler when a slot frees up (taking turns with its template
+ * rotation, and also while the rotation is disabled). Ordering is by priority (lower number
+ * first, as for scheduler templates), then FIFO. An entry's id is also the ID
+ * of the run it starts, so dependencies can name queued entries and existing
+ * runs alike:
+ *
+ *   {
+ *     "id": "01J...",                 // = run ID once started
+ *     "templateName": "my-template",
+ *     "ecosystemVariant": "default",
+ *     "options": { ... },              // passed to startRun
+ *     "priority": 1,
+ *     "dependsOn": ["01H..."],         // start only after these runs terminated
+ *     "batchId": null,                 // set for entries enqueued together
+ *     "status": "queued" | "started" | "cancelled" | "failed",
+ *     "enqueuedAt", "startedAt", "endedAt", "error"
+ *   }
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+export class RunQueue extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.queuePath] - Defaults to working/run-queue.json
+   */
+  constructor(options = {}) {
+    super();
+    this.queuePath = options.queuePath || path.join(process.cwd(), 'working', 'run-queue.json');
+    this.entries = [];
+    this.sequence = 0; // FIFO tie-breaker within a priority
+    this._save = Promise.resolve(); // serializes writes
+  }
+
+  /**
+   * Load persisted entries
+   */
+  async load() {
+    try {
+      if (!await fs.pathExists(this.queuePath)) return;
+      this.entries = await fs.readJson(this.queuePath);
+      this.sequence = Math.max(0, ...this.entries.map(entry => entry.sequence || 0));
+
+      const queued = this.getQueued().length;
+      if (queued > 0) {
+        console.log(`📥 Restored run queue: ${queued} queued`);
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load run queue:', error.message);
+    }
+  }
+
+  /**
+   * Persist entries (queued so that an earlier snapshot never overwrites a later one)
+   */
+  save() {
+    this._save = this._save.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.queuePath));
+        const tmpPath = `${this.queuePath}.tmp`;
+        await fs.writeJson(tmpPath, this.entries, { spaces: 2 });
+        await fs.move(tmpPath, this.queuePath, { overwrite: true });
+      } catch (error) {
+        console.warn('⚠️ Failed to save run queue:', error.message);
+      }
+    });
+    return this._save;
+  }
+
+  /**
+   * Add validated entries
+   * @param {Object[]} entries - Entries with id, templateName, ecosystemVariant, options, priority, dependsOn, batchId
+   * @returns {Promise<Object[]>} The added entries
+   */
+  async add(entries) {
+    const now = new Date().toISOString();
+    const added = entries.map(entry => ({
+      ...entry,
+      status: 'queued',
+      sequence: ++this.sequence,
+      enqueuedAt: now,
+      startedAt: null,
+      endedAt: null,
+      error: null
+    }));
+    this.entries.push(...added);
+    await this.save();
+
+    this.emit('queue-change', { action: 'enqueued', entries: added });
+    return added;
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * List entries, queued ones in start order first
+   * @param {{ status?: string }} [filter]
+   */
+  list(filter = {}) {
+    const queued = this.getQueued();
+    const others = this.entries.filter(entry => entry.status !== 'queued');
+    return [...queued, ...others].filter(entry => !filter.status || entry.status === filter.status);
+  }
+
+  /**
+   * Queued entries in start order
+   */
+  getQueued() {
+    return this.entries
+      .filter(entry => entry.status === 'queued')
+      .sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+  }
+
+  hasQueued() {
+    return this.entries.some(entry => entry.status === 'queued');
+  }
+
+  /**
+   * Find the first queued entry whose dependencies have all terminated.
+   * Entries whose dependencies failed, were stopped or cancelled, or no longer exist are cancelled.
+   * @param {(id: string) => string|null} getStatus - Status of a run or queue entry, null if unknown
+   * @returns {Promise<Object|null>}
+   */
+  async nextReady(getStatus) {
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const entry of this.getQueued()) {
+        const broken = entry.dependsOn.find(id => [null, 'failed', 'stopped', 'cancelled'].includes(getStatus(id)));
+        if (broken) {
+          const status = getStatus(broken);
+          await this._finish(entry, 'cancelled', status ? `Dependency ${broken} ${status}` : `Dependency ${broken} no longer exists`);
+          changed = true; // dependents of this entry may now be broken too
+        }
+      }
+    }
+
+    return this.getQueued().find(entry => entry.dependsOn.every(id => getStatus(id) === 'terminated')) || null;
+  }
+
+  async markStarted(id) {
+    const entry = this._getQueued(id);
+    entry.status = 'started';
+    entry.startedAt = new Date().toISOString();
+    await this.save();
+    this.emit('queue-change', { action: 'started', entries: [entry] });
+    return entry;
+  }
+
+  /**
+   * Mark an entry whose run could not be started
+   */
+  async markFailed(id, error) {
+    const entry = this.get(id);
+    if (!entry) {
+      throw new Error(`Queue entry ${id} not found`);
+    }
+    return this._finish(entry, 'failed', error);
+  }
+
+  /**
+   * Cancel a queued entry
+   */
+  async cancel(id) {
+    return this._finish(this._getQueued(id), 'cancelled', null);
+  }
+
+  _getQueued(id) {
+    const entry = this.get(id);
+    if (!entry) {
+      throw new Error(`Queue entry ${id} not found`);
+    }
+    if (entry.status !== 'queued') {
+      throw new Error(`Queue entry ${id} is not queued (status: ${entry.status})`);
+    }
+    return entry;
+  }
+
+  async _finish(entry, status, error) {
+    entry.status = status;
+    entry.endedAt = new Date().toISOString();
+    entry.error = error;
+    if (error) {
+      console.log(`📥 Queue entry ${entry.id} ${status}: ${error}`);
+    }
+    await this.save();
+    this.emit('queue-change', { action: status, entries: [entry] });
+    return entry;
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Run state machine - the statuses a run can be in and how it may move
+ * between them.
+ *
+ *   (new) ──start/fork/adopt──▶ running ──pause──▶ paused ──resume──▶ running
+ *   running ──exit 0 / auto-stop──▶ terminated
+ *   running ──crash──▶ recovering ──auto-resume──▶ running
+ *                                 └─auto-resume failed──▶ failed
+ *   recovering ──restore──▶ running/paused (what a restart finds: the process
+ *                           back online, or the run paused by the scheduler)
+ *   running/paused/recovering/failed ──stop──▶ stopped
+ *   stopped/terminated/failed ──resume──▶ running
+ *
+ * Every change is appended to run.history with its time, cause and details:
+ *
+ *   { "at": "...", "from": "running", "to": "recovering", "cause": "crash",
+ *     "details": { "exitCode": 1, "attempt": 1 } }
+ */
+
+export const RUN_STATUSES = ['running', 'paused', 'stopped', 'terminated', 'failed', 'recovering'];
+
+// [from, to, causes allowed (any when omitted)]
+const TRANSITIONS = [
+  [null, 'running', ['start', 'fork', 'adopt']],
+  ['running', 'paused'],
+  ['running', 'stopped'],
+  ['running', 'terminated'],
+  ['running', 'failed'],
+  ['running', 'recovering', ['crash']],
+  ['paused', 'running'],
+  ['paused', 'stopped'],
+  ['paused', 'terminated'],
+  ['stopped', 'running'],
+  ['terminated', 'running'],
+  ['failed', 'running'],
+  ['failed', 'stopped'],
+  // A crashed run is only resumed by its pending retry; stop it to take over
+  ['recovering', 'running', ['auto-resume', 'restore']],
+  ['recovering', 'paused', ['restore']],
+  ['recovering', 'failed'],
+  ['recovering', 'stopped']
+];
+
+/**
+ * Whether a run may move from one status to another for a cause
+ * @param {string|null} from - null for a new run
+ * @param {string} to
+ * @param {string} cause
+ * @returns {boolean}
+ */
+export function canTransition(from, to, cause) {
+  return TRANSITIONS.some(([f, t, causes]) => f === from && t === to && (!causes || causes.includes(cause)));
+}
+
+/**
+ * Throw unless the run may move to a status (staying in it is always allowed)
+ * @param {Object} run
+ * @param {string} to
+ * @param {string} cause
+ */
+export function assertTransition(run, to, cause) {
+  const from = run.status ?? null;
+  if (from !== to && !canTransition(from, to, cause)) {
+    throw new Error(`Illegal run transition for ${run.id}: ${from ?? '(new)'} → ${to} (${cause})`);
+  }
+}
+
+/**
+ * Move a run to a status and record it in run.history
+ * @param {Object} run
+ * @param {string} to
+ * @param {string} cause - e.g. 'start', 'adopt', 'stop', 'pause', 'scheduler', 'crash', 'auto-resume', 'restore'
+ * @param {Object} [details]
+ * @returns {Object|null} The history entry, null if the run already had the status
+ */
+export function transitionRun(run, to, cause, details = null) {
+  assertTransition(run, to, cause);
+  const from = run.status ?? null;
+  if (from === to) return null;
+
+  const entry = { at: new Date().toISOString(), from, to, cause, ...(details ? { details } : {}) };
+  run.status = to;
+  run.history = [...(run.history || []), entry];
+  return entry;
+}
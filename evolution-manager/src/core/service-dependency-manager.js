@@ -1,37 +1,45 @@
 import path from 'path';
 import fs from 'fs-extra';
-import PM2 from 'pm2';
-import { promisify } from 'util';
 import { PortManager } from './port-manager.js';
+import { createProcessRunner } from './process-runner.js';
+import { resolveReadinessProbe, checkReadiness, DEFAULT_READINESS_TIMEOUT_MS } from './readiness-probe.js';
+
+// Failed service starts kept for GET /api/runs/:runId/services, oldest dropped first
+const MAX_FAILED_STARTS = 50;
 
 /**
  * Service Dependency Manager for handling ecosystem configurations and service lifecycles
  */
 export class ServiceDependencyManager {
-  constructor() {
+  /**
+   * @param {ProcessRunner} [processRunner] - Runner shared with the EvolutionManager
+   *   (a runner is created from PROCESS_RUNNER when omitted)
+   * @param {Object} [options]
+   * @param {Function} [options.resolvePathPlaceholders] - Resolves {{PLACEHOLDER}} tokens
+   *   in loaded ecosystem configs (ConfigManager.resolvePathPlaceholders)
+   * @param {StateStore} [options.stateStore] - Where port allocations are kept
+   *   across restarts (collection 'ports'); not persisted when omitted
+   */
+  constructor(processRunner = createProcessRunner(), options = {}) {
     this.portManager = new PortManager();
+    this.stateStore = options.stateStore || null;
     this.runServices = new Map(); // runId -> service info
+    this.failedStarts = new Map(); // runId -> service info of its last failed start
     this.ecosystemTemplates = new Map(); // templateName -> ecosystem config
-    this.pm2Connected = false;
-
-    // PM2 methods
-    this.pm2Connect = promisify(PM2.connect.bind(PM2));
-    this.pm2Start = promisify(PM2.start.bind(PM2));
-    this.pm2Stop = promisify(PM2.stop.bind(PM2));
-    this.pm2Delete = promisify(PM2.delete.bind(PM2));
-    this.pm2List = promisify(PM2.list.bind(PM2));
-    this.pm2Disconnect = PM2.disconnect.bind(PM2);
+    this.processRunner = processRunner;
+    this.resolvePathPlaceholders = options.resolvePathPlaceholders || (value => value);
+    // Template names whose ecosystem configs a template may use: itself, then the templates it extends
+    this.templateChain = options.templateChain || (async templateName => [templateName]);
   }
 
   /**
-   * Ensure PM2 connection
+   * Ensure the process runner is connected
    */
-  async ensurePM2Connection() {
-    if (!this.pm2Connected) {
-      console.log('🔌 Connecting to PM2...');
-      await this.pm2Connect();
-      this.pm2Connected = true;
-      console.log('✅ PM2 connected');
+  async ensureRunnerConnection() {
+    if (!this.processRunner.connected) {
+      console.log(`🔌 Connecting to process runner (${this.processRunner.type})...`);
+      await this.processRunner.connect();
+      console.log('✅ Process runner connected');
     }
   }
 
@@ -45,13 +53,19 @@ export class ServiceDependencyManager {
       return this.ecosystemTemplates.get(cacheKey);
     }
 
-    // Look for ecosystem config in template directory or CLI directory
+    // Look for ecosystem config in template directories (of the template and
+    // those it extends) or the CLI directory
+    const templateNames = await this.templateChain(templateName);
     const possiblePaths = [
-      path.join(process.cwd(), 'templates', templateName, `ecosystem_${ecosystemVariant}.config.js`),
-      path.join(process.cwd(), 'templates', templateName, 'ecosystem.config.js'),
+      ...templateNames.flatMap(name => [
+        path.join(process.cwd(), 'templates', name, `ecosystem_${ecosystemVariant}.config.js`),
+        path.join(process.cwd(), 'templates', name, 'ecosystem.config.js')
+      ]),
       // Fallback to CLI ecosystem configs
-      path.join(path.dirname(process.env.KROMOSYNTH_CLI_SCRIPT || ''), '..', `ecosystem_${templateName}_${ecosystemVariant}.config.js`),
-      path.join(path.dirname(process.env.KROMOSYNTH_CLI_SCRIPT || ''), '..', `ecosystem_${templateName}.config.js`)
+      ...templateNames.flatMap(name => [
+        path.join(path.dirname(process.env.KROMOSYNTH_CLI_SCRIPT || ''), '..', `ecosystem_${name}_${ecosystemVariant}.config.js`),
+        path.join(path.dirname(process.env.KROMOSYNTH_CLI_SCRIPT || ''), '..', `ecosystem_${name}.config.js`)
+      ])
     ];
 
     let ecosystemConfig = null;
@@ -60,10 +74,7 @@ export class ServiceDependencyManager {
     for (const configFilePath of possiblePaths) {
       if (await fs.pathExists(configFilePath)) {
         configPath = configFilePath;
-        // Dynamic import of ecosystem config
-        const fullPath = path.resolve(configFilePath);
-        ecosystemConfig = await import(`file://${fullPath}`);
-        ecosystemConfig = ecosystemConfig.default || ecosystemConfig;
+        ecosystemConfig = await this.importEcosystemConfig(configFilePath);
         break;
       }
     }
@@ -75,10 +86,34 @@ export class ServiceDependencyManager {
     }
 
     console.log(`📋 Loaded ecosystem config: ${configPath}`);
-    this.ecosystemTemplates.set(cacheKey, { config: ecosystemConfig, path: configPath });
+    this.ecosystemTemplates.set(cacheKey, { templateName, templateNames, config: ecosystemConfig, path: configPath });
     return this.ecosystemTemplates.get(cacheKey);
   }
 
+  /**
+   * Import an ecosystem config file, resolving {{PLACEHOLDER}} tokens
+   */
+  async importEcosystemConfig(configFilePath) {
+    // Dynamic import of ecosystem config; the modification time keeps the
+    // module cache from serving a config that was replaced since
+    const fullPath = path.resolve(configFilePath);
+    const { mtimeMs } = await fs.stat(fullPath);
+    const module = await import(`file://${fullPath}?mtime=${mtimeMs}`);
+    return this.resolvePathPlaceholders(module.default || module);
+  }
+
+  /**
+   * Drop cached ecosystem configs of a template and of the templates extending
+   * it (after it was changed or deleted)
+   */
+  forgetEcosystemTemplates(templateName) {
+    for (const [cacheKey, ecosystemTemplate] of this.ecosystemTemplates) {
+      if (ecosystemTemplate.templateNames.includes(templateName)) {
+        this.ecosystemTemplates.delete(cacheKey);
+      }
+    }
+  }
+
   /**
    * Generate ecosystem config with allocated ports for a specific run
    * @returns {Object} { config, usedServiceTypes } - The config and a Set of service types used
@@ -226,11 +261,12 @@ export class ServiceDependencyManager {
     try {
       console.log(`🚀 Starting services for run ${runId}...`);
 
-      // 0. Ensure PM2 connection
-      await this.ensurePM2Connection();
+      // 0. Ensure runner connection
+      await this.ensureRunnerConnection();
 
       // 1. Allocate ports
-      const portAllocation = this.portManager.allocatePortRange(runId);
+      const portAllocation = await this.portManager.allocatePortRange(runId);
+      await this.stateStore?.put('ports', runId, portAllocation);
 
       // 2. Load ecosystem template
       const ecosystemTemplate = await this.loadEcosystemTemplate(templateName, ecosystemVariant);
@@ -250,43 +286,27 @@ export class ServiceDependencyManager {
         `module.exports = ${JSON.stringify(runEcosystemConfig, null, 2)};`
       );
 
-      // 5. Start services via PM2 - use individual app startup approach
+      // 5. Start services via the process runner - use individual app startup approach
+      // (readiness probes are resolved first, so a bad one starts nothing)
+      const readinessProbes = runEcosystemConfig.apps.map(app => resolveReadinessProbe(app));
       console.log(`📋 Starting ${runEcosystemConfig.apps.length} services for run ${runId}`);
         
-      const servicePromises = runEcosystemConfig.apps.map(async (app) => {
+      const servicePromises = runEcosystemConfig.apps.map(async (app, index) => {
+        const readinessProbe = readinessProbes[index];
         console.log(`  🔄 Starting ${app.name}...`);
         try {
-          // Use individual app startup with proper PM2 options
-          const options = {
-            name: app.name,
-            script: app.script,
-            args: app.args,
-            instances: app.instances,
-            exec_mode: app.exec_mode,
-            env: app.env,
-            cwd: app.cwd,
-            interpreter: app.interpreter,
-            max_memory_restart: app.max_memory_restart,
-            cron_restart: app.cron_restart,
-            increment_var: app.increment_var
-          };
-          
-          // Filter out undefined values that could cause issues
-          Object.keys(options).forEach(key => {
-            if (options[key] === undefined) {
-              delete options[key];
-            }
-          });
+          // Use individual app startup with PM2-style app options
+          const options = this.appStartOptions(app);
           
-          console.log(`  🔧 PM2 options for ${app.name}:`, JSON.stringify(options, null, 2));
+          console.log(`  🔧 Process options for ${app.name}:`, JSON.stringify(options, null, 2));
           
-          await this.pm2Start(options);
+          await this.processRunner.start(options);
           console.log(`  ✅ Started ${app.name}`);
-          return { name: app.name, status: 'started' };
+          return { name: app.name, status: 'started', readinessProbe };
         } catch (error) {
           console.error(`  ❌ Failed to start ${app.name}:`, error);
           console.error(`  🔧 App config that failed:`, JSON.stringify(app, null, 2));
-          return { name: app.name, status: 'failed', error: error.message || error.toString() };
+          return { name: app.name, status: 'failed', error: error.message || error.toString(), readinessProbe };
         }
       });
       
@@ -310,54 +330,260 @@ export class ServiceDependencyManager {
 
       this.runServices.set(runId, serviceInfo);
 
-      // 7. Wait for services to be ready (basic health check)
+      // 7. Wait for services to be ready (their readiness probes)
       await this.waitForServicesReady(runId);
 
+      this.failedStarts.delete(runId);
       console.log(`✅ All services started for run ${runId}`);
       return serviceInfo;
 
     } catch (error) {
       console.error(`❌ Failed to start services for run ${runId}:`, error);
-      // Cleanup on failure
+      // Cleanup on failure, keeping the services' readiness results
+      const serviceInfo = this.runServices.get(runId);
       await this.stopServicesForRun(runId);
+      if (serviceInfo) {
+        this._recordFailedStart(serviceInfo, error);
+      }
       throw error;
     }
   }
 
+  _recordFailedStart(serviceInfo, error) {
+    this.failedStarts.delete(serviceInfo.runId);
+    this.failedStarts.set(serviceInfo.runId, {
+      ...serviceInfo,
+      services: serviceInfo.services.map(service => service.status === 'started' ? { ...service, status: 'stopped' } : service),
+      failedAt: new Date().toISOString(),
+      error: error.message
+    });
+    if (this.failedStarts.size > MAX_FAILED_STARTS) {
+      this.failedStarts.delete(this.failedStarts.keys().next().value);
+    }
+  }
+
+  /**
+   * Rebuild the port allocations persisted by earlier managers, so that new runs
+   * do not get the ports of services that survived the restart. Allocations
+   * of runs without service processes left are dropped.
+   * @param {Object[]} processes - The runner's process list
+   * @returns {Promise<string[]>} The run IDs whose allocations were restored
+   */
+  async restorePortAllocations(processes) {
+    if (!this.stateStore) return [];
+
+    const restored = [];
+    for (const [runId, allocation] of Object.entries(this.stateStore.all('ports'))) {
+      const hasServices = processes.some(proc =>
+        proc.name?.endsWith(`_${runId}`) && !proc.name.startsWith('kromosynth-evolution-')
+      );
+      if (!hasServices) {
+        await this.stateStore.delete('ports', runId);
+        continue;
+      }
+      try {
+        this.portManager.restorePortRange(runId, allocation.rangeStart, allocation.allocatedAt);
+        restored.push(runId);
+      } catch (error) {
+        console.warn(`⚠️ Could not restore the port range of run ${runId}: ${error.message}`);
+      }
+    }
+    return restored;
+  }
+
   /**
-   * Wait for services to be ready (basic health check)
+   * Re-attach to the services of a run that kept running while the manager was
+   * down (see EvolutionManager.shutdown({ detach })): the run's ecosystem file
+   * in working/ tells which processes and ports it was given, the process list
+   * which of them are still online. Nothing is started or stopped.
+   * @param {string} runId
+   * @param {Object} run - { templateName, ecosystemVariant, serviceInfo }
+   * @param {Object[]} processes - The runner's process list
+   * @returns {Promise<Object|null>} The rebuilt service info, null when the run
+   *   has no ecosystem file
    */
-  async waitForServicesReady(runId, timeout = 30000) {
+  async reattachServicesForRun(runId, run, processes) {
+    const ecosystemPath = path.join(process.cwd(), 'working', `ecosystem_${runId}.config.js`);
+    if (!await fs.pathExists(ecosystemPath)) {
+      return null;
+    }
+
+    // Written by startServicesForRun as `module.exports = <JSON>;`
+    const source = await fs.readFile(ecosystemPath, 'utf8');
+    const config = JSON.parse(source.replace(/^module\.exports\s*=\s*/, '').replace(/;\s*$/, ''));
+    const { mtime } = await fs.stat(ecosystemPath);
+
+    const usedServiceTypes = new Set();
+    let rangeStart = null;
+    for (const app of config.apps) {
+      const serviceName = this.mapAppToServiceType(app.name.slice(0, -`_${runId}`.length));
+      if (!serviceName) continue;
+      usedServiceTypes.add(serviceName);
+      rangeStart ??= this.portManager.rangeStartForServicePort(serviceName, Number(app.env?.PORT));
+    }
+    rangeStart ??= run.serviceInfo?.portAllocation?.rangeStart ?? null;
+
+    const portAllocation = rangeStart === null ? null : this.portManager.restorePortRange(
+      runId, rangeStart, run.serviceInfo?.portAllocation?.allocatedAt || mtime.toISOString()
+    );
+    if (portAllocation && !this.stateStore?.get('ports', runId)) {
+      await this.stateStore?.put('ports', runId, portAllocation);
+    }
+
+    const processesByName = new Map(processes.map(proc => [proc.name, proc]));
+    const services = config.apps.map(app => {
+      const status = processesByName.get(app.name)?.status;
+      return status === 'online'
+        ? { name: app.name, status: 'started' }
+        : { name: app.name, status: 'failed', error: `process is ${status || 'gone'}` };
+    });
+    for (const service of services.filter(service => service.status === 'failed')) {
+      console.warn(`  ⚠️ Service ${service.name} of run ${runId}: ${service.error}`);
+    }
+
+    const serviceInfo = {
+      runId,
+      templateName: run.templateName,
+      ecosystemVariant: run.ecosystemVariant,
+      portAllocation,
+      usedServiceTypes: Array.from(usedServiceTypes),
+      services,
+      ecosystemPath,
+      startedAt: mtime.toISOString(),
+      reattachedAt: new Date().toISOString(),
+      serviceUrls: portAllocation ? this.portManager.serviceUrlsForAllocation(portAllocation, usedServiceTypes) : {}
+    };
+    this.runServices.set(runId, serviceInfo);
+
+    console.log(`🔗 Re-attached ${services.length} services of run ${runId}`);
+    return serviceInfo;
+  }
+
+  /**
+   * What startServicesForRun would start for a run, without allocating ports or
+   * starting anything (dry runs)
+   * @returns {Promise<Object|null>} { portAllocation, usedServiceTypes, serviceUrls, ecosystemPath, apps },
+   *   null when the template has no ecosystem config
+   */
+  async planServicesForRun(runId, templateName, ecosystemVariant = 'default') {
+    const ecosystemTemplate = await this.loadEcosystemTemplate(templateName, ecosystemVariant);
+    if (!ecosystemTemplate) {
+      return null;
+    }
+
+    const portAllocation = await this.portManager.planPortRange(runId);
+    const { config, usedServiceTypes } = this.generateRunEcosystemConfig(runId, ecosystemTemplate, portAllocation);
+
+    return {
+      portAllocation,
+      usedServiceTypes: Array.from(usedServiceTypes),
+      serviceUrls: this.portManager.serviceUrlsForAllocation(portAllocation, usedServiceTypes),
+      ecosystemPath: ecosystemTemplate.path,
+      apps: config.apps.map(app => this.appStartOptions(app))
+    };
+  }
+
+  /**
+   * PM2-style start options for an app of a run ecosystem config
+   */
+  appStartOptions(app) {
+    const options = {
+      name: app.name,
+      script: app.script,
+      args: app.args,
+      instances: app.instances,
+      exec_mode: app.exec_mode,
+      env: app.env,
+      cwd: app.cwd,
+      interpreter: app.interpreter,
+      max_memory_restart: app.max_memory_restart,
+      cron_restart: app.cron_restart,
+      increment_var: app.increment_var
+    };
+
+    // Filter out undefined values that could cause issues
+    Object.keys(options).forEach(key => {
+      if (options[key] === undefined) {
+        delete options[key];
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Wait until every service of a run is ready: its process is online and its
+   * readiness probe (see readiness-probe.js), if it declares one, succeeds within
+   * the probe's timeoutMs. Services are probed side by side; the outcome of each
+   * is kept as service.readiness in the run's service info.
+   * @param {string} runId
+   * @param {number} [defaultTimeout] - For services without a probe of their own
+   * @throws {Error} Naming the services that did not become ready
+   */
+  async waitForServicesReady(runId, defaultTimeout = DEFAULT_READINESS_TIMEOUT_MS) {
     console.log(`⏳ Waiting for services to be ready for run ${runId}...`);
+    const serviceInfo = this.runServices.get(runId);
 
-    const startTime = Date.now();
-    const checkInterval = 2000; // Check every 2 seconds
+    await Promise.all(serviceInfo.services.map(service => this._waitForServiceReady(service, defaultTimeout)));
 
-    while (Date.now() - startTime < timeout) {
-      try {
-        // Get PM2 process list and check if our services are online
-        const processes = await this.pm2List();
-        const runProcesses = processes.filter(proc =>
-          proc.name && proc.name.includes(`_${runId}`)
-        );
-
-        const allOnline = runProcesses.length > 0 &&
-          runProcesses.every(proc => proc.pm2_env.status === 'online');
-
-        if (allOnline) {
-          console.log(`✅ Services ready for run ${runId}`);
-          return true;
-        }
+    const notReady = serviceInfo.services.filter(service => !service.readiness.ready);
+    if (notReady.length > 0) {
+      throw new Error(`Services for run ${runId} did not become ready: ` +
+        notReady.map(service => `${service.name} (${service.readiness.error})`).join(', '));
+    }
+    console.log(`✅ Services ready for run ${runId}`);
+    return true;
+  }
 
-        // Wait before next check
-        await new Promise(resolve => setTimeout(resolve, checkInterval));
+  async _waitForServiceReady(service, defaultTimeout) {
+    const probe = service.readinessProbe;
+    const timeoutMs = probe?.timeoutMs ?? defaultTimeout;
+    const startedAt = Date.now();
+    const readiness = service.readiness = {
+      type: probe?.type || 'process',
+      target: probe?.url || null,
+      timeoutMs,
+      ready: false,
+      attempts: 0,
+      startedAt: new Date(startedAt).toISOString(),
+      readyAt: null,
+      elapsedMs: null,
+      error: null
+    };
+    if (service.status !== 'started') {
+      readiness.error = `failed to start: ${service.error}`;
+      return;
+    }
 
+    while (true) {
+      readiness.attempts++;
+      try {
+        const [proc] = await this.processRunner.describe(service.name);
+        if (proc?.status !== 'online') {
+          throw new Error(`process is ${proc?.status || 'gone'}`);
+        }
+        if (probe) {
+          await checkReadiness(probe, timeoutMs);
+        }
+        readiness.ready = true;
+        readiness.error = null;
+        readiness.readyAt = new Date().toISOString();
+        readiness.elapsedMs = Date.now() - startedAt;
+        console.log(`  ✅ ${service.name} is ready (${readiness.type}, ${readiness.elapsedMs}ms)`);
+        return;
       } catch (error) {
-        console.warn(`⚠️ Health check error for run ${runId}:`, error.message);
+        readiness.error = error.message;
       }
-    }
 
-    throw new Error(`Services for run ${runId} did not become ready within ${timeout}ms`);
+      const remaining = timeoutMs - (Date.now() - startedAt);
+      if (remaining <= 0) {
+        readiness.elapsedMs = Date.now() - startedAt;
+        readiness.error = `not ready within ${timeoutMs}ms: ${readiness.error}`;
+        console.warn(`  ⚠️ ${service.name} ${readiness.error}`);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(probe?.intervalMs ?? 2000, remaining)));
+    }
   }
 
   /**
@@ -374,8 +600,8 @@ export class ServiceDependencyManager {
         const stopPromises = serviceInfo.services.map(async (service) => {
           if (service.status === 'started') {
             try {
-              await this.pm2Stop(service.name);
-              await this.pm2Delete(service.name);
+              await this.processRunner.stop(service.name);
+              await this.processRunner.delete(service.name);
               console.log(`  ✅ Stopped ${service.name}`);
             } catch (error) {
               console.warn(`  ⚠️ Error stopping ${service.name}:`, error.message);
@@ -391,11 +617,11 @@ export class ServiceDependencyManager {
         }
       }
 
-      // Also scan PM2 for any orphaned service processes matching this run ID.
+      // Also scan the runner for any orphaned service processes matching this run ID.
       // This catches processes that survived a manager restart (in-memory Map lost)
       // or weren't tracked properly.
-      await this.ensurePM2Connection();
-      const processes = await this.pm2List();
+      await this.ensureRunnerConnection();
+      const processes = await this.processRunner.list();
       const orphanedProcesses = processes.filter(proc =>
         proc.name &&
         proc.name.includes(`_${runId}`) &&
@@ -406,8 +632,8 @@ export class ServiceDependencyManager {
         console.log(`  🧹 Found ${orphanedProcesses.length} orphaned service process(es) for run ${runId}`);
         for (const proc of orphanedProcesses) {
           try {
-            await this.pm2Stop(proc.name);
-            await this.pm2Delete(proc.name);
+            await this.processRunner.stop(proc.name);
+            await this.processRunner.delete(proc.name);
             console.log(`  ✅ Cleaned up orphaned ${proc.name}`);
           } catch (error) {
             console.warn(`  ⚠️ Error cleaning up ${proc.name}:`, error.message);
@@ -419,6 +645,9 @@ export class ServiceDependencyManager {
 
       // Release port allocation
       this.portManager.releasePortRange(runId);
+      if (this.stateStore?.get('ports', runId)) {
+        await this.stateStore.delete('ports', runId);
+      }
 
       // Remove from tracking
       this.runServices.delete(runId);
@@ -431,6 +660,30 @@ export class ServiceDependencyManager {
     }
   }
 
+  /**
+   * Port allocations of all runs with the runner processes of each run, the
+   * pool they come from and any port claimed more than once
+   * @returns {Promise<Object>} { pool, rangeSize, probe, allocations, overlaps }
+   */
+  async getPortReport() {
+    await this.ensureRunnerConnection();
+    const processes = await this.processRunner.list();
+    const { portManager } = this;
+
+    return {
+      pool: portManager.pool.map(([start, end]) => ({ start, end })),
+      rangeSize: portManager.portRangeSize,
+      probe: portManager.probe,
+      allocations: portManager.getAllAllocations().map(allocation => ({
+        ...allocation,
+        processes: processes
+          .filter(proc => proc.name?.endsWith(`_${allocation.runId}`) || proc.name === `kromosynth-evolution-${allocation.runId}`)
+          .map(({ name, status, pid, port }) => ({ name, status, pid, port }))
+      })),
+      overlaps: portManager.findOverlaps(processes)
+    };
+  }
+
   /**
    * Get service information for a run
    */
@@ -438,6 +691,14 @@ export class ServiceDependencyManager {
     return this.runServices.get(runId);
   }
 
+  /**
+   * Service info of a run's last failed start (its services stopped again),
+   * with the readiness results that failed it
+   */
+  getFailedStart(runId) {
+    return this.failedStarts.get(runId);
+  }
+
   /**
    * Get all active service runs
    */
@@ -0,0 +1,442 @@
+/**
+ * StateStore - embedded, crash-safe store for runs, scheduler state, port
+ * allocations and sync state.
+ *
+ * Data lives in named collections of JSON records (collection -> key -> value)
+ * under working/state/:
+ *
+ *   snapshot.json - all collections as of log sequence number `lsn`,
+ *                   replaced atomically (tmp file, fsync, rename)
+ *   wal.log       - write-ahead log of the transactions since the snapshot,
+ *                   one checksummed line each: "<sha256 prefix> {lsn, ops}"
+ *   LOCK          - PID of the process that has the store open
+ *
+ * A transaction is durable once its line is written and fsynced; only then is
+ * it applied in memory. On open the log is replayed over the snapshot and a
+ * torn or corrupt tail (a crash mid-write) is cut off, so a crash loses at most
+ * the transaction being written. Past `checkpointBytes` the log is folded into
+ * a new snapshot.
+ *
+ * The collections are created and changed by MIGRATIONS; `meta.schemaVersion`
+ * records the last one applied. On first open, the JSON files the managers
+ * used to write (working/run-state.json, auto-run-config.json and
+ * sync-state.json) are imported and renamed to *.imported.
+ *
+ * Managers in one process share a store per directory (StateStore.shared);
+ * open() and close() are reference counted.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+
+// Schema changes, applied in order inside a transaction each
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'runs, scheduler config and sync state',
+    up(tx) {
+      tx.createCollection('runs');      // runId -> run record
+      tx.createCollection('scheduler'); // 'config' -> auto-run scheduler config
+      tx.createCollection('sync');      // runId -> sync counters and errors
+    }
+  },
+  {
+    version: 2,
+    description: 'port allocations and time slices',
+    up(tx) {
+      tx.createCollection('ports');      // runId -> PortManager allocation
+      tx.createCollection('timeSlices'); // runId -> scheduler time slice in flight
+    }
+  }
+];
+
+// JSON files written before the store existed: file name -> how to import it
+const JSON_IMPORTS = [
+  { file: 'run-state.json', collection: 'runs', records: state => state },
+  { file: 'auto-run-config.json', collection: 'scheduler', records: config => ({ config }) },
+  { file: 'sync-state.json', collection: 'sync', records: state => state }
+];
+
+const DEFAULT_CHECKPOINT_BYTES = 1024 * 1024;
+
+const stores = new Map(); // resolved directory -> StateStore shared in this process
+
+export class StateStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.workingDir] - Defaults to working/; the store lives in its state/ subdirectory
+   * @param {Object[]} [options.migrations] - Defaults to MIGRATIONS
+   * @param {number} [options.checkpointBytes=1048576] - Log size that triggers a new snapshot
+   */
+  constructor(options = {}) {
+    this.workingDir = options.workingDir || path.join(process.cwd(), 'working');
+    this.dir = path.join(this.workingDir, 'state');
+    this.snapshotPath = path.join(this.dir, 'snapshot.json');
+    this.walPath = path.join(this.dir, 'wal.log');
+    this.lockPath = path.join(this.dir, 'LOCK');
+    this.migrations = options.migrations || MIGRATIONS;
+    this.checkpointBytes = options.checkpointBytes ?? DEFAULT_CHECKPOINT_BYTES;
+
+    this.collections = { meta: {} };
+    this.lsn = 0;
+    this.walBytes = 0;
+    this._wal = null; // append handle of wal.log while open
+    this._refs = 0;
+    this._opening = null;
+    this._queue = Promise.resolve(); // serializes transactions and checkpoints
+  }
+
+  /**
+   * The store of a working directory, shared by the managers of this process
+   * @param {string} [workingDir] - Defaults to working/
+   * @returns {StateStore}
+   */
+  static shared(workingDir = path.join(process.cwd(), 'working')) {
+    const key = path.resolve(workingDir);
+    if (!stores.has(key)) {
+      stores.set(key, new StateStore({ workingDir: key }));
+    }
+    return stores.get(key);
+  }
+
+  /**
+   * Open the store: lock it, replay the log, migrate and import JSON files.
+   * Safe to call more than once; each call needs a matching close().
+   */
+  async open() {
+    this._refs++;
+    if (!this._opening) {
+      this._opening = this._open().catch(error => {
+        this._opening = null;
+        this._refs = 0;
+        throw error;
+      });
+    }
+    return this._opening;
+  }
+
+  async _open() {
+    await fs.ensureDir(this.dir);
+    await this._lock();
+
+    if (await fs.pathExists(this.snapshotPath)) {
+      let snapshot;
+      try {
+        snapshot = await fs.readJson(this.snapshotPath);
+      } catch (error) {
+        throw new Error(`State store snapshot ${this.snapshotPath} is unreadable: ${error.message}`);
+      }
+      this.collections = snapshot.collections;
+      this.lsn = snapshot.lsn;
+    }
+    await this._replay();
+    this._wal = await fs.promises.open(this.walPath, 'a');
+
+    await this._migrate();
+    if (!this.collections.meta.jsonImport) {
+      await this.importJson();
+    }
+  }
+
+  async _lock() {
+    try {
+      await fs.writeFile(this.lockPath, String(process.pid), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    const pid = parseInt(await fs.readFile(this.lockPath, 'utf8'), 10);
+    if (pid && pid !== process.pid && isAlive(pid)) {
+      throw new Error(`State store ${this.dir} is in use by process ${pid}`);
+    }
+    await fs.writeFile(this.lockPath, String(process.pid));
+  }
+
+  /**
+   * Apply the logged transactions newer than the snapshot, cutting off a torn
+   * or corrupt tail (kept as wal.log.corrupt-<time> for inspection)
+   */
+  async _replay() {
+    if (!await fs.pathExists(this.walPath)) return;
+    const content = await fs.readFile(this.walPath);
+
+    let offset = 0;
+    let replayed = 0;
+    while (offset < content.length) {
+      const newline = content.indexOf(0x0a, offset);
+      const record = newline === -1 ? null : parseRecord(content.subarray(offset, newline).toString('utf8'));
+      if (!record) break;
+      if (record.lsn > this.lsn) {
+        this._apply(record);
+        replayed++;
+      }
+      offset = newline + 1;
+    }
+
+    if (offset < content.length) {
+      const corruptPath = `${this.walPath}.corrupt-${Date.now()}`;
+      await fs.copy(this.walPath, corruptPath);
+      await fs.truncate(this.walPath, offset);
+      console.warn(`⚠️ State store log ended in ${content.length - offset} unreadable bytes (crash mid-write?); ` +
+        `kept ${replayed} transactions, saved the log as ${path.basename(corruptPath)}`);
+    }
+    this.walBytes = offset;
+  }
+
+  async _migrate() {
+    for (const migration of this.migrations) {
+      if (migration.version <= (this.collections.meta.schemaVersion || 0)) continue;
+      await this.transaction(tx => {
+        migration.up(tx);
+        tx.put('meta', 'schemaVersion', migration.version);
+      });
+      console.log(`🗄️ State store migrated to schema ${migration.version} (${migration.description})`);
+    }
+  }
+
+  /**
+   * Import the JSON state files of earlier versions in one transaction and
+   * rename them to *.imported. Unreadable files are renamed to *.corrupt.
+   * @returns {Promise<string[]>} The imported file names
+   */
+  async importJson() {
+    const found = [];
+    for (const source of JSON_IMPORTS) {
+      const filePath = path.join(this.workingDir, source.file);
+      if (!await fs.pathExists(filePath)) continue;
+      try {
+        found.push({ ...source, filePath, records: source.records(await fs.readJson(filePath)) });
+      } catch (error) {
+        await fs.move(filePath, `${filePath}.corrupt`, { overwrite: true });
+        console.warn(`⚠️ Could not import ${source.file} (${error.message}); renamed it to ${source.file}.corrupt`);
+      }
+    }
+
+    await this.transaction(tx => {
+      for (const { collection, records } of found) {
+        for (const [key, value] of Object.entries(records || {})) {
+          tx.put(collection, key, value);
+        }
+      }
+      tx.put('meta', 'jsonImport', { importedAt: new Date().toISOString(), files: found.map(source => source.file) });
+    });
+
+    for (const { file, filePath } of found) {
+      await fs.move(filePath, `${filePath}.imported`, { overwrite: true });
+      console.log(`🗄️ Imported ${file} into the state store`);
+    }
+    return found.map(source => source.file);
+  }
+
+  /**
+   * A record, or undefined
+   * @param {string} collection
+   * @param {string} key
+   * @returns {*} A copy the caller may change
+   */
+  get(collection, key) {
+    const value = this._collection(collection)[key];
+    return value === undefined ? undefined : clone(value);
+  }
+
+  /**
+   * All records of a collection
+   * @param {string} collection
+   * @returns {Object} key -> copy of the record
+   */
+  all(collection) {
+    return clone(this._collection(collection));
+  }
+
+  /**
+   * Run fn against the current state and commit its writes atomically.
+   * fn gets { get, put, delete, createCollection }; it sees its own writes and
+   * nothing is written if it throws.
+   * @param {Function} fn - (tx) => result, synchronous
+   * @returns {Promise<*>} fn's result, once the transaction is durable
+   */
+  transaction(fn) {
+    const run = this._queue.then(async () => {
+      if (!this._wal) {
+        throw new Error('State store is not open');
+      }
+      const ops = [];
+      const pending = new Map(); // `${collection}\0${key}` -> value, or undefined once deleted
+      const created = new Set();
+      const exists = collection => created.has(collection) || Object.hasOwn(this.collections, collection);
+      const check = collection => {
+        if (!exists(collection)) throw new Error(`Unknown state store collection '${collection}'`);
+      };
+      const tx = {
+        get: (collection, key) => {
+          check(collection);
+          const id = `${collection}\0${key}`;
+          return clone(pending.has(id) ? pending.get(id) : this.collections[collection]?.[key]);
+        },
+        put: (collection, key, value) => {
+          check(collection);
+          const copy = clone(value);
+          pending.set(`${collection}\0${key}`, copy);
+          ops.push({ op: 'put', collection, key: String(key), value: copy });
+        },
+        delete: (collection, key) => {
+          check(collection);
+          pending.set(`${collection}\0${key}`, undefined);
+          ops.push({ op: 'delete', collection, key: String(key) });
+        },
+        createCollection: (collection) => {
+          if (exists(collection)) return;
+          created.add(collection);
+          ops.push({ op: 'create', collection });
+        }
+      };
+
+      const result = await fn(tx);
+      if (ops.length > 0) {
+        const record = { lsn: this.lsn + 1, ops };
+        const json = JSON.stringify(record);
+        const line = `${checksum(json)} ${json}\n`;
+        await this._wal.write(line);
+        await this._wal.datasync();
+        this.walBytes += Buffer.byteLength(line);
+        this._apply(record);
+        if (this.walBytes >= this.checkpointBytes) {
+          await this._checkpoint();
+        }
+      }
+      return result;
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write one record
+   */
+  put(collection, key, value) {
+    return this.transaction(tx => tx.put(collection, key, value));
+  }
+
+  /**
+   * Delete one record
+   */
+  delete(collection, key) {
+    return this.transaction(tx => tx.delete(collection, key));
+  }
+
+  /**
+   * Make a collection hold exactly these records, writing only those that
+   * changed and deleting the rest, in one transaction
+   * @param {string} collection
+   * @param {Object} records - key -> value
+   * @returns {Promise<number>} The number of records written or deleted
+   */
+  replaceCollection(collection, records) {
+    return this.transaction(tx => {
+      const current = this._collection(collection);
+      let changes = 0;
+      for (const [key, value] of Object.entries(records)) {
+        if (value === undefined) continue;
+        if (JSON.stringify(current[key]) !== JSON.stringify(value)) {
+          tx.put(collection, key, value);
+          changes++;
+        }
+      }
+      for (const key of Object.keys(current)) {
+        if (records[key] === undefined) {
+          tx.delete(collection, key);
+          changes++;
+        }
+      }
+      return changes;
+    });
+  }
+
+  /**
+   * Fold the log into a new snapshot
+   */
+  checkpoint() {
+    const run = this._queue.then(() => this._checkpoint());
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _checkpoint() {
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify({ lsn: this.lsn, savedAt: new Date().toISOString(), collections: this.collections }));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.move(tmpPath, this.snapshotPath, { overwrite: true });
+    // Transactions up to lsn are in the snapshot now; replay skips them should truncating fail
+    await this._wal.truncate(0);
+    this.walBytes = 0;
+  }
+
+  /**
+   * Release one open(); the last one checkpoints, closes the log and unlocks
+   */
+  async close() {
+    if (this._refs === 0) return;
+    if (--this._refs > 0) return;
+    await this._opening;
+    await this.checkpoint();
+    await this._wal.close();
+    this._wal = null;
+    this._opening = null;
+    await fs.remove(this.lockPath);
+  }
+
+  _collection(collection) {
+    const records = this.collections[collection];
+    if (!records) {
+      throw new Error(`Unknown state store collection '${collection}'`);
+    }
+    return records;
+  }
+
+  _apply({ lsn, ops }) {
+    for (const { op, collection, key, value } of ops) {
+      if (op === 'create') {
+        this.collections[collection] ??= {};
+      } else if (op === 'put') {
+        this.collections[collection][key] = value;
+      } else if (op === 'delete') {
+        delete this.collections[collection][key];
+      }
+    }
+    this.lsn = lsn;
+  }
+}
+
+function checksum(json) {
+  return crypto.createHash('sha256').update(json).digest('hex').slice(0, 16);
+}
+
+function parseRecord(line) {
+  const space = line.indexOf(' ');
+  const json = line.slice(space + 1);
+  if (space !== 16 || checksum(json) !== line.slice(0, space)) return null;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
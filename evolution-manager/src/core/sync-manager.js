@@ -19,6 +19,7 @@ import fs from 'fs-extra';
 import http from 'http';
 import https from 'https';
 import { parse as parseJSONC } from 'jsonc-parser';
+import { StateStore } from './state-store.js';
 
 const execFileAsync = promisify(execFile);
 
@@ -48,9 +49,10 @@ export class SyncManager extends EventEmitter {
     // Per-run sync state: runId -> { interval, config, lastSync, ... }
     this.activeSyncs = new Map();
 
-    // Persisted sync state across restarts
-    this.syncStatePath = path.join(process.cwd(), 'working', 'sync-state.json');
-    this.syncState = {}; // runId -> { lastDbSync, lastAnalysisSync, errors, ... }
+    // Persisted sync state across restarts (the state store's sync collection)
+    this.stateStore = evolutionManager?.stateStore || StateStore.shared();
+    this._storeOpen = false;
+    this.syncState = {}; // runId -> { lastDbSync, lastAnalysisSync, errors, counters, ... }
 
     // Global config (from env)
     this.globalConfig = this._loadGlobalConfig();
@@ -128,6 +130,7 @@ export class SyncManager extends EventEmitter {
       evorunPath,
       folderName: path.basename(evorunPath),
       interval: null,
+      initialSyncTimer: null,
       syncing: false,
       consecutiveErrors: 0,
     };
@@ -141,6 +144,10 @@ export class SyncManager extends EventEmitter {
         lastAnalysisSync: null,
         totalDbSyncs: 0,
         totalAnalysisSyncs: 0,
+        totalErrors: 0,         // failed sync cycles
+        uploadErrors: 0,        // individual analysis file uploads that failed
+        filesUploaded: 0,
+        bytesUploaded: 0,
         errors: [],
       };
       await this._saveSyncState();
@@ -186,10 +193,7 @@ export class SyncManager extends EventEmitter {
     const entry = this.activeSyncs.get(runId);
     if (!entry) return;
 
-    if (entry.interval) {
-      clearInterval(entry.interval);
-      entry.interval = null;
-    }
+    this._stopPeriodicSync(runId);
 
     this.activeSyncs.delete(runId);
     console.log(`🔄 Sync unregistered for run ${runId}`);
@@ -227,10 +231,10 @@ export class SyncManager extends EventEmitter {
         results.databases = await this._syncDatabases(runId, entry, config);
       }
 
-      // Sync analysis files via REST (use folderName so files land in the correct evorun directory)
+      // Sync analysis files via REST
       if (config.syncAnalysis && config.evorunsServiceUrl && config.apiKey) {
         this._emitSyncEvent('sync-started', { runId, type: 'analysis' });
-        results.analysis = await this._syncAnalysisFiles(entry.folderName, entry, config);
+        results.analysis = await this._syncAnalysisFiles(runId, entry, config);
       } else {
         console.log(`🔄 Analysis sync skipped for run ${runId} (syncAnalysis=${config.syncAnalysis}, url=${!!config.evorunsServiceUrl}, apiKey=${!!config.apiKey})`);
       }
@@ -254,6 +258,7 @@ export class SyncManager extends EventEmitter {
 
       // Persist error
       if (this.syncState[runId]) {
+        this.syncState[runId].totalErrors = (this.syncState[runId].totalErrors || 0) + 1;
         this.syncState[runId].errors.push(errRecord);
         // Keep last 20 errors
         if (this.syncState[runId].errors.length > 20) {
@@ -350,7 +355,11 @@ export class SyncManager extends EventEmitter {
    * Recursively syncs files from subdirectories (e.g. analysisResults/trees/).
    */
   async _syncAnalysisFiles(runId, entry, config) {
-    const results = { uploaded: [], skipped: [], errors: [] };
+    const results = { uploaded: [], skipped: [], errors: [], bytesUploaded: 0 };
+
+    // The central service addresses evoruns by folder name, so files land in
+    // the correct evorun directory; local sync state stays keyed by runId
+    const remoteRunId = entry.folderName;
 
     // Files to skip (OS metadata, etc.)
     const IGNORED_FILES = new Set(['.DS_Store', 'Thumbs.db', '.gitkeep']);
@@ -396,7 +405,7 @@ export class SyncManager extends EventEmitter {
 
         for (const [subdir, files] of filesBySubdir) {
           try {
-            const remoteFiles = await this._getRemoteFileList(config, runId, subdir);
+            const remoteFiles = await this._getRemoteFileList(config, remoteRunId, subdir);
             const remoteFileMap = new Map(remoteFiles.map(f => [f.name, f]));
 
             for (const file of files) {
@@ -411,8 +420,9 @@ export class SyncManager extends EventEmitter {
               }
 
               try {
-                await this._uploadAnalysisFile(config, runId, subdir, file.fullPath, file.name);
+                const size = await this._uploadAnalysisFile(config, remoteRunId, subdir, file.fullPath, file.name);
                 results.uploaded.push(`${subdir}/${file.name}`);
+                results.bytesUploaded += size;
               } catch (error) {
                 results.errors.push({ file: `${subdir}/${file.name}`, error: error.message });
               }
@@ -431,8 +441,12 @@ export class SyncManager extends EventEmitter {
 
     // Update persisted state
     if (this.syncState[runId]) {
-      this.syncState[runId].lastAnalysisSync = new Date().toISOString();
-      this.syncState[runId].totalAnalysisSyncs++;
+      const state = this.syncState[runId];
+      state.lastAnalysisSync = new Date().toISOString();
+      state.totalAnalysisSyncs++;
+      state.filesUploaded = (state.filesUploaded || 0) + results.uploaded.length;
+      state.bytesUploaded = (state.bytesUploaded || 0) + results.bytesUploaded;
+      state.uploadErrors = (state.uploadErrors || 0) + results.errors.length;
       await this._saveSyncState();
     }
 
@@ -504,6 +518,7 @@ export class SyncManager extends EventEmitter {
 
   /**
    * Upload a single analysis file to the central service
+   * @returns {Promise<number>} Size of the uploaded file in bytes
    */
   async _uploadAnalysisFile(config, runId, subdir, filePath, fileName) {
     const url = `${config.evorunsServiceUrl}/api/sync/analysis/${runId}`;
@@ -532,6 +547,7 @@ export class SyncManager extends EventEmitter {
     await this._httpRequest('POST', url, body, config.apiKey, {
       'Content-Type': `multipart/form-data; boundary=${boundary}`,
     });
+    return fileData.length;
   }
 
   /**
@@ -673,7 +689,9 @@ export class SyncManager extends EventEmitter {
     }, config.intervalMs);
 
     // Run initial sync after a short delay (give the run time to create files)
-    setTimeout(() => {
+    clearTimeout(entry.initialSyncTimer);
+    entry.initialSyncTimer = setTimeout(() => {
+      entry.initialSyncTimer = null;
       this._executeSync(runId).catch(err => {
         console.error(`❌ Initial sync error for run ${runId}:`, err.message);
       });
@@ -688,6 +706,10 @@ export class SyncManager extends EventEmitter {
       clearInterval(entry.interval);
       entry.interval = null;
     }
+    if (entry.initialSyncTimer) {
+      clearTimeout(entry.initialSyncTimer);
+      entry.initialSyncTimer = null;
+    }
   }
 
   // =========================================================================
@@ -783,9 +805,9 @@ export class SyncManager extends EventEmitter {
 
   async _loadSyncState() {
     try {
-      if (await fs.pathExists(this.syncStatePath)) {
-        this.syncState = await fs.readJson(this.syncStatePath);
-      }
+      await this.stateStore.open();
+      this._storeOpen = true;
+      this.syncState = this.stateStore.all('sync');
     } catch (error) {
       console.warn(`⚠️ Failed to load sync state: ${error.message}`);
       this.syncState = {};
@@ -793,9 +815,9 @@ export class SyncManager extends EventEmitter {
   }
 
   async _saveSyncState() {
+    if (!this._storeOpen) return;
     try {
-      await fs.ensureDir(path.dirname(this.syncStatePath));
-      await fs.writeJson(this.syncStatePath, this.syncState, { spaces: 2 });
+      await this.stateStore.replaceCollection('sync', this.syncState);
     } catch (error) {
       console.warn(`⚠️ Failed to save sync state: ${error.message}`);
     }
@@ -823,6 +845,10 @@ export class SyncManager extends EventEmitter {
         lastAnalysisSync: state.lastAnalysisSync,
         totalDbSyncs: state.totalDbSyncs || 0,
         totalAnalysisSyncs: state.totalAnalysisSyncs || 0,
+        totalErrors: state.totalErrors || 0,
+        uploadErrors: state.uploadErrors || 0,
+        filesUploaded: state.filesUploaded || 0,
+        bytesUploaded: state.bytesUploaded || 0,
         recentErrors: (state.errors || []).slice(-5),
       });
     }
@@ -840,6 +866,10 @@ export class SyncManager extends EventEmitter {
           lastAnalysisSync: state.lastAnalysisSync,
           totalDbSyncs: state.totalDbSyncs || 0,
           totalAnalysisSyncs: state.totalAnalysisSyncs || 0,
+          totalErrors: state.totalErrors || 0,
+          uploadErrors: state.uploadErrors || 0,
+          filesUploaded: state.filesUploaded || 0,
+          bytesUploaded: state.bytesUploaded || 0,
           recentErrors: (state.errors || []).slice(-5),
         });
       }
@@ -879,10 +909,40 @@ export class SyncManager extends EventEmitter {
       lastAnalysisSync: state?.lastAnalysisSync,
       totalDbSyncs: state?.totalDbSyncs || 0,
       totalAnalysisSyncs: state?.totalAnalysisSyncs || 0,
+      totalErrors: state?.totalErrors || 0,
+      uploadErrors: state?.uploadErrors || 0,
+      filesUploaded: state?.filesUploaded || 0,
+      bytesUploaded: state?.bytesUploaded || 0,
       errors: state?.errors || [],
     };
   }
 
+  /**
+   * Whether a run's data reached the central after a point in time (e.g. when
+   * the run ended). Runs never registered for sync have nothing waiting to go.
+   * @param {string} runId
+   * @param {string|null} [since] - ISO timestamp
+   */
+  isRunSynced(runId, since = null) {
+    const state = this.syncState[runId];
+    if (!state) return true;
+    if (this.activeSyncs.get(runId)?.syncing) return false;
+
+    const lastSyncs = [state.lastDbSync, state.lastAnalysisSync].filter(Boolean);
+    return lastSyncs.length > 0 && lastSyncs.every(lastSync => !since || lastSync >= since);
+  }
+
+  /**
+   * Drop a run's persisted sync state (after its data was deleted)
+   */
+  async forgetRun(runId) {
+    this.unregisterRun(runId);
+    if (this.syncState[runId]) {
+      delete this.syncState[runId];
+      await this._saveSyncState();
+    }
+  }
+
   /**
    * Update global sync configuration at runtime
    */
@@ -912,16 +972,18 @@ export class SyncManager extends EventEmitter {
     console.log('🔄 Shutting down SyncManager...');
 
     // Stop all periodic syncs
-    for (const [runId, entry] of this.activeSyncs) {
-      if (entry.interval) {
-        clearInterval(entry.interval);
-      }
+    for (const runId of this.activeSyncs.keys()) {
+      this._stopPeriodicSync(runId);
     }
 
     this.activeSyncs.clear();
 
     // Save final state
     await this._saveSyncState();
+    if (this._storeOpen) {
+      this._storeOpen = false;
+      await this.stateStore.close();
+    }
 
     console.log('🔄 SyncManager shutdown complete');
   }
@@ -0,0 +1,197 @@
+/**
+ * TemplateVersionStore - content-hashed template snapshots for run provenance.
+ *
+ * When a run starts, its template directory is hashed (SHA-256 over the file
+ * names and contents, including those of the templates it extends) and, for a
+ * hash not seen before, copied to working/template-versions/<templateName>/<hash>/.
+ * Snapshots of extending templates are flattened, so they stand on their own
+ * when the bases change. The index of versions and
+ * the runs started from each is kept in working/template-versions/index.json:
+ *
+ *   { "<templateName>": [ { "hash", "firstSeenAt", "runIds": [...] }, ... ] }
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { diffConfigs } from '../config/json-path.js';
+import { TEMPLATE_CONFIG_FILES } from '../config/config-manager.js';
+
+// Template configs compared between versions (keys of ConfigManager.loadTemplate)
+export const VERSIONED_CONFIGS = ['evolutionRuns', 'evolutionRunConfig', 'hyperparameters'];
+
+export class TemplateVersionStore {
+  /**
+   * @param {ConfigManager} configManager
+   * @param {Object} [options]
+   * @param {string} [options.versionsDir] - Defaults to working/template-versions
+   */
+  constructor(configManager, options = {}) {
+    this.configManager = configManager;
+    this.versionsDir = options.versionsDir || path.join(process.cwd(), 'working', 'template-versions');
+    this.indexPath = path.join(this.versionsDir, 'index.json');
+    this.index = {}; // templateName -> versions, oldest first
+    this._save = Promise.resolve(); // serializes writes
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.indexPath)) {
+        this.index = await fs.readJson(this.indexPath);
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load template versions:', error.message);
+    }
+  }
+
+  save() {
+    this._save = this._save.then(async () => {
+      try {
+        await fs.ensureDir(this.versionsDir);
+        const tmpPath = `${this.indexPath}.tmp`;
+        await fs.writeJson(tmpPath, this.index, { spaces: 2 });
+        await fs.move(tmpPath, this.indexPath, { overwrite: true });
+      } catch (error) {
+        console.warn('⚠️ Failed to save template versions:', error.message);
+      }
+    });
+    return this._save;
+  }
+
+  /**
+   * Hash of a template as it is on disk now, null if it no longer exists
+   */
+  async currentHash(templateName) {
+    const templateDir = path.join(this.configManager.templatesDir, templateName);
+    if (!await fs.pathExists(templateDir)) return null;
+    const layers = await this.configManager.getTemplateChain(templateName);
+    return hashTemplateDirectory(templateDir, layers.slice(0, -1).map(layer => layer.templateDir).reverse());
+  }
+
+  /**
+   * Record the current version of a template for a run, copying it on first sight
+   * @returns {Promise<string>} The version hash
+   */
+  async snapshot(templateName, runId) {
+    const hash = await this.currentHash(templateName);
+    if (hash === null) {
+      throw new Error(`Template '${templateName}' not found`);
+    }
+    const snapshotDir = this.snapshotDir(templateName, hash);
+    if (!await fs.pathExists(snapshotDir)) {
+      await this._copyFlattened(templateName, snapshotDir);
+      console.log(`📸 Snapshotted template ${templateName} version ${hash.slice(0, 12)}`);
+    }
+
+    await this.recordRun(templateName, hash, runId);
+    return hash;
+  }
+
+  /**
+   * Record a run as started from a template version (e.g. a fork of a run that was)
+   */
+  async recordRun(templateName, hash, runId) {
+    const versions = this.index[templateName] ||= [];
+    let version = versions.find(entry => entry.hash === hash);
+    if (!version) {
+      version = { hash, firstSeenAt: new Date().toISOString(), runIds: [] };
+      versions.push(version);
+    }
+    if (!version.runIds.includes(runId)) {
+      version.runIds.push(runId);
+    }
+    await this.save();
+  }
+
+  /**
+   * Copy a template, with the files of the templates it extends underneath
+   * and its configs merged over theirs
+   */
+  async _copyFlattened(templateName, snapshotDir) {
+    const layers = await this.configManager.getTemplateChain(templateName);
+    for (const layer of layers) {
+      await fs.copy(layer.templateDir, snapshotDir);
+    }
+    if (layers.length === 1) return;
+
+    const flattened = this.configManager.flattenTemplateLayers(layers);
+    for (const [key, file] of Object.entries(TEMPLATE_CONFIG_FILES)) {
+      if (flattened[key] !== null) {
+        await fs.writeJson(path.join(snapshotDir, file), flattened[key], { spaces: 2 });
+      }
+    }
+  }
+
+  snapshotDir(templateName, hash) {
+    return path.join(this.versionsDir, templateName, hash);
+  }
+
+  /**
+   * The template and version a run was started from
+   * @returns {{ templateName: string, hash: string }|null} null if the run is not recorded
+   */
+  findRun(runId) {
+    for (const [templateName, versions] of Object.entries(this.index)) {
+      const version = versions.find(entry => entry.runIds.includes(runId));
+      if (version) return { templateName, hash: version.hash };
+    }
+    return null;
+  }
+
+  /**
+   * Versions of a template, newest first, with the hash of the current one
+   */
+  async listVersions(templateName) {
+    const current = await this.currentHash(templateName);
+    const versions = this.index[templateName] || [];
+    if (current === null && versions.length === 0) {
+      throw new Error(`Template '${templateName}' not found`);
+    }
+
+    return {
+      templateName,
+      current,
+      versions: [...versions].reverse().map(version => ({ ...version, isCurrent: version.hash === current }))
+    };
+  }
+
+  /**
+   * Changes to a template since a snapshotted version
+   * @returns {Promise<Object[]|null>} diffConfigs() entries, null if the template was deleted
+   */
+  async diffAgainstCurrent(templateName, hash) {
+    const snapshotDir = this.snapshotDir(templateName, hash);
+    if (!await fs.pathExists(snapshotDir)) {
+      throw new Error(`Template version ${hash} of '${templateName}' not found`);
+    }
+    if (await this.currentHash(templateName) === null) {
+      return null;
+    }
+
+    const snapshot = await this.configManager.loadTemplateDirectory(snapshotDir, templateName);
+    const current = await this.configManager.loadTemplate(templateName);
+    return VERSIONED_CONFIGS.flatMap(key => diffConfigs(snapshot[key] ?? undefined, current[key] ?? undefined, [key]));
+  }
+}
+
+/**
+ * SHA-256 over the names and contents of a template's files
+ * @param {string} templateDir
+ * @param {string[]} [baseDirs] - Directories of the templates it extends, nearest first
+ */
+export async function hashTemplateDirectory(templateDir, baseDirs = []) {
+  const hash = crypto.createHash('sha256');
+  for (const dir of [templateDir, ...baseDirs]) {
+    const prefix = dir === templateDir ? '' : `${path.basename(dir)}/`;
+    const files = (await fs.readdir(dir, { withFileTypes: true }))
+      .filter(entry => entry.isFile())
+      .map(entry => entry.name)
+      .sort();
+    for (const file of files) {
+      hash.update(`${prefix}${file}\0`);
+      hash.update(await fs.readFile(path.join(dir, file)));
+      hash.update('\0');
+    }
+  }
+  return hash.digest('hex');
+}
@@ -6,29 +6,41 @@ import dotenv from 'dotenv';
 import { EvolutionManager } from './core/evolution-manager.js';
 import { setupApiRoutes } from './api/routes.js';
 import { setupWebSocket } from './websocket/socket-handler.js';
+import { Authenticator } from './api/auth.js';
 
 // Load environment variables
 dotenv.config();
 
+// Allowed browser origins, comma-separated (default: any)
+const corsOrigin = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim())
+  : "*";
+
 const app = express();
 const server = createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: "*",
+    origin: corsOrigin,
     methods: ["GET", "POST"]
   }
 });
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: corsOrigin }));
 app.use(express.json());
 
+// API keys and JWTs for the REST API and Socket.IO
+const authenticator = new Authenticator();
+if (!authenticator.enabled) {
+  console.warn('⚠️ Authentication is disabled: set AUTH_API_KEYS or AUTH_JWT_SECRET to require it');
+}
+
 // Initialize evolution manager
 const evolutionManager = new EvolutionManager();
 
 // Setup routes and websocket
-setupApiRoutes(app, evolutionManager, io);
-setupWebSocket(io, evolutionManager);
+setupApiRoutes(app, evolutionManager, io, { authenticator });
+setupWebSocket(io, evolutionManager, { authenticator });
 
 const PORT = process.env.PORT || 3005;
 
@@ -38,10 +50,11 @@ server.listen(PORT, () => {
   console.log(`🔗 REST API: http://localhost:${PORT}/api`);
 });
 
-// Graceful shutdown handler
+// Graceful shutdown handler; SHUTDOWN_MODE=detach leaves running runs and
+// their services up for the next start to re-attach to (deploys)
 async function gracefulShutdown(signal) {
   console.log(`\n🛑 Received ${signal}, shutting down evolution manager...`);
-  await evolutionManager.shutdown();
+  await evolutionManager.shutdown({ detach: process.env.SHUTDOWN_MODE === 'detach' });
   server.close(() => {
     console.log('👋 Evolution manager stopped');
     process.exit(0);
@@ -1,10 +1,29 @@
-export function setupWebSocket(io, evolutionManager) {
+import { Authenticator, createSocketAuthMiddleware, hasRole } from '../api/auth.js';
+
+/**
+ * @param {Object} [options]
+ * @param {Authenticator} [options.authenticator] - Defaults to one configured from AUTH_* variables
+ */
+export function setupWebSocket(io, evolutionManager, { authenticator = new Authenticator() } = {}) {
+  // Handshakes need the viewer role (see auth.js)
+  io.use(createSocketAuthMiddleware(authenticator));
+
   // Set socket handler reference in evolution manager
   evolutionManager.setSocketHandler(io);
 
   // Set up auto-run scheduler event forwarding
   setupSchedulerEvents(io, evolutionManager.autoRunScheduler);
 
+  // Stream audit log entries to admins who subscribed to them
+  evolutionManager.auditLog.on('entry', (entry) => {
+    io.to('audit').emit('audit-entry', entry);
+  });
+
+  // Forward run queue changes (enqueued, started, cancelled, failed entries)
+  evolutionManager.runQueue.on('queue-change', (data) => {
+    io.emit('queue-change', { ...data, timestamp: new Date().toISOString() });
+  });
+
   io.on('connection', (socket) => {
     console.log(`🔌 Client connected: ${socket.id}`);
 
@@ -49,10 +68,13 @@ export function setupWebSocket(io, evolutionManager) {
     });
 
     // Handle client requests for run logs
-    socket.on('get-run-logs', async (data) => {
+    socket.on('get-run-logs', async (data = {}) => {
       const { runId, lines = 50 } = data;
       try {
-        const logs = await getRecentLogs(runId, lines);
+        if (!evolutionManager.runs.has(runId)) {
+          throw new Error(`Run ${runId} not found`);
+        }
+        const logs = await evolutionManager.runLogs.tail(runId, lines);
         socket.emit('run-logs', { runId, logs });
       } catch (error) {
         socket.emit('error', { 
@@ -62,6 +84,55 @@ export function setupWebSocket(io, evolutionManager) {
       }
     });
 
+    // Follow a run log from a cursor (the end by default), like tail -f;
+    // pages arrive as 'run-log-lines' with the nextCursor to resume from
+    const follows = new Map(); // `${runId}:${type}` -> stop function
+    socket.on('tail-run-logs', (data = {}) => {
+      const { runId, type = 'combined', cursor = null } = data;
+      const key = `${runId}:${type}`;
+      try {
+        if (!evolutionManager.runs.has(runId)) {
+          throw new Error(`Run ${runId} not found`);
+        }
+        follows.get(key)?.();
+        follows.set(key, evolutionManager.runLogs.follow(runId, type, cursor, (page) => {
+          socket.emit('run-log-lines', {
+            runId,
+            type,
+            lines: page.lines,
+            cursor: page.cursor,
+            nextCursor: page.nextCursor,
+            truncated: page.truncated
+          });
+        }));
+      } catch (error) {
+        socket.emit('error', {
+          message: 'Failed to follow logs',
+          error: error.message
+        });
+      }
+    });
+
+    socket.on('untail-run-logs', (data = {}) => {
+      const { runId, type = 'combined' } = data;
+      const key = `${runId}:${type}`;
+      follows.get(key)?.();
+      follows.delete(key);
+    });
+
+    // Audit log entries as they are recorded, for admins
+    socket.on('subscribe-audit', () => {
+      if (!hasRole(socket.data.user, 'admin')) {
+        socket.emit('error', { message: 'Failed to subscribe to the audit log', error: 'Forbidden: requires admin' });
+        return;
+      }
+      socket.join('audit');
+    });
+
+    socket.on('unsubscribe-audit', () => {
+      socket.leave('audit');
+    });
+
     // Handle ping/pong for connection health
     socket.on('ping', () => {
       socket.emit('pong', { timestamp: new Date().toISOString() });
@@ -106,6 +177,8 @@ export function setupWebSocket(io, evolutionManager) {
 
     // Handle disconnection
     socket.on('disconnect', (reason) => {
+      for (const stop of follows.values()) stop();
+      follows.clear();
       console.log(`🔌 Client disconnected: ${socket.id} (${reason})`);
     });
   });
@@ -129,35 +202,6 @@ export function setupWebSocket(io, evolutionManager) {
   console.log('🔌 WebSocket handlers configured');
 }
 
-/**
- * Get recent log lines for a run
- */
-async function getRecentLogs(runId, lines = 50) {
-  const fs = await import('fs-extra');
-  const path = await import('path');
-
-  const logTypes = ['out', 'err', 'combined'];
-  const logs = {};
-
-  for (const type of logTypes) {
-    const logPath = path.join(process.cwd(), 'logs', `${runId}.${type}.log`);
-
-    try {
-      if (await fs.pathExists(logPath)) {
-        const content = await fs.readFile(logPath, 'utf8');
-        const logLines = content.split('\n');
-        logs[type] = logLines.slice(-lines).join('\n');
-      } else {
-        logs[type] = '';
-      }
-    } catch (error) {
-      logs[type] = `Error reading log: ${error.message}`;
-    }
-  }
-
-  return logs;
-}
-
 /**
  * Set up event forwarding from AutoRunScheduler to Socket.IO
  */
@@ -176,6 +220,7 @@ function setupSchedulerEvents(io, scheduler) {
     'run-paused',
     'run-resumed',
     'run-ended',
+    'queued-run-started',
     'template-config-change'
   ];
 
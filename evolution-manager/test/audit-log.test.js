@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createSandbox, waitFor } from './helpers.js';
+import { AuditLog } from '../src/core/audit-log.js';
+
+let sandbox;
+
+before(async () => {
+  sandbox = await createSandbox({ templates: ['fake-qd-b'] });
+});
+
+after(async () => {
+  await sandbox.cleanup();
+});
+
+test('entries are numbered across restarts, filtered and paged newest first', async () => {
+  const logPath = path.join(sandbox.dir, 'working', 'audit-query.jsonl');
+  const log = new AuditLog({ logPath });
+  const streamed = [];
+  log.on('entry', entry => streamed.push(entry.seq));
+
+  for (let i = 0; i < 5; i++) {
+    await log.record({ source: 'api', actor: { name: i % 2 ? 'ci' : 'ops' }, action: 'POST /api/runs/:runId/resume', runId: `run-${i % 2}` });
+  }
+  assert.deepEqual(streamed, [1, 2, 3, 4, 5]);
+
+  const reopened = new AuditLog({ logPath });
+  await reopened.load();
+  const sixth = await reopened.record({ source: 'scheduler', action: 'time-slice-started', runId: 'run-0' });
+  assert.equal(sixth.seq, 6);
+  assert.equal(sixth.actor.via, 'system');
+
+  const page = await reopened.query({ runId: 'run-0', limit: 2 });
+  assert.deepEqual(page.entries.map(entry => entry.seq), [6, 5]);
+  const next = await reopened.query({ runId: 'run-0', limit: 2, before: page.nextBefore });
+  assert.deepEqual([next.entries.map(entry => entry.seq), next.nextBefore], [[3, 1], null]);
+
+  assert.deepEqual((await reopened.query({ actor: 'ci' })).entries.map(entry => entry.seq), [4, 2]);
+  assert.deepEqual((await reopened.query({ source: 'scheduler', action: 'time-slice' })).entries.length, 1);
+  assert.deepEqual((await reopened.query({ from: Date.now() + 60000 })).entries, []);
+  await assert.rejects(reopened.query({ to: 'yesterday' }), /Invalid 'to' time/);
+});
+
+test('scheduler decisions and auto-resume attempts are audited with before and after state', async () => {
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  process.env.FAKE_CLI_INTERVAL_MS = '50';
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process', autoResumeBaseDelayMs: 50 });
+  await manager.ready;
+  const scheduler = manager.autoRunScheduler;
+  const audit = query => manager.auditLog.query({ limit: 1000, ...query }).then(({ entries }) => entries.reverse());
+
+  try {
+    await scheduler.setMaxConcurrentRuns(1);
+    await scheduler.enableTemplate('fake-qd', 'default', { timeSliceMinutes: 0.01 });
+    await scheduler.enableTemplate('fake-qd-b', 'default', { timeSliceMinutes: 0.01 });
+    await scheduler.enable();
+
+    // Start A, expire and pause it, start B, expire it and resume A
+    await waitFor(async () => (await audit({ source: 'scheduler', action: 'run-resumed' })).length > 0,
+      { timeout: 15000, message: 'the scheduler to resume a paused run' });
+    await scheduler.disable();
+
+    const actions = (await audit({ source: 'scheduler' })).map(entry => entry.action);
+    assert.deepEqual(actions.slice(0, 6), ['run-started', 'time-slice-started', 'time-slice-expired', 'run-paused', 'run-started', 'time-slice-started']);
+
+    const [paused] = await audit({ source: 'scheduler', action: 'run-paused' });
+    assert.deepEqual([paused.before.status, paused.after.status, paused.after.pausedByScheduler], ['running', 'paused', true]);
+    assert.equal(paused.actor.name, 'auto-run-scheduler');
+    const [resumed] = await audit({ source: 'scheduler', action: 'run-resumed' });
+    assert.equal(resumed.runId, paused.runId);
+    assert.deepEqual([resumed.before.status, resumed.after.status], ['paused', 'running']);
+
+    // A crash schedules an auto-resume, which then runs
+    process.env.FAKE_CLI_GENERATIONS = '3';
+    process.env.FAKE_CLI_EXIT_CODES = '1,0';
+    const runId = await manager.startRun('fake-qd');
+    await waitFor(async () => (await audit({ runId, source: 'auto-resume', action: 'attempt' })).length > 0,
+      { timeout: 15000, message: 'the auto-resume attempt' });
+    const [scheduled, attempt] = await audit({ runId, source: 'auto-resume' });
+    assert.equal(scheduled.action, 'scheduled');
+    assert.deepEqual([scheduled.before.status, scheduled.after.status, scheduled.details.attempt, scheduled.details.exitCode], ['running', 'recovering', 1, 1]);
+    assert.deepEqual([attempt.outcome, attempt.before.status, attempt.after.status], ['success', 'recovering', 'running']);
+  } finally {
+    process.env.FAKE_CLI_EXIT_CODES = '0';
+    await manager.shutdown();
+  }
+});
@@ -0,0 +1,168 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import express from 'express';
+import { createSandbox, waitFor } from './helpers.js';
+import { Authenticator, createSocketAuthMiddleware, requiredRole, signJwt } from '../src/api/auth.js';
+
+let sandbox;
+let manager;
+let server;
+let baseUrl;
+
+const JWT_SECRET = 'test-secret';
+const authenticator = new Authenticator({
+  apiKeys: [
+    { name: 'dashboard', role: 'viewer', key: 'viewer-key' },
+    { name: 'ci', role: 'operator', key: 'operator-key' },
+    { name: 'ops', role: 'admin', key: 'admin-key' }
+  ],
+  jwtSecret: JWT_SECRET
+});
+
+before(async () => {
+  sandbox = await createSandbox();
+  process.env.FAKE_CLI_GENERATIONS = '100';
+  process.env.FAKE_CLI_INTERVAL_MS = '20';
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const { setupApiRoutes } = await import('../src/api/routes.js');
+  manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+
+  const app = express();
+  app.use(express.json());
+  setupApiRoutes(app, manager, { emit() {} }, { authenticator });
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+function request(method, url, { key, token, body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key) headers['X-API-Key'] = key;
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return fetch(`${baseUrl}${url}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+}
+
+test('roles gate the API: viewers read, operators run, admins configure', async () => {
+  assert.equal((await request('GET', '/api/health')).status, 200);
+  assert.equal((await request('GET', '/api/runs')).status, 401);
+  assert.equal((await request('GET', '/api/runs', { key: 'wrong' })).status, 401);
+  assert.equal((await request('GET', '/api/runs', { key: 'viewer-key' })).status, 200);
+  assert.equal((await request('GET', '/metrics')).status, 401);
+  assert.equal((await request('POST', '/api/templates/fake-qd/validate', { key: 'viewer-key' })).status, 200);
+
+  const refused = await request('POST', '/api/runs', { key: 'viewer-key', body: { templateName: 'fake-qd' } });
+  assert.equal(refused.status, 403);
+  assert.match((await refused.json()).message, /Role 'viewer' cannot POST \/api\/runs \(requires operator\)/);
+
+  const started = await request('POST', '/api/runs', { key: 'operator-key', body: { templateName: 'fake-qd' } });
+  assert.equal(started.status, 201, await started.clone().text());
+  const { runId } = await started.json();
+
+  assert.equal((await request('PUT', '/api/auto-run/config', { key: 'operator-key', body: {} })).status, 403);
+  assert.equal((await request('DELETE', `/api/runs/${runId}?purge=true`, { key: 'operator-key' })).status, 403);
+  assert.equal((await request('DELETE', `/api/runs/${runId}`, { key: 'operator-key' })).status, 200);
+  assert.equal((await request('PUT', '/api/config/global-defaults', { key: 'operator-key', body: {} })).status, 403);
+  assert.equal((await request('PUT', '/api/retention/config', { key: 'admin-key', body: { intervalMinutes: 30 } })).status, 200);
+
+  assert.equal(requiredRole('PUT', '/templates/fake-qd'), 'admin');
+  assert.equal(requiredRole('POST', '/runs/abc/resume'), 'operator');
+  assert.equal(requiredRole('GET', '/runs/abc/logs/out'), 'viewer');
+});
+
+test('role rules match paths case-insensitively, as the router does', async () => {
+  for (const path of ['/api/Audit', '/api/AUDIT', '/api/audit/']) {
+    assert.equal((await request('GET', path, { key: 'viewer-key' })).status, 403, path);
+  }
+  assert.equal((await request('GET', '/api/Audit', { key: 'admin-key' })).status, 200);
+  assert.equal(requiredRole('POST', '/Runs/abc/Resume'), 'operator');
+  assert.equal(requiredRole('DELETE', '/RUNS/abc', { purge: 'true' }), 'admin');
+});
+
+test('JWTs carry the role; expired, forged and role-less tokens are refused', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const operator = signJwt({ sub: 'alice', role: ['viewer', 'operator'], exp: now + 60 }, JWT_SECRET);
+  assert.deepEqual(authenticator.authenticate({ authorization: `Bearer ${operator}` }), { name: 'alice', role: 'operator', via: 'jwt' });
+  assert.equal((await request('POST', '/api/queue', { token: operator, body: { templateName: 'fake-qd' } })).status, 201);
+
+  assert.throws(() => authenticator.authenticate({ token: signJwt({ role: 'admin', exp: now - 1 }, JWT_SECRET) }), /token expired/);
+  assert.throws(() => authenticator.authenticate({ token: signJwt({ role: 'admin' }, 'other-secret') }), /invalid token \(bad signature\)/);
+  assert.throws(() => authenticator.authenticate({ token: signJwt({ sub: 'bob' }, JWT_SECRET) }), /token has no role/);
+  assert.equal((await request('GET', '/api/runs', { token: signJwt({ role: 'viewer' }, 'other-secret') })).status, 401);
+
+  // Socket.IO handshakes need a viewer or better
+  const handshake = auth => {
+    const socket = { handshake: { headers: {}, auth }, data: {} };
+    let result;
+    createSocketAuthMiddleware(authenticator)(socket, error => { result = error || socket.data.user; });
+    return result;
+  };
+  assert.deepEqual(handshake({ apiKey: 'viewer-key' }), { name: 'dashboard', role: 'viewer', via: 'api-key' });
+  assert.equal(handshake({ token: operator }).name, 'alice');
+  const refused = handshake({});
+  assert.match(refused.message, /^Unauthorized/);
+  assert.equal(refused.data.status, 401);
+
+  // Without keys or a secret, everyone is an admin
+  assert.deepEqual(new Authenticator({ apiKeys: [], jwtSecret: null }).authenticate({}), { name: 'anonymous', role: 'admin', via: 'none' });
+  assert.throws(() => new Authenticator({ apiKeys: [{ name: 'x', role: 'root', key: 'k' }] }), /Invalid role 'root'/);
+});
+
+test('mutating requests are audited with actor and outcome, refused ones included', async () => {
+  const auditPath = path.join(sandbox.dir, 'working', 'audit.jsonl');
+  const readAudit = async () => (await fs.readFile(auditPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+  await waitFor(async () => (await readAudit()).length >= 8, { message: 'the audit entries of the earlier requests' });
+  const entries = await readAudit();
+
+  const started = entries.find(entry => entry.action === 'POST /api/runs' && entry.outcome === 'success');
+  assert.deepEqual(started.actor, { name: 'ci', role: 'operator', via: 'api-key' });
+  assert.equal(started.status, 201);
+  assert.match(started.runId, /^[0-9A-Z]{26}$/);
+  assert.deepEqual(started.body, { templateName: 'fake-qd' });
+
+  const stopped = entries.find(entry => entry.action === 'DELETE /api/runs/:runId' && entry.outcome === 'success');
+  assert.equal(stopped.runId, started.runId);
+
+  const denied = entries.filter(entry => entry.outcome === 'denied').map(entry => [entry.action, entry.actor.name, entry.status]);
+  assert.deepEqual(denied.slice(0, 2), [['POST /api/runs', 'dashboard', 403], ['PUT /api/auto-run/config', 'ci', 403]]);
+
+  // Reads are not audited
+  assert.equal(entries.some(entry => entry.action.startsWith('GET')), false);
+});
+
+test('operators pause runs', async () => {
+  const { runId } = await (await request('POST', '/api/runs', { key: 'operator-key', body: { templateName: 'fake-qd' } })).json();
+  assert.equal((await request('POST', `/api/runs/${runId}/pause`, { key: 'viewer-key' })).status, 403);
+  assert.equal((await request('POST', `/api/runs/${runId}/pause`, { key: 'operator-key' })).status, 200);
+  assert.equal(manager.runs.get(runId).status, 'paused');
+  assert.equal((await request('POST', `/api/runs/${runId}/pause`, { key: 'operator-key' })).status, 409);
+  await request('DELETE', `/api/runs/${runId}`, { key: 'operator-key' });
+});
+
+test('secrets in request bodies never reach the audit log', async () => {
+  const body = { apiKey: 'sync-key-1234', syncAnalysis: false, remotes: [{ name: 'backup', credentials: { password: 'hunter2', token: 'tok-5678' } }] };
+  assert.equal((await request('PUT', '/api/sync/config', { key: 'admin-key', body })).status, 200);
+
+  const auditPath = path.join(sandbox.dir, 'working', 'audit.jsonl');
+  const entry = await waitFor(async () => (await fs.readFile(auditPath, 'utf8')).trim().split('\n')
+    .map(line => JSON.parse(line)).find(entry => entry.action === 'PUT /api/sync/config'), { message: 'the sync config audit entry' });
+  assert.deepEqual(entry.body, {
+    apiKey: '[redacted]',
+    syncAnalysis: false,
+    remotes: [{ name: 'backup', credentials: { password: '[redacted]', token: '[redacted]' } }]
+  });
+  const recorded = await fs.readFile(auditPath, 'utf8');
+  for (const secret of ['sync-key-1234', 'hunter2', 'tok-5678']) {
+    assert.equal(recorded.includes(secret), false);
+  }
+  const { entries } = await manager.auditLog.query({ action: 'PUT /api/sync/config' });
+  assert.equal(JSON.stringify(entries).includes('sync-key-1234'), false);
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSandbox, waitFor } from './helpers.js';
+
+let sandbox;
+let manager;
+let scheduler;
+
+before(async () => {
+  sandbox = await createSandbox({ templates: ['fake-qd-b'] });
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  process.env.FAKE_CLI_INTERVAL_MS = '50';
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+  scheduler = manager.autoRunScheduler;
+});
+
+after(async () => {
+  await scheduler.disable();
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+test('time slices rotate between templates and resume paused runs', async () => {
+  const events = [];
+  for (const name of ['time-slice-started', 'time-slice-expired', 'run-paused', 'run-resumed']) {
+    scheduler.on(name, (data) => events.push({ name, runId: data.runId }));
+  }
+
+  const timeSliceMinutes = 0.02; // 1.2s
+  await scheduler.setMaxConcurrentRuns(1);
+  await scheduler.enableTemplate('fake-qd', 'default', { timeSliceMinutes });
+  await scheduler.enableTemplate('fake-qd-b', 'default', { timeSliceMinutes });
+  await scheduler.enable();
+
+  // First slice: one template (A) runs alone
+  const [templateA, templateB] = await waitFor(() => {
+    const templates = scheduler.getEnabledTemplates();
+    const first = templates.find(t => t.currentRunId);
+    return first && [first, templates.find(t => t !== first)];
+  }, { message: 'first scheduled run' });
+  const runA = manager.runs.get(templateA.currentRunId);
+  assert.equal(runA.status, 'running');
+  assert.equal(runA.autoScheduled, true);
+  assert.equal(templateB.currentRunId, null);
+
+  // Second slice: A is paused for rotation and B starts
+  const runB = await waitFor(() => templateB.currentRunId && manager.runs.get(templateB.currentRunId), { message: 'run for template B' });
+  assert.equal(runA.status, 'paused');
+  assert.equal(runA.pausedByScheduler, true);
+  await waitFor(() => runB.status === 'running', { message: 'template B running' });
+
+  // Third slice: B is paused and the same A run is resumed, not restarted
+  const generationAtPause = runA.progress.generation;
+  await waitFor(() => runB.status === 'paused' && runA.status === 'running', { message: 'rotation back to A' });
+  assert.equal(runB.pausedByScheduler, true);
+  assert.equal(templateA.currentRunId, runA.id);
+  assert.equal(manager.runs.size, 2);
+  await waitFor(() => runA.progress.generation > generationAtPause, { message: 'progress after resume' });
+
+  assert.deepEqual(
+    events.filter(event => event.name === 'run-resumed').map(event => event.runId),
+    [runA.id]
+  );
+  assert.deepEqual(
+    events.filter(event => event.name === 'time-slice-expired').map(event => event.runId),
+    [runA.id, runB.id]
+  );
+
+  const active = (await manager.getAllRuns()).filter(run => run.status === 'running');
+  assert.equal(active.length, 1);
+});
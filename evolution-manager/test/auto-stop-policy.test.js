@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeAutoStopPolicies,
+  mergeAutoStopPolicies,
+  evaluateAutoStop
+} from '../src/core/auto-stop-policy.js';
+
+function runWith(autoStop, fields = {}) {
+  return { id: 'run', status: 'running', autoStop, progress: {}, ...fields };
+}
+
+test('normalizeAutoStopPolicies fills defaults and rejects invalid policies', () => {
+  assert.equal(normalizeAutoStopPolicies(undefined), null);
+  assert.deepEqual(normalizeAutoStopPolicies({ stagnation: { generations: 50 }, target: { value: 10 } }), {
+    stagnation: { metric: 'coverage', minImprovement: 0, generations: 50 },
+    target: { metric: 'qdScore', value: 10 }
+  });
+
+  assert.throws(() => normalizeAutoStopPolicies({ maxGenerations: 10 }), /unknown policy 'maxGenerations'/);
+  assert.throws(() => normalizeAutoStopPolicies({ stagnation: { generations: 0 } }), /stagnation.generations/);
+  assert.throws(() => normalizeAutoStopPolicies({ target: { metric: 'fitness', value: 1 } }), /target.metric/);
+  assert.throws(() => normalizeAutoStopPolicies({ wallClockMinutes: -5 }), /wallClockMinutes must be a positive number/);
+});
+
+test('mergeAutoStopPolicies lets run policies replace or disable template policies', () => {
+  const merged = mergeAutoStopPolicies(
+    { wallClockMinutes: 60, activeTimeMinutes: 30, target: { value: 100 } },
+    { target: { metric: 'eliteCount', value: 500 }, activeTimeMinutes: null }
+  );
+  assert.deepEqual(merged, { wallClockMinutes: 60, target: { metric: 'eliteCount', value: 500 } });
+  assert.equal(mergeAutoStopPolicies({ wallClockMinutes: 60 }, { wallClockMinutes: null }), null);
+});
+
+test('stagnation triggers when the metric does not improve enough within the window', () => {
+  const run = runWith({ stagnation: { metric: 'coverage', minImprovement: 0.05, generations: 3 } });
+  const step = (generation, coverage) => {
+    run.progress = { generation, coverage };
+    return evaluateAutoStop(run);
+  };
+
+  assert.equal(step(1, 0.10), null);
+  assert.equal(step(2, 0.12), null); // below minImprovement, window still starts at generation 1
+  assert.equal(step(3, 0.16), null); // improved by 0.06, window restarts
+  assert.equal(step(5, 0.17), null);
+  const result = step(6, 0.18);
+  assert.equal(result.reason, 'stagnation');
+  assert.match(result.detail, /since generation 3/);
+});
+
+test('budgets and targets trigger with their termination reasons', () => {
+  const now = Date.parse('2025-01-01T12:00:00Z');
+
+  const wallClock = runWith({ wallClockMinutes: 120 }, { startedAt: '2025-01-01T09:00:00Z' });
+  assert.equal(evaluateAutoStop(wallClock, now).reason, 'wall-clock-budget');
+
+  // 50 minutes from earlier slices + 15 minutes in the current one
+  const activeTime = runWith({ activeTimeMinutes: 60 }, {
+    totalActiveTime: 50 * 60000,
+    timeSliceStartedAt: '2025-01-01T11:45:00Z'
+  });
+  assert.equal(evaluateAutoStop(activeTime, now).reason, 'active-time-budget');
+  activeTime.timeSliceStartedAt = '2025-01-01T11:55:00Z';
+  assert.equal(evaluateAutoStop(activeTime, now), null);
+
+  const target = runWith({ target: { metric: 'qdScore', value: 300 } }, { progress: { qdScore: 299.5 } });
+  assert.equal(evaluateAutoStop(target), null);
+  target.progress.qdScore = 300;
+  assert.deepEqual(evaluateAutoStop(target), {
+    policy: 'target',
+    reason: 'target-reached',
+    detail: 'qdScore 300 reached target 300'
+  });
+});
@@ -0,0 +1,314 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { createSandbox, waitFor, websocketHandshake } from './helpers.js';
+
+let sandbox;
+let manager;
+
+before(async () => {
+  sandbox = await createSandbox({ templates: ['fake-qd-autostop'] });
+  await fs.writeJson(path.join(sandbox.dir, 'templates', 'fake-qd-autostop', 'template-info.jsonc'), {
+    name: 'Fake QD with auto-stop',
+    autoStop: {
+      target: { metric: 'qdScore', value: 1e9 },
+      activeTimeMinutes: 600
+    }
+  });
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  manager = new EvolutionManager({ processRunner: 'child-process', autoResumeBaseDelayMs: 50 });
+  await manager.ready;
+});
+
+after(async () => {
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+beforeEach(() => {
+  process.env.FAKE_CLI_GENERATIONS = '5';
+  process.env.FAKE_CLI_INTERVAL_MS = '20';
+  process.env.FAKE_CLI_EXIT_CODES = '0';
+  process.env.FAKE_CLI_PROGRESS = 'legacy';
+});
+
+async function processNames() {
+  return (await manager.processRunner.list())
+    .filter(proc => proc.status === 'online')
+    .map(proc => proc.name);
+}
+
+// Services report 'online' as soon as they are spawned, before they listen
+function handshakeWhenListening(url) {
+  return waitFor(() => websocketHandshake(url).catch(() => null), { message: `${url} to accept connections` });
+}
+
+test('startRun launches services and the CLI and tracks progress until termination', async () => {
+  const runId = await manager.startRun('fake-qd');
+  const run = manager.runs.get(runId);
+
+  assert.equal(run.status, 'running');
+  assert.equal(run.templateName, 'fake-qd');
+  assert.equal(run.progress.totalGenerations, 100); // numberOfEvals 1000 / batchSize 10
+
+  // Services bound to their allocated ports and the working config points at them
+  const variationUrl = run.serviceInfo.serviceUrls.geneVariationServers[0];
+  const renderingUrl = run.serviceInfo.serviceUrls.geneRenderingServers[0];
+  assert.match(await handshakeWhenListening(variationUrl), / 101 /);
+  assert.match(await handshakeWhenListening(renderingUrl), / 101 /);
+
+  const workingConfig = await fs.readJson(path.join(sandbox.dir, 'working', runId, 'evolution-run-config.jsonc'));
+  assert.deepEqual(workingConfig.geneVariationServers, run.serviceInfo.serviceUrls.geneVariationServers);
+
+  await waitFor(() => run.status === 'terminated', { message: 'run to terminate' });
+  assert.equal(run.progress.generation, 5);
+  assert.equal(run.progress.coverage, 0.075);
+  assert.equal(run.progress.eliteCount, 15);
+  assert.equal(run.progressSource, 'legacy-log');
+
+  // Services are cleaned up once the CLI exits
+  await waitFor(async () => (await processNames()).length === 0, { message: 'services to stop' });
+  await waitFor(() => manager.serviceDependencyManager.portManager.getAllAllocations().length === 0, { message: 'ports to be released' });
+});
+
+test('stopRun stops the CLI and its services and persists the stopped state', async () => {
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  const runId = await manager.startRun('fake-qd');
+  const run = manager.runs.get(runId);
+  await waitFor(() => run.progress.generation > 0, { message: 'first generation' });
+
+  assert.equal((await processNames()).filter(name => name.endsWith(runId)).length, 3);
+
+  await manager.stopRun(runId);
+
+  assert.equal(run.status, 'stopped');
+  assert.ok(run.stoppedAt);
+  assert.deepEqual((await processNames()).filter(name => name.endsWith(runId)), []);
+
+  await manager.saveRunState();
+  assert.equal(manager.stateStore.get('runs', runId).status, 'stopped');
+
+  // The stop-induced exit must not be mistaken for a crash
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.equal(run.status, 'stopped');
+  assert.equal(run.autoResumeCount || 0, 0);
+});
+
+test('pauseRun and resumeRun continue the run from where it left off', async () => {
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  const runId = await manager.startRun('fake-qd');
+  const run = manager.runs.get(runId);
+  await waitFor(() => run.progress.generation >= 3, { message: 'three generations' });
+
+  await manager.pauseRun(runId);
+  assert.equal(run.status, 'paused');
+  assert.ok(run.pausedAt);
+  assert.ok(run.totalActiveTime > 0);
+  assert.deepEqual((await processNames()).filter(name => name.endsWith(runId)), []);
+  await assert.rejects(manager.pauseRun(runId), /is not running/);
+
+  const generationAtPause = run.progress.generation;
+  await manager.resumeRun(runId);
+  assert.equal(run.status, 'running');
+  assert.equal(run.pausedAt, null);
+  await assert.rejects(manager.resumeRun(runId), /already running/);
+
+  await waitFor(() => run.progress.generation > generationAtPause, { message: 'progress after resume' });
+  assert.match(await handshakeWhenListening(run.serviceInfo.serviceUrls.geneVariationServers[0]), / 101 /);
+
+  await manager.stopRun(runId);
+
+  // The metrics history spans both time slices
+  const metrics = await manager.getRunMetrics(runId, { fields: 'generation' });
+  assert.equal(run.timeSliceIndex, 1);
+  assert.deepEqual(metrics.timeSlices.map(slice => slice.slice), [0, 1]);
+  const generations = metrics.samples.map(sample => sample.generation);
+  assert.deepEqual(generations, [...generations].sort((a, b) => a - b));
+  assert.ok(generations.includes(generationAtPause) && generations.at(-1) > generationAtPause);
+  await assert.rejects(manager.getRunMetrics('does-not-exist'), /not found/);
+});
+
+test('JSON-path overrides are validated, applied, recorded and re-applied on resume', async () => {
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  const overrides = {
+    'evolutionRunConfig.batchSize': 5,
+    'evolutionRunConfig.classifiers[0].classConfigurations[0].qualityEvaluationEndpoint': '/quality-v2',
+    'hyperparameters.waveNetwork.neatParameters.pMutateAddNode': 0.3
+  };
+
+  await assert.rejects(
+    manager.startRun('fake-qd', { overrides: { 'evolutionRunConfig.classifiers[1].classConfigurations[0].refSetName': 'x' } }),
+    /Invalid override .*index 1 is out of range/
+  );
+  await assert.rejects(
+    manager.startRun('fake-qd', { overrides: { 'evolutionRunConfig.batchSize': '5' } }),
+    /Invalid override 'evolutionRunConfig.batchSize': expected number like the template, got string/
+  );
+
+  const runId = await manager.startRun('fake-qd', { overrides });
+  const run = manager.runs.get(runId);
+  assert.deepEqual(run.overrides, overrides);
+
+  const runDir = path.join(sandbox.dir, 'working', runId);
+  const readConfigs = async () => ({
+    evolutionRunConfig: await fs.readJson(path.join(runDir, 'evolution-run-config.jsonc')),
+    hyperparameters: await fs.readJson(path.join(runDir, 'evolutionary-hyperparameters.jsonc'))
+  });
+  let configs = await readConfigs();
+  assert.equal(configs.evolutionRunConfig.batchSize, 5);
+  assert.equal(configs.evolutionRunConfig.classifiers[0].classConfigurations[0].qualityEvaluationEndpoint, '/quality-v2');
+  assert.equal(configs.hyperparameters.waveNetwork.neatParameters.pMutateAddNode, 0.3);
+
+  // Global defaults changed while paused apply on resume, but the run's overrides keep precedence
+  await manager.pauseRun(runId);
+  const globalDefaultsPath = path.join(sandbox.dir, 'working', 'global-defaults.json');
+  await fs.writeJson(globalDefaultsPath, { evoRunConfig: { batchSize: 99, maxNumberOfParents: 7 } });
+  try {
+    await manager.resumeRun(runId);
+  } finally {
+    await fs.remove(globalDefaultsPath);
+  }
+  configs = await readConfigs();
+  assert.equal(configs.evolutionRunConfig.batchSize, 5);
+  assert.equal(configs.evolutionRunConfig.maxNumberOfParents, 7);
+  assert.equal(configs.evolutionRunConfig.classifiers[0].classConfigurations[0].qualityEvaluationEndpoint, '/quality-v2');
+  assert.equal(configs.hyperparameters.waveNetwork.neatParameters.pMutateAddNode, 0.3);
+  assert.ok(configs.evolutionRunConfig.outputDir.startsWith(runDir));
+
+  await manager.stopRun(runId);
+});
+
+test('a non-zero exit is auto-resumed and the retry counter resets once the run progresses', async () => {
+  process.env.FAKE_CLI_EXIT_CODES = '1,0';
+  const runId = await manager.startRun('fake-qd');
+  const run = manager.runs.get(runId);
+
+  await waitFor(() => run.status === 'recovering', { message: 'recovering status' });
+  assert.equal(run.autoResumeCount, 1);
+
+  await waitFor(() => run.resumedAt, { message: 'auto-resume' });
+  await waitFor(() => run.status === 'terminated', { message: 'termination after resume' });
+  assert.equal(run.autoResumeCount, 0);
+  assert.equal(run.autoResumeGeneration, null);
+  assert.equal(run.progress.generation, 10); // 5 generations per attempt
+});
+
+test('a run that keeps crashing is marked failed after the retry limit', async () => {
+  process.env.FAKE_CLI_GENERATIONS = '0';
+  process.env.FAKE_CLI_EXIT_CODES = '3';
+  const runId = await manager.startRun('fake-qd');
+  const run = manager.runs.get(runId);
+
+  await waitFor(() => run.status === 'failed', { timeout: 15000, message: 'failed status' });
+  assert.equal(run.exitCode, 3);
+  assert.equal(run.autoResumeCount, 4);
+});
+
+test('getAllRuns and getRun report every run with live process data', async () => {
+  const runs = await manager.getAllRuns();
+  assert.ok(runs.length >= 4);
+  assert.deepEqual(runs.map(run => run.status).sort(), ['failed', 'stopped', 'stopped', 'stopped', 'terminated', 'terminated']);
+  await assert.rejects(manager.getRun('does-not-exist'), /not found/);
+});
+
+for (const [mode, source] of [['json', 'stdout-json'], ['ipc', 'ipc']]) {
+  test(`structured progress over ${mode} replaces the legacy log parsing`, async () => {
+    process.env.FAKE_CLI_PROGRESS = mode;
+    const events = [];
+    manager.setSocketHandler({ emit: (name, data) => events.push({ name, data }) });
+
+    try {
+      const runId = await manager.startRun('fake-qd');
+      const run = manager.runs.get(runId);
+      await waitFor(() => run.status === 'terminated', { message: 'run to terminate' });
+
+      assert.equal(run.progressSource, source);
+      // Structured values win over the numbers in the human readable lines
+      assert.equal(run.progress.generation, 5);
+      assert.equal(run.progress.coverage, 0.05);
+      assert.equal(run.progress.qdScore, 50);
+      assert.equal(run.progress.eliteCount, 15);
+      assert.equal(run.progress.mapSwitches, 1);
+      assert.equal(run.progress.currentMap, 'map-b');
+      assert.equal(run.progress.lastMapSwitch.generation, 3);
+      assert.equal(run.progress.projectionRetrainings, 1);
+      assert.equal(run.progress.terminationReason, 'max-generations');
+
+      const runEvents = events.filter(event => event.data?.runId === runId);
+      assert.deepEqual(
+        runEvents.filter(event => event.name === 'run-progress-event').map(event => event.data.event),
+        ['map-switch', 'projection-retrained', 'terminated']
+      );
+      assert.equal(runEvents.find(event => event.name === 'run-ended').data.terminationReason, 'max-generations');
+      assert.ok(!runEvents.some(event => event.name === 'run-log' && event.data.message.includes('kromosynth-progress')));
+    } finally {
+      manager.setSocketHandler(null);
+    }
+  });
+}
+
+test('a triggered auto-stop policy terminates the run and notifies the scheduler', async () => {
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  process.env.FAKE_CLI_PROGRESS = 'json';
+  const events = [];
+  const endedRuns = [];
+  manager.setSocketHandler({ emit: (name, data) => events.push({ name, data }) });
+  const onRunEnded = manager.autoRunScheduler.onRunEnded;
+  manager.autoRunScheduler.onRunEnded = (runId, reason) => endedRuns.push({ runId, reason });
+
+  try {
+    // The run's target replaces the template's, the template's time budget still applies
+    const runId = await manager.startRun('fake-qd-autostop', {
+      autoScheduled: true,
+      autoStop: { target: { metric: 'coverage', value: 0.03 } }
+    });
+    const run = manager.runs.get(runId);
+    assert.deepEqual(run.autoStop, { target: { metric: 'coverage', value: 0.03 }, activeTimeMinutes: 600 });
+
+    await waitFor(() => run.status === 'terminated', { message: 'run to be auto-stopped' });
+    assert.equal(run.progress.generation, 3);
+    assert.equal(run.progress.terminationReason, 'target-reached');
+    assert.equal(run.autoStopTriggered.policy, 'target');
+    assert.match(run.autoStopTriggered.detail, /coverage 0.03 reached target 0.03/);
+    assert.deepEqual((await processNames()).filter(name => name.endsWith(runId)), []);
+
+    assert.deepEqual(endedRuns, [{ runId, reason: 'terminated' }]);
+    const ended = events.find(event => event.name === 'run-ended' && event.data.runId === runId);
+    assert.equal(ended.data.terminationReason, 'target-reached');
+  } finally {
+    manager.autoRunScheduler.onRunEnded = onRunEnded;
+    manager.setSocketHandler(null);
+  }
+});
+
+test('invalid auto-stop policies are rejected before anything starts', async () => {
+  await assert.rejects(
+    manager.startRun('fake-qd', { autoStop: { stagnation: { metric: 'fitness', generations: 10 } } }),
+    /Invalid autoStop policy: stagnation.metric/
+  );
+  assert.deepEqual(await processNames(), []);
+});
+
+test('persisted runs are restored by a new manager instance', async () => {
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  // A crashed run's retry state, as between a crash and its recovery
+  const crashed = Array.from(manager.runs.values()).find(run => run.status === 'failed');
+  Object.assign(crashed, { autoResumeCount: 2, autoResumeGeneration: 7 });
+  await manager.saveRunState(); // flush saves queued by exit handlers
+  const restored = new EvolutionManager({ processRunner: 'child-process' });
+  await restored.ready;
+
+  assert.deepEqual(
+    Array.from(restored.runs.keys()).sort(),
+    Array.from(manager.runs.keys()).sort()
+  );
+  for (const [runId, run] of restored.runs) {
+    assert.equal(run.status, manager.runs.get(runId).status);
+  }
+  const restoredCrash = restored.runs.get(crashed.id);
+  assert.deepEqual([restoredCrash.autoResumeCount, restoredCrash.autoResumeGeneration], [2, 7]);
+
+  await restored.autoRunScheduler.shutdown();
+  await restored.syncManager.shutdown();
+});
@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { createSandbox, waitFor } from './helpers.js';
+
+let sandbox;
+let manager;
+let expandParameterSpace;
+
+before(async () => {
+  sandbox = await createSandbox();
+  process.env.FAKE_CLI_GENERATIONS = '3';
+  process.env.FAKE_CLI_INTERVAL_MS = '20';
+  process.env.FAKE_CLI_EXIT_CODES = '0';
+  process.env.FAKE_CLI_PROGRESS = 'legacy';
+  ({ expandParameterSpace } = await import('../src/core/experiment-manager.js'));
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+});
+
+after(async () => {
+  await manager.autoRunScheduler.disable();
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+test('grid, random and list parameter spaces expand into override sets', () => {
+  assert.deepEqual(expandParameterSpace({
+    strategy: 'grid',
+    parameters: { 'evolutionRunConfig.batchSize': [10, 20], 'hyperparameters.mutationRate': [0.1, 0.2] }
+  }), [
+    { 'evolutionRunConfig.batchSize': 10, 'hyperparameters.mutationRate': 0.1 },
+    { 'evolutionRunConfig.batchSize': 10, 'hyperparameters.mutationRate': 0.2 },
+    { 'evolutionRunConfig.batchSize': 20, 'hyperparameters.mutationRate': 0.1 },
+    { 'evolutionRunConfig.batchSize': 20, 'hyperparameters.mutationRate': 0.2 }
+  ]);
+
+  const random = {
+    strategy: 'random',
+    samples: 5,
+    seed: 42,
+    parameters: {
+      'evolutionRunConfig.batchSize': { min: 8, max: 64, integer: true },
+      'hyperparameters.mutationRate': { min: 0, max: 1 },
+      'evolutionRunConfig.algorithm': ['mapElites', 'cma-mae']
+    }
+  };
+  const samples = expandParameterSpace(random);
+  assert.equal(samples.length, 5);
+  assert.deepEqual(expandParameterSpace(random), samples); // same seed, same samples
+  for (const sample of samples) {
+    assert.ok(Number.isInteger(sample['evolutionRunConfig.batchSize']));
+    assert.ok(sample['evolutionRunConfig.batchSize'] >= 8 && sample['evolutionRunConfig.batchSize'] <= 64);
+    assert.ok(['mapElites', 'cma-mae'].includes(sample['evolutionRunConfig.algorithm']));
+  }
+
+  assert.deepEqual(expandParameterSpace({ strategy: 'list', configurations: [{ 'hyperparameters.x': 1 }] }), [{ 'hyperparameters.x': 1 }]);
+
+  assert.throws(() => expandParameterSpace({ strategy: 'bayesian' }), /strategy must be one of/);
+  assert.throws(() => expandParameterSpace({ strategy: 'grid', parameters: { 'evolutionRunConfig.batchSize': [] } }), /non-empty array/);
+  assert.throws(() => expandParameterSpace({ strategy: 'list', configurations: [{ 'templateInfo.name': 'x' }] }), /must start with/);
+  assert.throws(() => expandParameterSpace({
+    strategy: 'grid',
+    parameters: Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`hyperparameters.p${i}`, [1, 2]]))
+  }), /exceed the limit of 500/);
+});
+
+test('an experiment queues one run per configuration and compares their results', async () => {
+  const experiments = manager.experimentManager;
+  manager.autoRunScheduler.pause('test'); // holds the queue
+  const experiment = await experiments.createExperiment({
+    name: 'batch-size sweep',
+    templateName: 'fake-qd',
+    strategy: 'grid',
+    parameters: { 'evolutionRunConfig.batchSize': [10, 20] },
+    options: { autoStop: { wallClockMinutes: 60 } }
+  });
+  assert.equal(experiments.getExperimentStatus(experiment.id).status, 'queued');
+
+  await manager.autoRunScheduler.setMaxConcurrentRuns(2);
+  await manager.autoRunScheduler.resumeScheduling();
+  await waitFor(() => experiments.getExperimentStatus(experiment.id).status === 'completed', { message: 'experiment to complete' });
+
+  const status = experiments.getExperimentStatus(experiment.id);
+  assert.deepEqual(status.runs, { terminated: 2 });
+  for (const { runId, overrides } of experiment.configurations) {
+    const workingConfig = await fs.readJson(path.join(sandbox.dir, 'working', runId, 'evolution-run-config.jsonc'));
+    assert.equal(workingConfig.batchSize, overrides['evolutionRunConfig.batchSize']);
+    assert.equal(manager.runs.get(runId).options.experimentId, experiment.id);
+  }
+
+  const comparison = experiments.getComparison(experiment.id, { sortBy: 'index' });
+  assert.deepEqual(comparison.parameters, ['evolutionRunConfig.batchSize']);
+  assert.deepEqual(comparison.rows.map(row => [row.index, row.status, row.generation, row.coverage]), [
+    [0, 'terminated', 3, 0.045],
+    [1, 'terminated', 3, 0.045]
+  ]);
+  assert.throws(() => experiments.getComparison(experiment.id, { sortBy: 'fitness' }), /Invalid sortBy/);
+
+  const csv = experiments.comparisonToCsv(comparison).trim().split('\n');
+  assert.equal(csv[0], 'index,runId,status,evolutionRunConfig.batchSize,generation,coverage,qdScore,eliteCount,terminationReason');
+  assert.equal(csv[1], `0,${experiment.configurations[0].runId},terminated,10,3,0.045,,9,`);
+
+  assert.deepEqual(experiments.listExperiments().map(summary => [summary.name, summary.status, summary.totalRuns]), [
+    ['batch-size sweep', 'completed', 2]
+  ]);
+});
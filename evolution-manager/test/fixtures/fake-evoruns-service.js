@@ -0,0 +1,97 @@
+/**
+ * Local HTTP stand-in for the central kromosynth-evoruns sync API.
+ * Records every request and stores uploaded analysis files in memory.
+ */
+
+import http from 'http';
+
+export function createFakeEvorunsService({ apiKey = 'test-key', failUploads = false } = {}) {
+  const requests = [];
+  const registered = new Map(); // runId -> registration body
+  const files = new Map();      // `${runId}/${subdir}/${name}` -> Buffer
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.headers['x-sync-api-key'] !== apiKey) {
+        return send(401, { error: 'Invalid API key' });
+      }
+
+      let match = url.pathname.match(/^\/api\/sync\/register\/([^/]+)$/);
+      if (match && req.method === 'POST') {
+        registered.set(match[1], JSON.parse(body.toString() || '{}'));
+        return send(200, { registered: match[1] });
+      }
+
+      match = url.pathname.match(/^\/api\/sync\/analysis\/([^/]+)\/list$/);
+      if (match && req.method === 'GET') {
+        const prefix = `${match[1]}/${url.searchParams.get('subdir')}/`;
+        const listed = [];
+        for (const [key, data] of files) {
+          if (key.startsWith(prefix) && !key.slice(prefix.length).includes('/')) {
+            listed.push({ name: key.slice(prefix.length), size: data.length });
+          }
+        }
+        return send(200, { files: listed });
+      }
+
+      match = url.pathname.match(/^\/api\/sync\/analysis\/([^/]+)$/);
+      if (match && req.method === 'POST') {
+        if (failUploads) return send(500, { error: 'upload failed' });
+        const { fields, file } = parseMultipart(body, req.headers['content-type']);
+        files.set(`${match[1]}/${fields.subdir}/${file.filename}`, file.data);
+        return send(200, { stored: file.filename });
+      }
+
+      send(404, { error: 'not found' });
+    });
+  });
+
+  return {
+    server,
+    requests,
+    registered,
+    files,
+    listen() {
+      return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      }));
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function parseMultipart(body, contentType) {
+  const boundary = contentType.split('boundary=')[1];
+  const fields = {};
+  let file = null;
+
+  const raw = body.toString('latin1');
+  for (const part of raw.split(`--${boundary}`)) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) continue;
+    const headers = part.slice(0, headerEnd);
+    const content = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+    const name = headers.match(/name="([^"]+)"/)?.[1];
+    const filename = headers.match(/filename="([^"]+)"/)?.[1];
+    if (filename) {
+      file = { filename, data: Buffer.from(content, 'latin1') };
+    } else if (name) {
+      fields[name] = content;
+    }
+  }
+
+  return { fields, file };
+}
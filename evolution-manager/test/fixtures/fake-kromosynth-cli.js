@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Stand-in for kromosynth-cli/cli-app/kromosynth.js used by the test suite.
+ *
+ * Accepts `evolution-runs --evolution-runs-config-json-file <path>` and prints
+ * the same progress lines as the real CLI, then exits with a chosen code.
+ *
+ * Behaviour is controlled through environment variables:
+ *   FAKE_CLI_GENERATIONS  - generations to print per attempt (default 5); with 0
+ *                           the process exits straight away
+ *   FAKE_CLI_INTERVAL_MS  - delay between generations (default 20)
+ *   FAKE_CLI_EXIT_CODES   - comma-separated exit codes per attempt, the last one
+ *                           repeats (default "0"); attempts are counted per run
+ *                           directory so a resumed run gets the next code
+ *   FAKE_CLI_PROGRESS     - "legacy" (default): log lines only; "json": also print
+ *                           progress protocol messages as JSON lines; "ipc": also
+ *                           send them with process.send(). Structured modes emit a
+ *                           map switch at generation 3, a projection retraining at
+ *                           generation 4 and a termination reason on exit 0
+ *
+ * Like the real CLI it writes an evorun directory, evoRunsDirPath/<iteration ID>/,
+ * with genomes.sqlite and elites_<iteration ID>.json (whose generationNumber a
+ * new run continues from), committing the elite map to git every
+ * commitEliteMapToGitEveryNIterations generations when that is set.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { execFileSync } from 'child_process';
+
+const args = process.argv.slice(2);
+const configFlagIndex = args.indexOf('--evolution-runs-config-json-file');
+if (args[0] !== 'evolution-runs' || configFlagIndex === -1) {
+  console.error('usage: kromosynth evolution-runs --evolution-runs-config-json-file <path>');
+  process.exit(2);
+}
+
+const configPath = args[configFlagIndex + 1];
+const runDir = path.dirname(configPath);
+const runsConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const iterationId = runsConfig.evoRuns?.[0]?.iterations?.[0]?.id || 'unknown';
+
+const generations = parseInt(process.env.FAKE_CLI_GENERATIONS || '5', 10);
+const intervalMs = parseInt(process.env.FAKE_CLI_INTERVAL_MS || '20', 10);
+const exitCodes = (process.env.FAKE_CLI_EXIT_CODES || '0').split(',').map(code => parseInt(code, 10));
+const progressMode = process.env.FAKE_CLI_PROGRESS || 'legacy';
+
+function emitProgress(event, data) {
+  const message = { protocol: 'kromosynth-progress', version: 1, event, timestamp: new Date().toISOString(), data };
+  if (progressMode === 'json') {
+    console.log(JSON.stringify(message));
+  } else if (progressMode === 'ipc' && process.send) {
+    process.send(message);
+  }
+}
+
+// Per-run state so resumed runs continue where they left off
+const statePath = path.join(runDir, 'fake-cli-state.json');
+const state = fs.existsSync(statePath)
+  ? JSON.parse(fs.readFileSync(statePath, 'utf8'))
+  : { attempts: 0, generation: 0 };
+
+// The evorun directory, continued from when it exists (forked runs)
+const runConfigPath = runsConfig.baseEvolutionRunConfigFile;
+const runConfig = runConfigPath && fs.existsSync(runConfigPath) ? JSON.parse(fs.readFileSync(runConfigPath, 'utf8')) : {};
+const evorunPath = runConfig.evoRunsDirPath ? path.join(runConfig.evoRunsDirPath, iterationId) : null;
+const eliteMapPath = evorunPath && path.join(evorunPath, `elites_${iterationId}.json`);
+const commitEvery = runConfig.commitEliteMapToGitEveryNIterations;
+if (state.attempts === 0 && eliteMapPath && fs.existsSync(eliteMapPath)) {
+  state.generation = JSON.parse(fs.readFileSync(eliteMapPath, 'utf8')).generationNumber;
+}
+
+function writeEvorun(generation) {
+  if (!evorunPath) return;
+  fs.mkdirSync(evorunPath, { recursive: true });
+  fs.appendFileSync(path.join(evorunPath, 'genomes.sqlite'), `genome-${generation}\n`);
+  fs.writeFileSync(eliteMapPath, JSON.stringify({ _id: `elites_${iterationId}`, generationNumber: generation, cells: {} }));
+  if (commitEvery && generation % commitEvery === 0) {
+    const git = gitArgs => execFileSync('git', ['-C', evorunPath, '-c', 'user.name=fake-cli', '-c', 'user.email=fake-cli@localhost', ...gitArgs]);
+    if (!fs.existsSync(path.join(evorunPath, '.git'))) git(['init', '--quiet']);
+    git(['add', path.basename(eliteMapPath)]);
+    git(['commit', '--quiet', '-m', `Iteration ${generation}`]);
+  }
+}
+
+const exitCode = exitCodes[Math.min(state.attempts, exitCodes.length - 1)];
+state.attempts++;
+fs.writeFileSync(statePath, JSON.stringify(state));
+
+if (generations <= 0) {
+  process.exit(exitCode);
+}
+
+let printed = 0;
+const timer = setInterval(() => {
+  state.generation++;
+  printed++;
+  const eliteCount = state.generation * 3;
+  const coveragePercentage = Math.min(100, state.generation * 1.5).toFixed(1);
+  writeEvorun(state.generation);
+  console.log(`generation ${state.generation} eliteCountAtGeneration: ${eliteCount} coverageSize ${eliteCount} coveragePercentage ${coveragePercentage} evo run ID: ${iterationId}`);
+  fs.writeFileSync(statePath, JSON.stringify(state));
+
+  // Structured values differ from the log line so tests can tell the sources apart
+  emitProgress('generation', { generation: state.generation, coverage: state.generation / 100, qdScore: state.generation * 10, eliteCount });
+  if (state.generation === 3) {
+    emitProgress('map-switch', { generation: 3, fromMap: 'map-a', toMap: 'map-b' });
+  }
+  if (state.generation === 4) {
+    emitProgress('projection-retrained', { generation: 4, retrainCount: 1 });
+  }
+
+  if (printed >= generations) {
+    clearInterval(timer);
+    if (exitCode === 0) {
+      emitProgress('terminated', { generation: state.generation, reason: 'max-generations' });
+    }
+    // Let IPC messages flush before exiting
+    setTimeout(() => process.exit(exitCode), progressMode === 'ipc' ? 20 : 0);
+  }
+}, intervalMs);
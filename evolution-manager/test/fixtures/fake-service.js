@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Minimal websocket service used as a stand-in for the kromosynth
+ * variation/render/evaluation services in tests.
+ * Binds to PORT (or --port N) and completes websocket handshakes; GET /health
+ * answers 200. FAKE_SERVICE_DELAY_MS holds off binding, like a service that
+ * loads its models first.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const portArgIndex = process.argv.indexOf('--port');
+const port = parseInt(portArgIndex !== -1 ? process.argv[portArgIndex + 1] : process.env.PORT, 10);
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/health') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+    return;
+  }
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('websocket only');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  const accept = crypto
+    .createHash('sha1')
+    .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+    .digest('base64');
+
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n` +
+    '\r\n'
+  );
+  socket.on('error', () => {});
+});
+
+setTimeout(() => {
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`fake service listening on ${port}`);
+  });
+}, parseInt(process.env.FAKE_SERVICE_DELAY_MS || '0', 10));
@@ -0,0 +1,26 @@
+// Ecosystem configuration for the fake-qd test template.
+// Both services run test/fixtures/fake-service.js (path provided by the test helpers).
+
+const SCRIPT = process.env.FAKE_SERVICE_SCRIPT;
+
+export default {
+  apps: [
+    {
+      name: "kromosynth-gRPC-variation",
+      script: SCRIPT,
+      instances: 1,
+      env: {
+        "PORT": 50051
+      }
+    },
+    {
+      name: "kromosynth-render-socket-server",
+      script: SCRIPT,
+      args: "--port 60051",
+      instances: 1,
+      env: {
+        "PORT": 60051
+      }
+    }
+  ]
+}
@@ -0,0 +1,107 @@
+/**
+ * Shared test helpers: sandboxed working directory, fixture paths and polling.
+ *
+ * The managers resolve templates/, working/ and logs/ from process.cwd(), so
+ * each test file runs inside its own temporary directory. node --test runs
+ * every file in a separate process, which keeps the chdir contained.
+ */
+
+import path from 'path';
+import os from 'os';
+import net from 'net';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+// The managers log every step with console.log; keep test output readable
+// (and the node:test child protocol small) unless TEST_VERBOSE is set.
+if (!process.env.TEST_VERBOSE) {
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+}
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+export const FAKE_CLI_SCRIPT = path.join(FIXTURES_DIR, 'fake-kromosynth-cli.js');
+export const FAKE_SERVICE_SCRIPT = path.join(FIXTURES_DIR, 'fake-service.js');
+
+/**
+ * Create a temporary manager directory with fixture templates, chdir into it
+ * and point the manager at the fake CLI and the child-process runner.
+ * @param {Object} [options]
+ * @param {string[]} [options.templates] - Extra names to copy the fake-qd template to
+ */
+export async function createSandbox({ templates = [] } = {}) {
+  const originalCwd = process.cwd();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'evolution-manager-test-'));
+
+  const fixtureTemplate = path.join(FIXTURES_DIR, 'templates', 'fake-qd');
+  await fs.copy(fixtureTemplate, path.join(dir, 'templates', 'fake-qd'));
+  for (const name of templates) {
+    await fs.copy(fixtureTemplate, path.join(dir, 'templates', name));
+  }
+  await fs.ensureDir(path.join(dir, 'logs'));
+
+  process.chdir(dir);
+  process.env.KROMOSYNTH_ROOT = dir;
+  process.env.KROMOSYNTH_CLI_SCRIPT = FAKE_CLI_SCRIPT;
+  process.env.FAKE_SERVICE_SCRIPT = FAKE_SERVICE_SCRIPT;
+  process.env.PROCESS_RUNNER = 'child-process';
+
+  return {
+    dir,
+    async cleanup() {
+      process.chdir(originalCwd);
+      await fs.remove(dir);
+    }
+  };
+}
+
+/**
+ * Poll until predicate returns a truthy value
+ */
+export async function waitFor(predicate, { timeout = 10000, interval = 25, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = await predicate();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  throw new Error(`Timed out after ${timeout}ms waiting for ${message}`);
+}
+
+/**
+ * Attempt a websocket handshake against ws://host:port and resolve with the
+ * HTTP status line of the response (101 on success)
+ */
+export function websocketHandshake(url, timeout = 2000) {
+  const { hostname, port } = new URL(url);
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(Number(port), hostname);
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Handshake with ${url} timed out`));
+    }, timeout);
+
+    socket.once('connect', () => {
+      socket.write(
+        'GET / HTTP/1.1\r\n' +
+        `Host: ${hostname}:${port}\r\n` +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\n` +
+        'Sec-WebSocket-Version: 13\r\n' +
+        '\r\n'
+      );
+    });
+    socket.once('data', (data) => {
+      clearTimeout(timer);
+      socket.destroy();
+      resolve(data.toString().split('\r\n')[0]);
+    });
+    socket.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
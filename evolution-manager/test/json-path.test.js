@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonPath, getJsonPath, setJsonPath, validateOverrides, diffConfigs } from '../src/config/json-path.js';
+
+test('parseJsonPath splits properties and array indices', () => {
+  assert.deepEqual(
+    parseJsonPath('evolutionRunConfig.classifiers[1].classConfigurations[0].qualityEvaluationEndpoint'),
+    ['evolutionRunConfig', 'classifiers', 1, 'classConfigurations', 0, 'qualityEvaluationEndpoint']
+  );
+  assert.throws(() => parseJsonPath('evolutionRunConfig..batchSize'), /Invalid JSON path/);
+  assert.throws(() => parseJsonPath('evolutionRunConfig.classifiers[-1]'), /Invalid JSON path/);
+  assert.throws(() => parseJsonPath('globalDefaults.batchSize'), /must start with evolutionRunConfig or hyperparameters/);
+  assert.throws(() => parseJsonPath('hyperparameters'), /names a whole config file/);
+});
+
+test('getJsonPath and setJsonPath read and write nested values', () => {
+  const config = { evolutionRunConfig: { classifiers: [{ classConfigurations: [{ refSetName: 'a' }] }] } };
+
+  assert.equal(getJsonPath(config, 'evolutionRunConfig.classifiers[0].classConfigurations[0].refSetName'), 'a');
+  assert.equal(getJsonPath(config, 'evolutionRunConfig.classifiers[3].classConfigurations[0].refSetName'), undefined);
+
+  setJsonPath(config, 'evolutionRunConfig.classifiers[0].classConfigurations[0].refSetName', 'b');
+  setJsonPath(config, 'hyperparameters.waveNetwork.neatParameters.pMutateAddNode', 0.2);
+  assert.equal(config.evolutionRunConfig.classifiers[0].classConfigurations[0].refSetName, 'b');
+  assert.deepEqual(config.hyperparameters, { waveNetwork: { neatParameters: { pMutateAddNode: 0.2 } } });
+
+  assert.throws(
+    () => setJsonPath(config, 'evolutionRunConfig.classifiers[0].classConfigurations[0].refSetName.x', 1),
+    /'refSetName' is not an object/
+  );
+});
+
+test('validateOverrides checks paths and value types against the template', () => {
+  const template = {
+    evolutionRunConfig: { batchSize: 10, classifiers: [{ classConfigurations: [{ refSetName: 'a' }] }], mqConfig: null },
+    hyperparameters: { waveNetwork: {} }
+  };
+
+  validateOverrides(template, {
+    'evolutionRunConfig.batchSize': 20,
+    'evolutionRunConfig.classifiers[0].classConfigurations[0].userPreferencesRate': 0.5, // new key
+    'hyperparameters.waveNetwork.neatParameters': { pMutateAddNode: 0.1 }
+  });
+
+  assert.throws(() => validateOverrides(template, { 'evolutionRunConfig.batchSize': [20] }), /expected number like the template, got array/);
+  assert.throws(() => validateOverrides(template, { 'evolutionRunConfig.mqConfig.enabled': true }), /evolutionRunConfig.mqConfig is not an object/);
+  assert.throws(() => validateOverrides(template, { 'evolutionRunConfig.classifiers.x': 1 }), /evolutionRunConfig.classifiers is not an object/);
+  assert.throws(() => validateOverrides(template, { 'evolutionRunConfig.classifiers[2]': {} }), /index 2 is out of range/);
+  assert.throws(() => validateOverrides(template, ['evolutionRunConfig.batchSize']), /expected an object/);
+});
+
+test('diffConfigs lists added, removed and changed values by JSON path', () => {
+  const before = { batchSize: 10, classifiers: [{ refSetName: 'a' }], mqConfig: { enabled: true } };
+  const after = { batchSize: 10, classifiers: [{ refSetName: 'b' }, { refSetName: 'c' }], outputDir: '/out' };
+
+  assert.deepEqual(diffConfigs(before, after, ['evolutionRunConfig']), [
+    { path: 'evolutionRunConfig.classifiers[0].refSetName', change: 'changed', before: 'a', after: 'b' },
+    { path: 'evolutionRunConfig.classifiers[1]', change: 'added', after: { refSetName: 'c' } },
+    { path: 'evolutionRunConfig.mqConfig', change: 'removed', before: { enabled: true } },
+    { path: 'evolutionRunConfig.outputDir', change: 'added', after: '/out' }
+  ]);
+  assert.deepEqual(diffConfigs(before, structuredClone(before)), []);
+  assert.deepEqual(diffConfigs({ a: [1] }, { a: { 0: 1 } }), [{ path: 'a', change: 'changed', before: [1], after: { 0: 1 } }]);
+});
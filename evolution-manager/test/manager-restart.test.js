@@ -0,0 +1,163 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { createSandbox, waitFor } from './helpers.js';
+import { PortManager } from '../src/core/port-manager.js';
+
+let sandbox;
+
+before(async () => {
+  sandbox = await createSandbox();
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  process.env.FAKE_CLI_INTERVAL_MS = '50';
+});
+
+after(async () => {
+  await sandbox.cleanup();
+});
+
+test('restored port ranges are derived from service ports and never overlap', async () => {
+  const portManager = new PortManager();
+  const allocation = await portManager.allocatePortRange('a');
+  assert.equal(portManager.rangeStartForServicePort('geneRendering', allocation.services.geneRendering[0]), allocation.rangeStart);
+  assert.equal(portManager.rangeStartForServicePort('nope', 50051), null);
+
+  assert.throws(() => portManager.restorePortRange('b', allocation.rangeStart), /overlaps another allocation/);
+  const restored = portManager.restorePortRange('b', 53000, '2025-01-01T00:00:00.000Z');
+  assert.deepEqual([restored.rangeEnd, restored.allocatedAt], [53999, '2025-01-01T00:00:00.000Z']);
+  assert.equal(portManager.restorePortRange('b', 53000), restored);
+  assert.throws(() => portManager.restorePortRange('b', 54000), /already has port range 53000-53999/);
+  assert.equal((await portManager.allocatePortRange('c')).rangeStart, 51000);
+});
+
+test('a detached shutdown leaves runs running and the next manager re-attaches to them', async () => {
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+  const scheduler = manager.autoRunScheduler;
+  await scheduler.setMaxConcurrentRuns(1);
+  await scheduler.enableTemplate('fake-qd', 'default', { timeSliceMinutes: 1 });
+  await scheduler.enable();
+
+  const runId = await waitFor(() => scheduler.getEnabledTemplates()[0].currentRunId, { message: 'the scheduled run' });
+  await waitFor(() => manager.runs.get(runId)?.status === 'running', { message: 'the scheduled run to start' });
+  const { portAllocation } = manager.serviceDependencyManager.getServiceInfo(runId);
+  const { startedAt: sliceStartedAt } = scheduler.timeSliceTimers.get(runId);
+  await manager.shutdown({ detach: true });
+
+  const runner = manager.processRunner;
+  const processes = (await runner.list()).filter(proc => proc.name.endsWith(runId));
+  assert.equal(processes.length, 3);
+  assert.ok(processes.every(proc => proc.status === 'online'));
+  assert.deepEqual(['message', 'log', 'exit'].map(name => runner.listenerCount(name)), [0, 0, 0]);
+
+  // The next manager, on the runner the processes kept running in
+  const restarted = new EvolutionManager({ processRunner: runner });
+  await restarted.ready;
+  try {
+    const run = restarted.runs.get(runId);
+    assert.equal(run.status, 'running');
+    const generation = run.progress.generation;
+    await waitFor(() => run.progress.generation > generation, { message: 'progress after re-attaching' });
+
+    const serviceInfo = restarted.serviceDependencyManager.getServiceInfo(runId);
+    assert.deepEqual(serviceInfo.portAllocation.services, portAllocation.services);
+    assert.deepEqual(serviceInfo.services.map(service => service.status), ['started', 'started']);
+    assert.equal(serviceInfo.serviceUrls.geneVariationServers[0], `ws://127.0.0.1:${portAllocation.services.geneVariation[0]}`);
+    assert.notEqual((await restarted.serviceDependencyManager.portManager.planPortRange('next')).rangeStart, portAllocation.rangeStart);
+
+    // The slice goes on from where it was, not from the restart
+    const timers = restarted.autoRunScheduler.timeSliceTimers.get(runId);
+    assert.equal(timers.startedAt, sliceStartedAt);
+    const { entries } = await restarted.auditLog.query({ runId, source: 'scheduler' });
+    assert.equal(entries[0].action, 'time-slice-restored');
+    assert.ok(entries[0].details.remainingMs <= 60000 - (Date.now() - timers.startedAt) + 1000);
+  } finally {
+    await restarted.autoRunScheduler.disable();
+    await restarted.shutdown();
+  }
+  assert.deepEqual((await runner.list()).filter(proc => proc.name.endsWith(runId) && proc.status === 'online'), []);
+});
+
+test('persisted port ranges stay taken and a slice that ran out during the restart expires at once', async () => {
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+  const store = manager.stateStore;
+
+  // A run of its own, whose ecosystem file will be lost, and a scheduled run
+  const manualRunId = await manager.startRun('fake-qd');
+  const manualPorts = manager.serviceDependencyManager.getServiceInfo(manualRunId).portAllocation;
+  assert.deepEqual(store.get('ports', manualRunId), manualPorts);
+  const scheduler = manager.autoRunScheduler;
+  await scheduler.enable();
+  const runId = await waitFor(() => {
+    const id = scheduler.getEnabledTemplates()[0].currentRunId;
+    return manager.runs.get(id)?.status === 'running' && store.get('timeSlices', id) && id;
+  }, { message: 'the scheduled run and its slice' });
+
+  const slice = store.get('timeSlices', runId);
+  await store.put('timeSlices', runId, { ...slice, startedAt: new Date(Date.now() - 2 * slice.durationMs).toISOString() });
+  await store.put('ports', 'run-without-services', { ...manualPorts, runId: 'run-without-services', rangeStart: 60000, rangeEnd: 60999 });
+  await manager.shutdown({ detach: true });
+  await fs.remove(path.join(sandbox.dir, 'working', `ecosystem_${manualRunId}.config.js`));
+
+  const restarted = new EvolutionManager({ processRunner: manager.processRunner });
+  await restarted.ready;
+  try {
+    // The overdue slice ended right away and the run got its next one, on a
+    // range that does not collide with the surviving services
+    const run = restarted.runs.get(runId);
+    assert.deepEqual(run.history.slice(-2).map(change => [change.to, change.cause]), [['paused', 'scheduler'], ['running', 'scheduler']]);
+    const { entries } = await restarted.auditLog.query({ runId, source: 'scheduler' });
+    assert.deepEqual(entries.slice(0, 5).map(entry => entry.action).reverse(),
+      ['time-slice-restored', 'time-slice-expired', 'run-paused', 'run-resumed', 'time-slice-started']);
+    assert.ok(entries[4].details.overdueMs >= slice.durationMs);
+    assert.ok(restarted.autoRunScheduler.timeSliceTimers.has(runId));
+
+    const { portManager } = restarted.serviceDependencyManager;
+    assert.equal(restarted.serviceDependencyManager.getServiceInfo(manualRunId), undefined);
+    assert.equal(portManager.getPortAllocation(manualRunId).rangeStart, manualPorts.rangeStart);
+    assert.notEqual(portManager.getPortAllocation(runId).rangeStart, manualPorts.rangeStart);
+    assert.equal(restarted.stateStore.get('ports', 'run-without-services'), undefined);
+  } finally {
+    await restarted.autoRunScheduler.disable();
+    await restarted.shutdown();
+  }
+  assert.deepEqual(restarted.stateStore.all('timeSlices'), {});
+});
+
+test('runs whose processes exited during a detached shutdown end as a live exit would end them', async () => {
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+
+  // One run that finishes cleanly and one that crashes, both after the manager went away
+  process.env.FAKE_CLI_GENERATIONS = '20';
+  const finishedId = await manager.startRun('fake-qd');
+  process.env.FAKE_CLI_EXIT_CODES = '1';
+  const crashedId = await manager.startRun('fake-qd');
+  process.env.FAKE_CLI_EXIT_CODES = '0';
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  await manager.shutdown({ detach: true });
+
+  const runner = manager.processRunner;
+  await waitFor(async () => (await runner.list())
+    .filter(proc => proc.name.startsWith('kromosynth-evolution-'))
+    .every(proc => proc.status !== 'online'), { message: 'the evolution processes to exit' });
+
+  const restarted = new EvolutionManager({ processRunner: runner, autoResumeBaseDelayMs: 60000 });
+  await restarted.ready;
+  try {
+    const lastChange = runId => restarted.runs.get(runId).history.slice(-1).map(change => [change.from, change.to, change.cause, change.details]);
+    assert.deepEqual(lastChange(finishedId), [['running', 'terminated', 'exit', { exitCode: 0 }]]);
+    assert.deepEqual(lastChange(crashedId), [['running', 'recovering', 'crash', { exitCode: 1, attempt: 1 }]]);
+    await waitFor(() => restarted.autoResumeTimers.has(crashedId), { message: 'the crashed run\'s auto-resume' });
+    await waitFor(async () => (await runner.list())
+      .filter(proc => proc.name.endsWith(finishedId) || proc.name.endsWith(crashedId))
+      .every(proc => proc.status !== 'online'), { message: 'the services of the ended runs to stop' });
+  } finally {
+    await restarted.shutdown();
+  }
+});
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { createSandbox } from './helpers.js';
+import { MetricsHistory } from '../src/core/metrics-history.js';
+
+let sandbox;
+
+before(async () => {
+  sandbox = await createSandbox();
+});
+
+after(async () => {
+  await sandbox.cleanup();
+});
+
+function makeRun(id) {
+  return { id, timeSliceIndex: 0, progress: { generation: 0, totalGenerations: 100, coverage: null } };
+}
+
+test('records numeric progress with its time slice and skips repeated samples', async () => {
+  const history = new MetricsHistory();
+  const run = makeRun('run-a');
+
+  for (let generation = 1; generation <= 3; generation++) {
+    run.progress = { ...run.progress, generation, coverage: generation / 10 };
+    history.record(run);
+  }
+  history.record(run); // unchanged
+  run.timeSliceIndex = 1;
+  run.progress = { ...run.progress, generation: 4, qdScore: 12.5 };
+  await history.record(run);
+
+  const { samples, timeSlices, fields } = await history.query('run-a');
+  assert.equal(fields.length, 7);
+  assert.deepEqual(samples.map(sample => sample.generation), [1, 2, 3, 4]);
+  assert.deepEqual(samples.map(sample => sample.slice), [0, 0, 0, 1]);
+  assert.equal(samples[3].qdScore, 12.5);
+  assert.equal(samples[0].totalGenerations, undefined);
+  assert.deepEqual(timeSlices.map(({ slice, samples: count }) => ({ slice, count })), [{ slice: 0, count: 3 }, { slice: 1, count: 1 }]);
+
+  const lines = (await fs.readFile(path.join(sandbox.dir, 'working', 'run-a', 'metrics.jsonl'), 'utf8')).trim().split('\n');
+  assert.equal(lines.length, 4);
+});
+
+test('filters by time range and fields and rejects invalid queries', async () => {
+  const history = new MetricsHistory();
+  const { samples } = await history.query('run-a');
+  const middle = samples[1].t;
+
+  const ranged = await history.query('run-a', { from: middle, to: new Date(middle).toISOString(), fields: 'coverage' });
+  assert.ok(ranged.samples.length >= 1);
+  assert.ok(ranged.samples.every(sample => sample.t === middle));
+  assert.deepEqual(Object.keys(ranged.samples[0]).sort(), ['coverage', 't', 'slice'].sort());
+
+  await assert.rejects(history.query('run-a', { from: 'yesterday-ish' }), /Invalid 'from' time/);
+  await assert.rejects(history.query('run-a', { fields: 'coverage,fitness' }), /Invalid metric field\(s\): fitness/);
+  assert.deepEqual((await history.query('unknown-run')).samples, []);
+});
+
+test('continues an existing series after a restart', async () => {
+  const history = new MetricsHistory();
+  const run = makeRun('run-a');
+  run.timeSliceIndex = 1;
+  run.progress = { generation: 4, coverage: 0.3, qdScore: 12.5 }; // same as the last sample on disk
+  await history.record(run);
+  run.progress = { generation: 5, coverage: 0.3, qdScore: 13 };
+  await history.record(run);
+
+  const { samples } = await history.query('run-a');
+  assert.deepEqual(samples.map(sample => sample.generation), [1, 2, 3, 4, 5]);
+});
+
+test('downsamples older samples of long runs and keeps slice boundaries', async () => {
+  const history = new MetricsHistory({ maxSamples: 20 });
+  const run = makeRun('run-long');
+
+  for (let generation = 1; generation <= 60; generation++) {
+    run.timeSliceIndex = generation <= 25 ? 0 : 1;
+    run.progress = { generation };
+    history.record(run);
+  }
+  await history.series.get('run-long').queue;
+
+  const { samples } = await history.query('run-long');
+  assert.ok(samples.length <= 21, `kept ${samples.length} samples`);
+  // The most recent half is kept at full resolution
+  assert.deepEqual(samples.slice(-10).map(sample => sample.generation), [51, 52, 53, 54, 55, 56, 57, 58, 59, 60]);
+  // History still starts at the beginning of the run and covers both slices
+  assert.equal(samples[0].generation, 1);
+  assert.deepEqual([...new Set(samples.map(sample => sample.slice))], [0, 1]);
+  const generations = samples.map(sample => sample.generation);
+  assert.deepEqual(generations, [...generations].sort((a, b) => a - b));
+});
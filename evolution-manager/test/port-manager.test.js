@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import express from 'express';
+import { createSandbox, FAKE_SERVICE_SCRIPT } from './helpers.js';
+import { PortManager } from '../src/core/port-manager.js';
+
+let sandbox;
+
+before(async () => {
+  sandbox = await createSandbox();
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  process.env.FAKE_CLI_INTERVAL_MS = '50';
+});
+
+after(async () => {
+  await sandbox.cleanup();
+});
+
+async function listen(port) {
+  const server = net.createServer();
+  await new Promise((resolve, reject) => server.once('error', reject).listen(port, resolve));
+  return server;
+}
+
+test('ranges come from the pool and skip ports other software holds', async (t) => {
+  assert.throws(() => new PortManager({ pool: '40000-39000' }), /Invalid port pool '40000-39000'/);
+  assert.throws(() => new PortManager({ rangeSize: 100 }), /Invalid port range size 100: the services of a run need 132 ports/);
+
+  const portManager = new PortManager({ pool: '41000-41999, 43000-44999' });
+  const services = Object.values(portManager.generateServicePorts(0)).flat();
+  assert.equal(new Set(services).size, services.length);
+
+  // Something else listens on a service port of the first block
+  const blocker = await listen(41131);
+  t.after(() => blocker.close());
+
+  const [first, second] = await Promise.all([portManager.allocatePortRange('a'), portManager.allocatePortRange('b')]);
+  assert.deepEqual([first.rangeStart, second.rangeStart], [43000, 44000]);
+  await assert.rejects(portManager.allocatePortRange('c'), /Unable to allocate port range/);
+  assert.equal((await new PortManager({ pool: '41000-41999', probe: false }).planPortRange('d')).rangeStart, 41000);
+
+  portManager.releasePortRange('a');
+  assert.equal((await portManager.allocatePortRange('c')).rangeStart, 43000);
+});
+
+test('GET /api/ports lists allocations with their processes and reports ports claimed twice', async () => {
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const { setupApiRoutes } = await import('../src/api/routes.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+  const app = express();
+  setupApiRoutes(app, manager, { emit() {} });
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+
+  try {
+    const runId = await manager.startRun('fake-qd');
+    const { portAllocation } = manager.serviceDependencyManager.getServiceInfo(runId);
+    const variationPort = portAllocation.services.geneVariation[0];
+    // A process outside the run configured with one of its ports
+    await manager.processRunner.start({ name: 'unrelated_app', script: FAKE_SERVICE_SCRIPT, env: { PORT: variationPort } });
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/ports`);
+    assert.equal(response.status, 200);
+    const report = await response.json();
+    assert.deepEqual([report.pool, report.rangeSize, report.probe], [[{ start: 50000, end: 65535 }], 1000, true]);
+    assert.equal(report.allocations.length, 1);
+    assert.equal(report.allocations[0].rangeStart, portAllocation.rangeStart);
+    assert.deepEqual(report.allocations[0].processes.map(proc => [proc.name, proc.port]).sort(), [
+      [`kromosynth-evolution-${runId}`, null],
+      [`kromosynth-gRPC-variation_${runId}`, variationPort],
+      [`kromosynth-render-socket-server_${runId}`, portAllocation.services.geneRendering[0]]
+    ]);
+    assert.deepEqual(report.overlaps, [{
+      port: variationPort,
+      owners: [{ runId, service: 'geneVariation' }, { processName: 'unrelated_app' }]
+    }]);
+  } finally {
+    await manager.processRunner.delete('unrelated_app').catch(() => {});
+    await new Promise(resolve => server.close(resolve));
+    await manager.shutdown();
+  }
+});
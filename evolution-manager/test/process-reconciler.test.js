@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ulid } from 'ulid';
+import { createSandbox, waitFor, FAKE_SERVICE_SCRIPT } from './helpers.js';
+
+let sandbox;
+let manager;
+
+before(async () => {
+  sandbox = await createSandbox();
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  process.env.FAKE_CLI_INTERVAL_MS = '50';
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+});
+
+after(async () => {
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+// A process the manager did not start (a stand-in with the given name)
+async function startStrayProcess(name) {
+  await manager.processRunner.start({ name, script: FAKE_SERVICE_SCRIPT, env: { PORT: '0' } });
+}
+
+test('processes of lost runs are reported, adopted or killed', async () => {
+  const runId = await manager.startRun('fake-qd');
+  const lostServices = (await manager.processRunner.list()).map(proc => proc.name).filter(name => name.endsWith(`_${runId}`)).sort();
+  assert.ok(lostServices.length > 0);
+  manager.runs.delete(runId); // its record is lost
+
+  const unknownId = ulid();
+  await startStrayProcess(`kromosynth-evolution-${unknownId}`);
+  await startStrayProcess('unrelated_app');
+
+  let report = await manager.processReconciler.scan();
+  assert.deepEqual(report.unknownRuns.map(entry => [entry.runId, entry.adoptable, entry.templateName, entry.reason]), [
+    [runId, true, 'fake-qd', undefined],
+    [unknownId, false, null, 'working config is gone']
+  ]);
+  assert.deepEqual(report.orphanedServices.map(entry => [entry.processName, entry.reason]).sort(), lostServices.map(name => [name, 'unknown run']));
+  assert.deepEqual(report.strayProcesses, []);
+
+  const result = await manager.processReconciler.apply({ adopt: 'all', kill: [`kromosynth-evolution-${unknownId}`, lostServices[0], 'unrelated_app'] });
+  assert.deepEqual(result.adopted, [runId]);
+  assert.deepEqual(result.killed, [`kromosynth-evolution-${unknownId}`]);
+  assert.deepEqual(result.errors.map(error => error.target), [lostServices[0], 'unrelated_app']);
+  assert.match(result.errors[0].message, /which is running; stop the run instead/);
+  assert.match(result.errors[1].message, /^Invalid process name/);
+  assert.deepEqual([result.report.unknownRuns, result.report.orphanedServices], [[], []]);
+
+  // The adopted run is tracked like any other
+  const run = manager.runs.get(runId);
+  assert.equal(run.templateName, 'fake-qd');
+  assert.deepEqual(run.history.map(change => [change.from, change.to, change.cause]), [[null, 'running', 'adopt']]);
+  await waitFor(() => run.progress.generation > 0, { message: 'progress of the adopted run' });
+  await assert.rejects(manager.adoptRun(runId), /already tracked/);
+  await assert.rejects(manager.processReconciler.apply({ adopt: runId }), /Invalid reconcile action 'adopt'/);
+
+  // Once the run is paused, its leftovers can be killed
+  await manager.pauseRun(runId);
+  await startStrayProcess(`fake-service_${runId}`);
+  report = await manager.processReconciler.scan();
+  assert.deepEqual(report.orphanedServices.map(entry => [entry.processName, entry.reason]), [[`fake-service_${runId}`, 'run is paused']]);
+  assert.deepEqual((await manager.processReconciler.apply({ kill: 'all' })).killed, [`fake-service_${runId}`]);
+  await manager.stopRun(runId);
+  await manager.processRunner.delete('unrelated_app');
+});
+
+test('a restarted manager adopts evolution processes its state store lost', async () => {
+  const runId = await manager.startRun('fake-qd');
+  const { portAllocation } = manager.serviceDependencyManager.getServiceInfo(runId);
+  await manager.saveRunState();
+  await manager.stateStore.transaction(tx => tx.delete('runs', runId));
+
+  // A second manager on the same runner, as after a restart with PM2 keeping the processes
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const restarted = new EvolutionManager({ processRunner: manager.processRunner });
+  await restarted.ready;
+  try {
+    const run = restarted.runs.get(runId);
+    assert.equal(run?.status, 'running');
+    assert.equal(run.history[0].cause, 'adopt');
+    assert.equal(restarted.stateStore.get('runs', runId).adoptedAt, run.adoptedAt);
+
+    // Its services and ports are tracked again
+    const serviceInfo = restarted.serviceDependencyManager.getServiceInfo(runId);
+    assert.deepEqual(serviceInfo.services.map(service => service.status), ['started', 'started']);
+    assert.deepEqual(run.serviceInfo.portAllocation.services, portAllocation.services);
+    assert.equal(restarted.serviceDependencyManager.portManager.getPortAllocation(runId).rangeStart, portAllocation.rangeStart);
+  } finally {
+    await restarted.autoRunScheduler.shutdown();
+    await restarted.syncManager.shutdown();
+    await manager.stopRun(runId);
+  }
+});
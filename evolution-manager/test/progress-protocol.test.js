@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PROGRESS_PROTOCOL_VERSION,
+  parseProgressMessage,
+  parseProgressLine,
+  parseLegacyLogLine,
+  applyProgressMessage
+} from '../src/core/progress-protocol.js';
+
+const message = (event, data, version = PROGRESS_PROTOCOL_VERSION) =>
+  ({ protocol: 'kromosynth-progress', version, event, data });
+
+test('parses versioned messages and drops mistyped or unknown fields', () => {
+  const parsed = parseProgressMessage(message('generation', {
+    generation: 12, coverage: 0.25, qdScore: 'high', eliteCount: 30, extra: true
+  }));
+  assert.deepEqual(parsed, {
+    event: 'generation',
+    version: 1,
+    timestamp: null,
+    data: { generation: 12, coverage: 0.25, eliteCount: 30 }
+  });
+});
+
+test('rejects unsupported versions, unknown events and missing required fields', () => {
+  assert.match(parseProgressMessage(message('generation', { generation: 1 }, PROGRESS_PROTOCOL_VERSION + 1)).error, /Unsupported protocol version/);
+  assert.match(parseProgressMessage(message('generation', { generation: 1 }, '1')).error, /Invalid protocol version/);
+  assert.match(parseProgressMessage(message('elite-found', {})).error, /Unknown progress event/);
+  assert.match(parseProgressMessage(message('generation', { coverage: 0.1 })).error, /generation/);
+  assert.match(parseProgressMessage(message('terminated', {})).error, /reason/);
+});
+
+test('ignores values that are not progress messages', () => {
+  assert.equal(parseProgressMessage(null), null);
+  assert.equal(parseProgressMessage({ type: 'something-else' }), null);
+  assert.equal(parseProgressLine('generation 4 eliteCountAtGeneration: 3'), null);
+  assert.equal(parseProgressLine('{"kromosynth-progress": broken'), null);
+  assert.equal(parseProgressLine('{"type":"evolution-progress","note":"kromosynth-progress"}'), null);
+});
+
+test('parses JSON-lines protocol messages from stdout', () => {
+  const line = JSON.stringify(message('map-switch', { generation: 7, fromMap: 'a', toMap: 'b' }));
+  assert.deepEqual(parseProgressLine(`  ${line}  `).data, { generation: 7, fromMap: 'a', toMap: 'b' });
+});
+
+test('accepts the unversioned evolution-progress IPC message as version 0', () => {
+  const parsed = parseProgressMessage({ type: 'evolution-progress', progress: { generation: 3, bestFitness: 0.9 } });
+  assert.equal(parsed.version, 0);
+  assert.deepEqual(applyProgressMessage({ totalGenerations: 100 }, parsed), { totalGenerations: 100, generation: 3, bestFitness: 0.9 });
+});
+
+test('legacy log parsing covers the CLI and CMA-MAE line formats', () => {
+  assert.deepEqual(
+    parseLegacyLogLine('generation 42 eliteCountAtGeneration: 120 coverageSize 120 coveragePercentage 12.5 evo run ID: abc'),
+    { generation: 42, eliteCount: 120, coverage: 0.125 }
+  );
+  assert.deepEqual(parseLegacyLogLine('[CMA-MAE] Told 36 results - QD Score: 12.5, Coverage: 4.0%'), { qdScore: 12.5, coverage: 0.04 });
+  assert.deepEqual(parseLegacyLogLine('% completed: 55'), { completionPercent: 55 });
+  assert.equal(parseLegacyLogLine('Starting evolution'), null);
+});
+
+test('applies map switches, projection retraining and termination', () => {
+  let progress = { generation: 1, totalGenerations: 10 };
+  progress = applyProgressMessage(progress, parseProgressMessage(message('map-switch', { generation: 2, toMap: 'b' })));
+  progress = applyProgressMessage(progress, parseProgressMessage(message('map-switch', { generation: 3, fromMap: 'b', toMap: 'c' })));
+  progress = applyProgressMessage(progress, parseProgressMessage(message('projection-retrained', { generation: 4 })));
+  progress = applyProgressMessage(progress, parseProgressMessage(message('terminated', { generation: 5, reason: 'max-generations' })));
+
+  assert.equal(progress.generation, 5);
+  assert.equal(progress.totalGenerations, 10);
+  assert.equal(progress.mapSwitches, 2);
+  assert.equal(progress.currentMap, 'c');
+  assert.deepEqual({ ...progress.lastMapSwitch, at: undefined }, { generation: 3, fromMap: 'b', toMap: 'c', at: undefined });
+  assert.equal(progress.projectionRetrainings, 1);
+  assert.equal(progress.lastProjectionRetrain.generation, 4);
+  assert.equal(progress.terminationReason, 'max-generations');
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EvolutionManager } from '../src/core/evolution-manager.js';
+import { PrometheusExporter } from '../src/core/prometheus-exporter.js';
+
+const RUN_A = '01PROMRUNA0000000000000000';
+const RUN_B = '01PROMRUNB0000000000000000';
+const RUN_C = '01PROMRUNC0000000000000000';
+
+// Stand-in exposing just what the exporter reads from EvolutionManager
+function createManagerStub() {
+  const lastSync = new Date(Date.now() - 60000).toISOString();
+  return {
+    extractRunId: EvolutionManager.prototype.extractRunId,
+    processRunner: {
+      type: 'pm2',
+      list: async () => [
+        { name: `kromosynth-evolution-${RUN_A}`, status: 'online', cpu: 87.5, memory: 524288000 },
+        { name: `kromosynth-gRPC-variation_${RUN_A}`, status: 'online', cpu: 12, memory: 104857600 },
+        { name: 'some-other-app', status: 'online', cpu: 1, memory: 1 }
+      ]
+    },
+    runs: new Map([
+      [RUN_A, { id: RUN_A, templateName: 'qd "main"', ecosystemVariant: 'default', status: 'running',
+        progress: { generation: 42, totalGenerations: 100, coverage: 0.25, qdScore: 310.5, eliteCount: 120 } }],
+      [RUN_B, { id: RUN_B, templateName: 'other', status: 'terminated', progress: { generation: 100 } }]
+    ]),
+    runQueue: { getQueued: () => [{ id: 'queued-1' }] },
+    // Refreshes run statuses from the process list, which a scrape must not do
+    getAllRuns: async () => assert.fail('collect() must not call getAllRuns'),
+    autoRunScheduler: {
+      getStatus: () => ({ enabled: true, paused: false, activeTimeSlices: 1, consecutiveFailures: 2, maxConcurrentRuns: 1, enabledTemplatesCount: 3 })
+    },
+    syncManager: {
+      getStatus: () => ({
+        globalConfig: { enabled: true },
+        runs: [{
+          runId: RUN_A, active: true, consecutiveErrors: 0, lastDbSync: null, lastAnalysisSync: lastSync,
+          totalDbSyncs: 0, totalAnalysisSyncs: 4, totalErrors: 1, uploadErrors: 2, filesUploaded: 7, bytesUploaded: 4096
+        }, ...[RUN_B, RUN_C].map(runId => ({
+          runId, active: false, consecutiveErrors: 0, lastDbSync: lastSync, lastAnalysisSync: lastSync,
+          totalDbSyncs: 3, totalAnalysisSyncs: 5, totalErrors: 0, uploadErrors: 1, filesUploaded: 10, bytesUploaded: 1000
+        }))]
+      })
+    }
+  };
+}
+
+function sampleValue(text, name, labelFragment = '') {
+  const line = text.split('\n').find(l => l.startsWith(`${name}{`) && l.includes(labelFragment));
+  return line ? Number(line.slice(line.lastIndexOf(' ') + 1)) : undefined;
+}
+
+test('exports runs, processes, scheduler and sync state in Prometheus text format', async () => {
+  const exporter = new PrometheusExporter(createManagerStub(), { worker: 'worker-1' });
+  const text = await exporter.collect();
+
+  // Every sample line is "name{labels} value" and carries the worker label
+  for (const line of text.trim().split('\n').filter(l => !l.startsWith('#'))) {
+    assert.match(line, /^[a-z_]+\{worker="worker-1"(,[a-z_]+="(?:[^"\\]|\\.)*")*\} (-?[\d.e+-]+|NaN)$/, line);
+  }
+
+  assert.equal(sampleValue(text, 'kromosynth_runs', 'status="running"'), 1);
+  assert.equal(sampleValue(text, 'kromosynth_runs', 'status="terminated"'), 1);
+  assert.equal(sampleValue(text, 'kromosynth_runs', 'status="failed"'), 0);
+  assert.equal(sampleValue(text, 'kromosynth_runs', 'status="queued"'), 1);
+
+  assert.equal(sampleValue(text, 'kromosynth_run_generation', `run_id="${RUN_A}"`), 42);
+  assert.equal(sampleValue(text, 'kromosynth_run_coverage_ratio', `run_id="${RUN_A}"`), 0.25);
+  assert.equal(sampleValue(text, 'kromosynth_run_qd_score', `run_id="${RUN_A}"`), 310.5);
+  assert.ok(text.includes('template="qd \\"main\\""'), 'label values are escaped');
+  // Finished runs are not exported per run
+  assert.equal(sampleValue(text, 'kromosynth_run_generation', RUN_B), undefined);
+
+  assert.equal(sampleValue(text, 'kromosynth_process_cpu_percent', 'kind="evolution"'), 87.5);
+  assert.equal(sampleValue(text, 'kromosynth_process_memory_bytes', 'kind="service"'), 104857600);
+  assert.ok(!text.includes('some-other-app'));
+
+  assert.equal(sampleValue(text, 'kromosynth_scheduler_enabled'), 1);
+  assert.equal(sampleValue(text, 'kromosynth_scheduler_paused'), 0);
+  assert.equal(sampleValue(text, 'kromosynth_scheduler_active_time_slices'), 1);
+  assert.equal(sampleValue(text, 'kromosynth_scheduler_consecutive_failures'), 2);
+
+  const age = sampleValue(text, 'kromosynth_sync_last_analysis_sync_age_seconds', RUN_A);
+  assert.ok(age >= 60 && age < 120, `age ${age}`);
+  assert.equal(sampleValue(text, 'kromosynth_sync_last_db_sync_age_seconds', RUN_A), undefined);
+  assert.equal(sampleValue(text, 'kromosynth_sync_errors_total', 'kind="upload"'), 2);
+  assert.equal(sampleValue(text, 'kromosynth_sync_uploaded_bytes_total', RUN_A), 4096);
+  // Sync series of finished runs are summed into one series without run_id
+  assert.ok(!text.includes(RUN_B) && !text.includes(RUN_C));
+  assert.equal(sampleValue(text, 'kromosynth_sync_uploaded_bytes_total', '{worker="worker-1"}'), 2000);
+  assert.equal(sampleValue(text, 'kromosynth_sync_total', '{worker="worker-1",type="db"}'), 6);
+  assert.equal(sampleValue(text, 'kromosynth_sync_errors_total', '{worker="worker-1",kind="upload"}'), 2);
+  assert.match(text, /# TYPE kromosynth_sync_uploaded_bytes_total counter/);
+  assert.match(text, /# TYPE kromosynth_runs gauge/);
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import express from 'express';
+import { createSandbox } from './helpers.js';
+
+let sandbox;
+let manager;
+
+// The fake-qd services, with readiness probes
+async function writeEcosystem(templateName, variationReadiness, renderReadiness) {
+  const apps = [
+    { name: 'kromosynth-gRPC-variation', script: '{SCRIPT}', env: { PORT: 50051, FAKE_SERVICE_DELAY_MS: 600 }, readiness: variationReadiness },
+    { name: 'kromosynth-render-socket-server', script: '{SCRIPT}', env: { PORT: 60051 }, readiness: renderReadiness }
+  ];
+  await fs.writeFile(
+    path.join(sandbox.dir, 'templates', templateName, 'ecosystem_default.config.js'),
+    `export default ${JSON.stringify({ apps }).replaceAll('"{SCRIPT}"', 'process.env.FAKE_SERVICE_SCRIPT')};`
+  );
+}
+
+before(async () => {
+  sandbox = await createSandbox({ templates: ['fake-probed', 'fake-unready', 'fake-bad-probe'] });
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  process.env.FAKE_CLI_INTERVAL_MS = '50';
+  await writeEcosystem('fake-probed', { type: 'websocket', intervalMs: 100 }, { type: 'http', path: '/health', timeoutMs: 5000 });
+  await writeEcosystem('fake-unready', { type: 'tcp', intervalMs: 100 }, { type: 'http', timeoutMs: 2000, intervalMs: 100 });
+  await writeEcosystem('fake-bad-probe', { type: 'grpc' }, { type: 'http', path: 'health' });
+
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+});
+
+after(async () => {
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+test('a run starts once its services answer their probes, which GET /api/runs/:runId/services reports', async () => {
+  const app = express();
+  const { setupApiRoutes } = await import('../src/api/routes.js');
+  setupApiRoutes(app, manager, { emit() {} });
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+
+  try {
+    const runId = await manager.startRun('fake-probed');
+    const { portAllocation } = manager.serviceDependencyManager.getServiceInfo(runId);
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/runs/${runId}/services`);
+    assert.equal(response.status, 200);
+    const [variation, render] = (await response.json()).serviceInfo.services.map(service => service.readiness);
+    assert.deepEqual([variation.type, variation.target, variation.timeoutMs, variation.ready, variation.error],
+      ['websocket', `ws://127.0.0.1:${portAllocation.services.geneVariation[0]}/`, 30000, true, null]);
+    // The service binds its port 600ms after its process comes up
+    assert.ok(variation.attempts > 1);
+    assert.ok(variation.elapsedMs >= 500);
+    assert.deepEqual([render.type, render.target, render.timeoutMs, render.ready],
+      ['http', `http://127.0.0.1:${portAllocation.services.geneRendering[0]}/health`, 5000, true]);
+    // The run keeps them, and persists them with its state
+    assert.deepEqual(manager.runs.get(runId).serviceInfo.services.map(service => service.readiness), [variation, render]);
+
+    await manager.stopRun(runId);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('services that never become ready fail the start, and bad probes fail validation', async () => {
+  const error = await manager.startRun('fake-unready').then(() => assert.fail('the start should fail'), error => error);
+  assert.match(error.message,
+    /did not become ready: kromosynth-render-socket-server_\w+ \(not ready within 2000ms: GET answered with 426\)$/);
+  const leftovers = (await manager.processRunner.list()).filter(proc => proc.status === 'online');
+  assert.deepEqual(leftovers, []);
+
+  // The probe results of the failed start are still reported
+  const [, runId] = /Services for run (\w+) did not become ready/.exec(error.message);
+  const app = express();
+  const { setupApiRoutes } = await import('../src/api/routes.js');
+  setupApiRoutes(app, manager, { emit() {} });
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/runs/${runId}/services`);
+    assert.equal(response.status, 200);
+    const { serviceInfo } = await response.json();
+    assert.equal(serviceInfo.error, error.message);
+    assert.deepEqual(serviceInfo.services.map(service => [service.status, service.readiness.ready, service.readiness.error]), [
+      ['stopped', true, null],
+      ['stopped', false, 'not ready within 2000ms: GET answered with 426']
+    ]);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  const validation = await manager.validateTemplate('fake-bad-probe');
+  assert.deepEqual(validation.errors.map(error => [error.path, error.message]), [
+    ['apps[0].readiness', 'type must be one of tcp, websocket, http'],
+    ['apps[1].readiness', 'path must start with /']
+  ]);
+  await assert.rejects(manager.startRun('fake-bad-probe'), /^Error: Invalid template 'fake-bad-probe'/);
+});
@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { execFileSync } from 'child_process';
+import { createSandbox, waitFor } from './helpers.js';
+
+let sandbox;
+let manager;
+
+before(async () => {
+  sandbox = await createSandbox();
+  process.env.FAKE_CLI_GENERATIONS = '3';
+  process.env.FAKE_CLI_INTERVAL_MS = '20';
+  process.env.FAKE_CLI_EXIT_CODES = '0';
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+});
+
+after(async () => {
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+async function runToEnd() {
+  const runId = await manager.startRun('fake-qd');
+  const run = manager.runs.get(runId);
+  await waitFor(() => run.status === 'terminated', { message: `run ${runId} to terminate` });
+  const { evorunPath } = await manager.configManager.readWorkingConfigs(run.configPath);
+  return { runId, run, evorunPath };
+}
+
+test('ended runs are archived with a manifest and reported in disk usage', async () => {
+  const { runId, run, evorunPath } = await runToEnd();
+  const retention = manager.retentionManager;
+
+  const usage = await retention.getDiskUsage();
+  const runUsage = usage.runs.find(entry => entry.runId === runId);
+  assert.ok(runUsage.bytes.working > 0 && runUsage.bytes.logs > 0 && runUsage.bytes.evorun > 0, JSON.stringify(runUsage));
+  assert.equal(runUsage.bytes.archive, 0);
+  assert.equal(usage.templates.find(entry => entry.templateName === 'fake-qd').runs, 1);
+
+  const archive = await retention.archiveRun(runId);
+  assert.equal(archive.path, path.join(sandbox.dir, 'working', 'archives', `${runId}.tar.gz`));
+  assert.deepEqual(run.archive, archive);
+  assert.equal(await fs.pathExists(path.join(sandbox.dir, 'working', runId)), false);
+  assert.equal(await fs.pathExists(evorunPath), false);
+  assert.deepEqual((await fs.readdir(path.join(sandbox.dir, 'logs'))).filter(file => file.startsWith(runId)), []);
+
+  const entries = execFileSync('tar', ['-tzf', archive.path], { encoding: 'utf8' }).split('\n');
+  assert.ok(entries.includes('manifest.json'));
+  assert.ok(entries.includes(`${runId}.out.log`));
+  assert.ok(entries.some(entry => entry === `${path.basename(evorunPath)}/genomes.sqlite`));
+  const manifest = JSON.parse(execFileSync('tar', ['-xzOf', archive.path, 'manifest.json'], { encoding: 'utf8' }));
+  assert.equal(manifest.runId, runId);
+  assert.equal(manifest.contents.evorun, `${path.basename(evorunPath)}/`);
+  assert.ok(manifest.files.some(file => file.path === `${runId}/metrics.jsonl` && file.bytes > 0));
+
+  assert.equal((await retention.getDiskUsage()).runs.find(entry => entry.runId === runId).bytes.archive, archive.bytes);
+  await assert.rejects(retention.archiveRun(runId), /already archived/);
+  await assert.rejects(manager.resumeRun(runId), /is archived/);
+
+  // The archive survives a restart with the run record
+  await manager.saveRunState();
+  assert.deepEqual(manager.stateStore.get('runs', runId).archive, archive);
+});
+
+test('running, starting and unsynced runs are protected; purging removes everything', async () => {
+  const retention = manager.retentionManager;
+
+  process.env.FAKE_CLI_GENERATIONS = '100';
+  try {
+    const runningId = await manager.startRun('fake-qd');
+    await assert.rejects(retention.archiveRun(runningId), /cannot be archived or deleted: run is running/);
+    await assert.rejects(retention.purgeRun(runningId, { force: true }), /run is running/);
+    await manager.stopRun(runningId);
+
+    // Still stopped while its services start again
+    const resuming = manager.resumeRun(runningId);
+    assert.equal(manager.runs.get(runningId).status, 'stopped');
+    await assert.rejects(retention.purgeRun(runningId, { force: true }), /cannot be archived or deleted: run is being started/);
+    await resuming;
+    await manager.stopRun(runningId);
+    await retention.purgeRun(runningId);
+  } finally {
+    process.env.FAKE_CLI_GENERATIONS = '3';
+  }
+
+  const { runId, evorunPath } = await runToEnd();
+  // Registered for sync, last synced before the run ended
+  manager.syncManager.syncState[runId] = { lastDbSync: '2020-01-01T00:00:00.000Z', lastAnalysisSync: null };
+  assert.equal(retention.protectionReason(manager.runs.get(runId)), 'run data is not yet synced');
+  await assert.rejects(retention.purgeRun(runId), /not yet synced/);
+
+  const result = await retention.applyRules({ dryRun: true });
+  assert.deepEqual(result.skipped, [{ runId, reason: 'run data is not yet synced' }]);
+
+  const freed = await retention.purgeRun(runId, { force: true });
+  assert.ok(freed.total > 0);
+  assert.equal(manager.runs.has(runId), false);
+  assert.equal(manager.syncManager.syncState[runId], undefined);
+  assert.equal(await fs.pathExists(evorunPath), false);
+  assert.equal(await fs.pathExists(path.join(sandbox.dir, 'working', runId)), false);
+  await assert.rejects(retention.purgeRun(runId), /not found/);
+});
+
+test('retention rules archive and purge by age, keeping the newest runs per template', async () => {
+  const retention = manager.retentionManager;
+  await assert.rejects(retention.updateConfig({ archiveAfterDays: -1 }), /^Error: Invalid retention config/);
+  await assert.rejects(retention.updateConfig({ keepForever: true }), /unknown setting 'keepForever'/);
+
+  const older = await runToEnd();
+  const newer = await runToEnd();
+  const archived = Array.from(manager.runs.values()).find(run => run.archive);
+  archived.terminatedAt = new Date(Date.now() - 100 * 24 * 60 * 60 * 1000).toISOString();
+
+  await retention.updateConfig({ archiveAfterDays: 0, purgeAfterDays: 30, keepLatestPerTemplate: 1 });
+  const dryRun = await retention.applyRules({ dryRun: true });
+  assert.deepEqual(dryRun.purged, [archived.id]);
+  assert.deepEqual(dryRun.archived, [older.runId]);
+  assert.equal(manager.runs.has(archived.id), true);
+
+  const applied = await retention.applyRules();
+  assert.deepEqual([applied.purged, applied.archived, applied.errors], [[archived.id], [older.runId], []]);
+  assert.equal(manager.runs.has(archived.id), false);
+  assert.ok(older.run.archive);
+  assert.equal(newer.run.archive, undefined);
+
+  assert.deepEqual((await fs.readJson(path.join(sandbox.dir, 'working', 'retention-config.json'))).keepLatestPerTemplate, 1);
+});
@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { execFileSync } from 'child_process';
+import { createSandbox, waitFor } from './helpers.js';
+
+let sandbox;
+let manager;
+
+const COMMIT_EVERY_GENERATION = { 'evolutionRunConfig.commitEliteMapToGitEveryNIterations': 1 };
+
+before(async () => {
+  sandbox = await createSandbox();
+  process.env.FAKE_CLI_GENERATIONS = '4';
+  process.env.FAKE_CLI_INTERVAL_MS = '20';
+  process.env.FAKE_CLI_EXIT_CODES = '0';
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+});
+
+after(async () => {
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+async function runToEnd(start) {
+  const runId = await start();
+  const run = manager.runs.get(runId);
+  await waitFor(() => run.status === 'terminated', { message: `run ${runId} to terminate` });
+  return { runId, run, ...await manager.configManager.readWorkingConfigs(run.configPath) };
+}
+
+const readEliteMap = (evorunPath, iterationId) => fs.readJson(path.join(evorunPath, `elites_${iterationId}.json`));
+const gitLog = evorunPath => execFileSync('git', ['-C', evorunPath, 'log', '--reverse', '--format=%s'], { encoding: 'utf8' }).trim().split('\n');
+
+test('a run forks at a committed generation into a new evorun, with overrides and lineage', async () => {
+  const parent = await runToEnd(() => manager.startRun('fake-qd', { overrides: COMMIT_EVERY_GENERATION }));
+  assert.equal((await readEliteMap(parent.evorunPath, parent.iterationId)).generationNumber, 4);
+
+  const fork = await runToEnd(() => manager.forkRun(parent.runId, {
+    generation: 2,
+    overrides: { 'evolutionRunConfig.classifiers[0].classConfigurations[0].qualityEvaluationEndpoint': '/other-quality' }
+  }));
+
+  // The parent's working configs, with the override on top
+  assert.equal(fork.evolutionRunConfig.commitEliteMapToGitEveryNIterations, 1);
+  assert.equal(fork.evolutionRunConfig.classifiers[0].classConfigurations[0].qualityEvaluationEndpoint, '/other-quality');
+  assert.notEqual(fork.evorunPath, parent.evorunPath);
+
+  // Continued from generation 2, under its own iteration ID
+  const eliteMap = await readEliteMap(fork.evorunPath, fork.iterationId);
+  assert.deepEqual([eliteMap._id, eliteMap.generationNumber], [`elites_${fork.iterationId}`, 6]);
+  assert.equal(await fs.pathExists(path.join(fork.evorunPath, `elites_${parent.iterationId}.json`)), false);
+  assert.ok(await fs.pathExists(path.join(fork.evorunPath, 'genomes.sqlite')));
+  assert.deepEqual(gitLog(fork.evorunPath), [
+    'Iteration 1', 'Iteration 2', `Fork of ${parent.iterationId} at generation 2`, 'Iteration 3', 'Iteration 4', 'Iteration 5', 'Iteration 6'
+  ]);
+  assert.equal((await readEliteMap(parent.evorunPath, parent.iterationId)).generationNumber, 4);
+
+  const { lineage, templateVersion, configDiff } = await manager.getRun(fork.runId);
+  assert.deepEqual(lineage, {
+    parentRunId: parent.runId,
+    forkedFrom: { runId: parent.runId, iterationId: parent.iterationId, generation: 2, commit: lineage.forkedFrom.commit },
+    ancestors: [parent.runId],
+    children: []
+  });
+  assert.match(lineage.forkedFrom.commit, /^[0-9a-f]{40}$/);
+  assert.deepEqual((await manager.getRun(parent.runId)).lineage.children, [fork.runId]);
+  assert.equal(templateVersion, parent.run.templateVersion);
+  assert.ok(configDiff.some(change => change.path === 'evolutionRunConfig.classifiers[0].classConfigurations[0].qualityEvaluationEndpoint'));
+
+  // A fork of the fork, at its current state
+  const grandchild = await runToEnd(() => manager.forkRun(fork.runId));
+  assert.equal((await readEliteMap(grandchild.evorunPath, grandchild.iterationId)).generationNumber, 10);
+  assert.deepEqual((await manager.getRun(grandchild.runId)).lineage.ancestors, [fork.runId, parent.runId]);
+  assert.equal(grandchild.run.forkedFrom.generation, 6);
+});
+
+test('forks need a stopped parent and a committed generation', async () => {
+  const uncommitted = await runToEnd(() => manager.startRun('fake-qd'));
+  await assert.rejects(manager.forkRun(uncommitted.runId, { generation: 1 }), /^Error: Invalid fork generation 1: the run has no committed elite maps/);
+  await assert.rejects(manager.forkRun(uncommitted.runId, { generation: -1 }), /Invalid fork generation -1/);
+  await assert.rejects(manager.forkRun('nope'), /not found/);
+
+  const committed = await runToEnd(() => manager.startRun('fake-qd', { overrides: COMMIT_EVERY_GENERATION }));
+  await assert.rejects(manager.forkRun(committed.runId, { generation: 9 }), /no elite map was committed at that generation \(committed: 1 to 4\)/);
+
+  process.env.FAKE_CLI_GENERATIONS = '100';
+  try {
+    const runningId = await manager.startRun('fake-qd');
+    await assert.rejects(manager.forkRun(runningId), /is running; pause or stop it before forking/);
+    await manager.stopRun(runningId);
+
+    // Still stopped while it is being resumed
+    const resuming = manager.resumeRun(runningId);
+    await assert.rejects(manager.forkRun(runningId), /is being started; pause or stop it before forking/);
+    await resuming;
+
+    // A paused parent is not resumed, by hand or by the scheduler, while its evorun is copied
+    await waitFor(() => manager.runs.get(runningId).progress.generation > 0, { message: 'the parent to progress' });
+    await manager.pauseRun(runningId);
+    Object.assign(manager.runs.get(runningId), { autoScheduled: true, pausedByScheduler: true });
+    const forking = manager.forkRun(runningId);
+    await assert.rejects(manager.resumeRun(runningId), /is being forked; resume it once its evorun is copied/);
+    assert.equal(await manager.autoRunScheduler.findPausedRun('fake-qd', 'default'), undefined);
+    const forkId = await forking;
+    assert.equal(manager.forkingRuns.has(runningId), false);
+    assert.equal((await manager.autoRunScheduler.findPausedRun('fake-qd', 'default')).id, runningId);
+    await manager.stopRun(forkId);
+    await manager.stopRun(runningId);
+  } finally {
+    process.env.FAKE_CLI_GENERATIONS = '4';
+  }
+
+  // Nothing was started for the refused forks
+  assert.equal(Array.from(manager.runs.values()).filter(run => run.parentRunId).length, 3);
+});
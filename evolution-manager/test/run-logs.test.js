@@ -0,0 +1,166 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { execFileSync } from 'child_process';
+import { createSandbox, waitFor } from './helpers.js';
+import { RunLogs } from '../src/core/run-logs.js';
+
+let sandbox;
+
+before(async () => {
+  sandbox = await createSandbox();
+});
+
+after(async () => {
+  await sandbox.cleanup();
+});
+
+const RUN_ID = '01HZZZZZZZZZZZZZZZZZZZZZZZ';
+const line = n => `2025-01-01T00:00:${String(n).padStart(2, '0')}.000Z: line ${n}`;
+const offsetOf = n => Array.from({ length: n }, (_, i) => line(i).length + 1).reduce((sum, bytes) => sum + bytes, 0);
+
+async function appendLines(logs, from, to) {
+  const text = Array.from({ length: to - from + 1 }, (_, i) => line(from + i) + '\n').join('');
+  await fs.appendFile(logs.logPath(RUN_ID, 'out'), text);
+}
+
+test('logs rotate past their size cap and pages follow cursors across segments', async () => {
+  const logs = new RunLogs({ logsDir: path.join(sandbox.dir, 'logs', 'paging'), maxBytes: 200, maxFiles: 2 });
+  await fs.ensureDir(logs.logsDir);
+
+  await appendLines(logs, 0, 9);
+  assert.deepEqual(await logs.rotate(RUN_ID), ['out']);
+  await appendLines(logs, 10, 14);
+
+  const segments = await logs.segments(RUN_ID, 'out');
+  assert.deepEqual(segments.map(segment => [path.basename(segment.path), segment.start]), [
+    [`${RUN_ID}.out.log.0`, 0],
+    [`${RUN_ID}.out.log`, offsetOf(10)]
+  ]);
+
+  const tail = await logs.read(RUN_ID, 'out', { limit: 7 });
+  assert.deepEqual(tail.lines, Array.from({ length: 7 }, (_, i) => line(8 + i)));
+  assert.deepEqual([tail.cursor, tail.nextCursor, tail.end], [offsetOf(8), offsetOf(15), offsetOf(15)]);
+
+  const page = await logs.read(RUN_ID, 'out', { cursor: 0, limit: 4 });
+  assert.deepEqual(page.lines, [line(0), line(1), line(2), line(3)]);
+  const earlier = await logs.read(RUN_ID, 'out', { before: tail.cursor, limit: 2 });
+  assert.deepEqual(earlier.lines, [line(6), line(7)]);
+
+  // A partial line is held back until its newline arrives
+  await fs.appendFile(logs.logPath(RUN_ID, 'out'), 'partial');
+  assert.deepEqual((await logs.read(RUN_ID, 'out', { cursor: tail.nextCursor })).lines, []);
+
+  // Two more rotations drop the first segment; cursors into it move to the oldest data kept
+  await fs.appendFile(logs.logPath(RUN_ID, 'out'), '\n');
+  await appendLines(logs, 15, 20);
+  await logs.rotate(RUN_ID);
+  await appendLines(logs, 21, 30);
+  await logs.rotate(RUN_ID);
+  assert.equal((await logs.segments(RUN_ID, 'out')).length, 3);
+  const resumed = await logs.read(RUN_ID, 'out', { cursor: 0, limit: 1 });
+  assert.equal(resumed.truncated, true);
+  assert.deepEqual(resumed.lines, [line(10)]);
+  assert.deepEqual((await logs.read(RUN_ID, 'out', { cursor: offsetOf(24) + 'partial\n'.length, limit: 1 })).lines, [line(24)]);
+
+  await assert.rejects(logs.read(RUN_ID, 'trace'), /^Error: Invalid log type 'trace'/);
+  await assert.rejects(logs.read(RUN_ID, 'out', { cursor: 'abc' }), /Invalid log cursor/);
+});
+
+test('logs are searched by pattern and time range, and followed from a cursor', async () => {
+  const logs = new RunLogs({ logsDir: path.join(sandbox.dir, 'logs', 'search'), maxBytes: 300, followIntervalMs: 20 });
+  await fs.ensureDir(logs.logsDir);
+  await appendLines(logs, 0, 9);
+  await logs.rotate(RUN_ID);
+  await appendLines(logs, 10, 19);
+
+  const found = await logs.search(RUN_ID, 'out', { pattern: 'LINE 1\\d', flags: 'i', limit: 3 });
+  assert.deepEqual(found.matches.map(match => match.line), [line(10), line(11), line(12)]);
+  assert.equal(found.complete, false);
+  const rest = await logs.search(RUN_ID, 'out', { pattern: 'line 1\\d', cursor: found.nextCursor });
+  assert.equal(rest.matches.length, 7);
+  assert.equal(rest.complete, true);
+
+  const range = await logs.search(RUN_ID, 'out', { from: '2025-01-01T00:00:08Z', to: Date.parse('2025-01-01T00:00:11Z') });
+  assert.deepEqual(range.matches.map(match => [match.line, match.time]), [8, 9, 10, 11].map(n => [line(n), `2025-01-01T00:00:${String(n).padStart(2, '0')}.000Z`]));
+  await assert.rejects(logs.search(RUN_ID, 'out', { pattern: '(' }), /Invalid log pattern/);
+
+  const pages = [];
+  const stop = logs.follow(RUN_ID, 'out', found.matches[2].offset, page => pages.push(page));
+  await waitFor(() => pages.length === 1, { message: 'the backlog page' });
+  await appendLines(logs, 20, 21);
+  await waitFor(() => pages.length === 2, { message: 'the appended lines' });
+  stop();
+  assert.deepEqual(pages.flatMap(page => page.lines), Array.from({ length: 10 }, (_, i) => line(12 + i)));
+  assert.equal(pages[1].cursor, pages[0].nextCursor);
+
+  // A pattern that backtracks catastrophically is cut off without blocking the event loop
+  await fs.appendFile(logs.logPath(RUN_ID, 'out'), `${'a'.repeat(40)}!\n`);
+  logs.searchTimeoutMs = 300;
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 20);
+  await assert.rejects(logs.search(RUN_ID, 'out', { pattern: '(a+)+$' }), /^Error: Invalid log pattern: the search took longer than 300ms/);
+  clearInterval(ticker);
+  assert.ok(ticks >= 5);
+});
+
+// A connected client of setupWebSocket: call(event, payload) runs its handler, sent holds the replies
+async function connectSocket(manager) {
+  const { setupWebSocket } = await import('../src/websocket/socket-handler.js');
+  let onConnection;
+  const io = { use() {}, emit() {}, to: () => io, on: (event, handler) => { onConnection = handler; } };
+  setupWebSocket(io, manager);
+
+  const handlers = new Map();
+  const socket = {
+    id: 'test-socket',
+    data: {},
+    sent: [],
+    join() {},
+    leave() {},
+    on: (event, handler) => handlers.set(event, handler),
+    emit: (name, payload) => socket.sent.push({ name, payload }),
+    call: (event, payload) => handlers.get(event)(payload)
+  };
+  onConnection(socket);
+  return socket;
+}
+
+test('a run\'s logs are paged through the manager and downloaded as a tarball', async () => {
+  process.env.FAKE_CLI_GENERATIONS = '3';
+  process.env.FAKE_CLI_INTERVAL_MS = '20';
+  process.env.FAKE_CLI_EXIT_CODES = '0';
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+  try {
+    const runId = await manager.startRun('fake-qd');
+    const run = manager.runs.get(runId);
+    await waitFor(() => run.status === 'terminated', { message: 'the run to terminate' });
+
+    const page = await manager.getRunLogs(runId, 'combined', { cursor: 0 });
+    assert.ok(page.lines.length > 0);
+    assert.match(page.lines[0], /^\d{4}-\d{2}-\d{2}T[\d:.]+Z: /);
+    await assert.rejects(manager.getRunLogs('nope', 'combined'), /not found/);
+
+    const stream = await manager.runLogs.archiveStream(runId);
+    const archivePath = path.join(sandbox.dir, 'logs.tar.gz');
+    await new Promise((resolve, reject) => stream.pipe(fs.createWriteStream(archivePath)).on('finish', resolve).on('error', reject));
+    const entries = execFileSync('tar', ['-tzf', archivePath], { encoding: 'utf8' }).trim().split('\n');
+    assert.ok(entries.includes(`${runId}.combined.log`), entries.join(', '));
+
+    // Over Socket.IO, only logs of known runs are read, and a missing payload is an error reply
+    const socket = await connectSocket(manager);
+    await socket.call('get-run-logs', { runId });
+    assert.ok(socket.sent.pop().payload.logs.combined.length > 0);
+    for (const [event, payload] of [['get-run-logs', { runId: '../../etc/passwd' }], ['get-run-logs', undefined], ['tail-run-logs', undefined]]) {
+      await socket.call(event, payload);
+      const { name, payload: reply } = socket.sent.pop();
+      assert.equal(name, 'error');
+      assert.match(reply.error, /^Run .* not found$/);
+    }
+  } finally {
+    await manager.shutdown();
+  }
+});
@@ -0,0 +1,192 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import express from 'express';
+import { createSandbox, waitFor } from './helpers.js';
+
+let sandbox;
+let RunQueue;
+
+before(async () => {
+  sandbox = await createSandbox();
+  ({ RunQueue } = await import('../src/core/run-queue.js'));
+});
+
+after(async () => {
+  await sandbox.cleanup();
+});
+
+function request(id, fields = {}) {
+  return { id, templateName: 'fake-qd', ecosystemVariant: 'default', options: {}, priority: 1, dependsOn: [], batchId: null, ...fields };
+}
+
+test('entries are ordered by priority, then FIFO, and survive a reload', async () => {
+  const queuePath = path.join(sandbox.dir, 'working', 'order-queue.json');
+  const queue = new RunQueue({ queuePath });
+  await queue.add([request('a'), request('b', { priority: 0 }), request('c')]);
+  await queue.add([request('d', { priority: 0 })]);
+
+  assert.deepEqual(queue.getQueued().map(entry => entry.id), ['b', 'd', 'a', 'c']);
+  assert.equal((await queue.nextReady(() => null)).id, 'b');
+
+  await queue.cancel('d');
+  await assert.rejects(queue.cancel('d'), /is not queued/);
+
+  const reloaded = new RunQueue({ queuePath });
+  await reloaded.load();
+  assert.deepEqual(reloaded.getQueued().map(entry => entry.id), ['b', 'a', 'c']);
+  await reloaded.add([request('e', { priority: 0 })]);
+  assert.deepEqual(reloaded.getQueued().map(entry => entry.id), ['b', 'e', 'a', 'c']);
+});
+
+test('dependencies hold entries back and failed dependencies cancel their dependents', async () => {
+  const queue = new RunQueue({ queuePath: path.join(sandbox.dir, 'working', 'dependency-queue.json') });
+  await queue.add([
+    request('b', { dependsOn: ['a'] }),
+    request('c', { dependsOn: ['b'] }),
+    request('d')
+  ]);
+  const statuses = { a: 'running' };
+  const getStatus = id => statuses[id] ?? queue.get(id)?.status ?? null;
+
+  assert.equal((await queue.nextReady(getStatus)).id, 'd');
+  await queue.markStarted('d');
+  assert.equal(await queue.nextReady(getStatus), null);
+
+  statuses.a = 'terminated';
+  assert.equal((await queue.nextReady(getStatus)).id, 'b');
+
+  statuses.a = 'failed';
+  assert.equal(await queue.nextReady(getStatus), null);
+  assert.equal(queue.get('b').status, 'cancelled');
+  assert.equal(queue.get('b').error, 'Dependency a failed');
+  assert.equal(queue.get('c').status, 'cancelled');
+  assert.equal(queue.get('c').error, 'Dependency b cancelled');
+
+  // A dependency stopped by hand will never terminate
+  await queue.add([request('f', { dependsOn: ['e'] })]);
+  statuses.e = 'running';
+  assert.equal(await queue.nextReady(getStatus), null);
+  statuses.e = 'stopped';
+  assert.equal(await queue.nextReady(getStatus), null);
+  assert.equal(queue.get('f').status, 'cancelled');
+  assert.equal(queue.get('f').error, 'Dependency e stopped');
+});
+
+test('the scheduler starts queued runs as slots free up, respecting dependencies', async () => {
+  process.env.FAKE_CLI_GENERATIONS = '3';
+  process.env.FAKE_CLI_INTERVAL_MS = '20';
+  process.env.FAKE_CLI_EXIT_CODES = '0';
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+  const scheduler = manager.autoRunScheduler;
+
+  try {
+    await assert.rejects(manager.enqueueRuns([{ templateName: 'missing' }]), /not found/);
+    await assert.rejects(manager.enqueueRuns([{ templateName: 'fake-qd', dependsOn: [0] }]), /earlier run/);
+    await assert.rejects(manager.enqueueRuns([{ templateName: 'fake-qd', dependsOn: ['nope'] }]), /unknown dependency/);
+
+    // Nothing starts while the scheduler is paused; queued runs are listed with their position
+    scheduler.pause('test');
+    const [first, second] = await manager.enqueueRuns([
+      { templateName: 'fake-qd', options: { tag: 'first' } },
+      { templateName: 'fake-qd', options: { tag: 'second' }, dependsOn: [0] }
+    ], { batch: true });
+    assert.equal(first.batchId, second.batchId);
+    assert.deepEqual(second.dependsOn, [first.id]);
+
+    const listed = await manager.getAllRuns();
+    assert.deepEqual(listed.map(run => [run.id, run.status, run.queuePosition]), [
+      [first.id, 'queued', 0],
+      [second.id, 'queued', 1]
+    ]);
+    assert.equal((await manager.getRun(second.id)).status, 'queued');
+
+    // Queued runs start with auto-run disabled too; two free slots, but the
+    // second run waits for the first to terminate
+    await scheduler.setMaxConcurrentRuns(2);
+    assert.equal(scheduler.getStatus().enabled, false);
+    await scheduler.resumeScheduling();
+    const firstRun = await waitFor(() => manager.runs.get(first.id), { message: 'first queued run to start' });
+    assert.equal(firstRun.autoScheduled, true);
+    assert.equal(firstRun.options.tag, 'first');
+    assert.equal(manager.runs.has(second.id), false);
+
+    await waitFor(() => firstRun.status === 'terminated', { message: 'first run to terminate' });
+    const secondRun = await waitFor(() => manager.runs.get(second.id), { message: 'dependent run to start' });
+    await waitFor(() => secondRun.status === 'terminated', { message: 'dependent run to terminate' });
+
+    assert.deepEqual(manager.runQueue.list().map(entry => entry.status), ['started', 'started']);
+    assert.equal(scheduler.getStatus().queuedRuns, 0);
+  } finally {
+    await manager.shutdown();
+  }
+});
+
+test('free slots alternate between the queue and the template rotation', async () => {
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+  const scheduler = manager.autoRunScheduler;
+
+  // A queue and a rotation that always have something to start
+  const started = [];
+  manager.runQueue.nextReady = async () => ({ id: 'queued' });
+  scheduler.selectNextTemplate = () => ({ templateName: 'fake-qd' });
+  scheduler.startQueuedRun = async () => started.push('queue');
+  scheduler.resumeOrStartRun = async () => started.push('rotation');
+  scheduler.getActiveScheduledRuns = async () => [];
+
+  try {
+    await scheduler.enable();
+    started.length = 0;
+    for (let i = 0; i < 4; i++) await scheduler.scheduleNextRun();
+    assert.deepEqual(started, ['queue', 'rotation', 'queue', 'rotation']);
+
+    // Without the rotation, every slot goes to the queue
+    await scheduler.disable();
+    started.length = 0;
+    for (let i = 0; i < 2; i++) await scheduler.scheduleNextRun();
+    assert.deepEqual(started, ['queue', 'queue']);
+  } finally {
+    await manager.shutdown();
+  }
+});
+
+test('POST /api/runs queues runs with their overrides', async () => {
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const { setupApiRoutes } = await import('../src/api/routes.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+  manager.autoRunScheduler.pause('test');
+  const app = express();
+  app.use(express.json());
+  setupApiRoutes(app, manager, { emit() {} });
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const post = body => fetch(`http://127.0.0.1:${server.address().port}/api/runs`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+  });
+
+  try {
+    const queued = await post({
+      templateName: 'fake-qd', queue: true,
+      options: { overrides: { 'evolutionRunConfig.batchSize': 5 } },
+      overrides: { 'hyperparameters.waveNetwork.neatParameters.pMutateAddNode': 0.3 }
+    });
+    assert.equal(queued.status, 202);
+    const { runId } = await queued.json();
+    assert.deepEqual(manager.runQueue.get(runId).options.overrides, {
+      'evolutionRunConfig.batchSize': 5,
+      'hyperparameters.waveNetwork.neatParameters.pMutateAddNode': 0.3
+    });
+
+    const invalid = await post({ templateName: 'fake-qd', queue: true, overrides: { 'evolutionRunConfig.batchSize': '5' } });
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).message, /Invalid override 'evolutionRunConfig.batchSize'/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await manager.shutdown();
+  }
+});
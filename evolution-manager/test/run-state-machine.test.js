@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSandbox, waitFor } from './helpers.js';
+import { canTransition, transitionRun } from '../src/core/run-state-machine.js';
+
+let sandbox;
+
+before(async () => {
+  sandbox = await createSandbox();
+});
+
+after(async () => {
+  await sandbox.cleanup();
+});
+
+test('transitions outside the table are refused and allowed ones recorded', () => {
+  assert.equal(canTransition(null, 'running', 'start'), true);
+  assert.equal(canTransition(null, 'paused', 'start'), false);
+  assert.equal(canTransition('recovering', 'running', 'auto-resume'), true);
+  assert.equal(canTransition('recovering', 'running', 'resume'), false);
+  assert.equal(canTransition('recovering', 'running', 'restore'), true);
+  assert.equal(canTransition('recovering', 'paused', 'pause'), false);
+  assert.equal(canTransition('terminated', 'stopped', 'stop'), false);
+  assert.equal(canTransition('paused', 'recovering', 'crash'), false);
+
+  const run = { id: 'r1', status: null };
+  transitionRun(run, 'running', 'start');
+  assert.equal(transitionRun(run, 'running', 'process-status'), null);
+  const entry = transitionRun(run, 'recovering', 'crash', { exitCode: 1 });
+  assert.deepEqual([entry.from, entry.to, entry.cause, entry.details], ['running', 'recovering', 'crash', { exitCode: 1 }]);
+  assert.throws(() => transitionRun(run, 'paused', 'pause'), /Illegal run transition for r1: recovering → paused \(pause\)/);
+  assert.equal(run.status, 'recovering');
+  assert.deepEqual(run.history.map(change => change.to), ['running', 'recovering']);
+});
+
+test('a recovering run is not resumed by hand, and every change lands in its history', async () => {
+  process.env.FAKE_CLI_GENERATIONS = '3';
+  process.env.FAKE_CLI_INTERVAL_MS = '20';
+  process.env.FAKE_CLI_EXIT_CODES = '1,0';
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process', autoResumeBaseDelayMs: 60000 });
+  await manager.ready;
+  const statusChanges = [];
+  manager.setSocketHandler({ emit() {}, emitRunStatusChange: (runId, status, { cause }) => statusChanges.push([status, cause]) });
+
+  try {
+    const runId = await manager.startRun('fake-qd');
+    const run = manager.runs.get(runId);
+    await waitFor(() => run.status === 'recovering', { message: 'the crashed run to recover' });
+
+    await assert.rejects(manager.resumeRun(runId), /Illegal run transition .*: recovering → running \(resume\)/);
+    assert.equal(run.status, 'recovering');
+
+    await manager.stopRun(runId);
+    await manager.resumeRun(runId);
+    await waitFor(() => run.status === 'terminated', { message: 'the resumed run to terminate' });
+
+    const { status, history } = await manager.getRunHistory(runId);
+    assert.equal(status, 'terminated');
+    assert.deepEqual(history.map(change => [change.from, change.to, change.cause]), [
+      [null, 'running', 'start'],
+      ['running', 'recovering', 'crash'],
+      ['recovering', 'stopped', 'stop'],
+      ['stopped', 'running', 'resume'],
+      ['running', 'terminated', 'exit']
+    ]);
+    assert.deepEqual(history[1].details, { exitCode: 1, attempt: 1 });
+    assert.deepEqual(statusChanges.slice(1), history.slice(1).map(change => [change.to, change.cause]));
+
+    // Stopping a terminated run leaves it terminated; the history survives a restart
+    await manager.stopRun(runId);
+    assert.equal(run.status, 'terminated');
+    await manager.saveRunState();
+    assert.deepEqual(manager.stateStore.get('runs', runId).history, history);
+    await assert.rejects(manager.getRunHistory('nope'), /not found/);
+  } finally {
+    process.env.FAKE_CLI_EXIT_CODES = '0';
+    manager.setSocketHandler(null);
+    await manager.shutdown();
+  }
+});
+
+test('runs restored while recovering take the status a restart finds them in', async () => {
+  process.env.FAKE_CLI_GENERATIONS = '100000';
+  process.env.FAKE_CLI_INTERVAL_MS = '50';
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+
+  // A run whose process came back online, and one the scheduler had paused,
+  // both still recorded as recovering when the manager went down
+  const onlineId = await manager.startRun('fake-qd');
+  const pausedId = await manager.startRun('fake-qd');
+  await manager.pauseRun(pausedId, { cause: 'scheduler' });
+  Object.assign(manager.runs.get(onlineId), { status: 'recovering' });
+  Object.assign(manager.runs.get(pausedId), { status: 'recovering', pausedByScheduler: true });
+  await manager.shutdown({ detach: true });
+
+  const restarted = new EvolutionManager({ processRunner: manager.processRunner });
+  await restarted.ready;
+  try {
+    const changes = runId => restarted.runs.get(runId).history.slice(-1).map(change => [change.from, change.to, change.cause]);
+    assert.equal(restarted.runs.get(onlineId).status, 'running');
+    assert.deepEqual(changes(onlineId), [['recovering', 'running', 'restore']]);
+    assert.equal(restarted.runs.get(pausedId).status, 'paused');
+    assert.deepEqual(changes(pausedId), [['recovering', 'paused', 'restore']]);
+    assert.ok(restarted.serviceDependencyManager.getServiceInfo(onlineId));
+  } finally {
+    await restarted.shutdown();
+  }
+});
@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { spawn } from 'child_process';
+import { createSandbox } from './helpers.js';
+import { StateStore, MIGRATIONS } from '../src/core/state-store.js';
+
+let sandbox;
+
+before(async () => {
+  sandbox = await createSandbox();
+});
+
+after(async () => {
+  await sandbox.cleanup();
+});
+
+test('transactions are atomic and survive a crash that tears the last log line', async () => {
+  const workingDir = path.join(sandbox.dir, 'crash');
+  const store = new StateStore({ workingDir });
+  await store.open();
+
+  await store.transaction(tx => {
+    tx.put('runs', 'a', { status: 'running', generation: 1 });
+    tx.put('runs', 'b', { status: 'paused' });
+  });
+  await assert.rejects(store.transaction(tx => {
+    tx.put('runs', 'c', { status: 'running' });
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal(store.get('runs', 'c'), undefined);
+  await assert.rejects(store.put('nope', 'x', 1), /Unknown state store collection 'nope'/);
+
+  // Only what changed is written
+  assert.equal(await store.replaceCollection('runs', { a: { status: 'running', generation: 2 }, b: { status: 'paused' } }), 1);
+  assert.equal(await store.replaceCollection('runs', { a: { status: 'running', generation: 2 } }), 1);
+
+  // A second process can't open it; a crash leaves half a transaction in the log
+  const other = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 10000)']);
+  await fs.writeFile(store.lockPath, String(other.pid));
+  await assert.rejects(new StateStore({ workingDir }).open(), new RegExp(`in use by process ${other.pid}`));
+  other.kill();
+  await new Promise(resolve => other.once('exit', resolve));
+  await fs.appendFile(store.walPath, '0123456789abcdef {"lsn":99,"ops":[{"op":"put","collection":"runs","ke');
+
+  const reopened = new StateStore({ workingDir });
+  await reopened.open();
+  assert.deepEqual(reopened.all('runs'), { a: { status: 'running', generation: 2 } });
+  assert.equal((await fs.readdir(reopened.dir)).filter(name => name.startsWith('wal.log.corrupt-')).length, 1);
+
+  // Checkpoints fold the log into the snapshot
+  await reopened.put('runs', 'd', { status: 'stopped' });
+  await reopened.checkpoint();
+  assert.equal((await fs.stat(reopened.walPath)).size, 0);
+  await reopened.close();
+  const restored = new StateStore({ workingDir });
+  await restored.open();
+  assert.deepEqual(Object.keys(restored.all('runs')).sort(), ['a', 'd']);
+  await restored.close();
+});
+
+test('migrations run once, in order, and the JSON files of earlier versions are imported', async () => {
+  const workingDir = path.join(sandbox.dir, 'import');
+  await fs.outputJson(path.join(workingDir, 'run-state.json'), { r1: { id: 'r1', status: 'stopped' } });
+  await fs.outputJson(path.join(workingDir, 'auto-run-config.json'), { enabled: true, enabledTemplates: [] });
+  await fs.outputFile(path.join(workingDir, 'sync-state.json'), '{"r1": {"totalDbSyncs"');
+
+  const applied = [];
+  const migrations = [
+    ...MIGRATIONS,
+    { version: 3, description: 'run labels', up(tx) { applied.push(3); tx.createCollection('labels'); } }
+  ];
+  const store = new StateStore({ workingDir, migrations });
+  await store.open();
+  assert.deepEqual(applied, [3]);
+  assert.equal(store.get('meta', 'schemaVersion'), 3);
+  assert.deepEqual(store.get('runs', 'r1'), { id: 'r1', status: 'stopped' });
+  assert.equal(store.get('scheduler', 'config').enabled, true);
+  assert.deepEqual(store.all('sync'), {});
+  assert.deepEqual(store.get('meta', 'jsonImport').files, ['run-state.json', 'auto-run-config.json']);
+  assert.deepEqual((await fs.readdir(workingDir)).sort(), ['auto-run-config.json.imported', 'run-state.json.imported', 'state', 'sync-state.json.corrupt']);
+  await store.close();
+
+  const reopened = new StateStore({ workingDir, migrations });
+  await reopened.open();
+  assert.deepEqual(applied, [3]);
+  assert.deepEqual(reopened.all('labels'), {});
+  await reopened.close();
+});
+
+test('the managers share one store and keep runs and scheduler config in it', async () => {
+  process.env.FAKE_CLI_GENERATIONS = '3';
+  process.env.FAKE_CLI_INTERVAL_MS = '20';
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  const manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+  assert.equal(manager.syncManager.stateStore, manager.stateStore);
+
+  const runId = await manager.startRun('fake-qd');
+  await manager.autoRunScheduler.setMaxConcurrentRuns(3);
+  await manager.shutdown();
+
+  const store = new StateStore();
+  await store.open();
+  assert.equal(store.get('runs', runId).templateName, 'fake-qd');
+  assert.equal(store.get('scheduler', 'config').maxConcurrentRuns, 3);
+  assert.equal(await fs.pathExists(path.join(sandbox.dir, 'working', 'run-state.json')), false);
+  await store.close();
+});
@@ -0,0 +1,169 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { createSandbox } from './helpers.js';
+import { createFakeEvorunsService } from './fixtures/fake-evoruns-service.js';
+
+const RUN_ID = '01SYNCTESTRUN0000000000000';
+const FOLDER_NAME = `${RUN_ID}_fake-qd_run`;
+
+let sandbox;
+let SyncManager;
+let runData;
+
+before(async () => {
+  sandbox = await createSandbox();
+  ({ SyncManager } = await import('../src/core/sync-manager.js'));
+
+  // Working configs as prepared by ConfigManager: the runs config points at
+  // the run config, whose evoRunsDirPath + iteration id locate the evorun
+  const runDir = path.join(sandbox.dir, 'working', RUN_ID);
+  const evoRunsDirPath = path.join(sandbox.dir, 'evoruns');
+  const runConfigPath = path.join(runDir, 'evolution-run-config.jsonc');
+  const runsConfigPath = path.join(runDir, 'evolution-runs-config.jsonc');
+  await fs.outputJson(runConfigPath, { evoRunsDirPath });
+  await fs.outputJson(runsConfigPath, {
+    baseEvolutionRunConfigFile: runConfigPath,
+    evoRuns: [{ label: 'fake-qd_run', iterations: [{ id: FOLDER_NAME }] }]
+  });
+
+  const analysisDir = path.join(evoRunsDirPath, FOLDER_NAME, 'analysisResults');
+  await fs.outputFile(path.join(analysisDir, 'score-matrix.json.gz'), 'score matrix');
+  await fs.outputFile(path.join(analysisDir, 'trees', 'phylogeny.json.gz'), 'phylogeny');
+  await fs.outputFile(path.join(analysisDir, 'lineage_state_1.sqlite'), 'local only');
+  await fs.outputFile(path.join(analysisDir, '.DS_Store'), 'metadata');
+
+  runData = {
+    templateName: 'fake-qd',
+    ecosystemVariant: 'default',
+    startedAt: new Date().toISOString(),
+    configPath: runsConfigPath
+  };
+});
+
+after(async () => {
+  await sandbox.cleanup();
+});
+
+function syncOverrides(evorunsServiceUrl, apiKey = 'test-key') {
+  return {
+    enabled: true,
+    evorunsServiceUrl,
+    apiKey,
+    syncDatabases: false,
+    intervalMs: 3600000
+  };
+}
+
+function nextEvent(emitter, name) {
+  return new Promise(resolve => emitter.once(name, resolve));
+}
+
+test('registers the run and uploads analysis files, skipping unchanged ones', async () => {
+  const service = createFakeEvorunsService();
+  const url = await service.listen();
+  const syncManager = new SyncManager(null);
+  await syncManager.initialize();
+
+  try {
+    await syncManager.registerRun(RUN_ID, runData, syncOverrides(url));
+    assert.equal(service.registered.get(FOLDER_NAME).templateName, 'fake-qd');
+    assert.equal(syncManager.getRunStatus(RUN_ID).active, true);
+
+    let completed = nextEvent(syncManager, 'sync-completed');
+    await syncManager.triggerSync(RUN_ID, 'manual');
+    let { results } = await completed;
+
+    assert.deepEqual(results.analysis.uploaded.sort(), [
+      'analysisResults/score-matrix.json.gz',
+      'analysisResults/trees/phylogeny.json.gz'
+    ]);
+    assert.deepEqual(results.analysis.errors, []);
+    assert.equal(service.files.get(`${FOLDER_NAME}/analysisResults/trees/phylogeny.json.gz`).toString(), 'phylogeny');
+    assert.ok(service.requests.every(request => request.headers['x-sync-api-key'] === 'test-key'));
+
+    // Unchanged files are skipped, changed ones re-uploaded
+    const matrixPath = path.join(sandbox.dir, 'evoruns', FOLDER_NAME, 'analysisResults', 'score-matrix.json.gz');
+    await fs.writeFile(matrixPath, 'score matrix, updated');
+    completed = nextEvent(syncManager, 'sync-completed');
+    await syncManager.triggerSync(RUN_ID, 'pause');
+    ({ results } = await completed);
+    assert.deepEqual(results.analysis.uploaded, ['analysisResults/score-matrix.json.gz']);
+    assert.deepEqual(results.analysis.skipped, ['analysisResults/trees/phylogeny.json.gz']);
+
+    const state = syncManager.stateStore.all('sync');
+    assert.equal(state[RUN_ID].totalAnalysisSyncs, 2);
+    assert.ok(state[RUN_ID].lastAnalysisSync);
+    assert.equal(state[RUN_ID].filesUploaded, 3);
+    assert.equal(state[RUN_ID].bytesUploaded, 'score matrix'.length + 'phylogeny'.length + 'score matrix, updated'.length);
+    assert.equal(state[RUN_ID].uploadErrors, 0);
+  } finally {
+    await syncManager.shutdown();
+    await service.close();
+  }
+});
+
+test('upload failures are reported per file', async () => {
+  const service = createFakeEvorunsService({ failUploads: true });
+  const url = await service.listen();
+  const syncManager = new SyncManager(null);
+  await syncManager.initialize();
+
+  try {
+    await syncManager.registerRun(RUN_ID, runData, syncOverrides(url));
+    const completed = nextEvent(syncManager, 'sync-completed');
+    await syncManager.triggerSync(RUN_ID, 'manual');
+    const { results } = await completed;
+
+    assert.deepEqual(results.analysis.uploaded, []);
+    assert.equal(results.analysis.errors.length, 2);
+    assert.match(results.analysis.errors[0].error, /500/);
+    assert.equal(syncManager.getRunStatus(RUN_ID).uploadErrors, 2);
+  } finally {
+    await syncManager.shutdown();
+    await service.close();
+  }
+});
+
+test('a wrong API key uploads nothing and reports the rejection', async () => {
+  const service = createFakeEvorunsService();
+  const url = await service.listen();
+  const syncManager = new SyncManager(null);
+  await syncManager.initialize();
+
+  try {
+    await syncManager.registerRun(RUN_ID, runData, syncOverrides(url, 'wrong-key'));
+    assert.equal(service.registered.size, 0);
+
+    const completed = nextEvent(syncManager, 'sync-completed');
+    await syncManager.triggerSync(RUN_ID, 'manual');
+    const { results } = await completed;
+    assert.deepEqual(results.analysis.uploaded, []);
+    assert.ok(results.analysis.errors.some(error => /401/.test(error.error)));
+    assert.equal(service.files.size, 0);
+  } finally {
+    await syncManager.shutdown();
+    await service.close();
+  }
+});
+
+test('unregistering stops syncing for the run', async () => {
+  const service = createFakeEvorunsService();
+  const url = await service.listen();
+  const syncManager = new SyncManager(null);
+  await syncManager.initialize();
+
+  try {
+    await syncManager.registerRun(RUN_ID, runData, syncOverrides(url));
+    syncManager.unregisterRun(RUN_ID);
+    const requestCount = service.requests.length;
+
+    await syncManager.triggerSync(RUN_ID, 'manual');
+    assert.equal(service.requests.length, requestCount);
+    assert.equal(syncManager.getRunStatus(RUN_ID).active, false);
+  } finally {
+    await syncManager.shutdown();
+    await service.close();
+  }
+});
@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { createSandbox, FAKE_SERVICE_SCRIPT } from './helpers.js';
+
+let sandbox;
+let manager;
+
+const runConfigJsonc = dir => `{
+  // Written as JSONC text, comments survive
+  "batchSize": 10,
+  "evoRunsDirPath": "${dir}/evoruns/",
+  "classifiers": [{ "classConfigurations": [{ "refSetName": "crud" }] }]
+}`;
+
+const ecosystem = (variant, names) => ({
+  variant,
+  config: { apps: names.map((name, i) => ({ name, script: FAKE_SERVICE_SCRIPT, instances: 1, env: { PORT: 50051 + i } })) }
+});
+
+before(async () => {
+  sandbox = await createSandbox();
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+});
+
+after(async () => {
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+test('templates are created with paths converted to placeholders and an ecosystem variant', async () => {
+  const validation = await manager.createTemplate('crud-qd', {
+    templateInfo: { name: 'CRUD QD', description: 'Created through the API' },
+    evolutionRunConfig: runConfigJsonc(sandbox.dir),
+    hyperparameters: { waveNetwork: { neatParameters: { pMutateAddNode: 0.1 } } },
+    ecosystem: ecosystem('custom', ['kromosynth-gRPC-variation', 'kromosynth-render-socket-server'])
+  });
+  assert.equal(validation.valid, true);
+
+  const templateDir = path.join(sandbox.dir, 'templates', 'crud-qd');
+  const runConfigText = await fs.readFile(path.join(templateDir, 'evolution-run-config.jsonc'), 'utf8');
+  assert.match(runConfigText, /\/\/ Written as JSONC text/);
+  assert.match(runConfigText, /"\{\{KROMOSYNTH_ROOT\}\}\/evoruns\/"/);
+  assert.equal((await fs.readJson(path.join(templateDir, 'evolution-runs-config.jsonc'))).evoRuns[0].label, 'crud-qd_run');
+
+  const template = await manager.getTemplate('crud-qd');
+  assert.equal(template.evolutionRunConfig.evoRunsDirPath, `${sandbox.dir}/evoruns/`);
+  assert.equal((await manager.validateTemplate('crud-qd', 'custom')).valid, true);
+  assert.ok((await manager.getTemplates()).some(info => info.templateName === 'crud-qd' && info.isComplete));
+
+  await assert.rejects(manager.createTemplate('crud-qd', {}), /already exists/);
+  await assert.rejects(manager.createTemplate('../escape', {}), /Invalid template name/);
+});
+
+test('invalid templates are rejected without touching templates/', async () => {
+  await assert.rejects(
+    manager.createTemplate('half-qd', { evolutionRunConfig: { batchSize: 0 } }),
+    error => {
+      assert.match(error.message, /^Invalid template 'half-qd'/);
+      assert.deepEqual(error.validation.errors.map(({ file, path: at }) => `${file} ${at}`), [
+        'evolution-run-config.jsonc batchSize',
+        'evolutionary-hyperparameters.jsonc null'
+      ]);
+      return true;
+    }
+  );
+  await assert.rejects(manager.createTemplate('half-qd', { hyperparameters: [] }), /Invalid template file evolutionary-hyperparameters.jsonc/);
+
+  assert.equal(await fs.pathExists(path.join(sandbox.dir, 'templates', 'half-qd')), false);
+  assert.deepEqual(await fs.readdir(path.join(sandbox.dir, 'working', 'template-staging')), []);
+});
+
+test('updates replace only the given files and reload the ecosystem config', async () => {
+  assert.deepEqual((await manager.planRun('crud-qd', { ecosystemVariant: 'custom' })).apps.length, 3);
+
+  await manager.updateTemplate('crud-qd', {
+    hyperparameters: { waveNetwork: { neatParameters: { pMutateAddNode: 0.4 } } },
+    ecosystem: ecosystem('custom', ['kromosynth-gRPC-variation', 'kromosynth-render-socket-server', 'kromosynth-gRPC-variation'])
+  });
+
+  const template = await manager.getTemplate('crud-qd');
+  assert.equal(template.hyperparameters.waveNetwork.neatParameters.pMutateAddNode, 0.4);
+  assert.equal(template.evolutionRunConfig.batchSize, 10);
+  assert.equal((await manager.planRun('crud-qd', { ecosystemVariant: 'custom' })).apps.length, 4);
+
+  // A failed update leaves the template as it was
+  await assert.rejects(manager.updateTemplate('crud-qd', { evolutionRunConfig: { batchSize: 'ten' } }), /Invalid template/);
+  assert.equal((await manager.getTemplate('crud-qd')).evolutionRunConfig.batchSize, 10);
+  await assert.rejects(manager.updateTemplate('nope', {}), /not found/);
+});
+
+test('templates used by queued runs cannot be deleted', async () => {
+  const [entry] = await manager.enqueueRuns([{ templateName: 'crud-qd' }]);
+  await assert.rejects(manager.deleteTemplate('crud-qd'), new RegExp(`in use by run\\(s\\) ${entry.id}`));
+
+  await manager.stopRun(entry.id); // cancels the queue entry
+  await manager.deleteTemplate('crud-qd');
+  assert.equal(await fs.pathExists(path.join(sandbox.dir, 'templates', 'crud-qd')), false);
+  await assert.rejects(manager.deleteTemplate('crud-qd'), /not found/);
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { createSandbox } from './helpers.js';
+
+let sandbox;
+let manager;
+
+async function writeTemplate(name, files) {
+  const templateDir = path.join(sandbox.dir, 'templates', name);
+  await fs.ensureDir(templateDir);
+  for (const [file, content] of Object.entries(files)) {
+    await fs.writeJson(path.join(templateDir, file), content);
+  }
+}
+
+before(async () => {
+  sandbox = await createSandbox();
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+
+  // fake-qd <- fast-qd <- faster-qd, the last two without ecosystem configs
+  await writeTemplate('fast-qd', {
+    'template-info.jsonc': { name: 'Fast QD', extends: 'fake-qd', tags: ['fast'] },
+    'evolution-run-config.jsonc': { batchSize: 2, classifiers: [{ classConfigurations: [{ refSetName: 'fast' }] }] }
+  });
+  await writeTemplate('faster-qd', {
+    'template-info.jsonc': { name: 'Faster QD', extends: 'fast-qd' },
+    'evolutionary-hyperparameters.jsonc': { waveNetwork: { neatParameters: { pMutateAddNode: 0.3 } } }
+  });
+});
+
+after(async () => {
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+test('extending templates are deep-merged over their bases, classifiers replaced', async () => {
+  const template = await manager.getTemplate('faster-qd');
+  assert.deepEqual(template.baseTemplates, ['fast-qd', 'fake-qd']);
+  assert.equal(template.evolutionRunConfig.batchSize, 2);
+  assert.equal(template.evolutionRunConfig.algorithm, 'mapElites_with_uBC');
+  assert.equal(template.evolutionRunConfig.evoRunsDirPath, `${sandbox.dir}/evoruns/`);
+  assert.deepEqual(template.evolutionRunConfig.classifiers, [{ classConfigurations: [{ refSetName: 'fast' }] }]);
+  assert.deepEqual(template.hyperparameters.waveNetwork.neatParameters, { pMutateAddConnection: 0.1, pMutateAddNode: 0.3 });
+  assert.equal(template.evolutionRuns.evoRuns.length, 1);
+
+  const info = await manager.configManager.getTemplateInfo('faster-qd');
+  assert.equal(info.name, 'Faster QD');
+  assert.deepEqual(info.tags, ['test', 'fast']);
+  assert.equal(info.isComplete, true);
+
+  const layered = await manager.getTemplate('faster-qd', { view: 'layered' });
+  assert.deepEqual(layered.layers.map(layer => layer.templateName), ['fake-qd', 'fast-qd', 'faster-qd']);
+  assert.equal(layered.layers[1].evolutionRunConfig.batchSize, 2);
+  assert.equal(layered.layers[1].hyperparameters, null);
+  assert.equal(layered.layers[0].evolutionRunConfig.evoRunsDirPath, '{{KROMOSYNTH_ROOT}}/evoruns/');
+
+  const both = await manager.getTemplate('faster-qd', { view: 'both' });
+  assert.equal(both.evolutionRunConfig.batchSize, 2);
+  assert.equal(both.layers.length, 3);
+  await assert.rejects(manager.getTemplate('faster-qd', { view: 'tree' }), /Invalid template view/);
+
+  // Validated as flattened, with the ecosystem config of fake-qd
+  const validation = await manager.validateTemplate('faster-qd');
+  assert.equal(validation.valid, true, JSON.stringify(validation.errors));
+  assert.deepEqual(validation.services.provided, ['geneVariation', 'geneRendering']);
+  assert.equal((await manager.planRun('faster-qd')).apps.length, 3);
+});
+
+test('extends cycles and missing bases are rejected', async () => {
+  await writeTemplate('loop-a', { 'template-info.jsonc': { name: 'A', extends: 'loop-b' } });
+  await writeTemplate('loop-b', { 'template-info.jsonc': { name: 'B', extends: 'loop-a' } });
+  await writeTemplate('orphan', { 'template-info.jsonc': { name: 'Orphan', extends: 'gone' } });
+
+  await assert.rejects(manager.getTemplate('loop-a'), /^Error: Invalid template 'loop-a': extends cycle loop-a -> loop-b -> loop-a$/);
+  await assert.rejects(manager.getTemplate('orphan'), /'orphan' extends 'gone', which does not exist/);
+
+  const validation = await manager.validateTemplate('loop-b');
+  assert.equal(validation.valid, false);
+  assert.deepEqual(validation.errors.map(({ file, path: at }) => `${file} ${at}`).slice(0, 1), ['template-info.jsonc extends']);
+
+  // Still listed, with the problem attached
+  const orphan = (await manager.getTemplates()).find(info => info.templateName === 'orphan');
+  assert.match(orphan.extendsError, /does not exist/);
+  assert.equal(orphan.isComplete, false);
+
+  await assert.rejects(manager.deleteTemplate('fast-qd'), /in use by template\(s\) faster-qd/);
+});
+
+test('version snapshots cover the bases and are stored flattened', async () => {
+  const store = manager.templateVersions;
+  const hash = await store.snapshot('faster-qd', 'run-1');
+
+  const runConfigPath = path.join(sandbox.dir, 'templates', 'fake-qd', 'evolution-run-config.jsonc');
+  const runConfig = await fs.readJson(runConfigPath);
+  await fs.writeJson(runConfigPath, { ...runConfig, algorithm: 'cmaMAE' });
+  assert.notEqual(await store.currentHash('faster-qd'), hash);
+
+  const snapshotDir = store.snapshotDir('faster-qd', hash);
+  assert.equal((await fs.readJson(path.join(snapshotDir, 'template-info.jsonc'))).extends, undefined);
+  assert.ok(await fs.pathExists(path.join(snapshotDir, 'ecosystem_default.config.js')));
+  const snapshot = await manager.configManager.loadTemplateDirectory(snapshotDir, 'faster-qd');
+  assert.equal(snapshot.evolutionRunConfig.algorithm, 'mapElites_with_uBC');
+  assert.equal(snapshot.evolutionRunConfig.batchSize, 2);
+
+  assert.deepEqual(await store.diffAgainstCurrent('faster-qd', hash), [
+    { path: 'evolutionRunConfig.algorithm', change: 'changed', before: 'mapElites_with_uBC', after: 'cmaMAE' }
+  ]);
+});
@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { createSandbox } from './helpers.js';
+
+let sandbox;
+let manager;
+let validateSchema;
+let HYPERPARAMETERS_SCHEMA;
+
+before(async () => {
+  sandbox = await createSandbox({ templates: ['broken-qd'] });
+  ({ validateSchema, HYPERPARAMETERS_SCHEMA } = await import('../src/config/template-schema.js'));
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+
+  // broken-qd: a mistyped setting, a missing reference path, an unknown
+  // placeholder and an ecosystem without the render service
+  const templateDir = path.join(sandbox.dir, 'templates', 'broken-qd');
+  const runConfigPath = path.join(templateDir, 'evolution-run-config.jsonc');
+  const runConfig = await fs.readJson(runConfigPath);
+  runConfig.batchSize = '10';
+  runConfig.classifiers[0].classConfigurations[0].zScoreNormalisationReferenceFeaturesPaths = ['{{KROMOSYNTH_ROOT}}/features/missing'];
+  runConfig.favoritesDirPath = '{{NOWHERE}}/favorites';
+  await fs.writeJson(runConfigPath, runConfig);
+
+  const ecosystemPath = path.join(templateDir, 'ecosystem_default.config.js');
+  const ecosystem = await fs.readFile(ecosystemPath, 'utf8');
+  await fs.writeFile(ecosystemPath, ecosystem.replace('kromosynth-render-socket-server', 'some-other-server'));
+});
+
+after(async () => {
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+test('validateSchema reports types, ranges and required properties by path', () => {
+  assert.deepEqual(validateSchema({ populationSize: 10, mutationRate: 0.1, waveNetwork: { neatParameters: { pMutateAddNode: 0.2 } } }, HYPERPARAMETERS_SCHEMA), []);
+  assert.deepEqual(validateSchema({ populationSize: 1.5, waveNetwork: { neatParameters: { pMutateAddNode: 2, connectionWeightRange: 3 } } }, HYPERPARAMETERS_SCHEMA), [
+    { path: 'populationSize', message: 'expected integer, got number' },
+    { path: 'waveNetwork.neatParameters.pMutateAddNode', message: 'must be <= 1' }
+  ]);
+  assert.deepEqual(validateSchema([], { type: 'object', required: ['name'] }), [{ path: '(root)', message: 'expected object, got array' }]);
+  assert.deepEqual(validateSchema({}, { type: 'object', required: ['name'] }), [{ path: '(root)', message: "missing required property 'name'" }]);
+});
+
+test('a complete template validates, with missing output directories as warnings', async () => {
+  const validation = await manager.validateTemplate('fake-qd');
+  assert.equal(validation.valid, true, JSON.stringify(validation.errors));
+  assert.deepEqual(validation.services, { required: ['geneVariation', 'geneRendering'], provided: ['geneVariation', 'geneRendering'] });
+  assert.deepEqual(validation.warnings.map(warning => warning.path), ['evoRunsDirPath']);
+
+  await assert.rejects(manager.validateTemplate('missing'), /not found/);
+  const variant = await manager.validateTemplate('fake-qd', 'nope');
+  assert.equal(variant.valid, false);
+  assert.match(variant.errors[0].message, /no ecosystem config found/);
+});
+
+test('schema, placeholder and service problems make a template invalid', async () => {
+  const validation = await manager.validateTemplate('broken-qd');
+  assert.equal(validation.valid, false);
+  assert.deepEqual(validation.errors.map(({ file, path: at }) => `${file} ${at}`), [
+    'evolution-run-config.jsonc batchSize',
+    'evolution-run-config.jsonc classifiers[0].classConfigurations[0].zScoreNormalisationReferenceFeaturesPaths[0]',
+    'evolution-run-config.jsonc favoritesDirPath',
+    'ecosystem_default.config.js null',
+    'ecosystem_default.config.js null'
+  ]);
+  assert.match(validation.errors[1].message, /features\/missing does not exist/);
+  assert.match(validation.errors[2].message, /unknown placeholder \{\{NOWHERE\}\}/);
+  assert.match(validation.errors[3].message, /needs the geneRendering service/);
+  assert.match(validation.errors[4].message, /needs the evaluationQuality service/); // reference features
+  assert.ok(validation.warnings.some(warning => /'some-other-server' is not a known service/.test(warning.message)));
+
+  // Rejected before any service or process is started
+  await assert.rejects(manager.startRun('broken-qd'), /^Error: Invalid template 'broken-qd': evolution-run-config.jsonc batchSize: expected integer/);
+  assert.equal(manager.serviceDependencyManager.runServices.size, 0);
+  assert.equal(manager.runs.size, 0);
+});
+
+test('a dry run resolves configs, ports and PM2 apps without starting or allocating anything', async () => {
+  const plan = await manager.planRun('fake-qd', { batchSize: 4, overrides: { 'hyperparameters.waveNetwork.neatParameters.pMutateAddNode': 0.3 } });
+
+  assert.equal(plan.dryRun, true);
+  assert.equal(plan.valid, true);
+  assert.equal(plan.configs.evolutionRunConfig.batchSize, 4);
+  assert.equal(plan.configs.hyperparameters.waveNetwork.neatParameters.pMutateAddNode, 0.3);
+  assert.equal(plan.configs.evolutionRunConfig.evoRunsDirPath, `${sandbox.dir}/evoruns/`);
+
+  const { geneVariation, geneRendering } = plan.portPlan.services;
+  assert.deepEqual(plan.configs.evolutionRunConfig.geneVariationServers, geneVariation.map(port => `ws://127.0.0.1:${port}`));
+  assert.deepEqual(plan.configs.evolutionRunConfig.geneRenderingServers, geneRendering.map(port => `ws://127.0.0.1:${port}`));
+
+  assert.deepEqual(plan.apps.map(app => app.name), [
+    `kromosynth-gRPC-variation_${plan.runId}`,
+    `kromosynth-render-socket-server_${plan.runId}`,
+    `kromosynth-evolution-${plan.runId}`
+  ]);
+  assert.equal(plan.apps[1].env.PORT, geneRendering[0]);
+  assert.equal(plan.apps[1].args, `--port ${geneRendering[0]}`);
+  assert.deepEqual(plan.apps[2].args.slice(-1), [path.join(sandbox.dir, 'working', plan.runId, 'evolution-runs-config.jsonc')]);
+
+  assert.deepEqual(manager.serviceDependencyManager.portManager.getAllAllocations(), []);
+  assert.equal(await fs.pathExists(path.join(sandbox.dir, 'working', plan.runId)), false);
+  assert.equal(manager.runs.size, 0);
+
+  await assert.rejects(manager.planRun('fake-qd', { overrides: { 'evolutionRunConfig.batchSize': 'x' } }), /Invalid override/);
+});
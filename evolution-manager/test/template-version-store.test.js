@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { createSandbox, waitFor } from './helpers.js';
+
+let sandbox;
+let manager;
+let hashTemplateDirectory;
+
+before(async () => {
+  sandbox = await createSandbox({ templates: ['versioned-qd'] });
+  process.env.FAKE_CLI_GENERATIONS = '2';
+  process.env.FAKE_CLI_INTERVAL_MS = '20';
+  process.env.FAKE_CLI_EXIT_CODES = '0';
+  ({ hashTemplateDirectory } = await import('../src/core/template-version-store.js'));
+  const { EvolutionManager } = await import('../src/core/evolution-manager.js');
+  manager = new EvolutionManager({ processRunner: 'child-process' });
+  await manager.ready;
+});
+
+after(async () => {
+  await manager.shutdown();
+  await sandbox.cleanup();
+});
+
+test('template hashes change with file contents and names only', async () => {
+  const dir = path.join(sandbox.dir, 'templates');
+  const hash = await hashTemplateDirectory(path.join(dir, 'versioned-qd'));
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(await hashTemplateDirectory(path.join(dir, 'fake-qd')), hash); // same fixture files
+
+  await fs.copy(path.join(dir, 'fake-qd'), path.join(dir, 'renamed-qd'));
+  await fs.move(path.join(dir, 'renamed-qd', 'template-info.jsonc'), path.join(dir, 'renamed-qd', 'template-info2.jsonc'));
+  assert.notEqual(await hashTemplateDirectory(path.join(dir, 'renamed-qd')), hash);
+});
+
+test('runs record the template version they started from and trace later edits', async () => {
+  const templateDir = path.join(sandbox.dir, 'templates', 'versioned-qd');
+  const firstRunId = await manager.startRun('versioned-qd', { batchSize: 5 });
+  const firstRun = manager.runs.get(firstRunId);
+  await waitFor(() => firstRun.status === 'terminated', { message: 'first run to terminate' });
+
+  const firstVersion = firstRun.templateVersion;
+  assert.equal(firstVersion, await hashTemplateDirectory(templateDir));
+  assert.ok(await fs.pathExists(path.join(sandbox.dir, 'working', 'template-versions', 'versioned-qd', firstVersion, 'evolution-run-config.jsonc')));
+
+  // Edit the template, then start a second run from the new version
+  const hyperparametersPath = path.join(templateDir, 'evolutionary-hyperparameters.jsonc');
+  await fs.writeJson(hyperparametersPath, { waveNetwork: { neatParameters: { pMutateAddConnection: 0.1, pMutateAddNode: 0.3 } } });
+  const secondRunId = await manager.startRun('versioned-qd');
+  const secondRun = manager.runs.get(secondRunId);
+  await waitFor(() => secondRun.status === 'terminated', { message: 'second run to terminate' });
+  assert.notEqual(secondRun.templateVersion, firstVersion);
+
+  const { current, versions } = await manager.getTemplateVersions('versioned-qd');
+  assert.equal(current, secondRun.templateVersion);
+  assert.deepEqual(versions.map(version => [version.hash, version.runIds, version.isCurrent]), [
+    [secondRun.templateVersion, [secondRunId], true],
+    [firstVersion, [firstRunId], false]
+  ]);
+
+  const diff = await manager.getRunConfigDiff(firstRunId);
+  assert.equal(diff.templateChanged, true);
+  assert.deepEqual(diff.templateChanges, [
+    { path: 'hyperparameters.waveNetwork.neatParameters.pMutateAddNode', change: 'changed', before: 0.1, after: 0.3 }
+  ]);
+  const runChangePaths = diff.runChanges.map(change => change.path);
+  assert.ok(runChangePaths.includes('evolutionRunConfig.batchSize'));
+  assert.ok(runChangePaths.includes('evolutionRunConfig.outputDir'));
+  assert.ok(runChangePaths.includes('evolutionRunConfig.geneVariationServers[0]'));
+
+  assert.equal((await manager.getRunConfigDiff(secondRunId)).templateChanged, false);
+  assert.deepEqual((await manager.getRunConfigDiff(secondRunId)).templateChanges, []);
+  await assert.rejects(manager.getRunConfigDiff('nope'), /not found/);
+  await assert.rejects(manager.getTemplateVersions('nope'), /not found/);
+});